@@ -0,0 +1,256 @@
+const { getDb } = require('./db');
+const { readFrames } = require('./frames');
+
+// Default mean luma difference between neighbouring frames, as a fraction
+// of full scale, at which a scene change is reported
+const DEFAULT_SCENE_THRESHOLD = 0.3;
+
+// A frame is black when at least BLACK_PIXEL_RATIO of its pixels have a
+// luma of at most BLACK_PIXEL_LEVEL
+const BLACK_PIXEL_LEVEL = 0.1 * 255;
+const BLACK_PIXEL_RATIO = 0.98;
+
+// A frame is still when its mean luma difference from the previous frame is
+// at most STILL_THRESHOLD of full scale; still segments shorter than
+// MIN_STILL_SECONDS aren't reported
+const STILL_THRESHOLD = 0.002;
+const MIN_STILL_SECONDS = 0.5;
+
+/**
+ * Validate the settings of an analysis request
+ * @param {Object} query Query string parameters
+ * @param {string} [query.sceneThreshold] Scene change threshold above 0 and at most 1
+ * @returns {Object} `{ settings }`, or `{ error }` if the request is invalid
+ */
+function resolveAnalysisSettings(query) {
+    const sceneThreshold = query.sceneThreshold === undefined ? DEFAULT_SCENE_THRESHOLD : Number(query.sceneThreshold);
+    if (!(sceneThreshold > 0 && sceneThreshold <= 1)) {
+        return { error: 'sceneThreshold must be a number above 0 and at most 1' };
+    }
+    return { settings: { sceneThreshold } };
+}
+
+// Luma of every pixel of a frame. Gray frames and the yuv420p Y plane are
+// used as they are; RGB is weighted with BT.601 coefficients.
+function getLuma(frame, format) {
+    const { width, height, pixelFormat } = format;
+    const pixels = width * height;
+
+    if (pixelFormat === 'gray' || pixelFormat === 'yuv420p') {
+        return frame.subarray(0, pixels);
+    }
+
+    const stride = pixelFormat === 'rgba' ? 4 : 3;
+    const luma = Buffer.alloc(pixels);
+    for (let i = 0; i < pixels; i++) {
+        const p = i * stride;
+        luma[i] = Math.round(0.299 * frame[p] + 0.587 * frame[p + 1] + 0.114 * frame[p + 2]);
+    }
+    return luma;
+}
+
+// Whether nearly every pixel of a frame is black
+function isBlack(luma) {
+    let dark = 0;
+    for (let i = 0; i < luma.length; i++) {
+        if (luma[i] <= BLACK_PIXEL_LEVEL) {
+            dark++;
+        }
+    }
+    return dark >= luma.length * BLACK_PIXEL_RATIO;
+}
+
+// Mean absolute luma difference between two frames, from 0 to 1
+function lumaDifference(previous, luma) {
+    let total = 0;
+    for (let i = 0; i < luma.length; i++) {
+        total += Math.abs(luma[i] - previous[i]);
+    }
+    return total / luma.length / 255;
+}
+
+// Describe a half-open range of frames with its timestamps
+function toSegment(startFrame, endFrame, fps) {
+    return {
+        startFrame,
+        endFrame,
+        start: startFrame / fps,
+        end: endFrame / fps,
+        duration: (endFrame - startFrame) / fps
+    };
+}
+
+// Runs of consecutive indices for which `test` holds, as [start, end) pairs
+function findRuns(count, test) {
+    const runs = [];
+    let start = null;
+    for (let i = 0; i <= count; i++) {
+        if (i < count && test(i)) {
+            if (start === null) start = i;
+        } else if (start !== null) {
+            runs.push([start, i]);
+            start = null;
+        }
+    }
+    return runs;
+}
+
+/**
+ * Scan every frame of a raw video for scene changes, black segments and
+ * still segments. Frames are read one at a time, keeping only the previous
+ * frame's luma.
+ * @param {string} filepath Path to the raw video file
+ * @param {Object} format Raw video format of the video
+ * @param {Object} settings Settings from resolveAnalysisSettings
+ * @param {Object} [options] Analysis options
+ * @param {number} [options.totalFrames] Number of frames in the video, for progress
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<Object>} `{ frameCount, sceneChanges, blackSegments, stillSegments }`
+ */
+async function analyzeVideo(filepath, format, settings, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const black = [];
+    const differences = [];
+    let previous = null;
+
+    for await (const frame of readFrames(filepath, format)) {
+        const luma = getLuma(frame, format);
+        black.push(isBlack(luma));
+        differences.push(previous ? lumaDifference(previous, luma) : null);
+        previous = luma;
+        if (options.totalFrames) {
+            onProgress((black.length / options.totalFrames) * 100);
+        }
+    }
+
+    const { fps } = format;
+    const frameCount = black.length;
+    const sceneChanges = [];
+    differences.forEach((difference, frame) => {
+        if (difference !== null && difference >= settings.sceneThreshold) {
+            sceneChanges.push({ frame, time: frame / fps, score: Math.round(difference * 1000) / 1000 });
+        }
+    });
+
+    // A still run starts at the frame before its first unchanged one
+    const minStillFrames = Math.max(2, Math.ceil(MIN_STILL_SECONDS * fps));
+    const stillSegments = findRuns(frameCount, i => differences[i] !== null && differences[i] <= STILL_THRESHOLD)
+        .map(([start, end]) => [start - 1, end])
+        .filter(([start, end]) => end - start >= minStillFrames)
+        .map(([start, end]) => toSegment(start, end, fps));
+
+    return {
+        frameCount,
+        sceneChanges,
+        blackSegments: findRuns(frameCount, i => black[i]).map(([start, end]) => toSegment(start, end, fps)),
+        stillSegments
+    };
+}
+
+/**
+ * Narrow a frame range of a raw video to exclude its leading and trailing
+ * black frames, reading inwards from each end until a frame that isn't black
+ * @param {string} filepath Path to the raw video file
+ * @param {Object} format Raw video format of the video
+ * @param {number} startFrame First frame of the range, inclusive
+ * @param {number} endFrame Last frame of the range, exclusive
+ * @returns {Promise<Object|null>} `{ startFrame, endFrame }`, or null if every frame is black
+ */
+async function findBlackBorders(filepath, format, startFrame, endFrame) {
+    // The first frame in `indices` that isn't black
+    const firstVisible = async (indices) => {
+        let position = 0;
+        for await (const frame of readFrames(filepath, format, indices)) {
+            if (!isBlack(getLuma(frame, format))) {
+                return indices[position];
+            }
+            position++;
+        }
+        return null;
+    };
+
+    const forwards = Array.from({ length: endFrame - startFrame }, (_, i) => startFrame + i);
+    const first = await firstVisible(forwards);
+    if (first === null) {
+        return null;
+    }
+    const last = await firstVisible(forwards.slice(first - startFrame).reverse());
+
+    return { startFrame: first, endFrame: last + 1 };
+}
+
+/**
+ * Look up the cached analysis of a video with the given settings
+ * @param {number} videoId Video ID
+ * @param {Object} settings Settings from resolveAnalysisSettings
+ * @returns {Object|undefined} Row from the video_analyses table
+ */
+function getAnalysis(videoId, settings) {
+    return getDb().prepare('SELECT * FROM video_analyses WHERE video_id = ? AND settings = ?')
+        .get(videoId, JSON.stringify(settings));
+}
+
+/**
+ * Record that an analysis has been queued, replacing any earlier attempt
+ * with the same settings
+ * @param {number} videoId Video ID
+ * @param {Object} settings Settings from resolveAnalysisSettings
+ * @param {number} jobId ID of the job computing it
+ */
+function startAnalysis(videoId, settings, jobId) {
+    getDb().prepare(`
+        INSERT INTO video_analyses (video_id, settings, job_id)
+        VALUES (?, ?, ?)
+        ON CONFLICT (video_id, settings) DO UPDATE SET job_id = excluded.job_id, result = NULL, completed_at = NULL
+    `).run(videoId, JSON.stringify(settings), jobId);
+}
+
+/**
+ * Store the result of a finished analysis
+ * @param {number} videoId Video ID
+ * @param {Object} settings Settings from resolveAnalysisSettings
+ * @param {Object} result Result of analyzeVideo
+ */
+function saveAnalysis(videoId, settings, result) {
+    getDb().prepare(`
+        UPDATE video_analyses
+        SET result = ?, completed_at = CURRENT_TIMESTAMP
+        WHERE video_id = ? AND settings = ?
+    `).run(JSON.stringify(result), videoId, JSON.stringify(settings));
+}
+
+/**
+ * Delete every cached analysis of a video
+ * @param {number} videoId Video ID
+ */
+function deleteAnalyses(videoId) {
+    getDb().prepare('DELETE FROM video_analyses WHERE video_id = ?').run(videoId);
+}
+
+/**
+ * API representation of a finished analysis
+ * @param {Object} analysis Row from the video_analyses table with a result
+ * @param {Object} format Raw video format of the video
+ * @returns {Object} Analysis details
+ */
+function serializeAnalysis(analysis, format) {
+    return {
+        videoId: analysis.video_id,
+        settings: JSON.parse(analysis.settings),
+        fps: format.fps,
+        ...JSON.parse(analysis.result),
+        analyzedAt: analysis.completed_at
+    };
+}
+
+module.exports = {
+    DEFAULT_SCENE_THRESHOLD,
+    resolveAnalysisSettings,
+    analyzeVideo,
+    findBlackBorders,
+    getAnalysis,
+    startAnalysis,
+    saveAnalysis,
+    deleteAnalyses,
+    serializeAnalysis
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+// Permissions an API key can carry. `admin` implies every other scope and
+// lifts the restriction to the key owner's own videos.
+const SCOPES = ['upload', 'edit', 'share', 'admin'];
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key Plain-text API key
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create a user that can own videos and API keys
+ * @param {string} name Display name
+ * @returns {Object} The stored user row
+ */
+function createUser(name) {
+    const db = getDb();
+    const result = db.prepare('INSERT INTO users (name) VALUES (?)').run(name);
+    return db.prepare('SELECT * FROM users WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Issue a new API key for a user. The plain-text key is only ever returned here.
+ * @param {number} userId Owner of the key
+ * @param {string[]} scopes Scopes from SCOPES granted to the key
+ * @returns {Object} Key ID, plain-text key and scopes
+ */
+function createApiKey(userId, scopes) {
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+
+    const key = `et_${crypto.randomBytes(24).toString('base64url')}`;
+    const result = getDb().prepare(`
+        INSERT INTO api_keys (user_id, key_hash, key_prefix, scopes)
+        VALUES (?, ?, ?, ?)
+    `).run(userId, hashApiKey(key), key.slice(0, 8), scopes.join(' '));
+
+    return {
+        id: result.lastInsertRowid,
+        key,
+        scopes
+    };
+}
+
+/**
+ * Find the active key matching a plain-text API key
+ * @param {string} key Plain-text API key
+ * @returns {Object|undefined} Key row joined with its user's name
+ */
+function findApiKey(key) {
+    return getDb().prepare(`
+        SELECT api_keys.*, users.name AS user_name
+        FROM api_keys
+        JOIN users ON users.id = api_keys.user_id
+        WHERE key_hash = ? AND revoked_at IS NULL
+    `).get(hashApiKey(key));
+}
+
+/**
+ * Revoke an API key so it can no longer authenticate
+ * @param {number} keyId Key ID
+ * @returns {boolean} Whether an active key was revoked
+ */
+function revokeApiKey(keyId) {
+    const result = getDb().prepare(`
+        UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND revoked_at IS NULL
+    `).run(keyId);
+    return result.changes > 0;
+}
+
+module.exports = {
+    SCOPES,
+    hashApiKey,
+    createUser,
+    createApiKey,
+    findApiKey,
+    revokeApiKey
+};
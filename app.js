@@ -3,29 +3,131 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const ffmpeg = require('fluent-ffmpeg');
-const { getDb } = require('./db');
-const { calculateRawVideoDuration, processVideo, mergeVideos } = require('./videoProcessing');
-const { authenticateToken } = require('./middleware/auth');
+const { initDb, getDb } = require('./db');
+const { loadConfig } = require('./config');
+const { getDeclaredContainer, sniffContainer, getMimeType } = require('./containers');
+const { setQuota, describeUsage, estimateRangeUsage, checkQuota } = require('./quotas');
+const {
+    validateRawFormat,
+    getFrameSize,
+    getVideoFormat,
+    getTotalFrames,
+    resolveTrimRange,
+    resolveSplitSegments,
+    resolveAdjustments,
+    calculateRawVideoDuration,
+    processVideo,
+    splitVideo,
+    adjustVideo,
+    mergeVideos,
+    renderClips
+} = require('./videoProcessing');
+const { authenticateToken, requireScope, isAdmin } = require('./middleware/auth');
+const { SCOPES, createUser, createApiKey, revokeApiKey } = require('./apiKeys');
+const { JOB_STATES, registerJobHandler, enqueueJob, getJob, waitForJobToFinish, serializeJob } = require('./jobQueue');
+const { recordEdit, getLineage, getDerivatives, deleteEdit } = require('./lineage');
+const {
+    MAX_CONTACT_SHEET_SIZE,
+    getFrameAt,
+    getThumbnail,
+    getContactSheet,
+    removeCachedImages
+} = require('./thumbnails');
+const {
+    describeMergeInput,
+    findMergeProblems,
+    resolveMergeOutput,
+    estimateMergedSize,
+    getMergedFrameCount,
+    mergeNormalized
+} = require('./merge');
+const { EXPORT_FORMATS, QUALITY_PRESETS, checkExportTools, exportVideo } = require('./videoExport');
+const { resolveTransform, transformVideo } = require('./transforms');
+const {
+    MAX_OVERLAY_REQUEST_SIZE,
+    resolveOverlay,
+    storeOverlayImage,
+    getDefaultWatermark,
+    overlayVideo
+} = require('./overlays');
+const { getSpeedFrameCount, resolveSpeed, changeSpeed, reverseVideo } = require('./retime');
+const {
+    resolveAnalysisSettings,
+    analyzeVideo,
+    findBlackBorders,
+    getAnalysis,
+    startAnalysis,
+    saveAnalysis,
+    deleteAnalyses,
+    serializeAnalysis
+} = require('./analysis');
+const { resolveTransitions } = require('./transitions');
+const {
+    createProject,
+    getClips,
+    addClip,
+    updateClip,
+    removeClip,
+    deleteProject,
+    removeClipsForVideo,
+    serializeProject
+} = require('./projects');
+const {
+    getShareLink,
+    getShareLinksForVideo,
+    getShareLinkProblem,
+    consumeView,
+    isViewOpen,
+    recordAccess,
+    getAccesses,
+    deleteShareLinksForVideo,
+    serializeShareLink
+} = require('./shareLinks');
+const {
+    generateShareToken,
+    isSigningEnabled,
+    createSignedToken,
+    isSignedToken,
+    verifySignedToken,
+    hashSharePassword,
+    verifySharePassword,
+    getPasswordCookieValue
+} = require('./shareTokens');
+const {
+    TUS_VERSION,
+    parseUploadMetadata,
+    createUploadSession,
+    getUploadSession,
+    getSessionExpiry,
+    appendChunk,
+    deleteUploadSession
+} = require('./resumableUploads');
 const swaggerUi = require('swagger-ui-express');
 const specs = require('./swagger');
 
-const app = express();
-app.use(express.json());
+// Routes are shared by every app createApp builds; each reads its settings
+// from req.app.locals.config
+const router = express.Router();
 
-// Serve Swagger documentation
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
+// Directory finished uploads are stored in, created on first use
+const getUploadDir = (config) => {
+    if (!fs.existsSync(config.uploadDir)) {
+        fs.mkdirSync(config.uploadDir, { recursive: true });
+    }
+    return config.uploadDir;
+};
+
+// Unique stored name for an upload, keeping the original extension
+const generateUploadFilename = (originalname) =>
+    `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(originalname)}`;
 
 // Configure multer for handling file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, 'uploads');
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir);
-        }
-        cb(null, uploadDir);
+        cb(null, getUploadDir(req.app.locals.config));
     },
     filename: (req, file, cb) => {
-        cb(null, `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(file.originalname)}`);
+        cb(null, generateUploadFilename(file.originalname));
     }
 });
 
@@ -35,9 +137,8 @@ const fileFilter = (req, file, cb) => {
         return;
     }
 
-    // Check file type
-    const allowedTypes = ['video/mp4', 'video/raw', 'video/quicktime'];
-    if (!allowedTypes.includes(file.mimetype) && !file.originalname.endsWith('.raw')) {
+    // Check file type. The content itself is checked once the upload lands.
+    if (!getDeclaredContainer(file.originalname, file.mimetype)) {
         cb(new Error('Invalid file type. Only video files are allowed'), false);
         return;
     }
@@ -45,56 +146,4042 @@ const fileFilter = (req, file, cb) => {
     cb(null, true);
 };
 
-const upload = multer({
-    storage,
-    fileFilter,
-    limits: {
-        fileSize: 1024 * 1024 * 1024 // 1GB
+// Accept a single video file, using the multer instance createApp set up
+// with the configured size limit
+const uploadVideo = (req, res, next) => req.app.locals.upload.single('video')(req, res, next);
+
+// Turn away a direct upload that can't fit in the owner's quota before it is
+// received. Content-Length includes the multipart framing, so this slightly
+// overestimates; the exact check runs once the file has landed.
+const checkUploadQuota = (req, res, next) => {
+    const contentLength = Number(req.get('Content-Length')) || 0;
+    const quotaError = checkQuota(req.user.id, req.app.locals.config, { bytes: contentLength });
+    if (quotaError) {
+        return res.status(413).json(quotaError);
     }
-});
+    next();
+};
+
+// Directory overlay images wait in until their job has drawn them
+const getOverlayImageDir = (config) => path.join(config.uploadDir, 'overlays');
+
+// Answer JSON bodies that are too large or malformed with JSON errors
+const handleBodyError = (err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            error: `Request body exceeds the maximum of ${err.limit} bytes`,
+            code: 'BODY_TOO_LARGE'
+        });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    next(err);
+};
 
 // Handle file upload errors
 const handleUploadError = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({ error: 'Video duration exceeds maximum allowed length' });
+            return res.status(413).json({
+                error: `File exceeds the maximum upload size of ${req.app.locals.config.maxUploadSize} bytes`,
+                code: 'FILE_TOO_LARGE'
+            });
+        }
+        return res.status(400).json({ error: err.message });
+    }
+    if (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    next();
+};
+
+// Read the raw geometry sent alongside an upload, defaulting any field left out
+const parseRawFormat = (body, defaults) => ({
+    width: body.width !== undefined ? Number(body.width) : defaults.width,
+    height: body.height !== undefined ? Number(body.height) : defaults.height,
+    pixelFormat: body.pixelFormat !== undefined ? body.pixelFormat : defaults.pixelFormat,
+    fps: body.fps !== undefined ? Number(body.fps) : defaults.fps
+});
+
+// ffprobe reports frame rates as fractions such as "30000/1001"
+const parseFrameRate = (rate) => {
+    const [numerator, denominator = 1] = String(rate).split('/').map(Number);
+    return denominator ? numerator / denominator : null;
+};
+
+// tus requests must declare the protocol version, and every tus response names it
+const requireTusResumable = (req, res, next) => {
+    res.set('Tus-Resumable', TUS_VERSION);
+    if (req.get('Tus-Resumable') !== TUS_VERSION) {
+        res.set('Tus-Version', TUS_VERSION);
+        return res.status(412).json({ error: `Tus-Resumable: ${TUS_VERSION} header required` });
+    }
+    next();
+};
+
+// Look up a resumable upload started by the authenticated user
+const findUploadSession = (req, id) => {
+    const session = getUploadSession(id);
+    return session && (session.owner_id === req.user.id || isAdmin(req)) ? session : undefined;
+};
+
+// Validate a file that has arrived in uploads/ and record it as a video.
+// The container is decided from the file's content, not the name or MIME type
+// the client sent. Returns the { status, body } to respond with and removes the
+// file if it can't be accepted, otherwise { video } with the upload response body.
+const ingestUpload = async ({ filepath, originalname, mimetype, fields, ownerId, config }) => {
+    const db = getDb();
+    const filename = path.basename(filepath);
+    const filesize = fs.statSync(filepath).size;
+
+    const reject = (error, code) => {
+        fs.unlinkSync(filepath);
+        return { status: 400, body: { error, code } };
+    };
+
+    const declared = getDeclaredContainer(originalname, mimetype);
+    const sniffed = sniffContainer(filepath);
+
+    // For raw video files, calculate duration based on file size and frame geometry
+    let duration;
+    let format;
+    let container;
+    let codec;
+    if (declared === 'raw') {
+        // Raw video has no header, so anything recognisable isn't raw
+        if (sniffed) {
+            return reject(`File content is ${sniffed}, not raw video`, 'CONTENT_MISMATCH');
+        }
+
+        format = parseRawFormat(fields, config.rawFormat);
+
+        const formatError = validateRawFormat(format);
+        if (formatError) {
+            return reject(formatError);
+        }
+
+        const frameSize = getFrameSize(format);
+        if (filesize === 0 || filesize % frameSize !== 0) {
+            return reject(
+                `File size of ${filesize} bytes is not a whole number of ` +
+                    `${format.width}x${format.height} ${format.pixelFormat} frames (${frameSize} bytes each)`,
+                'CONTENT_MISMATCH'
+            );
+        }
+
+        duration = calculateRawVideoDuration(filepath, format);
+        container = 'raw';
+        codec = 'rawvideo';
+    } else {
+        if (sniffed !== 'mp4' && sniffed !== 'mov') {
+            return reject(
+                `File content is ${sniffed || 'not recognised'}, not an MP4 or QuickTime video`,
+                'CONTENT_MISMATCH'
+            );
+        }
+
+        // Get video duration and geometry using ffprobe
+        const metadata = await new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(filepath, (err, metadata) => {
+                if (err) return reject(err);
+                resolve(metadata);
+            });
+        }).catch((error) => {
+            fs.rmSync(filepath, { force: true });
+            throw error;
+        });
+        const videoStream = metadata.streams.find(stream => stream.codec_type === 'video') || {};
+
+        duration = metadata.format.duration;
+        format = {
+            width: videoStream.width || null,
+            height: videoStream.height || null,
+            pixelFormat: videoStream.pix_fmt || null,
+            fps: videoStream.r_frame_rate ? parseFrameRate(videoStream.r_frame_rate) : null
+        };
+        container = sniffed;
+        codec = videoStream.codec_name || null;
+    }
+
+    // Check if duration exceeds the maximum allowed length
+    if (duration > config.maxDurationSeconds) {
+        return reject('Video duration exceeds maximum allowed length', 'DURATION_TOO_LONG');
+    }
+
+    const quotaError = checkQuota(ownerId, config, { bytes: filesize, minutes: duration / 60 });
+    if (quotaError) {
+        fs.unlinkSync(filepath);
+        return { status: 413, body: quotaError };
+    }
+
+    // Insert video record into database
+    const result = db.prepare(`
+        INSERT INTO videos (filename, filepath, size, duration, width, height, pixel_format, fps, container, codec, owner_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        filename,
+        filepath,
+        filesize,
+        duration,
+        format.width,
+        format.height,
+        format.pixelFormat,
+        format.fps,
+        container,
+        codec,
+        ownerId
+    );
+
+    return {
+        video: {
+            id: result.lastInsertRowid,
+            filename,
+            duration,
+            width: format.width,
+            height: format.height,
+            pixelFormat: format.pixelFormat,
+            fps: format.fps,
+            container,
+            codec
+        }
+    };
+};
+
+// Save a processed output file as a new video record. The container and
+// codec are inferred from the file name unless `media` gives them.
+const insertVideo = (outputPath, duration, format, ownerId, media = {}) => {
+    const db = getDb();
+    const container = media.container || getDeclaredContainer(outputPath);
+    const result = db.prepare(`
+        INSERT INTO videos (filename, filepath, size, duration, width, height, pixel_format, fps, container, codec, owner_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        path.basename(outputPath),
+        outputPath,
+        fs.statSync(outputPath).size,
+        duration,
+        format.width,
+        format.height,
+        format.pixelFormat,
+        format.fps,
+        container,
+        media.codec || (container === 'raw' ? 'rawvideo' : null),
+        ownerId
+    );
+    return result.lastInsertRowid;
+};
+
+// Save an edit's output as a new video and record the sources it came from
+const insertDerivedVideo = (outputPath, duration, format, ownerId, edit, media) => {
+    const db = getDb();
+    return db.transaction(() => {
+        const videoId = insertVideo(outputPath, duration, format, ownerId, media);
+        recordEdit(videoId, edit.operation, edit.params, edit.sourceIds);
+        return videoId;
+    })();
+};
+
+// Look up a video the authenticated key may act on. Other users' videos are
+// reported as missing so their existence isn't revealed.
+const findVideo = (req, id) => {
+    const db = getDb();
+    if (isAdmin(req)) {
+        return db.prepare('SELECT * FROM videos WHERE id = ?').get(id);
+    }
+    return db.prepare('SELECT * FROM videos WHERE id = ? AND owner_id = ?').get(id, req.user.id);
+};
+
+// Look up a project the authenticated key may act on, hiding other users' projects
+const findProject = (req, id) => {
+    const db = getDb();
+    if (isAdmin(req)) {
+        return db.prepare('SELECT * FROM projects WHERE id = ?').get(id);
+    }
+    return db.prepare('SELECT * FROM projects WHERE id = ? AND owner_id = ?').get(id, req.user.id);
+};
+
+// Look up a share link whose video the authenticated key may act on
+const findShareLink = (req, token) => {
+    const shareLink = getShareLink(token);
+    return shareLink && findVideo(req, shareLink.video_id) ? shareLink : undefined;
+};
+
+// ISO timestamp the given number of hours from now
+const expiryFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+const SHARE_PASSWORD_HEADER = 'x-share-password';
+const SHARE_PASSWORD_COOKIE = 'share_password';
+const SHARE_VIEW_HEADER = 'x-share-view';
+const SHARE_VIEW_COOKIE = 'share_view';
+
+// Value of a request cookie, if it was sent
+const readCookie = (req, name) => {
+    const cookie = (req.headers.cookie || '')
+        .split(';')
+        .map(pair => pair.trim().split('='))
+        .find(([cookieName]) => cookieName === name);
+    return cookie ? cookie[1] : undefined;
+};
+
+// Cookie options confining a cookie to one share link
+const shareCookieOptions = (req, shareLink) => ({
+    path: `/videos/share/${encodeURIComponent(shareLink.token)}`,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure
+});
+
+// Whether a request to a share link starts a new view. HEAD requests and
+// ranges from part way through the file are a player seeking or buffering
+// within a view that has already been counted.
+const startsNewView = (req) => {
+    if (req.method === 'HEAD') return false;
+    const range = req.headers.range;
+    return !range || /^bytes=0-/.test(range);
+};
+
+// Whether a request carries the token of an open view of the link, from the
+// header API clients echo back or the cookie browsers were given
+const continuesView = (req, shareLink) => {
+    const token = req.get(SHARE_VIEW_HEADER) || readCookie(req, SHARE_VIEW_COOKIE);
+    return Boolean(token) && isViewOpen(shareLink.id, token);
+};
+
+// Resolve a token from the public share routes to a usable link, as
+// { shareLink } or the { status, error } to respond with. Signed tokens carry
+// their own expiry, so forged and stale ones are turned away before touching
+// the database. Links out of views only serve views already in progress.
+const resolvePublicShareLink = (req) => {
+    const { token } = req.params;
+    const notFound = { status: 404, error: 'Share link not found or expired' };
+    const claims = isSignedToken(token) ? verifySignedToken(token, req.app.locals.config) : null;
+    if (isSignedToken(token) && !claims) {
+        return notFound;
+    }
+
+    const shareLink = getShareLink(token);
+    const problem = shareLink && getShareLinkProblem(shareLink);
+    if (!shareLink || problem === 'revoked' || problem === 'expired') {
+        return notFound;
+    }
+    if (claims && claims.videoId !== shareLink.video_id) {
+        return notFound;
+    }
+    if (problem === 'exhausted' && !continuesView(req, shareLink)) {
+        return { status: 410, error: 'Share link has reached its view limit' };
+    }
+    return { shareLink };
+};
+
+// Whether a request to a password-protected link has supplied the password,
+// either in a header or through the cookie set by the prompt page
+const hasSharePassword = (req, shareLink) => {
+    const header = req.get(SHARE_PASSWORD_HEADER);
+    if (header !== undefined) {
+        return verifySharePassword(header, shareLink.password_hash);
+    }
+
+    return readCookie(req, SHARE_PASSWORD_COOKIE) === getPasswordCookieValue(shareLink.token, shareLink.password_hash);
+};
+
+// Ask for a share link password: a small form for browsers, JSON for API clients
+const promptForSharePassword = (req, res, error) => {
+    res.status(401);
+    if (req.accepts(['json', 'html']) !== 'html') {
+        return res.json({ error });
+    }
+
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Password required</title></head>
+<body>
+<form method="post">
+<p>${error}</p>
+<input type="password" name="password" autofocus required>
+<button type="submit">View video</button>
+</form>
+</body>
+</html>
+`);
+};
+
+// Raw frames can only be joined when every input shares the same geometry
+const hasMismatchedFormats = (formats) => formats.some(format =>
+    format.width !== formats[0].width ||
+    format.height !== formats[0].height ||
+    format.pixelFormat !== formats[0].pixelFormat ||
+    format.fps !== formats[0].fps
+);
+
+const RANGE_PARAMS = ['trimStart', 'trimEnd', 'startFrame', 'endFrame', 'startTimecode', 'endTimecode'];
+const hasRangeParams = (body) => RANGE_PARAMS.some(param => body[param] !== undefined);
+
+// In/out points of a project clip, covering the whole video when none are given
+const resolveClipRange = (body, video) => {
+    const totalFrames = getTotalFrames(video);
+    if (!hasRangeParams(body)) {
+        return totalFrames > 0
+            ? { startFrame: 0, endFrame: totalFrames }
+            : { error: 'Video has no frames' };
+    }
+    return resolveTrimRange(body, totalFrames, getVideoFormat(video).fps);
+};
+
+// API representation of a row from the videos table
+const serializeVideo = (video) => ({
+    id: video.id,
+    filename: video.filename,
+    size: video.size,
+    duration: video.duration,
+    width: video.width,
+    height: video.height,
+    pixelFormat: video.pixel_format,
+    fps: video.fps,
+    container: video.container,
+    codec: video.codec,
+    createdAt: video.created_at
+});
+
+// Columns GET /videos may sort by, keyed by the query parameter value
+const VIDEO_SORT_COLUMNS = {
+    created_at: 'created_at',
+    duration: 'duration',
+    size: 'size'
+};
+
+// Response body for a freshly queued job
+const jobAccepted = (job) => ({
+    jobId: job.id,
+    state: job.state,
+    statusUrl: `/jobs/${job.id}`
+});
+
+// With autoTrimBlack the range is narrowed to drop black frames at either end
+registerJobHandler('trim', async ({ videoId, startFrame, endFrame, autoTrimBlack }, onProgress, job) => {
+    const db = getDb();
+    const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+
+    if (!video) {
+        throw new Error('Video not found');
+    }
+
+    const format = getVideoFormat(video);
+    if (autoTrimBlack) {
+        const visible = await findBlackBorders(video.filepath, format, startFrame, endFrame);
+        if (!visible) {
+            throw new Error('Every frame in the trim range is black');
+        }
+        ({ startFrame, endFrame } = visible);
+    }
+
+    const { outputPath, duration } = await processVideo(video.filepath, {
+        startFrame,
+        endFrame,
+        format,
+        container: video.container,
+        onProgress
+    });
+
+    return {
+        videoId: insertDerivedVideo(outputPath, duration, format, job.owner_id, {
+            operation: 'trim',
+            params: autoTrimBlack ? { startFrame, endFrame, autoTrimBlack } : { startFrame, endFrame },
+            sourceIds: [videoId]
+        })
+    };
+});
+
+// Merges carry an output format only when their inputs are normalised, and
+// transitions only when the request gave them
+registerJobHandler('merge', async ({ videoIds, output, transitions }, onProgress, job) => {
+    const db = getDb();
+    const videos = videoIds.map(id =>
+        db.prepare('SELECT * FROM videos WHERE id = ?').get(id)
+    );
+
+    if (videos.some(v => !v)) {
+        throw new Error('One or more videos not found');
+    }
+
+    const params = {
+        ...(output && { normalize: true, output }),
+        ...(transitions && { transitions })
+    };
+
+    // Anything but plain cuts is rendered frame by frame
+    if (output || (transitions && transitions.some(transition => transition.type !== 'cut'))) {
+        const target = output || { container: 'raw', ...getVideoFormat(videos[0]) };
+        const { outputPath, duration } = await mergeNormalized(
+            videos.map(v => ({
+                path: v.filepath,
+                container: describeMergeInput(v).container,
+                format: getVideoFormat(v),
+                duration: v.duration
+            })),
+            target,
+            { transitions, onProgress }
+        );
+
+        return {
+            videoId: insertDerivedVideo(outputPath, duration, target, job.owner_id, {
+                operation: 'merge',
+                params,
+                sourceIds: videoIds
+            })
+        };
+    }
+
+    const { width, height, pixelFormat, fps } = describeMergeInput(videos[0]);
+    const format = { width, height, pixelFormat, fps };
+    const { outputPath, duration } = await mergeVideos(
+        videos.map(v => v.filepath),
+        { format, onProgress }
+    );
+
+    return {
+        videoId: insertDerivedVideo(outputPath, duration, format, job.owner_id, {
+            operation: 'merge',
+            params,
+            sourceIds: videoIds
+        })
+    };
+});
+
+registerJobHandler('render', async ({ projectId, clips }, onProgress, job) => {
+    const db = getDb();
+    const videos = clips.map(clip =>
+        db.prepare('SELECT * FROM videos WHERE id = ?').get(clip.videoId)
+    );
+
+    if (videos.some(v => !v)) {
+        throw new Error('One or more clip sources no longer exist');
+    }
+
+    const format = getVideoFormat(videos[0]);
+    const { outputPath, duration } = await renderClips(
+        clips.map((clip, i) => ({ ...clip, path: videos[i].filepath })),
+        { format, onProgress }
+    );
+
+    return {
+        videoId: insertDerivedVideo(outputPath, duration, format, job.owner_id, {
+            operation: 'render',
+            params: { projectId, clips },
+            sourceIds: clips.map(clip => clip.videoId)
+        })
+    };
+});
+
+registerJobHandler('export', async ({ videoId, format, quality }, onProgress, job) => {
+    const db = getDb();
+    const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+
+    if (!video) {
+        throw new Error('Video not found');
+    }
+
+    const exported = await exportVideo(video, { format, quality, onProgress });
+
+    return {
+        videoId: insertDerivedVideo(exported.outputPath, exported.duration, exported.format, job.owner_id, {
+            operation: 'export',
+            params: { format, quality },
+            sourceIds: [videoId]
+        }, { container: exported.container, codec: exported.codec })
+    };
+});
+
+registerJobHandler('split', async ({ videoId, segments }, onProgress, job) => {
+    const db = getDb();
+    const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+
+    if (!video) {
+        throw new Error('Video not found');
+    }
+
+    const format = getVideoFormat(video);
+    const outputs = await splitVideo(video.filepath, segments, {
+        format,
+        container: video.container,
+        onProgress
+    });
+
+    return {
+        videoIds: db.transaction(() => outputs.map((output, i) =>
+            insertDerivedVideo(output.outputPath, output.duration, format, job.owner_id, {
+                operation: 'split',
+                params: { ...segments[i], segment: i + 1, segmentCount: outputs.length },
+                sourceIds: [videoId]
+            })
+        ))()
+    };
+});
+
+registerJobHandler('transform', async ({ videoId, transform }, onProgress, job) => {
+    const db = getDb();
+    const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+
+    if (!video) {
+        throw new Error('Video not found');
+    }
+
+    const format = getVideoFormat(video);
+    const { output } = resolveTransform(transform, format);
+    const { outputPath, duration } = await transformVideo(video.filepath, format, transform, {
+        totalFrames: getTotalFrames(video),
+        onProgress
+    });
+
+    return {
+        videoId: insertDerivedVideo(outputPath, duration, output, job.owner_id, {
+            operation: 'transform',
+            params: transform,
+            sourceIds: [videoId]
+        })
+    };
+});
+
+registerJobHandler('adjust', async ({ videoId, adjustments, range }, onProgress, job) => {
+    const db = getDb();
+    const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+
+    if (!video) {
+        throw new Error('Video not found');
+    }
+
+    const format = getVideoFormat(video);
+    const { outputPath, duration } = await adjustVideo(video.filepath, format, adjustments, { range, onProgress });
+
+    return {
+        videoId: insertDerivedVideo(outputPath, duration, format, job.owner_id, {
+            operation: 'adjust',
+            params: { ...adjustments, ...range },
+            sourceIds: [videoId]
+        })
+    };
+});
+
+registerJobHandler('overlay', async ({ videoId, overlay, range }, onProgress, job) => {
+    // The image file is only needed until the overlay is drawn, whether or not that succeeds
+    const { imagePath, ...recorded } = overlay;
+    try {
+        const db = getDb();
+        const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+
+        if (!video) {
+            throw new Error('Video not found');
+        }
+
+        const format = getVideoFormat(video);
+        const { outputPath, duration } = await overlayVideo(video.filepath, format, overlay, {
+            range,
+            totalFrames: getTotalFrames(video),
+            onProgress
+        });
+
+        return {
+            videoId: insertDerivedVideo(outputPath, duration, format, job.owner_id, {
+                operation: 'overlay',
+                params: { ...recorded, ...range },
+                sourceIds: [videoId]
+            })
+        };
+    } finally {
+        if (imagePath) {
+            fs.rmSync(imagePath, { force: true });
+        }
+    }
+});
+
+registerJobHandler('speed', async ({ videoId, factor }, onProgress, job) => {
+    const db = getDb();
+    const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+
+    if (!video) {
+        throw new Error('Video not found');
+    }
+
+    const format = getVideoFormat(video);
+    const { outputPath, duration } = await changeSpeed(video.filepath, format, getTotalFrames(video), factor, { onProgress });
+
+    return {
+        videoId: insertDerivedVideo(outputPath, duration, format, job.owner_id, {
+            operation: 'speed',
+            params: { factor },
+            sourceIds: [videoId]
+        })
+    };
+});
+
+registerJobHandler('reverse', async ({ videoId }, onProgress, job) => {
+    const db = getDb();
+    const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+
+    if (!video) {
+        throw new Error('Video not found');
+    }
+
+    const format = getVideoFormat(video);
+    const { outputPath, duration } = await reverseVideo(video.filepath, format, getTotalFrames(video), { onProgress });
+
+    return {
+        videoId: insertDerivedVideo(outputPath, duration, format, job.owner_id, {
+            operation: 'reverse',
+            params: {},
+            sourceIds: [videoId]
+        })
+    };
+});
+
+registerJobHandler('analysis', async ({ videoId, settings }, onProgress) => {
+    const db = getDb();
+    const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+
+    if (!video) {
+        throw new Error('Video not found');
+    }
+
+    const result = await analyzeVideo(video.filepath, getVideoFormat(video), settings, {
+        totalFrames: getTotalFrames(video),
+        onProgress
+    });
+    saveAnalysis(videoId, settings, result);
+});
+
+/**
+ * @swagger
+ * /upload:
+ *   post:
+ *     summary: Upload a new video file
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               video:
+ *                 type: string
+ *                 format: binary
+ *                 description: Video file to upload
+ *               width:
+ *                 type: integer
+ *                 description: Frame width in pixels for raw video (default 320)
+ *               height:
+ *                 type: integer
+ *                 description: Frame height in pixels for raw video (default 240)
+ *               pixelFormat:
+ *                 type: string
+ *                 enum: [rgb24, rgba, yuv420p, gray]
+ *                 description: Pixel format for raw video (default rgb24)
+ *               fps:
+ *                 type: number
+ *                 description: Frames per second for raw video (default 30)
+ *     responses:
+ *       200:
+ *         description: Video uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: >
+ *           Invalid request. `code` is CONTENT_MISMATCH when the file's content doesn't
+ *           match its declared type and DURATION_TOO_LONG when it is longer than the
+ *           configured maximum (5 minutes by default).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the upload scope
+ *       413:
+ *         description: >
+ *           File is larger than the configured upload limit, 1GB by default (code FILE_TOO_LARGE),
+ *           or would take the owner over their storage quota (code QUOTA_EXCEEDED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/upload', authenticateToken, requireScope('upload'), checkUploadQuota, uploadVideo, handleUploadError, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No video file provided' });
+        }
+
+        const result = await ingestUpload({
+            filepath: req.file.path,
+            originalname: req.file.originalname,
+            mimetype: req.file.mimetype,
+            fields: req.body,
+            ownerId: req.user.id,
+            config: req.app.locals.config
+        });
+        if (!result.video) {
+            return res.status(result.status).json(result.body);
+        }
+
+        res.json(result.video);
+    } catch (error) {
+        console.error('Error processing upload:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /upload/resumable:
+ *   options:
+ *     summary: Discover the resumable upload protocol (tus 1.0)
+ *     tags: [Resumable Uploads]
+ *     responses:
+ *       204:
+ *         description: Supported tus version, extensions and maximum size in the Tus-* headers
+ */
+router.options('/upload/resumable', (req, res) => {
+    res.set({
+        'Tus-Resumable': TUS_VERSION,
+        'Tus-Version': TUS_VERSION,
+        'Tus-Extension': 'creation,expiration,termination',
+        'Tus-Max-Size': String(req.app.locals.config.maxUploadSize)
+    });
+    res.status(204).end();
+});
+
+/**
+ * @swagger
+ * /upload/resumable:
+ *   post:
+ *     summary: Start a resumable upload (tus creation)
+ *     description: >
+ *       Upload-Metadata carries base64-encoded `filename` (required) and, for
+ *       raw video, `width`, `height`, `pixelFormat` and `fps`.
+ *     tags: [Resumable Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Tus-Resumable
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: ['1.0.0']
+ *       - in: header
+ *         name: Upload-Length
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Total size of the file in bytes
+ *       - in: header
+ *         name: Upload-Metadata
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: filename dGVzdC5yYXc=,fps MzA=
+ *     responses:
+ *       201:
+ *         description: Upload created; its URL is in the Location header
+ *       400:
+ *         description: Missing or invalid Upload-Length or Upload-Metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the upload scope
+ *       412:
+ *         description: Unsupported tus version
+ *       413:
+ *         description: Upload-Length exceeds the maximum upload size or the remaining storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/upload/resumable', authenticateToken, requireScope('upload'), requireTusResumable, (req, res) => {
+    try {
+        const uploadLength = Number(req.get('Upload-Length'));
+        if (!/^\d+$/.test(req.get('Upload-Length') || '') || uploadLength === 0) {
+            return res.status(400).json({ error: 'Upload-Length must be a positive integer' });
+        }
+
+        const { maxUploadSize } = req.app.locals.config;
+        if (uploadLength > maxUploadSize) {
+            return res.status(413).json({
+                error: `Upload-Length exceeds the maximum upload size of ${maxUploadSize} bytes`,
+                code: 'FILE_TOO_LARGE'
+            });
+        }
+
+        // Its length in minutes is only known once it is finalized
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, { bytes: uploadLength });
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+        if (!metadata) {
+            return res.status(400).json({ error: 'Upload-Metadata is malformed' });
+        }
+
+        if (!metadata.filename) {
+            return res.status(400).json({ error: 'Upload-Metadata must include a filename' });
+        }
+
+        if (!getDeclaredContainer(metadata.filename, metadata.filetype)) {
+            return res.status(400).json({ error: 'Invalid file type. Only video files are allowed' });
+        }
+
+        const session = createUploadSession(req.user.id, uploadLength, metadata, req.app.locals.config);
+        res.set({
+            Location: `/upload/resumable/${session.id}`,
+            'Upload-Expires': getSessionExpiry(session, req.app.locals.config).toUTCString()
+        });
+        res.status(201).end();
+    } catch (error) {
+        console.error('Error creating resumable upload:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /upload/resumable/{id}:
+ *   head:
+ *     summary: Get how much of a resumable upload has been received
+ *     tags: [Resumable Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload ID
+ *     responses:
+ *       200:
+ *         description: Received offset and total length in Upload-Offset and Upload-Length
+ *       404:
+ *         description: Upload not found or expired
+ */
+router.head('/upload/resumable/:id', authenticateToken, requireScope('upload'), requireTusResumable, (req, res) => {
+    try {
+        const session = findUploadSession(req, req.params.id);
+
+        if (!session) {
+            return res.status(404).end();
+        }
+
+        res.set({
+            'Upload-Offset': String(session.upload_offset),
+            'Upload-Length': String(session.upload_length),
+            'Upload-Expires': getSessionExpiry(session, req.app.locals.config).toUTCString(),
+            'Cache-Control': 'no-store'
+        });
+        res.status(200).end();
+    } catch (error) {
+        console.error('Error fetching resumable upload:', error);
+        res.status(500).end();
+    }
+});
+
+// Append a chunk at the offset the client says it is resuming from
+const receiveChunk = async (req, res) => {
+    try {
+        const session = findUploadSession(req, req.params.id);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+            return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+        }
+
+        const offset = req.get('Upload-Offset');
+        if (!/^\d+$/.test(offset || '')) {
+            return res.status(400).json({ error: 'Upload-Offset must be a non-negative integer' });
+        }
+
+        if (Number(offset) !== session.upload_offset) {
+            return res.status(409).json({
+                error: `Upload-Offset ${offset} does not match the ${session.upload_offset} bytes received`
+            });
+        }
+
+        let newOffset;
+        try {
+            newOffset = await appendChunk(session, req);
+        } catch (error) {
+            if (error.code === 'UPLOAD_BUSY') {
+                return res.status(409).json({ error: error.message });
+            }
+            if (error.code === 'UPLOAD_TOO_LARGE') {
+                return res.status(413).json({ error: error.message });
+            }
+            throw error;
+        }
+
+        res.set({
+            'Upload-Offset': String(newOffset),
+            'Upload-Expires': getSessionExpiry(getUploadSession(session.id), req.app.locals.config).toUTCString()
+        });
+        res.status(204).end();
+    } catch (error) {
+        // The client went away mid-chunk; what arrived is kept for resuming
+        if (req.destroyed) {
+            return;
+        }
+        console.error('Error receiving upload chunk:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * @swagger
+ * /upload/resumable/{id}:
+ *   patch:
+ *     summary: Send a chunk of a resumable upload
+ *     description: >
+ *       The chunk is appended at Upload-Offset, which must equal the number
+ *       of bytes received so far. PUT is accepted as an alias.
+ *     tags: [Resumable Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload ID
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       204:
+ *         description: Chunk stored; the new offset is in Upload-Offset
+ *       404:
+ *         description: Upload not found or expired
+ *       409:
+ *         description: Upload-Offset does not match, or another chunk is in progress
+ *       413:
+ *         description: Chunk runs past Upload-Length
+ *       415:
+ *         description: Wrong Content-Type
+ */
+router.patch('/upload/resumable/:id', authenticateToken, requireScope('upload'), requireTusResumable, receiveChunk);
+router.put('/upload/resumable/:id', authenticateToken, requireScope('upload'), requireTusResumable, receiveChunk);
+
+/**
+ * @swagger
+ * /upload/resumable/{id}:
+ *   delete:
+ *     summary: Abandon a resumable upload (tus termination)
+ *     tags: [Resumable Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload ID
+ *     responses:
+ *       204:
+ *         description: Upload and its partial data removed
+ *       404:
+ *         description: Upload not found or expired
+ */
+router.delete('/upload/resumable/:id', authenticateToken, requireScope('upload'), requireTusResumable, (req, res) => {
+    try {
+        const session = findUploadSession(req, req.params.id);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        deleteUploadSession(session);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting resumable upload:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /upload/resumable/{id}/finalize:
+ *   post:
+ *     summary: Turn a completed resumable upload into a video
+ *     description: >
+ *       Runs the same checks as a single-request upload, using the geometry
+ *       from the upload's metadata, and moves the file into the library.
+ *     tags: [Resumable Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload ID
+ *     responses:
+ *       200:
+ *         description: Video created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: The file failed validation and has been discarded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Upload not found or expired
+ *       409:
+ *         description: Not all bytes have been received yet
+ *       413:
+ *         description: The video would take the owner over their storage quota and has been discarded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/upload/resumable/:id/finalize', authenticateToken, requireScope('upload'), async (req, res) => {
+    try {
+        const session = findUploadSession(req, req.params.id);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        if (session.upload_offset !== session.upload_length) {
+            return res.status(409).json({
+                error: `Upload is incomplete: ${session.upload_offset} of ${session.upload_length} bytes received`
+            });
+        }
+
+        // Copy the file into the library before validating it, as a direct upload would be.
+        // The partial file stays until ingesting settles so finalizing can be retried.
+        const filepath = path.join(getUploadDir(req.app.locals.config), generateUploadFilename(session.metadata.filename));
+        await fs.promises.copyFile(session.filepath, filepath);
+
+        const result = await ingestUpload({
+            filepath,
+            originalname: session.metadata.filename,
+            mimetype: session.metadata.filetype,
+            fields: session.metadata,
+            ownerId: session.owner_id,
+            config: req.app.locals.config
+        });
+
+        // The file has been accepted or discarded either way
+        deleteUploadSession(session);
+        if (!result.video) {
+            return res.status(result.status).json(result.body);
+        }
+
+        res.json(result.video);
+    } catch (error) {
+        console.error('Error finalizing resumable upload:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/trim:
+ *   post:
+ *     summary: Trim a video
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: >
+ *               Use exactly one pair of fields. Every form is snapped to whole
+ *               frames; endFrame and endTimecode are exclusive.
+ *             properties:
+ *               trimStart:
+ *                 type: number
+ *                 description: Seconds to trim from start
+ *               trimEnd:
+ *                 type: number
+ *                 description: Seconds to trim from end
+ *               startFrame:
+ *                 type: integer
+ *                 description: First frame to keep (default 0)
+ *               endFrame:
+ *                 type: integer
+ *                 description: Frame after the last one to keep (default end of video)
+ *               startTimecode:
+ *                 type: string
+ *                 example: '00:00:01:15'
+ *                 description: Timecode (HH:MM:SS:FF) of the first frame to keep
+ *               endTimecode:
+ *                 type: string
+ *                 example: '00:00:04:00'
+ *                 description: Timecode (HH:MM:SS:FF) of the frame after the last one to keep
+ *               autoTrimBlack:
+ *                 type: boolean
+ *                 description: >
+ *                   Also drop black frames at the start and end of the kept
+ *                   range (raw videos only). May be used without any other
+ *                   field to start from the whole video. The job fails if
+ *                   every frame is black.
+ *     responses:
+ *       202:
+ *         description: Trim job queued. With autoTrimBlack, frameRange is the range before black frames are removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/JobAccepted'
+ *                 - type: object
+ *                   properties:
+ *                     frameRange:
+ *                       $ref: '#/components/schemas/FrameRange'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Video not found
+ *       413:
+ *         description: The trimmed video would take the user over their storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/videos/:id/trim', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id);
+
+        // Get video from database
+        const video = findVideo(req, videoId);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        const { autoTrimBlack = false } = req.body;
+        if (typeof autoTrimBlack !== 'boolean') {
+            return res.status(400).json({ error: 'autoTrimBlack must be true or false' });
+        }
+        if (autoTrimBlack && video.container !== 'raw') {
+            return res.status(400).json({ error: 'autoTrimBlack is only supported for raw videos' });
+        }
+
+        // Validate parameters and snap them to whole frames
+        const { fps } = getVideoFormat(video);
+        const range = resolveTrimRange(req.body, getTotalFrames(video), fps);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const { startFrame, endFrame } = range;
+        const outputUsage = estimateRangeUsage(video, startFrame, endFrame);
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const params = autoTrimBlack ? { videoId, startFrame, endFrame, autoTrimBlack } : { videoId, startFrame, endFrame };
+        const job = enqueueJob('trim', params, req.user.id, outputUsage);
+        res.status(202).json({
+            ...jobAccepted(job),
+            frameRange: {
+                startFrame,
+                endFrame,
+                frameCount: endFrame - startFrame,
+                duration: (endFrame - startFrame) / fps
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error processing video: ' + error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/split:
+ *   post:
+ *     summary: Split a video into consecutive segments
+ *     description: >
+ *       Cuts the whole video into segments in a single pass and saves each
+ *       as a new video whose lineage points back to the source. Use exactly
+ *       one of the fields; seconds are snapped to whole frames. At most 100
+ *       segments can be produced. The split runs on the job queue, so it
+ *       waits behind other queued jobs, but the response is only sent once
+ *       it has finished.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cutPoints:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 example: [2.5, 5]
+ *                 description: Increasing times in seconds at which a new segment starts
+ *               cutFrames:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [75, 150]
+ *                 description: Increasing frame numbers at which a new segment starts
+ *               segmentLength:
+ *                 type: number
+ *                 description: Length of each segment in seconds; the last one takes what is left
+ *               segmentFrames:
+ *                 type: integer
+ *                 description: Length of each segment in frames; the last one takes what is left
+ *     responses:
+ *       201:
+ *         description: The new videos, in order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Video not found
+ *       413:
+ *         description: The segments would take the user over their storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ *       500:
+ *         description: The split job failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/videos/:id/split', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id);
+        const video = findVideo(req, videoId);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        const format = getVideoFormat(video);
+        const totalFrames = getTotalFrames(video);
+        const split = resolveSplitSegments(req.body, totalFrames, format.fps);
+        if (split.error) {
+            return res.status(400).json({ error: split.error });
+        }
+
+        // The segments add up to the whole video
+        const outputUsage = estimateRangeUsage(video, 0, totalFrames);
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const queued = enqueueJob('split', { videoId, segments: split.segments }, req.user.id, outputUsage);
+        const job = await waitForJobToFinish(queued.id);
+        if (job.state === JOB_STATES.FAILED) {
+            return res.status(500).json({ error: job.error });
+        }
+
+        const db = getDb();
+        res.status(201).json(JSON.parse(job.result_video_ids).map(id =>
+            serializeVideo(db.prepare('SELECT * FROM videos WHERE id = ?').get(id))
+        ));
+    } catch (error) {
+        console.error('Error splitting video:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/export:
+ *   post:
+ *     summary: Export a video to a standard format
+ *     description: >
+ *       Queues a job that encodes the video as MP4 (H.264), WebM (VP9), an
+ *       animated GIF or a ZIP of numbered PNG frames, saved as a new video
+ *       whose lineage points back to the source. PNG sequences of raw videos
+ *       are encoded in JavaScript; everything else needs ffmpeg.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [format]
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [mp4, webm, gif, png-sequence]
+ *               quality:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *                 default: medium
+ *                 description: >
+ *                   Compression for MP4 and WebM; size and frame rate limits
+ *                   for GIFs. PNG sequences are always lossless.
+ *     responses:
+ *       202:
+ *         description: Export job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Video not found
+ *       413:
+ *         description: The export would take the user over their storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ *       503:
+ *         description: ffmpeg, or the encoder the format needs, is not installed (code FFMPEG_UNAVAILABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/videos/:id/export', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id);
+        const { format, quality = 'medium' } = req.body;
+
+        if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+            return res.status(400).json({
+                error: `Unsupported export format. Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+            });
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(QUALITY_PRESETS, quality)) {
+            return res.status(400).json({
+                error: `Unsupported quality. Supported presets: ${Object.keys(QUALITY_PRESETS).join(', ')}`
+            });
+        }
+
+        const video = findVideo(req, videoId);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        // Fail now rather than queue a job that can't run
+        const toolError = await checkExportTools(video, format);
+        if (toolError) {
+            return res.status(503).json({ error: toolError, code: 'FFMPEG_UNAVAILABLE' });
+        }
+
+        // Encoded output is assumed to be no bigger than its source
+        const outputUsage = {
+            bytes: video.size,
+            minutes: video.duration / 60
+        };
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const job = enqueueJob('export', { videoId, format, quality }, req.user.id, outputUsage);
+        res.status(202).json(jobAccepted(job));
+    } catch (error) {
+        console.error('Error exporting video:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/transform:
+ *   post:
+ *     summary: Crop, scale, rotate or flip a raw rgb24 video
+ *     description: >
+ *       Queues a job that applies the given steps to every frame, one frame at
+ *       a time, and saves the result as a new video with its new geometry.
+ *       Steps always run in the order crop, scale, rotate, flip.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Give at least one step
+ *             properties:
+ *               crop:
+ *                 type: object
+ *                 description: Rectangle to keep, in source pixels
+ *                 properties:
+ *                   x:
+ *                     type: integer
+ *                   y:
+ *                     type: integer
+ *                   width:
+ *                     type: integer
+ *                   height:
+ *                     type: integer
+ *               scale:
+ *                 type: object
+ *                 description: New resolution, at most 8192 pixels each way
+ *                 properties:
+ *                   width:
+ *                     type: integer
+ *                   height:
+ *                     type: integer
+ *                   method:
+ *                     type: string
+ *                     enum: [nearest, bilinear]
+ *                     default: bilinear
+ *               rotate:
+ *                 type: integer
+ *                 enum: [90, 180, 270]
+ *                 description: Degrees clockwise
+ *               flip:
+ *                 type: string
+ *                 enum: [horizontal, vertical]
+ *     responses:
+ *       202:
+ *         description: Transform job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/JobAccepted'
+ *                 - type: object
+ *                   properties:
+ *                     width:
+ *                       type: integer
+ *                       description: Width of the transformed video
+ *                     height:
+ *                       type: integer
+ *                       description: Height of the transformed video
+ *       400:
+ *         description: Invalid request, or the video is not raw rgb24
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Video not found
+ *       413:
+ *         description: The transformed video would take the user over their storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/videos/:id/transform', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id);
+        const video = findVideo(req, videoId);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        const format = getVideoFormat(video);
+        if (video.container !== 'raw' || format.pixelFormat !== 'rgb24') {
+            return res.status(400).json({ error: 'Transforms are only supported for raw rgb24 videos' });
+        }
+
+        const { transform, output, error } = resolveTransform(req.body, format);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const outputUsage = {
+            bytes: getTotalFrames(video) * getFrameSize(output),
+            minutes: video.duration / 60
+        };
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const job = enqueueJob('transform', { videoId, transform }, req.user.id, outputUsage);
+        res.status(202).json({ ...jobAccepted(job), width: output.width, height: output.height });
+    } catch (error) {
+        console.error('Error transforming video:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/adjust:
+ *   post:
+ *     summary: Apply colour adjustments to a raw video
+ *     description: >
+ *       Queues a job that grades every pixel of the video, or only the frames
+ *       between startTime and endTime, and saves the result as a new video.
+ *       Brightness, contrast and gamma are applied first, then saturation
+ *       (grayscale is saturation 0), then inversion. Gray videos have no
+ *       colour, so saturation and grayscale leave them unchanged.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Give at least one adjustment
+ *             properties:
+ *               brightness:
+ *                 type: number
+ *                 minimum: -1
+ *                 maximum: 1
+ *                 description: Fraction of full scale added to every channel (0 leaves it unchanged)
+ *               contrast:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 4
+ *                 description: Multiplier for the distance from mid-gray (1 leaves it unchanged)
+ *               saturation:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 4
+ *                 description: Multiplier for colourfulness (1 leaves it unchanged)
+ *               gamma:
+ *                 type: number
+ *                 minimum: 0.1
+ *                 maximum: 10
+ *                 description: Gamma correction; above 1 brightens mid-tones (1 leaves it unchanged)
+ *               grayscale:
+ *                 type: boolean
+ *               invert:
+ *                 type: boolean
+ *               startTime:
+ *                 type: number
+ *                 description: First second to adjust (default start of video)
+ *               endTime:
+ *                 type: number
+ *                 description: Second to stop adjusting at (default end of video)
+ *     responses:
+ *       202:
+ *         description: Adjustment job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Invalid request, or the video is not raw
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Video not found
+ *       413:
+ *         description: The adjusted video would take the user over their storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/videos/:id/adjust', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id);
+        const video = findVideo(req, videoId);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        if (video.container !== 'raw') {
+            return res.status(400).json({ error: 'Colour adjustments are only supported for raw videos' });
+        }
+
+        const totalFrames = getTotalFrames(video);
+        if (totalFrames === 0) {
+            return res.status(400).json({ error: 'Video has no frames' });
+        }
+
+        const { adjustments, range, error } = resolveAdjustments(req.body, totalFrames, getVideoFormat(video).fps);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const outputUsage = estimateRangeUsage(video, 0, totalFrames);
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const job = enqueueJob('adjust', { videoId, adjustments, range }, req.user.id, outputUsage);
+        res.status(202).json(jobAccepted(job));
+    } catch (error) {
+        console.error('Error adjusting video:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/overlay:
+ *   post:
+ *     summary: Composite an image or text onto a raw video
+ *     description: >
+ *       Queues a job that draws a PNG image or a line of text onto every
+ *       frame, or only the frames between startTime and endTime, and saves
+ *       the result as a new video. The overlay may hang off the edge of the
+ *       frame but must cover part of it.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Give exactly one of image or text
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: byte
+ *                 description: >
+ *                   Base64-encoded 8-bit PNG, at most 4096 pixels each way.
+ *                   Its alpha channel is respected. The request body may be
+ *                   up to 25MB.
+ *               text:
+ *                 type: string
+ *                 description: Text drawn in the built-in 5x7 bitmap font (letters, digits, spaces and common punctuation)
+ *               size:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 16
+ *                 default: 2
+ *                 description: Screen pixels per font pixel (text only)
+ *               color:
+ *                 type: string
+ *                 default: '#FFFFFF'
+ *                 description: Text colour as #RRGGBB (text only)
+ *               x:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Left edge of the overlay; may be negative
+ *               y:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Top edge of the overlay; may be negative
+ *               opacity:
+ *                 type: number
+ *                 default: 1
+ *                 description: Above 0 and at most 1
+ *               startTime:
+ *                 type: number
+ *                 description: First second to show the overlay (default start of video)
+ *               endTime:
+ *                 type: number
+ *                 description: Second to stop showing the overlay at (default end of video)
+ *     responses:
+ *       202:
+ *         description: Overlay job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Invalid request, or the video is not raw
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Video not found
+ *       413:
+ *         description: >
+ *           The request body is over 25MB (code BODY_TOO_LARGE), or the new
+ *           video would take the user over their storage quota (code QUOTA_EXCEEDED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/videos/:id/overlay', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id);
+        const video = findVideo(req, videoId);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        if (video.container !== 'raw') {
+            return res.status(400).json({ error: 'Overlays are only supported for raw videos' });
+        }
+
+        const totalFrames = getTotalFrames(video);
+        if (totalFrames === 0) {
+            return res.status(400).json({ error: 'Video has no frames' });
+        }
+
+        const { overlay, range, error } = resolveOverlay(req.body, getVideoFormat(video), totalFrames);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const outputUsage = estimateRangeUsage(video, 0, totalFrames);
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const stored = storeOverlayImage(overlay, getOverlayImageDir(req.app.locals.config));
+        const job = enqueueJob('overlay', { videoId, overlay: stored, range }, req.user.id, outputUsage);
+        res.status(202).json(jobAccepted(job));
+    } catch (error) {
+        console.error('Error adding overlay:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/speed:
+ *   post:
+ *     summary: Speed up or slow down a raw video
+ *     description: >
+ *       Queues a job that keeps the frame rate and drops frames (factor above
+ *       1) or repeats them (factor below 1), saving the result as a new video
+ *       whose duration is the original divided by the factor.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - factor
+ *             properties:
+ *               factor:
+ *                 type: number
+ *                 minimum: 0.1
+ *                 maximum: 16
+ *                 description: Speed factor, e.g. 0.5 for half speed or 4 for a timelapse
+ *     responses:
+ *       202:
+ *         description: Speed change job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/JobAccepted'
+ *                 - type: object
+ *                   properties:
+ *                     duration:
+ *                       type: number
+ *                       description: Duration the new video will have, in seconds
+ *       400:
+ *         description: Invalid request, or the video is not raw or has no frames
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Video not found
+ *       413:
+ *         description: The new video would take the user over their storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/videos/:id/speed', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id);
+        const video = findVideo(req, videoId);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        if (video.container !== 'raw') {
+            return res.status(400).json({ error: 'Speed changes are only supported for raw videos' });
+        }
+
+        const totalFrames = getTotalFrames(video);
+        if (totalFrames === 0) {
+            return res.status(400).json({ error: 'Video has no frames' });
+        }
+
+        const { factor, error } = resolveSpeed(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const format = getVideoFormat(video);
+        const frameCount = getSpeedFrameCount(totalFrames, factor);
+        const outputUsage = {
+            bytes: frameCount * getFrameSize(format),
+            minutes: frameCount / format.fps / 60
+        };
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const job = enqueueJob('speed', { videoId, factor }, req.user.id, outputUsage);
+        res.status(202).json({ ...jobAccepted(job), duration: frameCount / format.fps });
+    } catch (error) {
+        console.error('Error changing video speed:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/reverse:
+ *   post:
+ *     summary: Reverse a raw video
+ *     description: >
+ *       Queues a job that reads the frames from last to first, seeking to
+ *       each one, and saves them as a new video of the same duration.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     responses:
+ *       202:
+ *         description: Reverse job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Invalid request, or the video is not raw or has no frames
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Video not found
+ *       413:
+ *         description: The new video would take the user over their storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/videos/:id/reverse', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id);
+        const video = findVideo(req, videoId);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        if (video.container !== 'raw') {
+            return res.status(400).json({ error: 'Reversing is only supported for raw videos' });
+        }
+
+        const totalFrames = getTotalFrames(video);
+        if (totalFrames === 0) {
+            return res.status(400).json({ error: 'Video has no frames' });
+        }
+
+        const outputUsage = estimateRangeUsage(video, 0, totalFrames);
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const job = enqueueJob('reverse', { videoId }, req.user.id, outputUsage);
+        res.status(202).json(jobAccepted(job));
+    } catch (error) {
+        console.error('Error reversing video:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/analysis:
+ *   get:
+ *     summary: Find scene changes, black segments and still segments in a raw video
+ *     description: >
+ *       The first request for a video and sceneThreshold queues a background
+ *       job and answers 202; once it has finished the analysis is cached and
+ *       returned with 200. A failed analysis is retried on the next request.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *       - in: query
+ *         name: sceneThreshold
+ *         schema:
+ *           type: number
+ *           default: 0.3
+ *         description: >
+ *           Mean luma difference between neighbouring frames, as a fraction of
+ *           full scale above 0 and at most 1, that counts as a scene change
+ *     responses:
+ *       200:
+ *         description: Finished analysis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VideoAnalysis'
+ *       202:
+ *         description: Analysis job queued or still running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Invalid threshold, or the video is not raw or has no frames
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Video not found
+ */
+router.get('/videos/:id/analysis', authenticateToken, (req, res) => {
+    try {
+        const videoId = parseInt(req.params.id);
+        const video = findVideo(req, videoId);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        if (video.container !== 'raw') {
+            return res.status(400).json({ error: 'Analysis is only available for raw videos' });
+        }
+
+        if (getTotalFrames(video) === 0) {
+            return res.status(400).json({ error: 'Video has no frames' });
+        }
+
+        const { settings, error } = resolveAnalysisSettings(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const analysis = getAnalysis(videoId, settings);
+        if (analysis && analysis.result !== null) {
+            return res.json(serializeAnalysis(analysis, getVideoFormat(video)));
+        }
+
+        // Report the job already working on it, or start one
+        const running = analysis && getJob(analysis.job_id);
+        if (running && running.state !== JOB_STATES.FAILED) {
+            return res.status(202).json(jobAccepted(running));
+        }
+
+        const job = enqueueJob('analysis', { videoId, settings }, req.user.id);
+        startAnalysis(videoId, settings, job.id);
+        res.status(202).json(jobAccepted(job));
+    } catch (error) {
+        console.error('Error analysing video:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/merge:
+ *   post:
+ *     summary: Merge multiple videos
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               videoIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Array of video IDs to merge
+ *               normalize:
+ *                 type: boolean
+ *                 default: false
+ *                 description: |
+ *                   Convert every input to one output format instead of
+ *                   requiring them to match. Raw output is scaled and
+ *                   converted frame by frame, dropping or repeating frames
+ *                   to change the frame rate; MP4 output is joined with
+ *                   ffmpeg's concat filter and encoded as H.264 without audio.
+ *               output:
+ *                 type: object
+ *                 description: Output format of a normalised merge. Anything left out is taken from the first video.
+ *                 properties:
+ *                   container:
+ *                     type: string
+ *                     enum: [raw, mp4]
+ *                   width:
+ *                     type: integer
+ *                   height:
+ *                     type: integer
+ *                   pixelFormat:
+ *                     type: string
+ *                     enum: [rgb24, rgba, yuv420p, gray]
+ *                     description: Raw output only; MP4 output is always yuv420p
+ *                   fps:
+ *                     type: number
+ *               transitions:
+ *                 type: array
+ *                 description: |
+ *                   One transition for each boundary between videos. Crossfades
+ *                   and wipes overlap the end of one video with the start of
+ *                   the next, shortening the merge by their length; a fade to
+ *                   black fades the end of one video out and the start of the
+ *                   next in. Anything but a cut needs raw rgb24 output, and
+ *                   no transition may be longer than either video beside it.
+ *                 items:
+ *                   type: object
+ *                   required: [type]
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [cut, crossfade, fade-to-black, wipe]
+ *                     frames:
+ *                       type: integer
+ *                       minimum: 1
+ *                       description: Length of the transition in output frames; cuts have none
+ *     responses:
+ *       202:
+ *         description: Merge job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: |
+ *           Invalid request. Without normalize, videos that can't be joined
+ *           as-is are rejected with code INCOMPATIBLE_INPUTS and the
+ *           problems found with each input.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/Error'
+ *                 - $ref: '#/components/schemas/IncompatibleMergeInputs'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: One or more videos not found
+ *       413:
+ *         description: The merged video would take the user over their storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/videos/merge', authenticateToken, requireScope('edit'), async (req, res) => {
+    try {
+        const { videoIds, normalize = false, output, transitions } = req.body;
+
+        // Validate input
+        if (!Array.isArray(videoIds) || videoIds.length < 2) {
+            return res.status(400).json({ error: 'At least two video IDs are required' });
+        }
+
+        if (typeof normalize !== 'boolean') {
+            return res.status(400).json({ error: 'normalize must be a boolean' });
+        }
+
+        if (output !== undefined && !normalize) {
+            return res.status(400).json({ error: 'output can only be given when normalize is true' });
+        }
+
+        // Get videos from database
+        const videos = videoIds.map(id => findVideo(req, id));
+
+        // Check if all videos exist
+        if (videos.some(v => !v)) {
+            return res.status(404).json({ error: 'One or more videos not found' });
+        }
+
+        const inputs = videos.map(describeMergeInput);
+        let mergeOutput;
+        if (normalize) {
+            const resolved = resolveMergeOutput(output, inputs[0]);
+            if (resolved.error) {
+                return res.status(400).json({ error: resolved.error });
+            }
+            mergeOutput = resolved.output;
+        } else {
+            // Inputs are joined as-is, so each must match the first exactly
+            const checked = inputs.map(input => ({ ...input, problems: findMergeProblems(input, inputs[0]) }));
+            if (checked.some(input => input.problems.length > 0)) {
+                return res.status(400).json({
+                    error: 'Videos must share the same container, codec, resolution, pixel format and ' +
+                        'frame rate to be merged. Set normalize to convert them to one format',
+                    code: 'INCOMPATIBLE_INPUTS',
+                    inputs: checked
+                });
+            }
+        }
+
+        let mergeTransitions;
+        if (transitions !== undefined) {
+            const frameCounts = videos.map(video =>
+                (normalize ? getMergedFrameCount(video, mergeOutput) : getTotalFrames(video))
+            );
+            const resolved = resolveTransitions(transitions, frameCounts);
+            if (resolved.error) {
+                return res.status(400).json({ error: resolved.error });
+            }
+
+            // Transitions are blended in JavaScript on rgb24 frames
+            const target = mergeOutput || inputs[0];
+            const blended = resolved.transitions.some(transition => transition.type !== 'cut');
+            if (blended && (target.container !== 'raw' || target.pixelFormat !== 'rgb24')) {
+                return res.status(400).json({ error: 'Transitions other than cut need raw rgb24 output' });
+            }
+            mergeTransitions = resolved.transitions;
+        }
+
+        const outputUsage = {
+            bytes: normalize
+                ? estimateMergedSize(videos, mergeOutput)
+                : videos.reduce((sum, video) => sum + video.size, 0),
+            minutes: videos.reduce((sum, video) => sum + video.duration, 0) / 60
+        };
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const job = enqueueJob('merge', {
+            videoIds,
+            ...(normalize && { output: mergeOutput }),
+            ...(mergeTransitions && { transitions: mergeTransitions })
+        }, req.user.id, outputUsage);
+        res.status(202).json(jobAccepted(job));
+    } catch (error) {
+        res.status(500).json({ error: 'Error merging videos: ' + error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/share:
+ *   post:
+ *     summary: Create a share link for a video
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiryHours:
+ *                 type: integer
+ *                 description: Hours until link expires (default 24, configurable with DEFAULT_SHARE_EXPIRY_HOURS)
+ *               maxViews:
+ *                 type: integer
+ *                 description: Number of times the video may be viewed (default unlimited)
+ *               signed:
+ *                 type: boolean
+ *                 description: Issue an HMAC-signed token embedding the video ID and expiry
+ *               password:
+ *                 type: string
+ *                 description: Password viewers must supply to watch the video
+ *               watermark:
+ *                 description: >
+ *                   Serve a watermarked copy of a raw video through the link
+ *                   instead of the original. `true` draws the platform name in
+ *                   the bottom-right corner; an object takes the same fields as
+ *                   POST /videos/{id}/overlay. The copy is rendered by the job
+ *                   in watermarkJobId, and the link answers 503 until it is ready.
+ *                 oneOf:
+ *                   - type: boolean
+ *                   - type: object
+ *     responses:
+ *       200:
+ *         description: Share link created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       400:
+ *         description: Invalid expiry, view limit, password or watermark, or signed links are not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the share scope
+ *       404:
+ *         description: Video not found
+ *       413:
+ *         description: The watermarked copy would take the user over their storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
+ */
+router.post('/videos/:id/share', authenticateToken, requireScope('share'), async (req, res) => {
+    try {
+        const videoId = req.params.id;
+        const {
+            expiryHours = req.app.locals.config.defaultShareExpiryHours,
+            maxViews = null,
+            signed = false,
+            password,
+            watermark = false
+        } = req.body;
+
+        // Get video from database
+        const db = getDb();
+        const video = findVideo(req, videoId);
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        if (typeof expiryHours !== 'number' || !(expiryHours > 0)) {
+            return res.status(400).json({ error: 'expiryHours must be a positive number' });
+        }
+
+        if (maxViews !== null && (!Number.isInteger(maxViews) || maxViews < 1)) {
+            return res.status(400).json({ error: 'maxViews must be a positive integer' });
+        }
+
+        if (password !== undefined && (typeof password !== 'string' || password.length === 0)) {
+            return res.status(400).json({ error: 'password must be a non-empty string' });
+        }
+
+        if (signed && !isSigningEnabled(req.app.locals.config)) {
+            return res.status(400).json({ error: 'Signed share links are not enabled on this server' });
+        }
+
+        // Watermarked links are checked now and rendered by a job
+        let watermarkJob = null;
+        if (watermark !== false) {
+            if (watermark !== true && (typeof watermark !== 'object' || watermark === null || Array.isArray(watermark))) {
+                return res.status(400).json({ error: 'watermark must be true, false or an overlay object' });
+            }
+
+            if (video.container !== 'raw') {
+                return res.status(400).json({ error: 'Watermarks are only supported for raw videos' });
+            }
+
+            const format = getVideoFormat(video);
+            const totalFrames = getTotalFrames(video);
+            if (totalFrames === 0) {
+                return res.status(400).json({ error: 'Video has no frames' });
+            }
+
+            const { overlay, range, error } = resolveOverlay(
+                watermark === true ? getDefaultWatermark(format) : watermark,
+                format,
+                totalFrames
+            );
+            if (error) {
+                return res.status(400).json({ error: `Invalid watermark: ${error}` });
+            }
+
+            const outputUsage = estimateRangeUsage(video, 0, totalFrames);
+            const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+            if (quotaError) {
+                return res.status(413).json(quotaError);
+            }
+
+            const stored = storeOverlayImage(overlay, getOverlayImageDir(req.app.locals.config));
+            watermarkJob = enqueueJob('overlay', { videoId: video.id, overlay: stored, range }, req.user.id, outputUsage);
+        }
+
+        // Generate an unguessable token, signed if requested
+        const expiryTimestamp = expiryFromNow(expiryHours);
+        const token = signed
+            ? createSignedToken(video.id, new Date(expiryTimestamp), req.app.locals.config)
+            : generateShareToken();
+
+        // Save share link in database
+        db.prepare(`
+            INSERT INTO share_links (video_id, token, expiry_timestamp, max_views, password_hash, watermark_job_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(
+            video.id,
+            token,
+            expiryTimestamp,
+            maxViews,
+            password ? hashSharePassword(password) : null,
+            watermarkJob ? watermarkJob.id : null
+        );
+
+        res.json(serializeShareLink(getShareLink(token)));
+    } catch (error) {
+        console.error('Error creating share link:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/share/{token}:
+ *   get:
+ *     summary: Access a shared video
+ *     description: >
+ *       Supports byte-range requests for seeking and conditional requests
+ *       using the ETag and Last-Modified validators.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: string
+ *           enum: ['1']
+ *         description: Send as an attachment instead of for inline playback
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *         description: Byte range to return, e.g. bytes=0-1023
+ *       - in: header
+ *         name: X-Share-Password
+ *         schema:
+ *           type: string
+ *         description: Password for password-protected links
+ *       - in: header
+ *         name: X-Share-View
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Token of a view in progress, from the X-Share-View response header
+ *           or share_view cookie of the request that started it. Needed for
+ *           HEAD and mid-file range requests to links with a view limit.
+ *     responses:
+ *       200:
+ *         description: Video stream
+ *         headers:
+ *           X-Share-View:
+ *             description: Token continuing the view this request started
+ *             schema:
+ *               type: string
+ *         content:
+ *           video/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: Requested byte range of the video
+ *       304:
+ *         description: Not modified since the validators in the request
+ *       401:
+ *         description: >
+ *           Password missing or incorrect. Browsers get a password form, other
+ *           clients a JSON error.
+ *       404:
+ *         description: >
+ *           Share link not found, expired or revoked, or a continuation of a
+ *           limited link's view without the token of a view in progress
+ *       410:
+ *         description: >
+ *           The link has reached its view limit, or its watermarked copy has
+ *           been deleted (code WATERMARK_DELETED)
+ *       416:
+ *         description: Requested range is outside the file
+ *       500:
+ *         description: The link's watermarked copy could not be rendered
+ *       503:
+ *         description: >
+ *           The link's watermarked copy is still being rendered
+ *           (code WATERMARK_PENDING); retry after the Retry-After delay
+ */
+router.get('/videos/share/:token', async (req, res) => {
+    try {
+        const { shareLink, status, error } = resolvePublicShareLink(req);
+
+        if (!shareLink) {
+            return res.status(status).json({ error });
+        }
+
+        if (shareLink.password_hash && !hasSharePassword(req, shareLink)) {
+            return promptForSharePassword(
+                req,
+                res,
+                req.get(SHARE_PASSWORD_HEADER) === undefined ? 'Password required' : 'Incorrect password'
+            );
+        }
+
+        // Watermarked links serve their rendition, so wait for it before
+        // counting a view
+        let videoId = shareLink.video_id;
+        if (shareLink.watermark_job_id !== null) {
+            const rendition = getJob(shareLink.watermark_job_id);
+            if (!rendition || rendition.state === JOB_STATES.FAILED) {
+                return res.status(500).json({ error: 'The watermarked video could not be rendered' });
+            }
+            if (rendition.state !== JOB_STATES.SUCCEEDED) {
+                res.setHeader('Retry-After', '5');
+                return res.status(503).json({
+                    error: 'The watermarked video is still being rendered',
+                    code: 'WATERMARK_PENDING'
+                });
+            }
+            videoId = rendition.result_video_id;
+            if (!getDb().prepare('SELECT 1 FROM videos WHERE id = ?').get(videoId)) {
+                return res.status(410).json({
+                    error: 'The watermarked video has been deleted. Create a new watermarked share link to share this video',
+                    code: 'WATERMARK_DELETED'
+                });
+            }
+        }
+
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        // Requests carrying an open view's token continue it; others start a
+        // new view, or for links with a view limit are turned away if they
+        // can't. Views are only counted once there is a video to serve.
+        const viewInProgress = continuesView(req, shareLink);
+        if (!viewInProgress && startsNewView(req)) {
+            const viewToken = consumeView(shareLink.id);
+            if (!viewToken) {
+                return res.status(410).json({ error: 'Share link has reached its view limit' });
+            }
+            res.setHeader(SHARE_VIEW_HEADER, viewToken);
+            res.cookie(SHARE_VIEW_COOKIE, viewToken, shareCookieOptions(req, shareLink));
+        } else if (!viewInProgress && shareLink.max_views !== null) {
+            return res.status(404).json({
+                error: 'No view of this share link is in progress; request the video from its start first'
+            });
+        }
+
+        // Log the access once the response is done, counting only body bytes
+        let bytesServed = 0;
+        const write = res.write;
+        res.write = function(chunk, ...args) {
+            bytesServed += Buffer.byteLength(chunk);
+            return write.call(this, chunk, ...args);
+        };
+        res.on('close', () => {
+            recordAccess(shareLink.id, { ip: req.ip, statusCode: res.statusCode, bytesServed });
+        });
+
+        const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+        res.setHeader('Content-Type', getMimeType(video));
+        res.setHeader(
+            'Content-Disposition',
+            `${disposition}; filename="${video.filename}"`
+        );
+
+        // sendFile handles Range/206, Content-Length, ETag, Last-Modified and
+        // conditional requests, and keeps the Content-Type set above
+        res.sendFile(path.resolve(video.filepath), (err) => {
+            if (!err || res.headersSent || err.code === 'ECONNABORTED') {
+                return;
+            }
+
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
+            if (err.status === 416) {
+                res.set(err.headers);
+                return res.status(416).json({ error: 'Requested range not satisfiable' });
+            }
+            if (err.status === 404) {
+                return res.status(404).json({ error: 'Video file not found' });
+            }
+            console.error('Error serving shared video:', err);
+            res.status(500).json({ error: 'Internal server error' });
+        });
+    } catch (error) {
+        console.error('Error serving shared video:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/share/{token}:
+ *   post:
+ *     summary: Submit the password form for a password-protected share link
+ *     description: >
+ *       On success sets a cookie scoped to the link and redirects back to it,
+ *       so browsers can play the video without sending the password header.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       303:
+ *         description: Password accepted; redirects to the share link
+ *       401:
+ *         description: Incorrect password
+ *       404:
+ *         description: Share link not found or expired
+ *       410:
+ *         description: The link has reached its view limit
+ */
+router.post('/videos/share/:token', express.urlencoded({ extended: false }), (req, res) => {
+    try {
+        const { shareLink, status, error } = resolvePublicShareLink(req);
+
+        if (!shareLink) {
+            return res.status(status).json({ error });
+        }
+
+        if (!shareLink.password_hash) {
+            return res.redirect(303, req.originalUrl);
+        }
+
+        const password = req.body && req.body.password;
+        if (typeof password !== 'string' || !verifySharePassword(password, shareLink.password_hash)) {
+            return promptForSharePassword(req, res, 'Incorrect password');
+        }
+
+        res.cookie(
+            SHARE_PASSWORD_COOKIE,
+            getPasswordCookieValue(shareLink.token, shareLink.password_hash),
+            shareCookieOptions(req, shareLink)
+        );
+        res.redirect(303, req.originalUrl);
+    } catch (error) {
+        console.error('Error checking share link password:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/shares:
+ *   get:
+ *     summary: List a video's share links, including revoked and expired ones
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Share links, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shares:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShareLink'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Video not found
+ */
+router.get('/videos/:id/shares', authenticateToken, (req, res) => {
+    try {
+        const video = findVideo(req, parseInt(req.params.id));
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        res.json({ shares: getShareLinksForVideo(video.id).map(serializeShareLink) });
+    } catch (error) {
+        console.error('Error listing share links:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /shares/{token}:
+ *   patch:
+ *     summary: Change when a share link expires
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiryHours:
+ *                 type: number
+ *                 description: Hours from now until the link expires
+ *     responses:
+ *       200:
+ *         description: Updated share link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShareLink'
+ *       400:
+ *         description: Invalid expiry, or the link is revoked or signed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the share scope
+ *       404:
+ *         description: Share link not found
+ */
+router.patch('/shares/:token', authenticateToken, requireScope('share'), (req, res) => {
+    try {
+        const shareLink = findShareLink(req, req.params.token);
+
+        if (!shareLink) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+
+        if (shareLink.revoked_at) {
+            return res.status(400).json({ error: 'Revoked share links cannot be changed' });
+        }
+
+        if (isSignedToken(shareLink.token)) {
+            return res.status(400).json({ error: 'Signed share links embed their expiry and cannot be extended' });
+        }
+
+        const { expiryHours } = req.body;
+        if (typeof expiryHours !== 'number' || !(expiryHours > 0)) {
+            return res.status(400).json({ error: 'expiryHours must be a positive number' });
+        }
+
+        getDb().prepare('UPDATE share_links SET expiry_timestamp = ? WHERE id = ?')
+            .run(expiryFromNow(expiryHours), shareLink.id);
+
+        res.json(serializeShareLink(getShareLink(shareLink.token)));
+    } catch (error) {
+        console.error('Error updating share link:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /shares/{token}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The link stops working immediately. Its access log is kept.
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *     responses:
+ *       204:
+ *         description: Share link revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the share scope
+ *       404:
+ *         description: Share link not found or already revoked
+ */
+router.delete('/shares/:token', authenticateToken, requireScope('share'), (req, res) => {
+    try {
+        const shareLink = findShareLink(req, req.params.token);
+
+        if (!shareLink || shareLink.revoked_at) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+
+        getDb().prepare('UPDATE share_links SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(shareLink.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error revoking share link:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /shares/{token}/accesses:
+ *   get:
+ *     summary: Get the access log of a share link
+ *     tags: [Shares]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *     responses:
+ *       200:
+ *         description: Requests served through the link, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accesses:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ShareAccess'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Share link not found
+ */
+router.get('/shares/:token/accesses', authenticateToken, (req, res) => {
+    try {
+        const shareLink = findShareLink(req, req.params.token);
+
+        if (!shareLink) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+
+        res.json({ accesses: getAccesses(shareLink.id) });
+    } catch (error) {
+        console.error('Error fetching share accesses:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos:
+ *   get:
+ *     summary: List videos in the library
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number, starting at 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Videos per page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, duration, size]
+ *           default: created_at
+ *         description: Field to sort by
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort direction
+ *       - in: query
+ *         name: minDuration
+ *         schema:
+ *           type: number
+ *         description: Only include videos at least this many seconds long
+ *       - in: query
+ *         name: maxDuration
+ *         schema:
+ *           type: number
+ *         description: Only include videos at most this many seconds long
+ *     responses:
+ *       200:
+ *         description: Page of videos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 videos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Video'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ */
+router.get('/videos', authenticateToken, (req, res) => {
+    try {
+        const {
+            page = '1',
+            limit = '20',
+            sort = 'created_at',
+            order = 'desc',
+            minDuration,
+            maxDuration
+        } = req.query;
+
+        // Validate parameters
+        const pageNumber = Number(page);
+        const pageSize = Number(limit);
+        if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+            return res.status(400).json({ error: 'page must be a positive integer' });
+        }
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+            return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+        }
+        if (!VIDEO_SORT_COLUMNS[sort]) {
+            return res.status(400).json({ error: `sort must be one of: ${Object.keys(VIDEO_SORT_COLUMNS).join(', ')}` });
+        }
+        if (order !== 'asc' && order !== 'desc') {
+            return res.status(400).json({ error: 'order must be asc or desc' });
+        }
+
+        // Keys only see their own videos unless they are admin keys
+        const conditions = isAdmin(req) ? [] : ['owner_id = ?'];
+        const params = isAdmin(req) ? [] : [req.user.id];
+        for (const [value, operator] of [[minDuration, '>='], [maxDuration, '<=']]) {
+            if (value === undefined) continue;
+            if (value === '' || !(Number(value) >= 0)) {
+                return res.status(400).json({ error: 'Duration filters must be non-negative numbers' });
+            }
+            conditions.push(`duration ${operator} ?`);
+            params.push(Number(value));
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const db = getDb();
+        const { total } = db.prepare(`SELECT COUNT(*) AS total FROM videos ${where}`).get(...params);
+        const videos = db.prepare(`
+            SELECT * FROM videos
+            ${where}
+            ORDER BY ${VIDEO_SORT_COLUMNS[sort]} ${order.toUpperCase()}, id ${order.toUpperCase()}
+            LIMIT ? OFFSET ?
+        `).all(...params, pageSize, (pageNumber - 1) * pageSize);
+
+        res.json({
+            videos: videos.map(serializeVideo),
+            pagination: {
+                page: pageNumber,
+                limit: pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize)
+            }
+        });
+    } catch (error) {
+        console.error('Error listing videos:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}:
+ *   get:
+ *     summary: Get a video's metadata
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Video metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Video'
+ *                 - type: object
+ *                   properties:
+ *                     frameCount:
+ *                       type: integer
+ *                       description: Number of whole frames in the video
+ *                     shareLinkCount:
+ *                       type: integer
+ *                       description: Number of share links that have not expired
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Video not found
+ */
+router.get('/videos/:id', authenticateToken, (req, res) => {
+    try {
+        const db = getDb();
+        const video = findVideo(req, parseInt(req.params.id));
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        const { shareLinkCount } = db.prepare(`
+            SELECT COUNT(*) AS shareLinkCount
+            FROM share_links
+            WHERE video_id = ? AND revoked_at IS NULL
+                AND datetime(expiry_timestamp) > datetime('now')
+                AND (max_views IS NULL OR view_count < max_views)
+        `).get(video.id);
+
+        res.json({
+            ...serializeVideo(video),
+            frameCount: getTotalFrames(video),
+            shareLinkCount
+        });
+    } catch (error) {
+        console.error('Error fetching video:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}:
+ *   delete:
+ *     summary: Delete a video, its file and its share links
+ *     description: >
+ *       Deleting a video that other videos were derived from is refused with 409
+ *       unless force=true. Forced deletes keep the derived videos and their lineage.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Delete even if derived videos reference this one
+ *     responses:
+ *       204:
+ *         description: Video deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Derived videos reference this video
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 derivatives:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Derivative'
+ */
+router.delete('/videos/:id', authenticateToken, requireScope('edit'), (req, res) => {
+    try {
+        const db = getDb();
+        const video = findVideo(req, parseInt(req.params.id));
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        // Derived videos keep working without their source, but losing it
+        // is usually a mistake, so require an explicit force
+        const derivatives = getDerivatives(video.id);
+        if (derivatives.length > 0 && req.query.force !== 'true') {
+            return res.status(409).json({
+                error: `${derivatives.length} derived video(s) reference this video. Pass force=true to delete it anyway`,
+                derivatives
+            });
+        }
+
+        // Removing the file last means a failed unlink rolls back the database changes
+        db.transaction(() => {
+            deleteShareLinksForVideo(video.id);
+            deleteAnalyses(video.id);
+            deleteEdit(video.id);
+            removeClipsForVideo(video.id);
+            db.prepare('UPDATE jobs SET result_video_id = NULL WHERE result_video_id = ?').run(video.id);
+            db.prepare(`
+                UPDATE jobs
+                SET result_video_ids = (
+                    SELECT json_group_array(value) FROM json_each(jobs.result_video_ids) WHERE value != ?
+                )
+                WHERE EXISTS (SELECT 1 FROM json_each(jobs.result_video_ids) WHERE value = ?)
+            `).run(video.id, video.id);
+            db.prepare('DELETE FROM videos WHERE id = ?').run(video.id);
+            fs.rmSync(video.filepath, { force: true });
+        })();
+        removeCachedImages(video.id, req.app.locals.config);
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting video:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/lineage:
+ *   get:
+ *     summary: Get the ancestry tree of a video
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Lineage tree, from this video back to its original uploads
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LineageNode'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Video not found
+ */
+router.get('/videos/:id/lineage', authenticateToken, (req, res) => {
+    try {
+        const video = findVideo(req, parseInt(req.params.id));
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        res.json(getLineage(video.id));
+    } catch (error) {
+        console.error('Error fetching lineage:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/derivatives:
+ *   get:
+ *     summary: List videos derived from a video
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Direct and indirect descendants, nearest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 derivatives:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Derivative'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Video not found
+ */
+router.get('/videos/:id/derivatives', authenticateToken, (req, res) => {
+    try {
+        const video = findVideo(req, parseInt(req.params.id));
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        res.json({ derivatives: getDerivatives(video.id) });
+    } catch (error) {
+        console.error('Error fetching derivatives:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/thumbnail:
+ *   get:
+ *     summary: Get one frame of a raw video as a PNG
+ *     description: Images are rendered on first request and cached on disk.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *       - in: query
+ *         name: t
+ *         schema:
+ *           type: number
+ *           default: 0
+ *         description: Time of the frame in seconds
+ *     responses:
+ *       200:
+ *         description: The frame shown at that time
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid time, or the video isn't raw
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Video not found
+ */
+router.get('/videos/:id/thumbnail', authenticateToken, async (req, res) => {
+    try {
+        const video = findVideo(req, parseInt(req.params.id));
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        if (video.container !== 'raw') {
+            return res.status(400).json({ error: 'Thumbnails are only available for raw videos' });
+        }
+
+        if (getTotalFrames(video) === 0) {
+            return res.status(400).json({ error: 'Video has no frames' });
+        }
+
+        const t = req.query.t === undefined ? 0 : Number(req.query.t);
+        if (!Number.isFinite(t) || t < 0 || t > video.duration) {
+            return res.status(400).json({ error: `t must be a number of seconds between 0 and ${video.duration}` });
+        }
+
+        const thumbnailPath = await getThumbnail(video, getFrameAt(video, t), req.app.locals.config);
+        res.type('png').sendFile(thumbnailPath);
+    } catch (error) {
+        console.error('Error rendering thumbnail:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /videos/{id}/contact-sheet:
+ *   get:
+ *     summary: Get evenly spaced frames of a raw video tiled into one PNG
+ *     description: >
+ *       Frames are laid out left to right and top to bottom, each scaled to at most 160
+ *       pixels wide. Images are rendered on first request and cached on disk.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *       - in: query
+ *         name: cols
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 4
+ *         description: Number of columns
+ *       - in: query
+ *         name: rows
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 4
+ *         description: Number of rows
+ *     responses:
+ *       200:
+ *         description: The contact sheet
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid grid size, or the video isn't raw
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Video not found
+ */
+router.get('/videos/:id/contact-sheet', authenticateToken, async (req, res) => {
+    try {
+        const video = findVideo(req, parseInt(req.params.id));
+
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        if (video.container !== 'raw') {
+            return res.status(400).json({ error: 'Contact sheets are only available for raw videos' });
+        }
+
+        if (getTotalFrames(video) === 0) {
+            return res.status(400).json({ error: 'Video has no frames' });
+        }
+
+        const cols = req.query.cols === undefined ? 4 : Number(req.query.cols);
+        const rows = req.query.rows === undefined ? 4 : Number(req.query.rows);
+        const isGridSize = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_CONTACT_SHEET_SIZE;
+        if (!isGridSize(cols) || !isGridSize(rows)) {
+            return res.status(400).json({
+                error: `cols and rows must be integers between 1 and ${MAX_CONTACT_SHEET_SIZE}`
+            });
+        }
+
+        const sheetPath = await getContactSheet(video, cols, rows, req.app.locals.config);
+        res.type('png').sendFile(sheetPath);
+    } catch (error) {
+        console.error('Error rendering contact sheet:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /projects:
+ *   post:
+ *     summary: Create a timeline project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Project name
+ *     responses:
+ *       201:
+ *         description: Project created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ */
+router.post('/projects', authenticateToken, requireScope('edit'), (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'A project name is required' });
+        }
+
+        const projectId = createProject(name.trim(), req.user.id);
+        const project = getDb().prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
+        res.status(201).json(serializeProject(project));
+    } catch (error) {
+        console.error('Error creating project:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /projects:
+ *   get:
+ *     summary: List timeline projects
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Projects, most recently updated first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ */
+router.get('/projects', authenticateToken, (req, res) => {
+    try {
+        const db = getDb();
+        const projects = isAdmin(req)
+            ? db.prepare('SELECT * FROM projects ORDER BY updated_at DESC, id DESC').all()
+            : db.prepare('SELECT * FROM projects WHERE owner_id = ? ORDER BY updated_at DESC, id DESC').all(req.user.id);
+
+        res.json({ projects: projects.map(serializeProject) });
+    } catch (error) {
+        console.error('Error listing projects:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   get:
+ *     summary: Get a project with its clips and the duration a render would have
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Project not found
+ */
+router.get('/projects/:id', authenticateToken, (req, res) => {
+    try {
+        const project = findProject(req, parseInt(req.params.id));
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        res.json(serializeProject(project));
+    } catch (error) {
+        console.error('Error fetching project:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   delete:
+ *     summary: Delete a project. Source videos and rendered outputs are kept.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       204:
+ *         description: Project deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Project not found
+ */
+router.delete('/projects/:id', authenticateToken, requireScope('edit'), (req, res) => {
+    try {
+        const project = findProject(req, parseInt(req.params.id));
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        deleteProject(project.id);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting project:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/clips:
+ *   post:
+ *     summary: Add a clip to a project's timeline
+ *     description: >
+ *       The in/out points accept the same forms as trimming. Without any of
+ *       them the clip covers the whole video.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/FrameRange'
+ *               - type: object
+ *                 properties:
+ *                   videoId:
+ *                     type: integer
+ *                     description: Source video ID
+ *                   position:
+ *                     type: integer
+ *                     description: Zero-based position in the timeline (default end)
+ *     responses:
+ *       201:
+ *         description: Clip added; returns the updated project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Project or video not found
+ */
+router.post('/projects/:id/clips', authenticateToken, requireScope('edit'), (req, res) => {
+    try {
+        const project = findProject(req, parseInt(req.params.id));
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (!Number.isInteger(req.body.videoId)) {
+            return res.status(400).json({ error: 'A videoId is required' });
+        }
+
+        const video = findVideo(req, req.body.videoId);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        const { position } = req.body;
+        if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+            return res.status(400).json({ error: 'Position must be a non-negative integer' });
+        }
+
+        const range = resolveClipRange(req.body, video);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        addClip(project.id, { videoId: video.id, ...range }, position);
+        res.status(201).json(serializeProject(findProject(req, project.id)));
+    } catch (error) {
+        console.error('Error adding clip:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/clips/{clipId}:
+ *   patch:
+ *     summary: Move a clip or change its in/out points
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *       - in: path
+ *         name: clipId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Clip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/FrameRange'
+ *               - type: object
+ *                 properties:
+ *                   position:
+ *                     type: integer
+ *                     description: New zero-based position in the timeline
+ *     responses:
+ *       200:
+ *         description: Clip updated; returns the updated project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Project or clip not found
+ */
+router.patch('/projects/:id/clips/:clipId', authenticateToken, requireScope('edit'), (req, res) => {
+    try {
+        const project = findProject(req, parseInt(req.params.id));
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const clip = getClips(project.id).find(c => c.id === parseInt(req.params.clipId));
+        if (!clip) {
+            return res.status(404).json({ error: 'Clip not found' });
+        }
+
+        const { position } = req.body;
+        if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+            return res.status(400).json({ error: 'Position must be a non-negative integer' });
+        }
+
+        const changes = { position };
+        if (hasRangeParams(req.body)) {
+            const range = resolveTrimRange(req.body, getTotalFrames(clip.video), getVideoFormat(clip.video).fps);
+            if (range.error) {
+                return res.status(400).json({ error: range.error });
+            }
+            Object.assign(changes, range);
+        } else if (position === undefined) {
+            return res.status(400).json({ error: 'Provide a position and/or new in/out points' });
+        }
+
+        updateClip(project.id, clip.id, changes);
+        res.json(serializeProject(findProject(req, project.id)));
+    } catch (error) {
+        console.error('Error updating clip:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/clips/{clipId}:
+ *   delete:
+ *     summary: Remove a clip from a project's timeline
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *       - in: path
+ *         name: clipId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Clip ID
+ *     responses:
+ *       200:
+ *         description: Clip removed; returns the updated project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Project or clip not found
+ */
+router.delete('/projects/:id/clips/:clipId', authenticateToken, requireScope('edit'), (req, res) => {
+    try {
+        const project = findProject(req, parseInt(req.params.id));
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (!removeClip(project.id, parseInt(req.params.clipId))) {
+            return res.status(404).json({ error: 'Clip not found' });
+        }
+
+        res.json(serializeProject(findProject(req, project.id)));
+    } catch (error) {
+        console.error('Error removing clip:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /projects/{id}/export:
+ *   get:
+ *     summary: Download a project as a JSON edit decision list
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project JSON, sent as an attachment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Project not found
+ */
+router.get('/projects/:id/export', authenticateToken, (req, res) => {
+    try {
+        const project = findProject(req, parseInt(req.params.id));
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
         }
-        return res.status(400).json({ error: err.message });
-    }
-    if (err) {
-        return res.status(400).json({ error: err.message });
+
+        res.attachment(`project-${project.id}.json`);
+        res.send(JSON.stringify(serializeProject(project), null, 2));
+    } catch (error) {
+        console.error('Error exporting project:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-    next();
-};
+});
 
 /**
  * @swagger
- * /upload:
+ * /projects/{id}/render:
  *   post:
- *     summary: Upload a new video file
- *     tags: [Videos]
+ *     summary: Render a project's timeline into a new video
+ *     description: >
+ *       Clips must all be raw videos with the same resolution, pixel format
+ *       and frame rate. The timeline is captured when the job is queued, so
+ *       later edits to the project do not affect it.
+ *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               video:
- *                 type: string
- *                 format: binary
- *                 description: Video file to upload
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
  *     responses:
- *       200:
- *         description: Video uploaded successfully
+ *       202:
+ *         description: Render job queued
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Video'
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
- *         description: Invalid request
+ *         description: Empty timeline or clips that cannot be joined
  *         content:
  *           application/json:
  *             schema:
@@ -102,62 +4189,70 @@ const handleUploadError = (err, req, res, next) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Invalid authentication token
+ *         description: Invalid authentication token or key lacks the edit scope
+ *       404:
+ *         description: Project not found
+ *       413:
+ *         description: The rendered video would take the user over their storage quota
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuotaExceeded'
  */
-app.post('/upload', authenticateToken, upload.single('video'), handleUploadError, async (req, res) => {
+router.post('/projects/:id/render', authenticateToken, requireScope('edit'), (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No video file provided' });
+        const project = findProject(req, parseInt(req.params.id));
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
         }
 
-        const db = getDb();
-        const filepath = req.file.path;
-        const filename = req.file.filename;
-        const filesize = fs.statSync(filepath).size;
-
-        // For raw video files, calculate duration based on file size
-        let duration;
-        if (req.file.originalname.endsWith('.raw')) {
-            duration = calculateRawVideoDuration(filepath);
-        } else {
-            // Get video duration using ffprobe
-            duration = await new Promise((resolve, reject) => {
-                ffmpeg.ffprobe(req.file.path, (err, metadata) => {
-                    if (err) reject(err);
-                    resolve(metadata.format.duration);
-                });
-            });
+        const clips = getClips(project.id);
+        if (clips.length === 0) {
+            return res.status(400).json({ error: 'Project has no clips to render' });
         }
 
-        // Check if duration exceeds maximum allowed length (5 minutes)
-        if (duration > 300) { // 5 minutes in seconds
-            fs.unlinkSync(filepath); // Delete the uploaded file
-            return res.status(400).json({ error: 'Video duration exceeds maximum allowed length' });
+        if (clips.some(clip => clip.video.container !== 'raw')) {
+            return res.status(400).json({ error: 'Only raw videos can be rendered from a project' });
         }
 
-        // Insert video record into database
-        const result = db.prepare(`
-            INSERT INTO videos (filename, filepath, size, duration)
-            VALUES (?, ?, ?, ?)
-        `).run(filename, filepath, filesize, duration);
+        if (hasMismatchedFormats(clips.map(clip => getVideoFormat(clip.video)))) {
+            return res.status(400).json({
+                error: 'Clips must share the same resolution, pixel format and frame rate to be rendered'
+            });
+        }
 
-        res.json({
-            id: result.lastInsertRowid,
-            filename,
-            duration
-        });
+        const clipUsage = clips.map(clip => estimateRangeUsage(clip.video, clip.start_frame, clip.end_frame));
+        const outputUsage = {
+            bytes: clipUsage.reduce((sum, usage) => sum + usage.bytes, 0),
+            minutes: clipUsage.reduce((sum, usage) => sum + usage.minutes, 0)
+        };
+        const quotaError = checkQuota(req.user.id, req.app.locals.config, outputUsage);
+        if (quotaError) {
+            return res.status(413).json(quotaError);
+        }
+
+        const job = enqueueJob('render', {
+            projectId: project.id,
+            clips: clips.map(clip => ({
+                videoId: clip.video_id,
+                startFrame: clip.start_frame,
+                endFrame: clip.end_frame
+            }))
+        }, req.user.id, outputUsage);
+        res.status(202).json(jobAccepted(job));
     } catch (error) {
-        console.error('Error processing upload:', error);
+        console.error('Error rendering project:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @swagger
- * /videos/{id}/trim:
- *   post:
- *     summary: Trim a video
- *     tags: [Videos]
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get the status of a trim or merge job
+ *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -166,7 +4261,97 @@ app.post('/upload', authenticateToken, upload.single('video'), handleUploadError
  *         required: true
  *         schema:
  *           type: integer
- *         description: Video ID
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:id', authenticateToken, (req, res) => {
+    try {
+        const job = getJob(parseInt(req.params.id));
+
+        if (!job || (job.owner_id !== req.user.id && !isAdmin(req))) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json(serializeJob(job));
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /usage:
+ *   get:
+ *     summary: Get storage used against the quota
+ *     description: >
+ *       Reports the total bytes and minutes of video the user owns, their limits and what
+ *       remains. Uploads, trims, merges and renders that would go over either limit are
+ *       rejected with 413 and code QUOTA_EXCEEDED before any work starts.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Report another user's usage (admin only)
+ *     responses:
+ *       200:
+ *         description: Usage and limits
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Usage'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token, or userId given without the admin scope
+ *       404:
+ *         description: User not found
+ */
+router.get('/usage', authenticateToken, (req, res) => {
+    try {
+        let userId = req.user.id;
+        if (req.query.userId !== undefined) {
+            if (!isAdmin(req)) {
+                return res.status(403).json({ error: 'Only admin keys can report other users\' usage' });
+            }
+
+            userId = parseInt(req.query.userId);
+            if (!getDb().prepare('SELECT id FROM users WHERE id = ?').get(userId)) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+        }
+
+        res.json(describeUsage(userId, req.app.locals.config));
+    } catch (error) {
+        console.error('Error reporting usage:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /users:
+ *   post:
+ *     summary: Create a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -174,19 +4359,16 @@ app.post('/upload', authenticateToken, upload.single('video'), handleUploadError
  *           schema:
  *             type: object
  *             properties:
- *               trimStart:
- *                 type: number
- *                 description: Seconds to trim from start
- *               trimEnd:
- *                 type: number
- *                 description: Seconds to trim from end
+ *               name:
+ *                 type: string
+ *                 description: Display name
  *     responses:
- *       200:
- *         description: Video trimmed successfully
+ *       201:
+ *         description: User created
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Video'
+ *               $ref: '#/components/schemas/User'
  *       400:
  *         description: Invalid request
  *         content:
@@ -196,70 +4378,44 @@ app.post('/upload', authenticateToken, upload.single('video'), handleUploadError
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Invalid authentication token
- *       404:
- *         description: Video not found
+ *         description: Invalid authentication token or key lacks the admin scope
  */
-app.post('/videos/:id/trim', authenticateToken, async (req, res) => {
+router.post('/users', authenticateToken, requireScope('admin'), (req, res) => {
     try {
-        const { trimStart, trimEnd } = req.body;
-        const videoId = parseInt(req.params.id);
-
-        // Validate parameters
-        if (!trimStart && !trimEnd) {
-            return res.status(400).json({ error: 'Invalid trim parameters. Provide either trimStart or trimEnd' });
-        }
-
-        if ((trimStart && trimStart < 0) || (trimEnd && trimEnd < 0)) {
-            return res.status(400).json({ error: 'Trim values must be positive numbers' });
-        }
-
-        // Get video from database
-        const db = getDb();
-        const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+        const { name } = req.body;
 
-        if (!video) {
-            return res.status(404).json({ error: 'Video not found' });
+        if (typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'A user name is required' });
         }
 
-        // Process video
-        const { outputPath, duration } = await processVideo(video.filepath, {
-            trimStart,
-            trimEnd
-        });
-
-        // Save new video to database
-        const result = db.prepare(`
-            INSERT INTO videos (filename, filepath, size, duration)
-            VALUES (?, ?, ?, ?)
-        `).run(
-            path.basename(outputPath),
-            outputPath,
-            fs.statSync(outputPath).size,
-            duration
-        );
-
-        // Return new video details
-        res.json({
-            id: result.lastInsertRowid,
-            filename: path.basename(outputPath),
-            duration: duration,
-            size: fs.statSync(outputPath).size
+        const user = createUser(name.trim());
+        res.status(201).json({
+            id: user.id,
+            name: user.name,
+            createdAt: user.created_at
         });
-
     } catch (error) {
-        res.status(500).json({ error: 'Error processing video: ' + error.message });
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @swagger
- * /videos/merge:
+ * /users/{id}/api-keys:
  *   post:
- *     summary: Merge multiple videos
- *     tags: [Videos]
+ *     summary: Issue an API key for a user
+ *     description: The plain-text key is only returned in this response; only its hash is stored.
+ *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
  *     requestBody:
  *       required: true
  *       content:
@@ -267,20 +4423,21 @@ app.post('/videos/:id/trim', authenticateToken, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               videoIds:
+ *               scopes:
  *                 type: array
  *                 items:
- *                   type: integer
- *                 description: Array of video IDs to merge
+ *                   type: string
+ *                   enum: [upload, edit, share, admin]
+ *                 description: Scopes granted to the key
  *     responses:
- *       200:
- *         description: Videos merged successfully
+ *       201:
+ *         description: API key created
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Video'
+ *               $ref: '#/components/schemas/ApiKey'
  *       400:
- *         description: Invalid request
+ *         description: Invalid scopes
  *         content:
  *           application/json:
  *             schema:
@@ -288,66 +4445,45 @@ app.post('/videos/:id/trim', authenticateToken, async (req, res) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Invalid authentication token
+ *         description: Invalid authentication token or key lacks the admin scope
  *       404:
- *         description: One or more videos not found
+ *         description: User not found
  */
-app.post('/videos/merge', authenticateToken, async (req, res) => {
+router.post('/users/:id/api-keys', authenticateToken, requireScope('admin'), (req, res) => {
     try {
-        const { videoIds } = req.body;
+        const { scopes } = req.body;
 
-        // Validate input
-        if (!Array.isArray(videoIds) || videoIds.length < 2) {
-            return res.status(400).json({ error: 'At least two video IDs are required' });
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+            return res.status(400).json({ error: `scopes must be a non-empty array of: ${SCOPES.join(', ')}` });
         }
 
-        // Get videos from database
         const db = getDb();
-        const videos = videoIds.map(id => 
-            db.prepare('SELECT * FROM videos WHERE id = ?').get(id)
-        );
+        const user = db.prepare('SELECT * FROM users WHERE id = ?').get(parseInt(req.params.id));
 
-        // Check if all videos exist
-        if (videos.some(v => !v)) {
-            return res.status(404).json({ error: 'One or more videos not found' });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        // Get file paths
-        const videoPaths = videos.map(v => v.filepath);
-
-        // Merge videos
-        const { outputPath, duration } = await mergeVideos(videoPaths);
-
-        // Save new video to database
-        const result = db.prepare(`
-            INSERT INTO videos (filename, filepath, size, duration)
-            VALUES (?, ?, ?, ?)
-        `).run(
-            path.basename(outputPath),
-            outputPath,
-            fs.statSync(outputPath).size,
-            duration
-        );
-
-        // Return new video details
-        res.json({
-            id: result.lastInsertRowid,
-            filename: path.basename(outputPath),
-            duration: duration,
-            size: fs.statSync(outputPath).size
+        const apiKey = createApiKey(user.id, [...new Set(scopes)]);
+        res.status(201).json({
+            id: apiKey.id,
+            userId: user.id,
+            key: apiKey.key,
+            scopes: apiKey.scopes
         });
-
     } catch (error) {
-        res.status(500).json({ error: 'Error merging videos: ' + error.message });
+        console.error('Error creating API key:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @swagger
- * /videos/{id}/share:
- *   post:
- *     summary: Create a share link for a video
- *     tags: [Videos]
+ * /users/{id}/quota:
+ *   put:
+ *     summary: Set a user's storage quota
+ *     description: Overrides the configured default quota for one user. Send null to go back to the default.
+ *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -356,122 +4492,135 @@ app.post('/videos/merge', authenticateToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
- *         description: Video ID
+ *         description: User ID
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               expiryHours:
+ *               bytes:
  *                 type: integer
- *                 description: Hours until link expires (default 24)
+ *                 nullable: true
+ *                 description: Total bytes of video the user may own
+ *               minutes:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Total minutes of video the user may own
  *     responses:
  *       200:
- *         description: Share link created successfully
+ *         description: Quota updated
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ShareLink'
+ *               $ref: '#/components/schemas/Usage'
+ *       400:
+ *         description: Invalid limits
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Invalid authentication token
+ *         description: Invalid authentication token or key lacks the admin scope
  *       404:
- *         description: Video not found
+ *         description: User not found
  */
-app.post('/videos/:id/share', authenticateToken, async (req, res) => {
+router.put('/users/:id/quota', authenticateToken, requireScope('admin'), (req, res) => {
     try {
-        const videoId = req.params.id;
-        const { expiryHours = 24 } = req.body; // Default 24 hours expiry
-
-        // Get video from database
-        const db = getDb();
-        const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+        const { bytes, minutes } = req.body;
 
-        if (!video) {
-            return res.status(404).json({ error: 'Video not found' });
+        if (bytes !== undefined && bytes !== null && !(Number.isInteger(bytes) && bytes > 0)) {
+            return res.status(400).json({ error: 'bytes must be a positive integer or null' });
         }
 
-        // Generate unique token (using timestamp and random string)
-        const token = `${Date.now()}-${Math.random().toString(36).substring(2)}`;
-
-        // Calculate expiry timestamp
-        const expiryTimestamp = new Date();
-        expiryTimestamp.setHours(expiryTimestamp.getHours() + expiryHours);
+        if (minutes !== undefined && minutes !== null && !(Number.isFinite(minutes) && minutes > 0)) {
+            return res.status(400).json({ error: 'minutes must be a positive number or null' });
+        }
 
-        // Save share link in database
-        db.prepare(`
-            INSERT INTO share_links (video_id, token, expiry_timestamp)
-            VALUES (?, ?, ?)
-        `).run(videoId, token, expiryTimestamp.toISOString());
+        const user = getDb().prepare('SELECT * FROM users WHERE id = ?').get(parseInt(req.params.id));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
 
-        // Return share URL and expiry timestamp
-        res.json({
-            shareUrl: `/videos/share/${token}`,
-            expiryTimestamp: expiryTimestamp.toISOString()
-        });
+        setQuota(user.id, { bytes, minutes });
+        res.json(describeUsage(user.id, req.app.locals.config));
     } catch (error) {
-        console.error('Error creating share link:', error);
+        console.error('Error setting quota:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 /**
  * @swagger
- * /videos/share/{token}:
- *   get:
- *     summary: Access a shared video
- *     tags: [Videos]
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: token
+ *         name: id
  *         required: true
  *         schema:
- *           type: string
- *         description: Share token
+ *           type: integer
+ *         description: API key ID
  *     responses:
- *       200:
- *         description: Video stream
- *         content:
- *           video/raw:
- *             schema:
- *               type: string
- *               format: binary
+ *       204:
+ *         description: API key revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid authentication token or key lacks the admin scope
  *       404:
- *         description: Share link not found or expired
+ *         description: API key not found or already revoked
  */
-app.get('/videos/share/:token', async (req, res) => {
+router.delete('/api-keys/:id', authenticateToken, requireScope('admin'), (req, res) => {
     try {
-        const token = req.params.token;
-
-        // Get share link from database
-        const db = getDb();
-        const shareLink = db.prepare(`
-            SELECT share_links.*, videos.* 
-            FROM share_links 
-            JOIN videos ON videos.id = share_links.video_id
-            WHERE token = ? AND datetime(expiry_timestamp) > datetime('now')
-        `).get(token);
-
-        if (!shareLink) {
-            return res.status(404).json({ error: 'Share link not found or expired' });
+        if (!revokeApiKey(parseInt(req.params.id))) {
+            return res.status(404).json({ error: 'API key not found' });
         }
 
-        // Set appropriate headers
-        res.setHeader('Content-Type', 'video/raw');
-        res.setHeader(
-            'Content-Disposition',
-            `attachment; filename="${shareLink.filename}"`
-        );
-
-        // Stream the video file
-        const fileStream = fs.createReadStream(shareLink.filepath);
-        fileStream.pipe(res);
+        res.status(204).end();
     } catch (error) {
-        console.error('Error serving shared video:', error);
+        console.error('Error revoking API key:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-module.exports = app;
+/**
+ * Build an app instance. Every instance shares the same database and job
+ * queue, but limits and defaults come from its own config.
+ * @param {Object} [config] Settings from loadConfig, defaulting to the
+ *   environment and CONFIG_FILE
+ * @returns {Function} Express app
+ */
+const createApp = (config = loadConfig()) => {
+    initDb(config.dbPath);
+
+    const app = express();
+    app.locals.config = config;
+    app.locals.upload = multer({
+        storage,
+        fileFilter,
+        limits: {
+            fileSize: config.maxUploadSize
+        }
+    });
+
+    // Overlay images arrive base64-encoded in the body
+    app.use(['/videos/:id/overlay', '/videos/:id/share'], express.json({ limit: MAX_OVERLAY_REQUEST_SIZE }));
+    app.use(express.json());
+    app.use(handleBodyError);
+
+    // Serve Swagger documentation
+    app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
+
+    app.use(router);
+    return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DEFAULT_RAW_FORMAT, validateRawFormat } = require('./videoProcessing');
+
+// Settings used when neither the config file nor the environment sets them
+const DEFAULTS = {
+    port: 3000,
+    dbPath: path.join(__dirname, 'videos.db'),
+    uploadDir: path.join(__dirname, 'uploads'),
+    cacheDir: path.join(__dirname, 'cache'),
+    // Kept outside uploadDir so incomplete files never look like videos
+    partialUploadDir: path.join(os.tmpdir(), 'editthat-partial-uploads'),
+    resumableUploadTtlHours: 24,
+    maxUploadSize: 1024 * 1024 * 1024, // 1GB
+    maxDurationSeconds: 300, // 5 minutes
+    defaultShareExpiryHours: 24,
+    // Signed share links are only offered when a secret is set
+    shareTokenSecret: null,
+    defaultQuotaBytes: 10 * 1024 * 1024 * 1024, // 10GB per user
+    defaultQuotaMinutes: 120,
+    rawFormat: DEFAULT_RAW_FORMAT
+};
+
+// Quotas can be switched off with null in the config file or 'unlimited' in the environment
+const parseLimit = (value) => (value === 'unlimited' ? null : Number(value));
+
+// Environment variables that override settings, keyed by setting name.
+// Raw geometry fields are set one at a time as rawFormat.<field>.
+const ENV_VARS = {
+    port: { name: 'PORT', parse: Number },
+    dbPath: { name: 'DB_PATH' },
+    uploadDir: { name: 'UPLOAD_DIR' },
+    cacheDir: { name: 'CACHE_DIR' },
+    partialUploadDir: { name: 'RESUMABLE_UPLOAD_DIR' },
+    resumableUploadTtlHours: { name: 'RESUMABLE_UPLOAD_TTL_HOURS', parse: Number },
+    maxUploadSize: { name: 'MAX_UPLOAD_SIZE', parse: Number },
+    maxDurationSeconds: { name: 'MAX_DURATION_SECONDS', parse: Number },
+    defaultShareExpiryHours: { name: 'DEFAULT_SHARE_EXPIRY_HOURS', parse: Number },
+    shareTokenSecret: { name: 'SHARE_TOKEN_SECRET' },
+    defaultQuotaBytes: { name: 'DEFAULT_QUOTA_BYTES', parse: parseLimit },
+    defaultQuotaMinutes: { name: 'DEFAULT_QUOTA_MINUTES', parse: parseLimit },
+    'rawFormat.width': { name: 'RAW_WIDTH', parse: Number },
+    'rawFormat.height': { name: 'RAW_HEIGHT', parse: Number },
+    'rawFormat.pixelFormat': { name: 'RAW_PIXEL_FORMAT' },
+    'rawFormat.fps': { name: 'RAW_FPS', parse: Number }
+};
+
+const invalidConfig = (problems) => Object.assign(
+    new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`),
+    { code: 'INVALID_CONFIG', problems }
+);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Read settings from a JSON or YAML file, chosen by extension
+function readConfigFile(filepath) {
+    const ext = path.extname(filepath).toLowerCase();
+    if (!['.json', '.yaml', '.yml'].includes(ext)) {
+        throw invalidConfig([`Config file ${filepath} must be .json, .yaml or .yml`]);
+    }
+
+    let contents;
+    try {
+        contents = fs.readFileSync(filepath, 'utf8');
+    } catch (error) {
+        throw invalidConfig([`Could not read config file ${filepath}: ${error.message}`]);
+    }
+
+    let settings;
+    try {
+        settings = ext === '.json' ? JSON.parse(contents) : yaml.load(contents);
+    } catch (error) {
+        throw invalidConfig([`Could not parse config file ${filepath}: ${error.message}`]);
+    }
+
+    // An empty YAML file is fine and sets nothing
+    if (settings === undefined || settings === null) {
+        return {};
+    }
+    if (!isPlainObject(settings)) {
+        throw invalidConfig([`Config file ${filepath} must contain an object of settings`]);
+    }
+    return settings;
+}
+
+// Turn the environment variables that are set into settings
+function readEnv(env) {
+    const settings = {};
+    for (const [key, { name, parse }] of Object.entries(ENV_VARS)) {
+        if (env[name] === undefined || env[name] === '') {
+            continue;
+        }
+
+        const value = parse ? parse(env[name]) : env[name];
+        const [setting, field] = key.split('.');
+        if (field) {
+            settings[setting] = { ...settings[setting], [field]: value };
+        } else {
+            settings[setting] = value;
+        }
+    }
+    return settings;
+}
+
+// Layer settings over a base, merging the raw geometry field by field
+function mergeSettings(base, settings) {
+    const merged = { ...base, ...settings };
+    if (isPlainObject(base.rawFormat) && isPlainObject(settings.rawFormat)) {
+        merged.rawFormat = { ...base.rawFormat, ...settings.rawFormat };
+    }
+    return merged;
+}
+
+/**
+ * Check a complete configuration
+ * @param {Object} config Settings to check
+ * @returns {string[]} Problems found, empty if the configuration is valid
+ */
+function validateConfig(config) {
+    const problems = [];
+
+    for (const key of Object.keys(config)) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULTS, key)) {
+            problems.push(`Unknown setting "${key}"`);
+        }
+    }
+
+    if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+        problems.push('port (PORT) must be an integer between 0 and 65535');
+    }
+
+    for (const key of ['dbPath', 'uploadDir', 'cacheDir', 'partialUploadDir']) {
+        if (typeof config[key] !== 'string' || config[key].trim() === '') {
+            problems.push(`${key} (${ENV_VARS[key].name}) must be a non-empty path`);
+        }
+    }
+
+    if (!Number.isInteger(config.maxUploadSize) || config.maxUploadSize <= 0) {
+        problems.push('maxUploadSize (MAX_UPLOAD_SIZE) must be a positive whole number of bytes');
+    }
+
+    for (const key of ['maxDurationSeconds', 'defaultShareExpiryHours', 'resumableUploadTtlHours']) {
+        if (typeof config[key] !== 'number' || !Number.isFinite(config[key]) || config[key] <= 0) {
+            problems.push(`${key} (${ENV_VARS[key].name}) must be a positive number`);
+        }
+    }
+
+    if (config.shareTokenSecret !== null &&
+        (typeof config.shareTokenSecret !== 'string' || config.shareTokenSecret === '')) {
+        problems.push('shareTokenSecret (SHARE_TOKEN_SECRET) must be a non-empty string or unset');
+    }
+
+    if (config.defaultQuotaBytes !== null &&
+        (!Number.isInteger(config.defaultQuotaBytes) || config.defaultQuotaBytes <= 0)) {
+        problems.push('defaultQuotaBytes (DEFAULT_QUOTA_BYTES) must be a positive whole number of bytes or unlimited');
+    }
+
+    if (config.defaultQuotaMinutes !== null &&
+        (typeof config.defaultQuotaMinutes !== 'number' || !Number.isFinite(config.defaultQuotaMinutes) ||
+            config.defaultQuotaMinutes <= 0)) {
+        problems.push('defaultQuotaMinutes (DEFAULT_QUOTA_MINUTES) must be a positive number or unlimited');
+    }
+
+    if (!isPlainObject(config.rawFormat)) {
+        problems.push('rawFormat must be an object with width, height, pixelFormat and fps');
+    } else {
+        const formatError = validateRawFormat(config.rawFormat);
+        if (formatError) {
+            problems.push(`rawFormat (RAW_WIDTH, RAW_HEIGHT, RAW_PIXEL_FORMAT, RAW_FPS): ${formatError}`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Build the configuration from defaults, an optional config file named by
+ * CONFIG_FILE and environment variables, each overriding the one before
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env] Environment to read
+ * @param {Object} [options.overrides] Settings applied last, e.g. by tests
+ * @returns {Object} Validated, frozen configuration
+ * @throws {Error} With `code` 'INVALID_CONFIG' and a `problems` array if the
+ *   file can't be read or any setting is invalid
+ */
+function loadConfig({ env = process.env, overrides = {} } = {}) {
+    let config = DEFAULTS;
+    if (env.CONFIG_FILE) {
+        config = mergeSettings(config, readConfigFile(path.resolve(env.CONFIG_FILE)));
+    }
+    config = mergeSettings(config, readEnv(env));
+    config = mergeSettings(config, overrides);
+
+    const problems = validateConfig(config);
+    if (problems.length > 0) {
+        throw invalidConfig(problems);
+    }
+
+    return Object.freeze({
+        ...config,
+        dbPath: path.resolve(config.dbPath),
+        uploadDir: path.resolve(config.uploadDir),
+        cacheDir: path.resolve(config.cacheDir),
+        partialUploadDir: path.resolve(config.partialUploadDir),
+        rawFormat: Object.freeze({ ...config.rawFormat })
+    });
+}
+
+module.exports = {
+    DEFAULTS,
+    validateConfig,
+    loadConfig
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// Containers uploads are accepted in, keyed by file extension
+const EXTENSION_CONTAINERS = {
+    '.raw': 'raw',
+    '.mp4': 'mp4',
+    '.m4v': 'mp4',
+    '.mov': 'mov'
+};
+
+// Containers implied by the MIME types multer reports for uploads
+const MIME_TYPE_CONTAINERS = {
+    'video/raw': 'raw',
+    'video/mp4': 'mp4',
+    'video/quicktime': 'mov'
+};
+
+// MIME types videos are served with, including formats only produced by exports
+const CONTAINER_MIME_TYPES = {
+    raw: 'video/raw',
+    mp4: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    gif: 'image/gif',
+    zip: 'application/zip'
+};
+
+// Box types a QuickTime file written before the ftyp box existed may start with
+const LEGACY_QUICKTIME_BOXES = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+// Signatures of common non-video files, so mismatches can say what was uploaded
+const OTHER_SIGNATURES = [
+    { name: 'Matroska/WebM', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+    { name: 'AVI/WAV (RIFF)', bytes: [...Buffer.from('RIFF')] },
+    { name: 'Ogg', bytes: [...Buffer.from('OggS')] },
+    { name: 'PNG image', bytes: [0x89, 0x50, 0x4E, 0x47] },
+    { name: 'JPEG image', bytes: [0xFF, 0xD8, 0xFF] },
+    { name: 'GIF image', bytes: [...Buffer.from('GIF8')] },
+    { name: 'PDF document', bytes: [...Buffer.from('%PDF')] },
+    { name: 'ZIP archive', bytes: [0x50, 0x4B, 0x03, 0x04] }
+];
+
+/**
+ * Work out which container a file claims to be from its name or MIME type
+ * @param {string} filename File name
+ * @param {string} [mimetype] Client-declared MIME type
+ * @returns {string|null} 'raw', 'mp4' or 'mov', or null if unsupported
+ */
+function getDeclaredContainer(filename, mimetype) {
+    return EXTENSION_CONTAINERS[path.extname(filename).toLowerCase()] ||
+        MIME_TYPE_CONTAINERS[mimetype] ||
+        null;
+}
+
+/**
+ * Identify a file's format from its first bytes
+ * @param {string} filepath Path to the file
+ * @returns {string|null} 'mp4' or 'mov' for ISO base media files, a
+ *   description for other recognised formats, or null if nothing matched
+ *   (as for raw video, which has no header)
+ */
+function sniffContainer(filepath) {
+    const header = Buffer.alloc(16);
+    const fd = fs.openSync(filepath, 'r');
+    let length;
+    try {
+        length = fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (length >= 12) {
+        const boxType = header.toString('latin1', 4, 8);
+        if (boxType === 'ftyp') {
+            // The major brand tells QuickTime movies apart from MP4 files
+            return header.toString('latin1', 8, 12) === 'qt  ' ? 'mov' : 'mp4';
+        }
+        if (LEGACY_QUICKTIME_BOXES.includes(boxType)) {
+            return 'mov';
+        }
+    }
+
+    const other = OTHER_SIGNATURES.find(signature =>
+        length >= signature.bytes.length &&
+        signature.bytes.every((byte, i) => header[i] === byte)
+    );
+    return other ? other.name : null;
+}
+
+/**
+ * Get the MIME type to serve a stored video with
+ * @param {Object} video Row from the videos table
+ * @returns {string} MIME type, or application/octet-stream if the container is unknown
+ */
+function getMimeType(video) {
+    const container = video.container || getDeclaredContainer(video.filepath);
+    return CONTAINER_MIME_TYPES[container] || 'application/octet-stream';
+}
+
+module.exports = {
+    getDeclaredContainer,
+    sniffContainer,
+    getMimeType
+};
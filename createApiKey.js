@@ -0,0 +1,26 @@
+const { SCOPES, createUser, createApiKey } = require('./apiKeys');
+
+// Create a user and issue them an API key from the command line, e.g. to
+// bootstrap the first admin key:
+//   node createApiKey.js "Ops team" admin
+function main() {
+    const [name, ...scopes] = process.argv.slice(2);
+
+    if (!name) {
+        console.error(`Usage: node createApiKey.js <name> [scope ...]  (scopes: ${SCOPES.join(', ')})`);
+        process.exit(1);
+    }
+
+    const user = createUser(name);
+    const apiKey = createApiKey(user.id, scopes.length > 0 ? scopes : ['upload', 'edit', 'share']);
+
+    console.log(`User ${user.id} (${user.name}) API key with scopes [${apiKey.scopes.join(', ')}]:`);
+    console.log(apiKey.key);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -1,40 +1,57 @@
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
+const { DEFAULT_RAW_FORMAT, getFrameSize } = require('./videoProcessing');
 
-// Create a raw video file with a simple pattern
-function createTestVideo(outputPath, duration, color) {
-    return new Promise((resolve, reject) => {
-        // Create a raw video file with a simple pattern
-        const width = 320;
-        const height = 240;
-        const frameRate = 30;
-        const totalFrames = duration * frameRate;
-        
-        // Create a buffer for a single frame
-        const frameSize = width * height * 3; // RGB format
-        const frame = Buffer.alloc(frameSize);
-        
-        // Fill the frame with the specified color
-        for (let i = 0; i < frameSize; i += 3) {
-            if (color === 'red') {
-                frame[i] = 255;     // R
-                frame[i + 1] = 0;   // G
-                frame[i + 2] = 0;   // B
-            } else {
-                frame[i] = 0;       // R
-                frame[i + 1] = 0;   // G
-                frame[i + 2] = 255; // B
+const COLORS = {
+    red: [255, 0, 0],
+    blue: [0, 0, 255]
+};
+
+// Build a single frame filled with one colour in the given pixel format
+function createFrame(format, color) {
+    const [r, g, b] = COLORS[color] || COLORS.blue;
+    const pixels = format.width * format.height;
+    const frame = Buffer.alloc(getFrameSize(format));
+
+    if (format.pixelFormat === 'rgb24' || format.pixelFormat === 'rgba') {
+        const bytesPerPixel = format.pixelFormat === 'rgba' ? 4 : 3;
+        for (let i = 0; i < frame.length; i += bytesPerPixel) {
+            frame[i] = r;
+            frame[i + 1] = g;
+            frame[i + 2] = b;
+            if (bytesPerPixel === 4) {
+                frame[i + 3] = 255; // A
             }
         }
-        
+        return frame;
+    }
+
+    // BT.601 luma and chroma
+    const y = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    const u = Math.round(128 - 0.168736 * r - 0.331264 * g + 0.5 * b);
+    const v = Math.round(128 + 0.5 * r - 0.418688 * g - 0.081312 * b);
+
+    frame.fill(y, 0, pixels);
+    if (format.pixelFormat === 'yuv420p') {
+        frame.fill(u, pixels, pixels * 1.25);
+        frame.fill(v, pixels * 1.25);
+    }
+    return frame;
+}
+
+// Create a raw video file with a simple pattern
+function createTestVideo(outputPath, duration, color, format = DEFAULT_RAW_FORMAT) {
+    return new Promise((resolve, reject) => {
+        const totalFrames = Math.round(duration * format.fps);
+        const frame = createFrame(format, color);
+
         // Write frames to file
         const writeStream = fs.createWriteStream(outputPath);
-        
+
         for (let f = 0; f < totalFrames; f++) {
             writeStream.write(frame);
         }
-        
+
         writeStream.end();
         writeStream.on('finish', resolve);
         writeStream.on('error', reject);
@@ -43,12 +60,12 @@ function createTestVideo(outputPath, duration, color) {
 
 async function main() {
     const fixturesDir = path.join(__dirname, 'tests', 'fixtures');
-    
+
     // Create fixtures directory if it doesn't exist
     if (!fs.existsSync(fixturesDir)) {
         fs.mkdirSync(fixturesDir, { recursive: true });
     }
-    
+
     // Create test videos
     await Promise.all([
         createTestVideo(path.join(fixturesDir, 'test-video1.raw'), 5, 'red'),
@@ -56,8 +73,15 @@ async function main() {
         createTestVideo(path.join(fixturesDir, 'test-video.raw'), 10, 'red'),
         createTestVideo(path.join(fixturesDir, 'long-video.raw'), 301, 'blue') // Just over 5 minutes
     ]);
-    
+
     console.log('Test video files created successfully');
 }
 
-main().catch(console.error);
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = {
+    createFrame,
+    createTestVideo
+};
@@ -1,17 +1,66 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { loadConfig } = require('./config');
 
 let db = null;
 
-function initDb() {
-    if (db) return db;
+// Add a column to an existing table if an older database lacks it
+function ensureColumn(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+    }
+}
+
+/**
+ * Open the database and create or upgrade its tables. Only one database can
+ * be open per process; later calls return it.
+ * @param {string} [dbPath] Database file, defaulting to the configured DB_PATH
+ * @returns {Database} Open database
+ * @throws {Error} If a database at a different path is already open
+ */
+function initDb(dbPath = loadConfig().dbPath) {
+    if (db) {
+        if (db.name !== path.resolve(dbPath)) {
+            throw new Error(`Database ${db.name} is already open; cannot also open ${dbPath}`);
+        }
+        return db;
+    }
 
-    const dbPath = path.join(__dirname, 'videos.db');
-    db = new Database(dbPath);
+    db = new Database(path.resolve(dbPath));
 
     // Enable WAL mode for better concurrency
     db.pragma('journal_mode = WAL');
 
+    // Create users table
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            quota_bytes INTEGER,
+            quota_minutes FLOAT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `).run();
+
+    // Per-user quotas; NULL means the configured default applies
+    ensureColumn('users', 'quota_bytes', 'INTEGER');
+    ensureColumn('users', 'quota_minutes', 'FLOAT');
+
+    // Create api_keys table; only a hash of each key is stored
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            key_prefix TEXT NOT NULL,
+            scopes TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            revoked_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `).run();
+
     // Create videos table
     db.prepare(`
         CREATE TABLE IF NOT EXISTS videos (
@@ -20,10 +69,32 @@ function initDb() {
             filepath TEXT NOT NULL,
             size INTEGER NOT NULL,
             duration FLOAT NOT NULL,
+            width INTEGER,
+            height INTEGER,
+            pixel_format TEXT,
+            fps FLOAT,
+            container TEXT,
+            codec TEXT,
+            owner_id INTEGER REFERENCES users(id),
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
     `).run();
 
+    // Frame geometry, added after the initial schema
+    ensureColumn('videos', 'width', 'INTEGER');
+    ensureColumn('videos', 'height', 'INTEGER');
+    ensureColumn('videos', 'pixel_format', 'TEXT');
+    ensureColumn('videos', 'fps', 'FLOAT');
+    ensureColumn('videos', 'container', 'TEXT');
+    ensureColumn('videos', 'codec', 'TEXT');
+    ensureColumn('videos', 'owner_id', 'INTEGER REFERENCES users(id)');
+
+    // Videos recorded before the container column existed were told apart by extension
+    db.prepare(`
+        UPDATE videos SET container = 'raw', codec = COALESCE(codec, 'rawvideo')
+        WHERE container IS NULL AND filepath LIKE '%.raw'
+    `).run();
+
     // Create share_links table
     db.prepare(`
         CREATE TABLE IF NOT EXISTS share_links (
@@ -31,10 +102,151 @@ function initDb() {
             video_id INTEGER NOT NULL,
             token TEXT NOT NULL UNIQUE,
             expiry_timestamp DATETIME NOT NULL,
+            max_views INTEGER,
+            view_count INTEGER NOT NULL DEFAULT 0,
+            revoked_at DATETIME,
+            password_hash TEXT,
+            watermark_job_id INTEGER REFERENCES jobs(id),
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (video_id) REFERENCES videos(id)
         )
     `).run();
+    ensureColumn('share_links', 'max_views', 'INTEGER');
+    ensureColumn('share_links', 'view_count', 'INTEGER NOT NULL DEFAULT 0');
+    ensureColumn('share_links', 'revoked_at', 'DATETIME');
+    ensureColumn('share_links', 'password_hash', 'TEXT');
+
+    // Job rendering the watermarked copy a link serves instead of the original
+    ensureColumn('share_links', 'watermark_job_id', 'INTEGER REFERENCES jobs(id)');
+
+    // Create share_views table holding the token of each counted view, so
+    // range requests can continue a view without counting another
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS share_views (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            share_link_id INTEGER NOT NULL,
+            token TEXT NOT NULL UNIQUE,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (share_link_id) REFERENCES share_links(id)
+        )
+    `).run();
+
+    // Create share_accesses table logging each request served through a share link
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS share_accesses (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            share_link_id INTEGER NOT NULL,
+            accessed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            ip TEXT,
+            status_code INTEGER,
+            bytes_served INTEGER NOT NULL DEFAULT 0,
+            FOREIGN KEY (share_link_id) REFERENCES share_links(id)
+        )
+    `).run();
+
+    // Create jobs table for queued trim/merge work
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            state TEXT NOT NULL DEFAULT 'queued',
+            params TEXT NOT NULL,
+            progress INTEGER NOT NULL DEFAULT 0,
+            error TEXT,
+            result_video_id INTEGER,
+            result_video_ids TEXT,
+            reserved_bytes INTEGER NOT NULL DEFAULT 0,
+            reserved_minutes FLOAT NOT NULL DEFAULT 0,
+            owner_id INTEGER REFERENCES users(id),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            finished_at DATETIME,
+            FOREIGN KEY (result_video_id) REFERENCES videos(id)
+        )
+    `).run();
+    ensureColumn('jobs', 'owner_id', 'INTEGER REFERENCES users(id)');
+    ensureColumn('jobs', 'result_video_ids', 'TEXT');
+    ensureColumn('jobs', 'reserved_bytes', 'INTEGER NOT NULL DEFAULT 0');
+    ensureColumn('jobs', 'reserved_minutes', 'FLOAT NOT NULL DEFAULT 0');
+
+    // Create edits table recording how each derived video was produced
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS edits (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            video_id INTEGER NOT NULL UNIQUE,
+            operation TEXT NOT NULL,
+            params TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (video_id) REFERENCES videos(id)
+        )
+    `).run();
+
+    // Create edit_sources table listing the parents of each edit in order.
+    // source_video_id has no foreign key so history survives a forced delete.
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS edit_sources (
+            edit_id INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            source_video_id INTEGER NOT NULL,
+            PRIMARY KEY (edit_id, position),
+            FOREIGN KEY (edit_id) REFERENCES edits(id)
+        )
+    `).run();
+
+    // Create projects table holding non-destructive timelines
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS projects (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            owner_id INTEGER REFERENCES users(id),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `).run();
+
+    // Create project_clips table with each clip's in/out frames, in timeline order
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS project_clips (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            video_id INTEGER NOT NULL,
+            start_frame INTEGER NOT NULL,
+            end_frame INTEGER NOT NULL,
+            FOREIGN KEY (project_id) REFERENCES projects(id),
+            FOREIGN KEY (video_id) REFERENCES videos(id)
+        )
+    `).run();
+
+    // Create video_analyses table caching scene, black and still detection
+    // for each video and group of settings
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS video_analyses (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            video_id INTEGER NOT NULL,
+            settings TEXT NOT NULL,
+            job_id INTEGER REFERENCES jobs(id),
+            result TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            UNIQUE (video_id, settings),
+            FOREIGN KEY (video_id) REFERENCES videos(id)
+        )
+    `).run();
+
+    // Create upload_sessions table tracking resumable uploads in progress
+    db.prepare(`
+        CREATE TABLE IF NOT EXISTS upload_sessions (
+            id TEXT PRIMARY KEY,
+            owner_id INTEGER REFERENCES users(id),
+            upload_length INTEGER NOT NULL,
+            upload_offset INTEGER NOT NULL DEFAULT 0,
+            metadata TEXT NOT NULL,
+            filepath TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `).run();
 
     return db;
 }
@@ -0,0 +1,128 @@
+// A 5x7 bitmap font. Each glyph is seven rows, top to bottom, with the
+// leftmost pixel in the highest of the five low bits. Lower-case letters
+// are drawn with the capitals.
+const GLYPHS = {
+    ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+    A: [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    B: [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    C: [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+    D: [0x1E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1E],
+    E: [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+    F: [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    G: [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+    H: [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    I: [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+    L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    M: [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+    N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    O: [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    P: [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    Q: [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+    R: [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    S: [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+    T: [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+    V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+    X: [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    Y: [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+    Z: [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    0: [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+    1: [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    2: [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+    3: [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    4: [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+    5: [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    6: [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+    7: [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    8: [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+    9: [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+    ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+    ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+    ';': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x04, 0x08],
+    '!': [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04],
+    '?': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04],
+    '\'': [0x04, 0x04, 0x08, 0x00, 0x00, 0x00, 0x00],
+    '"': [0x0A, 0x0A, 0x00, 0x00, 0x00, 0x00, 0x00],
+    '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+    '_': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x1F],
+    '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+    '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+    '&': [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D],
+    '@': [0x0E, 0x11, 0x01, 0x0D, 0x15, 0x15, 0x0E],
+    '#': [0x0A, 0x0A, 0x1F, 0x0A, 0x1F, 0x0A, 0x0A],
+    '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+    '=': [0x00, 0x00, 0x1F, 0x00, 0x1F, 0x00, 0x00],
+    '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03]
+};
+
+// Glyph size in font pixels; each glyph is followed by one pixel of spacing
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+const GLYPH_ADVANCE = GLYPH_WIDTH + 1;
+
+/**
+ * List the characters of a string the font has no glyph for
+ * @param {string} text Text to check
+ * @returns {string[]} Unsupported characters, each listed once
+ */
+function findMissingGlyphs(text) {
+    return [...new Set([...text].filter(char => !GLYPHS[char.toUpperCase()]))];
+}
+
+/**
+ * Size of a string drawn at a given scale, without trailing spacing
+ * @param {string} text Text to measure
+ * @param {number} size Screen pixels per font pixel
+ * @returns {Object} `{ width, height }` in pixels
+ */
+function measureText(text, size) {
+    return {
+        width: Math.max(0, text.length * GLYPH_ADVANCE - 1) * size,
+        height: GLYPH_HEIGHT * size
+    };
+}
+
+/**
+ * Draw a string as an RGBA image with a transparent background
+ * @param {string} text Text made of characters findMissingGlyphs accepts
+ * @param {Object} options Drawing options
+ * @param {number} options.size Screen pixels per font pixel
+ * @param {number[]} options.color `[r, g, b]` of the text
+ * @returns {Object} `{ width, height, channels: 4, data }` with packed RGBA pixels
+ */
+function renderText(text, { size, color }) {
+    const { width, height } = measureText(text, size);
+    const data = Buffer.alloc(width * height * 4);
+
+    [...text].forEach((char, index) => {
+        const rows = GLYPHS[char.toUpperCase()];
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+            for (let column = 0; column < GLYPH_WIDTH; column++) {
+                if (!(rows[row] & (0x10 >> column))) {
+                    continue;
+                }
+                // Fill a size x size block for each lit font pixel
+                for (let dy = 0; dy < size; dy++) {
+                    const y = row * size + dy;
+                    const x = (index * GLYPH_ADVANCE + column) * size;
+                    for (let dx = 0; dx < size; dx++) {
+                        data.set([...color, 255], (y * width + x + dx) * 4);
+                    }
+                }
+            }
+        }
+    });
+
+    return { width, height, channels: 4, data };
+}
+
+module.exports = {
+    findMissingGlyphs,
+    measureText,
+    renderText
+};
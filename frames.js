@@ -0,0 +1,311 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { getFrameSize } = require('./videoProcessing');
+
+// Keep a value within one byte
+const clampByte = (value) => (value < 0 ? 0 : value > 255 ? 255 : Math.round(value));
+
+/**
+ * Read one frame of a raw video without loading the rest of the file
+ * @param {string} filepath Path to the raw video file
+ * @param {Object} format Raw video format
+ * @param {number} index Zero-based frame number
+ * @returns {Promise<Buffer>} Frame bytes in the video's pixel format
+ */
+async function readFrame(filepath, format, index) {
+    const frameSize = getFrameSize(format);
+    const frame = Buffer.alloc(frameSize);
+    const handle = await fs.promises.open(filepath, 'r');
+    try {
+        const { bytesRead } = await handle.read(frame, 0, frameSize, index * frameSize);
+        if (bytesRead !== frameSize) {
+            throw new Error(`Frame ${index} is past the end of ${filepath}`);
+        }
+    } finally {
+        await handle.close();
+    }
+    return frame;
+}
+
+/**
+ * Read frames of a raw video one at a time through a single file handle
+ * @param {string} filepath Path to the raw video file
+ * @param {Object} format Raw video format
+ * @param {Iterable<number>} [indices] Zero-based frame numbers to read, in
+ *   the order they should be yielded (default: every frame in order)
+ * @returns {AsyncGenerator<Buffer>} Frame bytes in the video's pixel format
+ */
+async function* readFrames(filepath, format, indices) {
+    const frameSize = getFrameSize(format);
+    const handle = await fs.promises.open(filepath, 'r');
+    try {
+        if (!indices) {
+            const { size } = await handle.stat();
+            indices = Array.from({ length: Math.floor(size / frameSize) }, (_, i) => i);
+        }
+
+        // Repeated frames are yielded again without another read
+        let lastIndex = -1;
+        let frame;
+        for (const index of indices) {
+            if (index !== lastIndex) {
+                frame = Buffer.alloc(frameSize);
+                const { bytesRead } = await handle.read(frame, 0, frameSize, index * frameSize);
+                if (bytesRead !== frameSize) {
+                    throw new Error(`Frame ${index} is past the end of ${filepath}`);
+                }
+                lastIndex = index;
+            }
+            yield frame;
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Convert a frame in any supported pixel format to packed RGB.
+ * yuv420p is treated as full-range BT.601.
+ * @param {Buffer} frame Frame bytes
+ * @param {Object} format Raw video format of the frame
+ * @returns {Buffer} width * height * 3 bytes of RGB
+ */
+function toRgb24(frame, format) {
+    const { width, height, pixelFormat } = format;
+    const pixels = width * height;
+
+    if (pixelFormat === 'rgb24') {
+        return frame;
+    }
+
+    const rgb = Buffer.alloc(pixels * 3);
+
+    if (pixelFormat === 'rgba') {
+        for (let i = 0; i < pixels; i++) {
+            rgb[i * 3] = frame[i * 4];
+            rgb[i * 3 + 1] = frame[i * 4 + 1];
+            rgb[i * 3 + 2] = frame[i * 4 + 2];
+        }
+        return rgb;
+    }
+
+    if (pixelFormat === 'gray') {
+        for (let i = 0; i < pixels; i++) {
+            rgb[i * 3] = rgb[i * 3 + 1] = rgb[i * 3 + 2] = frame[i];
+        }
+        return rgb;
+    }
+
+    // yuv420p: a full-resolution Y plane, then U and V at half resolution
+    const chromaWidth = width / 2;
+    const uOffset = pixels;
+    const vOffset = pixels + pixels / 4;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const chroma = (y >> 1) * chromaWidth + (x >> 1);
+            const luma = frame[y * width + x];
+            const u = frame[uOffset + chroma] - 128;
+            const v = frame[vOffset + chroma] - 128;
+            const i = (y * width + x) * 3;
+            rgb[i] = clampByte(luma + 1.402 * v);
+            rgb[i + 1] = clampByte(luma - 0.344136 * u - 0.714136 * v);
+            rgb[i + 2] = clampByte(luma + 1.772 * u);
+        }
+    }
+    return rgb;
+}
+
+/**
+ * Resize packed RGB pixels by picking the nearest source pixel
+ * @param {Buffer} rgb Source pixels
+ * @param {number} width Source width
+ * @param {number} height Source height
+ * @param {number} newWidth Target width
+ * @param {number} newHeight Target height
+ * @returns {Buffer} newWidth * newHeight * 3 bytes of RGB
+ */
+function scaleRgb24Nearest(rgb, width, height, newWidth, newHeight) {
+    if (newWidth === width && newHeight === height) {
+        return rgb;
+    }
+
+    const scaled = Buffer.alloc(newWidth * newHeight * 3);
+    for (let y = 0; y < newHeight; y++) {
+        const sourceY = Math.min(height - 1, Math.floor((y + 0.5) * height / newHeight));
+        for (let x = 0; x < newWidth; x++) {
+            const sourceX = Math.min(width - 1, Math.floor((x + 0.5) * width / newWidth));
+            rgb.copy(scaled, (y * newWidth + x) * 3, (sourceY * width + sourceX) * 3, (sourceY * width + sourceX) * 3 + 3);
+        }
+    }
+    return scaled;
+}
+
+/**
+ * Resize packed RGB pixels by blending the four nearest source pixels
+ * @param {Buffer} rgb Source pixels
+ * @param {number} width Source width
+ * @param {number} height Source height
+ * @param {number} newWidth Target width
+ * @param {number} newHeight Target height
+ * @returns {Buffer} newWidth * newHeight * 3 bytes of RGB
+ */
+function scaleRgb24Bilinear(rgb, width, height, newWidth, newHeight) {
+    if (newWidth === width && newHeight === height) {
+        return rgb;
+    }
+
+    // Pixel centres are aligned, so edges sample the edge pixels
+    const samples = (size, newSize) => Array.from({ length: newSize }, (_, i) => {
+        const position = Math.min(size - 1, Math.max(0, (i + 0.5) * size / newSize - 0.5));
+        const low = Math.floor(position);
+        return { low, high: Math.min(size - 1, low + 1), weight: position - low };
+    });
+    const columns = samples(width, newWidth);
+    const rows = samples(height, newHeight);
+
+    const scaled = Buffer.alloc(newWidth * newHeight * 3);
+    for (let y = 0; y < newHeight; y++) {
+        const row = rows[y];
+        const top = row.low * width;
+        const bottom = row.high * width;
+        for (let x = 0; x < newWidth; x++) {
+            const column = columns[x];
+            for (let c = 0; c < 3; c++) {
+                const upper = rgb[(top + column.low) * 3 + c] * (1 - column.weight) +
+                    rgb[(top + column.high) * 3 + c] * column.weight;
+                const lower = rgb[(bottom + column.low) * 3 + c] * (1 - column.weight) +
+                    rgb[(bottom + column.high) * 3 + c] * column.weight;
+                scaled[(y * newWidth + x) * 3 + c] = clampByte(upper * (1 - row.weight) + lower * row.weight);
+            }
+        }
+    }
+    return scaled;
+}
+
+/**
+ * Convert packed RGB pixels to any supported pixel format. rgba frames are
+ * made opaque, and gray and yuv420p use full-range BT.601 luma, with each
+ * chroma sample averaged over its 2x2 block of pixels.
+ * @param {Buffer} rgb width * height * 3 bytes of RGB
+ * @param {Object} format Raw video format to convert to
+ * @returns {Buffer} Frame bytes in the target pixel format
+ */
+function fromRgb24(rgb, format) {
+    const { width, height, pixelFormat } = format;
+    const pixels = width * height;
+
+    if (pixelFormat === 'rgb24') {
+        return rgb;
+    }
+
+    const luma = (i) => 0.299 * rgb[i] + 0.587 * rgb[i + 1] + 0.114 * rgb[i + 2];
+
+    if (pixelFormat === 'rgba') {
+        const rgba = Buffer.alloc(pixels * 4, 255);
+        for (let i = 0; i < pixels; i++) {
+            rgb.copy(rgba, i * 4, i * 3, i * 3 + 3);
+        }
+        return rgba;
+    }
+
+    if (pixelFormat === 'gray') {
+        const gray = Buffer.alloc(pixels);
+        for (let i = 0; i < pixels; i++) {
+            gray[i] = clampByte(luma(i * 3));
+        }
+        return gray;
+    }
+
+    // yuv420p
+    const frame = Buffer.alloc(pixels * 1.5);
+    const chromaWidth = width / 2;
+    const uOffset = pixels;
+    const vOffset = pixels + pixels / 4;
+    for (let i = 0; i < pixels; i++) {
+        frame[i] = clampByte(luma(i * 3));
+    }
+    for (let cy = 0; cy < height / 2; cy++) {
+        for (let cx = 0; cx < chromaWidth; cx++) {
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+                const i = ((cy * 2 + dy) * width + cx * 2 + dx) * 3;
+                r += rgb[i];
+                g += rgb[i + 1];
+                b += rgb[i + 2];
+            }
+            r /= 4;
+            g /= 4;
+            b /= 4;
+            frame[uOffset + cy * chromaWidth + cx] = clampByte(-0.168736 * r - 0.331264 * g + 0.5 * b + 128);
+            frame[vOffset + cy * chromaWidth + cx] = clampByte(0.5 * r - 0.418688 * g - 0.081312 * b + 128);
+        }
+    }
+    return frame;
+}
+
+/**
+ * Convert a frame from one raw format to another, scaling it to the target
+ * size by nearest neighbour. Frames already in the target format are
+ * returned unchanged.
+ * @param {Buffer} frame Frame bytes
+ * @param {Object} from Raw video format of the frame
+ * @param {Object} to Raw video format to convert to
+ * @returns {Buffer} Frame bytes in the target format
+ */
+function convertFrame(frame, from, to) {
+    if (from.width === to.width && from.height === to.height && from.pixelFormat === to.pixelFormat) {
+        return frame;
+    }
+
+    const rgb = scaleRgb24Nearest(toRgb24(frame, from), from.width, from.height, to.width, to.height);
+    return fromRgb24(rgb, to);
+}
+
+/**
+ * Write frames to a raw video file as they are produced, so only a stream
+ * buffer's worth is held in memory. The partial file is removed if anything
+ * fails.
+ * @param {string} outputPath Path to write the raw file
+ * @param {AsyncIterable<Buffer>} frames Frames in order
+ * @param {Object} [options] Write options
+ * @param {number} [options.total] Number of frames expected, for progress
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<number>} Number of frames written
+ */
+async function writeFrames(outputPath, frames, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    let written = 0;
+
+    async function* counted() {
+        for await (const frame of frames) {
+            yield frame;
+            written++;
+            if (options.total) {
+                onProgress((written / options.total) * 100);
+            }
+        }
+    }
+
+    try {
+        await pipeline(counted(), fs.createWriteStream(outputPath));
+    } catch (error) {
+        await fs.promises.rm(outputPath, { force: true });
+        throw error;
+    }
+
+    return written;
+}
+
+module.exports = {
+    clampByte,
+    readFrame,
+    readFrames,
+    toRgb24,
+    fromRgb24,
+    scaleRgb24Nearest,
+    scaleRgb24Bilinear,
+    convertFrame,
+    writeFrames
+};
@@ -1,18 +1,38 @@
-const app = require('./app');
-const { initializeDb } = require('./db');
+const { createApp } = require('./app');
+const { loadConfig } = require('./config');
+const { recoverJobs } = require('./jobQueue');
+const { cleanupExpiredUploads } = require('./resumableUploads');
 
-// Initialize database
-initializeDb();
+// Refuse to start with a broken configuration rather than fail on first use
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (error.code !== 'INVALID_CONFIG') throw error;
+    console.error(error.message);
+    process.exit(1);
+}
+
+// createApp opens the database and uploads/ is created on first upload
+const app = createApp(config);
 
-// Create uploads directory if it doesn't exist
-const fs = require('fs');
-const path = require('path');
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir);
+// Resume queued jobs and fail the ones a previous process left running
+const interruptedJobs = recoverJobs();
+if (interruptedJobs > 0) {
+    console.log(`Marked ${interruptedJobs} interrupted job(s) as failed`);
 }
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
+// Garbage-collect abandoned resumable uploads now and then every hour
+const removeExpiredUploads = () => {
+    const removed = cleanupExpiredUploads(config);
+    if (removed > 0) {
+        console.log(`Removed ${removed} abandoned resumable upload(s)`);
+    }
+};
+removeExpiredUploads();
+setInterval(removeExpiredUploads, 60 * 60 * 1000).unref();
+
+app.listen(config.port, () => {
+    console.log(`Server is running on port ${config.port}`);
+    console.log(`Swagger documentation available at http://localhost:${config.port}/api-docs`);
 });
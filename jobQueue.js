@@ -0,0 +1,197 @@
+const { getDb } = require('./db');
+
+const JOB_STATES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+const handlers = new Map();
+const finishWaiters = new Map();
+let draining = false;
+
+/**
+ * Register the function that performs jobs of a given type
+ * @param {string} type Job type (e.g. 'trim', 'merge')
+ * @param {Function} handler Async function called with (params, onProgress, job);
+ *   may resolve to an object with a `videoId` for the produced video, or
+ *   `videoIds` when it produces several
+ */
+function registerJobHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+/**
+ * Persist a new job and schedule it to run
+ * @param {string} type Job type with a registered handler
+ * @param {Object} params JSON-serialisable job parameters
+ * @param {number} [ownerId] User the job and its output belong to
+ * @param {Object} [reserved] Storage the output is expected to take up, held
+ *   against the owner's quota until the job finishes
+ * @param {number} [reserved.bytes] Bytes
+ * @param {number} [reserved.minutes] Minutes
+ * @returns {Object} The stored job row
+ */
+function enqueueJob(type, params, ownerId = null, reserved = {}) {
+    if (!handlers.has(type)) {
+        throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const db = getDb();
+    const result = db.prepare(`
+        INSERT INTO jobs (type, state, params, owner_id, reserved_bytes, reserved_minutes)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(type, JOB_STATES.QUEUED, JSON.stringify(params), ownerId, reserved.bytes || 0, reserved.minutes || 0);
+
+    scheduleDrain();
+
+    return getJob(result.lastInsertRowid);
+}
+
+/**
+ * Look up a job by id
+ * @param {number} id Job ID
+ * @returns {Object|undefined} Job row
+ */
+function getJob(id) {
+    return getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+}
+
+/**
+ * Wait for a job to succeed or fail
+ * @param {number} id Job ID
+ * @returns {Promise<Object>} The finished job row
+ */
+function waitForJobToFinish(id) {
+    const job = getJob(id);
+    if (job.state === JOB_STATES.SUCCEEDED || job.state === JOB_STATES.FAILED) {
+        return Promise.resolve(job);
+    }
+
+    return new Promise((resolve) => {
+        finishWaiters.set(id, [...(finishWaiters.get(id) || []), resolve]);
+    });
+}
+
+/**
+ * Convert a job row into its API representation
+ * @param {Object} job Job row
+ * @returns {Object} Job status
+ */
+function serializeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        state: job.state,
+        progress: job.progress,
+        error: job.error,
+        resultVideoId: job.result_video_id,
+        resultVideoIds: job.result_video_ids === null ? null : JSON.parse(job.result_video_ids),
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        finishedAt: job.finished_at
+    };
+}
+
+/**
+ * Bring persisted jobs back after a restart. Queued jobs are resumed;
+ * jobs that were mid-run cannot be picked up safely and are marked failed.
+ * @returns {number} Number of jobs marked failed
+ */
+function recoverJobs() {
+    const db = getDb();
+    const result = db.prepare(`
+        UPDATE jobs
+        SET state = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+        WHERE state = ?
+    `).run(JOB_STATES.FAILED, 'Interrupted by server restart', JOB_STATES.RUNNING);
+
+    scheduleDrain();
+
+    return result.changes;
+}
+
+function scheduleDrain() {
+    setImmediate(() => {
+        drain().catch(error => console.error('Error draining job queue:', error));
+    });
+}
+
+// Jobs run one at a time, oldest first
+async function drain() {
+    if (draining) return;
+    draining = true;
+
+    try {
+        const db = getDb();
+        const nextJob = db.prepare('SELECT * FROM jobs WHERE state = ? ORDER BY id LIMIT 1');
+
+        let job;
+        while ((job = nextJob.get(JOB_STATES.QUEUED))) {
+            await runJob(job);
+        }
+    } finally {
+        draining = false;
+    }
+}
+
+async function runJob(job) {
+    const db = getDb();
+    db.prepare(`
+        UPDATE jobs
+        SET state = ?, progress = 0, started_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(JOB_STATES.RUNNING, job.id);
+
+    // Only touch the database when the whole-number percentage changes
+    const updateProgress = db.prepare('UPDATE jobs SET progress = ? WHERE id = ?');
+    let lastProgress = 0;
+    const onProgress = (percent) => {
+        const progress = Math.min(100, Math.max(0, Math.floor(percent)));
+        if (progress !== lastProgress) {
+            lastProgress = progress;
+            updateProgress.run(progress, job.id);
+        }
+    };
+
+    try {
+        const handler = handlers.get(job.type);
+        if (!handler) {
+            throw new Error(`No handler registered for job type "${job.type}"`);
+        }
+
+        const result = await handler(JSON.parse(job.params), onProgress, job) || {};
+
+        db.prepare(`
+            UPDATE jobs
+            SET state = ?, progress = 100, result_video_id = ?, result_video_ids = ?, finished_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(
+            JOB_STATES.SUCCEEDED,
+            result.videoId ?? null,
+            result.videoIds ? JSON.stringify(result.videoIds) : null,
+            job.id
+        );
+    } catch (error) {
+        db.prepare(`
+            UPDATE jobs
+            SET state = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(JOB_STATES.FAILED, error.message, job.id);
+    }
+
+    const waiters = finishWaiters.get(job.id) || [];
+    finishWaiters.delete(job.id);
+    waiters.forEach(resolve => resolve(getJob(job.id)));
+}
+
+module.exports = {
+    JOB_STATES,
+    registerJobHandler,
+    enqueueJob,
+    getJob,
+    waitForJobToFinish,
+    serializeJob,
+    recoverJobs
+};
@@ -0,0 +1,122 @@
+const { getDb } = require('./db');
+
+/**
+ * Record how a derived video was produced
+ * @param {number} videoId The derived video
+ * @param {string} operation Operation that produced it (e.g. 'trim', 'merge')
+ * @param {Object} params JSON-serialisable operation parameters
+ * @param {number[]} sourceIds Parent video IDs, in order
+ * @returns {number} Edit ID
+ */
+function recordEdit(videoId, operation, params, sourceIds) {
+    const db = getDb();
+    const result = db.prepare(`
+        INSERT INTO edits (video_id, operation, params)
+        VALUES (?, ?, ?)
+    `).run(videoId, operation, JSON.stringify(params));
+
+    const insertSource = db.prepare(`
+        INSERT INTO edit_sources (edit_id, position, source_video_id)
+        VALUES (?, ?, ?)
+    `);
+    sourceIds.forEach((sourceId, position) => {
+        insertSource.run(result.lastInsertRowid, position, sourceId);
+    });
+
+    return result.lastInsertRowid;
+}
+
+/**
+ * Build the ancestry tree of a video, following parents back to the
+ * originally uploaded videos
+ * @param {number} videoId Video ID
+ * @returns {Object} Tree node with `sources` holding parent nodes in order
+ */
+function getLineage(videoId) {
+    const db = getDb();
+    const video = db.prepare('SELECT id, filename, duration, created_at FROM videos WHERE id = ?').get(videoId);
+
+    // Sources deleted with force still appear, so the history stays complete
+    if (!video) {
+        return { id: videoId, deleted: true, operation: null, params: null, sources: [] };
+    }
+
+    const node = {
+        id: video.id,
+        filename: video.filename,
+        duration: video.duration,
+        createdAt: video.created_at,
+        operation: null,
+        params: null,
+        sources: []
+    };
+
+    const edit = db.prepare('SELECT * FROM edits WHERE video_id = ?').get(videoId);
+    if (edit) {
+        node.operation = edit.operation;
+        node.params = JSON.parse(edit.params);
+        node.sources = db.prepare(`
+            SELECT source_video_id FROM edit_sources
+            WHERE edit_id = ?
+            ORDER BY position
+        `).all(edit.id).map(source => getLineage(source.source_video_id));
+    }
+
+    return node;
+}
+
+/**
+ * List every video derived from a video, directly or through other edits
+ * @param {number} videoId Video ID
+ * @returns {Object[]} Descendants with the operation that produced them and
+ *   their distance from the video, nearest first
+ */
+function getDerivatives(videoId) {
+    return getDb().prepare(`
+        WITH RECURSIVE descendants(video_id, depth) AS (
+            SELECT edits.video_id, 1
+            FROM edit_sources
+            JOIN edits ON edits.id = edit_sources.edit_id
+            WHERE edit_sources.source_video_id = ?
+            UNION
+            SELECT edits.video_id, descendants.depth + 1
+            FROM descendants
+            JOIN edit_sources ON edit_sources.source_video_id = descendants.video_id
+            JOIN edits ON edits.id = edit_sources.edit_id
+        )
+        SELECT videos.id, videos.filename, videos.duration, videos.created_at,
+            edits.operation, MIN(descendants.depth) AS depth
+        FROM descendants
+        JOIN videos ON videos.id = descendants.video_id
+        JOIN edits ON edits.video_id = videos.id
+        GROUP BY videos.id
+        ORDER BY depth, videos.id
+    `).all(videoId).map(row => ({
+        id: row.id,
+        filename: row.filename,
+        duration: row.duration,
+        createdAt: row.created_at,
+        operation: row.operation,
+        depth: row.depth
+    }));
+}
+
+/**
+ * Remove a video's own edit record, leaving the records of videos derived from it
+ * @param {number} videoId Video ID
+ */
+function deleteEdit(videoId) {
+    const db = getDb();
+    const edit = db.prepare('SELECT id FROM edits WHERE video_id = ?').get(videoId);
+    if (edit) {
+        db.prepare('DELETE FROM edit_sources WHERE edit_id = ?').run(edit.id);
+        db.prepare('DELETE FROM edits WHERE id = ?').run(edit.id);
+    }
+}
+
+module.exports = {
+    recordEdit,
+    getLineage,
+    getDerivatives,
+    deleteEdit
+};
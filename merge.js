@@ -0,0 +1,302 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+    getFrameSize,
+    getVideoFormat,
+    getTotalFrames,
+    getRawInputOptions,
+    decodeToRaw,
+    validateRawFormat
+} = require('./videoProcessing');
+const { getDeclaredContainer } = require('./containers');
+const { readFrames, convertFrame, writeFrames } = require('./frames');
+const { getTransitionOverlap, fadeFrame, blendFrames } = require('./transitions');
+
+// Containers a normalised merge can write
+const MERGE_OUTPUT_CONTAINERS = ['raw', 'mp4'];
+
+/**
+ * Describe what a merge needs to know about one of its inputs. Raw videos
+ * always have a geometry, falling back to the defaults; other containers
+ * report whatever ffprobe recorded at upload, which may be null.
+ * @param {Object} video Row from the videos table
+ * @returns {Object} Video ID, container, codec, width, height, pixel format and frame rate
+ */
+function describeMergeInput(video) {
+    const container = video.container || getDeclaredContainer(video.filepath);
+    const format = container === 'raw'
+        ? getVideoFormat(video)
+        : { width: video.width, height: video.height, pixelFormat: video.pixel_format, fps: video.fps };
+
+    return {
+        videoId: video.id,
+        container,
+        codec: video.codec || (container === 'raw' ? 'rawvideo' : null),
+        ...format
+    };
+}
+
+/**
+ * List the ways a merge input differs from the one the others are joined to
+ * @param {Object} input Input as described by describeMergeInput
+ * @param {Object} reference Input the merge takes its format from
+ * @returns {string[]} Human-readable problems, empty if the input can be joined as-is
+ */
+function findMergeProblems(input, reference) {
+    const problems = [];
+    const describeSize = (value) => (value.width && value.height ? `${value.width}x${value.height}` : 'unknown');
+
+    if (input.container !== reference.container) {
+        problems.push(`container is ${input.container}, expected ${reference.container}`);
+    } else if (input.codec !== reference.codec) {
+        problems.push(`codec is ${input.codec || 'unknown'}, expected ${reference.codec || 'unknown'}`);
+    }
+    if (input.width !== reference.width || input.height !== reference.height) {
+        problems.push(`resolution is ${describeSize(input)}, expected ${describeSize(reference)}`);
+    }
+    if (input.pixelFormat !== reference.pixelFormat) {
+        problems.push(`pixel format is ${input.pixelFormat || 'unknown'}, expected ${reference.pixelFormat || 'unknown'}`);
+    }
+    if (input.fps !== reference.fps) {
+        problems.push(`frame rate is ${input.fps || 'unknown'}, expected ${reference.fps || 'unknown'}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Work out the single format a normalised merge writes, filling anything the
+ * request leaves out from the first input. MP4 output is always yuv420p.
+ * @param {Object} [requested] Output format from the request
+ * @param {Object} first First input as described by describeMergeInput
+ * @returns {Object} `{ output }` or `{ error }` if the requested format is invalid
+ */
+function resolveMergeOutput(requested = {}, first) {
+    if (typeof requested !== 'object' || requested === null || Array.isArray(requested)) {
+        return { error: 'output must be an object' };
+    }
+
+    const defaults = getVideoFormat({
+        width: first.width,
+        height: first.height,
+        pixel_format: first.pixelFormat,
+        fps: first.fps
+    });
+    const container = requested.container ||
+        (MERGE_OUTPUT_CONTAINERS.includes(first.container) ? first.container : 'mp4');
+
+    if (!MERGE_OUTPUT_CONTAINERS.includes(container)) {
+        return { error: `Unsupported output container. Supported containers: ${MERGE_OUTPUT_CONTAINERS.join(', ')}` };
+    }
+    if (container === 'mp4' && requested.pixelFormat !== undefined && requested.pixelFormat !== 'yuv420p') {
+        return { error: 'MP4 output is always yuv420p' };
+    }
+
+    const output = {
+        container,
+        width: requested.width !== undefined ? requested.width : defaults.width,
+        height: requested.height !== undefined ? requested.height : defaults.height,
+        pixelFormat: container === 'mp4' ? 'yuv420p' : requested.pixelFormat || defaults.pixelFormat,
+        fps: requested.fps !== undefined ? requested.fps : defaults.fps
+    };
+
+    const formatError = validateRawFormat(output);
+    return formatError ? { error: formatError } : { output };
+}
+
+/**
+ * Estimate the size of a normalised merge's output before it runs. Raw output
+ * is exact; MP4 output is assumed to be no bigger than its inputs combined.
+ * @param {Object[]} videos Rows from the videos table
+ * @param {Object} output Output format from resolveMergeOutput
+ * @returns {number} Estimated size in bytes
+ */
+function estimateMergedSize(videos, output) {
+    if (output.container !== 'raw') {
+        return videos.reduce((sum, video) => sum + video.size, 0);
+    }
+
+    return videos.reduce((sum, video) => sum + getMergedFrameCount(video, output) * getFrameSize(output), 0);
+}
+
+// Frames a clip has once converted to another frame rate
+const resampleFrameCount = (frames, fps, targetFps) => Math.round(frames * targetFps / fps);
+
+/**
+ * Number of frames a video contributes to a merge once resampled to the
+ * output frame rate, before any transitions overlap it with its neighbours
+ * @param {Object} video Row from the videos table
+ * @param {Object} output Output format of the merge
+ * @returns {number} Number of frames
+ */
+function getMergedFrameCount(video, output) {
+    return resampleFrameCount(getTotalFrames(video), getVideoFormat(video).fps, output.fps);
+}
+
+// Source frame shown at each output frame when converting between frame
+// rates; frames are dropped or repeated to keep the clip's duration
+function* resampleIndices(frames, fps, targetFps) {
+    const count = resampleFrameCount(frames, fps, targetFps);
+    for (let i = 0; i < count; i++) {
+        yield Math.min(frames - 1, Math.floor(i * fps / targetFps));
+    }
+}
+
+// Frames of a source between two of its output frame numbers, converted to
+// the output format
+async function* clipFrames(source, output, from, to) {
+    for await (const frame of readFrames(source.path, source.format, source.indices.slice(from, to))) {
+        yield convertFrame(frame, source.format, output);
+    }
+}
+
+// Every output frame of the merge in order. Each clip's frames are faded
+// where a fade to black starts or ends on it, and overlapping transitions
+// blend the end of one clip with the start of the next.
+async function* joinClips(sources, transitions, output) {
+    for (const [i, source] of sources.entries()) {
+        const before = transitions[i - 1];
+        const after = transitions[i];
+        const fadeIn = before && before.type === 'fade-to-black' ? before.frames : 0;
+        const fadeOut = after && after.type === 'fade-to-black' ? after.frames : 0;
+        const start = getTransitionOverlap(before);
+        const end = source.indices.length - getTransitionOverlap(after);
+
+        let index = start;
+        for await (const frame of clipFrames(source, output, start, end)) {
+            if (index < fadeIn) {
+                yield fadeFrame(frame, index / fadeIn);
+            } else if (index >= source.indices.length - fadeOut) {
+                yield fadeFrame(frame, (source.indices.length - 1 - index) / fadeOut);
+            } else {
+                yield frame;
+            }
+            index++;
+        }
+
+        const overlap = getTransitionOverlap(after);
+        if (overlap > 0) {
+            const outgoing = clipFrames(source, output, end, source.indices.length);
+            const incoming = clipFrames(sources[i + 1], output, 0, overlap);
+            for (let t = 0; t < overlap; t++) {
+                const { value: from } = await outgoing.next();
+                const { value: to } = await incoming.next();
+                yield blendFrames(after.type, from, to, (t + 1) / (overlap + 1), output);
+            }
+            await outgoing.return();
+            await incoming.return();
+        }
+    }
+}
+
+// Convert every input to the output format frame by frame, in JavaScript for
+// raw inputs and through ffmpeg for the rest, writing one raw file
+async function mergeToRaw(inputs, output, outputPath, transitions, onProgress) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'editthat-merge-'));
+
+    try {
+        // Decode non-raw inputs first so the total frame count is known
+        const sources = [];
+        for (const [i, input] of inputs.entries()) {
+            let source = { path: input.path, format: input.format };
+            if (input.container !== 'raw') {
+                source = { path: path.join(workDir, `input-${i}.raw`), format: output };
+                await decodeToRaw(input.path, output, source.path);
+            }
+            const frames = Math.floor(fs.statSync(source.path).size / getFrameSize(source.format));
+            source.indices = Array.from(resampleIndices(frames, source.format.fps, output.fps));
+            sources.push(source);
+        }
+
+        const totalFrames = sources.reduce((sum, source) => sum + source.indices.length, 0) -
+            transitions.reduce((sum, transition) => sum + getTransitionOverlap(transition), 0);
+        await writeFrames(outputPath, joinClips(sources, transitions, output), { total: totalFrames, onProgress });
+
+        return {
+            outputPath,
+            duration: totalFrames / output.fps
+        };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+// Scale, resample and join every input with ffmpeg's concat filter,
+// encoding the result as H.264. Audio is dropped, as raw inputs have none.
+function mergeToMp4(inputs, output, outputPath, onProgress) {
+    const command = ffmpeg();
+    inputs.forEach(input => {
+        command.input(input.path);
+        if (input.container === 'raw') {
+            command.inputOptions(getRawInputOptions(input.format));
+        }
+    });
+
+    const filters = inputs.map((_, i) =>
+        `[${i}:v]scale=${output.width}:${output.height},setsar=1,fps=${output.fps},format=yuv420p[v${i}]`
+    );
+    filters.push(`${inputs.map((_, i) => `[v${i}]`).join('')}concat=n=${inputs.length}:v=1:a=0[out]`);
+
+    return new Promise((resolve, reject) => {
+        command
+            .complexFilter(filters, 'out')
+            .outputOptions(['-c:v libx264', '-pix_fmt yuv420p'])
+            .output(outputPath)
+            .on('progress', (progress) => {
+                if (progress.percent) {
+                    onProgress(progress.percent);
+                }
+            })
+            .on('end', () => resolve({
+                outputPath,
+                duration: inputs.reduce((sum, input) => sum + input.duration, 0)
+            }))
+            .on('error', async (err) => {
+                await fs.promises.rm(outputPath, { force: true });
+                reject(new Error(`Error merging videos: ${err.message}`));
+            })
+            .run();
+    });
+}
+
+/**
+ * Merge videos of any container and geometry by converting them all to one
+ * output format. Raw output may use transitions between the videos, which are
+ * blended in JavaScript and need rgb24 frames.
+ * @param {Object[]} inputs Videos to join, in order
+ * @param {string} inputs[].path Path to the video file
+ * @param {string} inputs[].container Container of the file
+ * @param {Object} inputs[].format Raw video format (geometry for non-raw inputs)
+ * @param {number} inputs[].duration Duration in seconds
+ * @param {Object} output Output format from resolveMergeOutput
+ * @param {Object} [options] Merge options
+ * @param {Object[]} [options.transitions] Transitions from resolveTransitions, one per boundary
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<Object>} Object containing output path and duration
+ */
+function mergeNormalized(inputs, output, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const transitions = options.transitions || [];
+
+    // Generate output filename
+    const outputDir = path.dirname(inputs[0].path);
+    const timestamp = Date.now();
+    const outputPath = path.join(outputDir, `merged-${timestamp}.${output.container}`);
+
+    if (output.container === 'raw') {
+        return mergeToRaw(inputs, output, outputPath, transitions, onProgress);
+    }
+    return mergeToMp4(inputs, output, outputPath, onProgress);
+}
+
+module.exports = {
+    MERGE_OUTPUT_CONTAINERS,
+    describeMergeInput,
+    findMergeProblems,
+    resolveMergeOutput,
+    estimateMergedSize,
+    getMergedFrameCount,
+    mergeNormalized
+};
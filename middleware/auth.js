@@ -1,9 +1,4 @@
-// For demonstration purposes, we'll use a static API token
-// In production, this should be stored securely (e.g., environment variables)
-const VALID_API_TOKENS = new Set([
-    'test-token-1',
-    'test-token-2'
-]);
+const { findApiKey } = require('../apiKeys');
 
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
@@ -13,14 +8,38 @@ function authenticateToken(req, res, next) {
         return res.status(401).json({ error: 'No authentication token provided' });
     }
 
-    if (!VALID_API_TOKENS.has(token)) {
+    const apiKey = findApiKey(token);
+    if (!apiKey) {
         return res.status(403).json({ error: 'Invalid authentication token' });
     }
 
+    req.user = {
+        id: apiKey.user_id,
+        name: apiKey.user_name,
+        keyId: apiKey.id,
+        scopes: apiKey.scopes.split(' ')
+    };
+
     next();
 }
 
+// Require the authenticated key to carry a scope; admin keys carry them all
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.user.scopes.includes(scope) && !req.user.scopes.includes('admin')) {
+            return res.status(403).json({ error: `API key lacks the required "${scope}" scope` });
+        }
+        next();
+    };
+}
+
+// Admin keys may act on every user's videos
+function isAdmin(req) {
+    return req.user.scopes.includes('admin');
+}
+
 module.exports = {
     authenticateToken,
-    VALID_API_TOKENS
+    requireScope,
+    isAdmin
 };
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolveTimeRange } = require('./videoProcessing');
+const { clampByte, readFrames, writeFrames } = require('./frames');
+const { decodePng } = require('./png');
+const { findMissingGlyphs, measureText, renderText } = require('./font');
+
+// Largest width or height of an overlay image
+const MAX_OVERLAY_DIMENSION = 4096;
+
+// Largest JSON body accepted by routes that take a base64 overlay image
+const MAX_OVERLAY_REQUEST_SIZE = '25mb';
+
+// Longest text overlay, in characters
+const MAX_TEXT_LENGTH = 200;
+
+// Largest text scale, in screen pixels per font pixel
+const MAX_TEXT_SIZE = 16;
+
+// Text of the watermark share links add when no overlay is specified
+const DEFAULT_WATERMARK_TEXT = 'editThat';
+
+// Parse a #RRGGBB colour into [r, g, b]
+function parseColor(color) {
+    const match = typeof color === 'string' && /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+    return match ? match.slice(1).map(hex => parseInt(hex, 16)) : null;
+}
+
+// Draw a stored overlay as an RGBA image
+async function createOverlaySprite(overlay) {
+    if (overlay.text !== undefined) {
+        return renderText(overlay.text, { size: overlay.size, color: parseColor(overlay.color) });
+    }
+    return decodePng(await fs.promises.readFile(overlay.imagePath));
+}
+
+/**
+ * Validate an overlay request against a video. Exactly one of a base64 PNG
+ * image (whose alpha channel is respected) or a text string drawn in the
+ * built-in bitmap font is composited at (x, y) with the given opacity, over
+ * the whole video or only between startTime and endTime. Overlays may hang
+ * off the edge of the frame but must cover part of it.
+ * @param {Object} params Overlay parameters from the request
+ * @param {Object} format Raw video format of the video
+ * @param {number} totalFrames Number of frames in the video
+ * @returns {Object} `{ overlay, range }`, where range is null or
+ *   `{ startFrame, endFrame }`, or `{ error }` if the request is invalid
+ */
+function resolveOverlay(params, format, totalFrames) {
+    const { image, text, x = 0, y = 0, opacity = 1 } = params;
+    let overlay;
+
+    if ((image === undefined) === (text === undefined)) {
+        return { error: 'Provide exactly one of image or text' };
+    }
+
+    if (text !== undefined) {
+        const { size = 2, color = '#FFFFFF' } = params;
+        if (typeof text !== 'string' || text.length === 0 || text.length > MAX_TEXT_LENGTH) {
+            return { error: `text must be a string of 1 to ${MAX_TEXT_LENGTH} characters` };
+        }
+        const missing = findMissingGlyphs(text);
+        if (missing.length > 0) {
+            return { error: `The overlay font has no glyphs for: ${missing.join(' ')}` };
+        }
+        if (!Number.isInteger(size) || size < 1 || size > MAX_TEXT_SIZE) {
+            return { error: `size must be a whole number from 1 to ${MAX_TEXT_SIZE}` };
+        }
+        if (!parseColor(color)) {
+            return { error: 'color must be a hex colour such as #FFFFFF' };
+        }
+        overlay = { text, size, color: color.toUpperCase(), ...measureText(text, size) };
+    } else {
+        if (typeof image !== 'string' || image.length === 0) {
+            return { error: 'image must be a base64-encoded PNG' };
+        }
+        let sprite;
+        try {
+            sprite = decodePng(Buffer.from(image, 'base64'));
+        } catch (error) {
+            return { error: `image could not be read: ${error.message}` };
+        }
+        if (sprite.width > MAX_OVERLAY_DIMENSION || sprite.height > MAX_OVERLAY_DIMENSION) {
+            return { error: `Overlay images may be at most ${MAX_OVERLAY_DIMENSION} pixels wide or high` };
+        }
+        overlay = { image, width: sprite.width, height: sprite.height };
+    }
+
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+        return { error: 'x and y must be whole numbers of pixels' };
+    }
+    if (x >= format.width || y >= format.height || x + overlay.width <= 0 || y + overlay.height <= 0) {
+        return { error: `The overlay must cover part of the ${format.width}x${format.height} frame` };
+    }
+    if (typeof opacity !== 'number' || !(opacity > 0 && opacity <= 1)) {
+        return { error: 'opacity must be a number above 0 and at most 1' };
+    }
+
+    const { range, error } = resolveTimeRange(params, totalFrames, format.fps);
+    if (error) {
+        return { error };
+    }
+
+    return { overlay: { ...overlay, x, y, opacity }, range };
+}
+
+/**
+ * Write an image overlay's PNG to a file, so the job that draws it carries a
+ * path instead of the image. Text overlays are returned unchanged.
+ * @param {Object} overlay Overlay from resolveOverlay
+ * @param {string} dir Directory to write the image to
+ * @returns {Object} The overlay, with `imagePath` in place of `image`
+ */
+function storeOverlayImage(overlay, dir) {
+    if (overlay.image === undefined) {
+        return overlay;
+    }
+
+    const { image, ...stored } = overlay;
+    fs.mkdirSync(dir, { recursive: true });
+    const imagePath = path.join(dir, `overlay-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.png`);
+    fs.writeFileSync(imagePath, Buffer.from(image, 'base64'));
+    return { ...stored, imagePath };
+}
+
+/**
+ * Overlay parameters for the default watermark: the platform name in white
+ * in the bottom-right corner, sized to the frame
+ * @param {Object} format Raw video format of the video
+ * @returns {Object} Parameters for resolveOverlay
+ */
+function getDefaultWatermark(format) {
+    const size = Math.max(1, Math.floor(format.height / 120));
+    const { width, height } = measureText(DEFAULT_WATERMARK_TEXT, size);
+    const margin = 2 * size;
+    return {
+        text: DEFAULT_WATERMARK_TEXT,
+        size,
+        color: '#FFFFFF',
+        opacity: 0.6,
+        x: Math.max(0, format.width - width - margin),
+        y: Math.max(0, format.height - height - margin)
+    };
+}
+
+// Build a function that composites an RGBA sprite onto one frame in place.
+// Colour frames blend each channel; gray frames and the yuv420p luma plane
+// blend the sprite's luma, and each yuv420p chroma sample blends the
+// sprite's chroma weighted by its alpha over the 2x2 block.
+function createCompositor(format, sprite, { x, y, opacity }) {
+    const { width, height, pixelFormat } = format;
+    const left = Math.max(0, x);
+    const top = Math.max(0, y);
+    const right = Math.min(width, x + sprite.width);
+    const bottom = Math.min(height, y + sprite.height);
+
+    // Sprite pixel covering frame pixel (fx, fy), as [r, g, b, alpha 0-1]
+    const spritePixel = (fx, fy) => {
+        const s = ((fy - y) * sprite.width + (fx - x)) * 4;
+        return [sprite.data[s], sprite.data[s + 1], sprite.data[s + 2], (sprite.data[s + 3] / 255) * opacity];
+    };
+    const blend = (under, over, alpha) => clampByte(under + (over - under) * alpha);
+    const luma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+    if (pixelFormat === 'rgb24' || pixelFormat === 'rgba') {
+        const stride = pixelFormat === 'rgba' ? 4 : 3;
+        return (frame) => {
+            for (let fy = top; fy < bottom; fy++) {
+                for (let fx = left; fx < right; fx++) {
+                    const [r, g, b, alpha] = spritePixel(fx, fy);
+                    const i = (fy * width + fx) * stride;
+                    frame[i] = blend(frame[i], r, alpha);
+                    frame[i + 1] = blend(frame[i + 1], g, alpha);
+                    frame[i + 2] = blend(frame[i + 2], b, alpha);
+                    if (stride === 4) {
+                        frame[i + 3] = blend(frame[i + 3], 255, alpha);
+                    }
+                }
+            }
+        };
+    }
+
+    const blendLuma = (frame) => {
+        for (let fy = top; fy < bottom; fy++) {
+            for (let fx = left; fx < right; fx++) {
+                const [r, g, b, alpha] = spritePixel(fx, fy);
+                const i = fy * width + fx;
+                frame[i] = blend(frame[i], luma(r, g, b), alpha);
+            }
+        }
+    };
+
+    if (pixelFormat === 'gray') {
+        return blendLuma;
+    }
+
+    const pixels = width * height;
+    const chromaWidth = width / 2;
+    return (frame) => {
+        blendLuma(frame);
+        for (let cy = top >> 1; cy < (bottom + 1) >> 1; cy++) {
+            for (let cx = left >> 1; cx < (right + 1) >> 1; cx++) {
+                let coverage = 0;
+                let u = 0;
+                let v = 0;
+                for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+                    const fx = cx * 2 + dx;
+                    const fy = cy * 2 + dy;
+                    if (fx < left || fx >= right || fy < top || fy >= bottom) {
+                        continue;
+                    }
+                    const [r, g, b, alpha] = spritePixel(fx, fy);
+                    coverage += alpha / 4;
+                    u += (alpha / 4) * (-0.168736 * r - 0.331264 * g + 0.5 * b + 128);
+                    v += (alpha / 4) * (0.5 * r - 0.418688 * g - 0.081312 * b + 128);
+                }
+                const ui = pixels + cy * chromaWidth + cx;
+                const vi = pixels + pixels / 4 + cy * chromaWidth + cx;
+                frame[ui] = clampByte(frame[ui] * (1 - coverage) + u);
+                frame[vi] = clampByte(frame[vi] * (1 - coverage) + v);
+            }
+        }
+    };
+}
+
+/**
+ * Composite an overlay onto the frames of a raw video, streaming one frame
+ * at a time into a new file next to the source
+ * @param {string} inputPath Path to the raw video file
+ * @param {Object} format Raw video format of the video
+ * @param {Object} overlay Overlay from storeOverlayImage
+ * @param {Object} [options] Overlay options
+ * @param {Object} [options.range] `{ startFrame, endFrame }` to show the
+ *   overlay in; other frames are copied unchanged
+ * @param {number} [options.totalFrames] Number of frames in the video, for progress
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<Object>} Object containing output path and duration
+ */
+async function overlayVideo(inputPath, format, overlay, options = {}) {
+    const composite = createCompositor(format, await createOverlaySprite(overlay), overlay);
+    const { startFrame = 0, endFrame = Infinity } = options.range || {};
+
+    // Generate output filename
+    const dir = path.dirname(inputPath);
+    const ext = path.extname(inputPath);
+    const basename = path.basename(inputPath, ext);
+    const outputPath = path.join(dir, `${basename}-overlay-${Date.now()}${ext}`);
+
+    async function* composited() {
+        let index = 0;
+        for await (const frame of readFrames(inputPath, format)) {
+            if (index >= startFrame && index < endFrame) {
+                composite(frame);
+            }
+            index++;
+            yield frame;
+        }
+    }
+
+    const frameCount = await writeFrames(outputPath, composited(), {
+        total: options.totalFrames,
+        onProgress: options.onProgress
+    });
+
+    return {
+        outputPath,
+        duration: frameCount / format.fps
+    };
+}
+
+module.exports = {
+    MAX_OVERLAY_DIMENSION,
+    MAX_OVERLAY_REQUEST_SIZE,
+    resolveOverlay,
+    storeOverlayImage,
+    getDefaultWatermark,
+    overlayVideo
+};
@@ -0,0 +1,226 @@
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// PNG colour types for 8-bit truecolour images, keyed by channel count
+const COLOR_TYPES = {
+    3: 2, // RGB
+    4: 6 // RGBA
+};
+
+// CRC-32 lookup table for chunk checksums
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * CRC-32 checksum, as used by PNG chunks and ZIP entries
+ * @param {Buffer} buffer Bytes to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+// Length, type, data and checksum of one chunk
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Channels per pixel of each 8-bit PNG colour type
+const CHANNELS = {
+    0: 1, // grayscale
+    2: 3, // RGB
+    3: 1, // palette index
+    4: 2, // grayscale and alpha
+    6: 4 // RGBA
+};
+
+// Predictor for the Paeth scanline filter
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Undo the filter on each scanline, returning the packed samples
+function unfilter(scanlines, stride, height, bytesPerPixel) {
+    const pixels = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = scanlines[y * (stride + 1)];
+        const line = scanlines.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = y * stride;
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? pixels[row + i - bytesPerPixel] : 0;
+            const up = y > 0 ? pixels[row - stride + i] : 0;
+            const upLeft = y > 0 && i >= bytesPerPixel ? pixels[row - stride + i - bytesPerPixel] : 0;
+            let predicted;
+            switch (filter) {
+                case 0: predicted = 0; break;
+                case 1: predicted = left; break;
+                case 2: predicted = up; break;
+                case 3: predicted = (left + up) >> 1; break;
+                case 4: predicted = paeth(left, up, upLeft); break;
+                default: throw new Error(`Unknown PNG filter type ${filter}`);
+            }
+            pixels[row + i] = (line[i] + predicted) & 0xFF;
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Decode an 8-bit, non-interlaced PNG of any colour type into RGBA pixels.
+ * Palette and grayscale images are expanded, and tRNS transparency is
+ * honoured.
+ * @param {Buffer} buffer PNG file contents
+ * @returns {Object} `{ width, height, channels: 4, data }` with packed RGBA pixels
+ * @throws {Error} If the file is not a PNG this decoder supports
+ */
+function decodePng(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const data = [];
+    let offset = 8;
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        if (offset + 12 + length > buffer.length) {
+            throw new Error(`PNG ${type} chunk is truncated`);
+        }
+        const body = buffer.subarray(offset + 8, offset + 8 + length);
+        if (crc32(buffer.subarray(offset + 4, offset + 8 + length)) !== buffer.readUInt32BE(offset + 8 + length)) {
+            throw new Error(`PNG ${type} chunk is corrupt`);
+        }
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = body;
+        } else if (type === 'tRNS') {
+            transparency = body;
+        } else if (type === 'IDAT') {
+            data.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || data.length === 0) {
+        throw new Error('PNG is missing its header or image data');
+    }
+    const { width, height, bitDepth, colorType, interlace } = header;
+    if (bitDepth !== 8 || !CHANNELS[colorType]) {
+        throw new Error('Only 8-bit PNGs are supported');
+    }
+    if (interlace !== 0) {
+        throw new Error('Interlaced PNGs are not supported');
+    }
+    if (colorType === 3 && !palette) {
+        throw new Error('Palette PNG has no palette');
+    }
+
+    const channels = CHANNELS[colorType];
+    const stride = width * channels;
+    const scanlines = zlib.inflateSync(Buffer.concat(data));
+    if (scanlines.length < (stride + 1) * height) {
+        throw new Error('PNG image data is truncated');
+    }
+    const samples = unfilter(scanlines, stride, height, channels);
+
+    // tRNS gives one transparent gray or RGB value for those colour types
+    const transparent = transparency && colorType === 0 ? [transparency.readUInt16BE(0)]
+        : transparency && colorType === 2 ? [0, 2, 4].map(i => transparency.readUInt16BE(i))
+            : null;
+
+    const rgba = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const sample = samples.subarray(i * channels, (i + 1) * channels);
+        let pixel;
+        if (colorType === 0) {
+            pixel = [sample[0], sample[0], sample[0], 255];
+        } else if (colorType === 2) {
+            pixel = [sample[0], sample[1], sample[2], 255];
+        } else if (colorType === 3) {
+            const index = sample[0];
+            pixel = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2],
+                transparency && index < transparency.length ? transparency[index] : 255];
+        } else if (colorType === 4) {
+            pixel = [sample[0], sample[0], sample[0], sample[1]];
+        } else {
+            pixel = [sample[0], sample[1], sample[2], sample[3]];
+        }
+        if (transparent && transparent.every((value, c) => value === sample[c])) {
+            pixel[3] = 0;
+        }
+        rgba.set(pixel, i * 4);
+    }
+
+    return { width, height, channels: 4, data: rgba };
+}
+
+/**
+ * Encode an 8-bit RGB or RGBA image as PNG
+ * @param {Object} image Image to encode
+ * @param {number} image.width Width in pixels
+ * @param {number} image.height Height in pixels
+ * @param {number} image.channels 3 for RGB or 4 for RGBA
+ * @param {Buffer} image.data Packed pixels, row by row
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng({ width, height, channels, data }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = COLOR_TYPES[channels];
+    // Compression, filter and interlace methods are all 0
+
+    // Every scanline starts with its filter type; 0 leaves it unfiltered
+    const stride = width * channels;
+    const scanlines = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        data.copy(scanlines, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(scanlines)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    crc32,
+    encodePng,
+    decodePng
+};
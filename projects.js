@@ -0,0 +1,193 @@
+const { getDb } = require('./db');
+const { getVideoFormat } = require('./videoProcessing');
+const { formatTimecode } = require('./timecode');
+
+/**
+ * Create an empty project
+ * @param {string} name Project name
+ * @param {number} ownerId Owning user ID
+ * @returns {number} Project ID
+ */
+function createProject(name, ownerId) {
+    return getDb().prepare(`
+        INSERT INTO projects (name, owner_id)
+        VALUES (?, ?)
+    `).run(name, ownerId).lastInsertRowid;
+}
+
+/**
+ * List a project's clips in timeline order, joined with their source videos
+ * @param {number} projectId Project ID
+ * @returns {Object[]} Clip rows with a `video` row attached
+ */
+function getClips(projectId) {
+    const db = getDb();
+    return db.prepare(`
+        SELECT * FROM project_clips
+        WHERE project_id = ?
+        ORDER BY position, id
+    `).all(projectId).map(clip => ({
+        ...clip,
+        video: db.prepare('SELECT * FROM videos WHERE id = ?').get(clip.video_id)
+    }));
+}
+
+// Rewrite positions so clips are numbered 0..n-1 in the given order
+function renumberClips(projectId, clipIds) {
+    const db = getDb();
+    const update = db.prepare('UPDATE project_clips SET position = ? WHERE id = ?');
+    clipIds.forEach((clipId, position) => update.run(position, clipId));
+    db.prepare('UPDATE projects SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(projectId);
+}
+
+// Clamp a requested position into the list, appending when none is given
+function clampPosition(position, length) {
+    if (position === undefined) return length;
+    return Math.max(0, Math.min(position, length));
+}
+
+/**
+ * Insert a clip into a project's timeline
+ * @param {number} projectId Project ID
+ * @param {Object} clip Clip to insert
+ * @param {number} clip.videoId Source video ID
+ * @param {number} clip.startFrame In point (inclusive)
+ * @param {number} clip.endFrame Out point (exclusive)
+ * @param {number} [position] Zero-based position; appends when omitted
+ * @returns {number} Clip ID
+ */
+function addClip(projectId, { videoId, startFrame, endFrame }, position) {
+    const db = getDb();
+    return db.transaction(() => {
+        const clipIds = getClips(projectId).map(clip => clip.id);
+        const clipId = db.prepare(`
+            INSERT INTO project_clips (project_id, position, video_id, start_frame, end_frame)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(projectId, clipIds.length, videoId, startFrame, endFrame).lastInsertRowid;
+
+        clipIds.splice(clampPosition(position, clipIds.length), 0, clipId);
+        renumberClips(projectId, clipIds);
+        return clipId;
+    })();
+}
+
+/**
+ * Change a clip's in/out points and/or its position in the timeline
+ * @param {number} projectId Project ID
+ * @param {number} clipId Clip ID
+ * @param {Object} changes Fields to change
+ * @param {number} [changes.startFrame] New in point
+ * @param {number} [changes.endFrame] New out point
+ * @param {number} [changes.position] New zero-based position
+ * @returns {boolean} False if the clip is not part of the project
+ */
+function updateClip(projectId, clipId, { startFrame, endFrame, position }) {
+    const db = getDb();
+    return db.transaction(() => {
+        const clipIds = getClips(projectId).map(clip => clip.id);
+        const index = clipIds.indexOf(clipId);
+        if (index === -1) return false;
+
+        if (startFrame !== undefined) {
+            db.prepare('UPDATE project_clips SET start_frame = ?, end_frame = ? WHERE id = ?')
+                .run(startFrame, endFrame, clipId);
+        }
+
+        if (position !== undefined) {
+            clipIds.splice(index, 1);
+            clipIds.splice(clampPosition(position, clipIds.length), 0, clipId);
+        }
+        renumberClips(projectId, clipIds);
+        return true;
+    })();
+}
+
+/**
+ * Remove a clip from a project's timeline
+ * @param {number} projectId Project ID
+ * @param {number} clipId Clip ID
+ * @returns {boolean} False if the clip is not part of the project
+ */
+function removeClip(projectId, clipId) {
+    const db = getDb();
+    return db.transaction(() => {
+        const result = db.prepare('DELETE FROM project_clips WHERE id = ? AND project_id = ?').run(clipId, projectId);
+        if (result.changes === 0) return false;
+
+        renumberClips(projectId, getClips(projectId).map(clip => clip.id));
+        return true;
+    })();
+}
+
+/**
+ * Delete a project and its clips. Source videos are untouched.
+ * @param {number} projectId Project ID
+ */
+function deleteProject(projectId) {
+    const db = getDb();
+    db.transaction(() => {
+        db.prepare('DELETE FROM project_clips WHERE project_id = ?').run(projectId);
+        db.prepare('DELETE FROM projects WHERE id = ?').run(projectId);
+    })();
+}
+
+/**
+ * Remove every clip that uses a video, for when the video itself is deleted
+ * @param {number} videoId Video ID
+ */
+function removeClipsForVideo(videoId) {
+    const db = getDb();
+    const projectIds = db.prepare('SELECT DISTINCT project_id FROM project_clips WHERE video_id = ?')
+        .all(videoId)
+        .map(row => row.project_id);
+
+    db.prepare('DELETE FROM project_clips WHERE video_id = ?').run(videoId);
+    projectIds.forEach(projectId => {
+        renumberClips(projectId, getClips(projectId).map(clip => clip.id));
+    });
+}
+
+/**
+ * API representation of a project, including the duration the render would have
+ * @param {Object} project Row from the projects table
+ * @returns {Object} Project with its clips and total frame count and duration
+ */
+function serializeProject(project) {
+    const clips = getClips(project.id).map(clip => {
+        const { fps } = getVideoFormat(clip.video);
+        const frameCount = clip.end_frame - clip.start_frame;
+        return {
+            id: clip.id,
+            position: clip.position,
+            videoId: clip.video_id,
+            filename: clip.video.filename,
+            startFrame: clip.start_frame,
+            endFrame: clip.end_frame,
+            startTimecode: formatTimecode(clip.start_frame, fps),
+            endTimecode: formatTimecode(clip.end_frame, fps),
+            frameCount,
+            duration: frameCount / fps
+        };
+    });
+
+    return {
+        id: project.id,
+        name: project.name,
+        createdAt: project.created_at,
+        updatedAt: project.updated_at,
+        clips,
+        frameCount: clips.reduce((sum, clip) => sum + clip.frameCount, 0),
+        duration: clips.reduce((sum, clip) => sum + clip.duration, 0)
+    };
+}
+
+module.exports = {
+    createProject,
+    getClips,
+    addClip,
+    updateClip,
+    removeClip,
+    deleteProject,
+    removeClipsForVideo,
+    serializeProject
+};
@@ -0,0 +1,143 @@
+const { getDb } = require('./db');
+const { JOB_STATES } = require('./jobQueue');
+const { getTotalFrames, getVideoFormat } = require('./videoProcessing');
+
+/**
+ * Limits that apply to a user: their own where an admin has set one,
+ * otherwise the configured defaults
+ * @param {number} userId User ID
+ * @param {Object} config App configuration
+ * @returns {Object} `{ bytes, minutes }`, either null when unlimited
+ */
+function getQuota(userId, config) {
+    const user = getDb().prepare('SELECT quota_bytes, quota_minutes FROM users WHERE id = ?').get(userId) || {};
+    return {
+        bytes: user.quota_bytes ?? config.defaultQuotaBytes,
+        minutes: user.quota_minutes ?? config.defaultQuotaMinutes
+    };
+}
+
+/**
+ * Set or clear a user's own limits
+ * @param {number} userId User ID
+ * @param {Object} quota Limits to set; null falls back to the configured default
+ * @param {number|null} [quota.bytes] Total bytes of video
+ * @param {number|null} [quota.minutes] Total minutes of video
+ */
+function setQuota(userId, { bytes, minutes }) {
+    const db = getDb();
+    if (bytes !== undefined) {
+        db.prepare('UPDATE users SET quota_bytes = ? WHERE id = ?').run(bytes, userId);
+    }
+    if (minutes !== undefined) {
+        db.prepare('UPDATE users SET quota_minutes = ? WHERE id = ?').run(minutes, userId);
+    }
+}
+
+/**
+ * Storage a user's videos currently take up, and the storage held for the
+ * output of their jobs that haven't finished yet
+ * @param {number} userId User ID
+ * @returns {Object} `{ videoCount, bytes, minutes, reserved: { bytes, minutes } }`
+ */
+function getUsage(userId) {
+    const db = getDb();
+    const usage = db.prepare(`
+        SELECT COUNT(*) AS videoCount, COALESCE(SUM(size), 0) AS bytes, COALESCE(SUM(duration), 0) AS seconds
+        FROM videos
+        WHERE owner_id = ?
+    `).get(userId);
+    const reserved = db.prepare(`
+        SELECT COALESCE(SUM(reserved_bytes), 0) AS bytes, COALESCE(SUM(reserved_minutes), 0) AS minutes
+        FROM jobs
+        WHERE owner_id = ? AND state IN (?, ?)
+    `).get(userId, JOB_STATES.QUEUED, JOB_STATES.RUNNING);
+
+    return { videoCount: usage.videoCount, bytes: usage.bytes, minutes: usage.seconds / 60, reserved };
+}
+
+// Used, reserved, limit and remaining for one quota dimension
+const describeLimit = (used, reserved, limit) => ({
+    used,
+    reserved,
+    limit,
+    remaining: limit === null ? null : Math.max(0, limit - used - reserved)
+});
+
+/**
+ * A user's usage against their quota, as reported by GET /usage
+ * @param {number} userId User ID
+ * @param {Object} config App configuration
+ * @returns {Object} Video count plus used, limit and remaining bytes and minutes
+ */
+function describeUsage(userId, config) {
+    const usage = getUsage(userId);
+    const quota = getQuota(userId, config);
+
+    return {
+        userId,
+        videoCount: usage.videoCount,
+        bytes: describeLimit(usage.bytes, usage.reserved.bytes, quota.bytes),
+        minutes: describeLimit(usage.minutes, usage.reserved.minutes, quota.minutes)
+    };
+}
+
+/**
+ * Size and length of the output a frame range of a video would produce.
+ * Exact for raw video, proportional to the source for other containers.
+ * @param {Object} video Row from the videos table
+ * @param {number} startFrame First frame, inclusive
+ * @param {number} endFrame Last frame, exclusive
+ * @returns {Object} `{ bytes, minutes }`
+ */
+function estimateRangeUsage(video, startFrame, endFrame) {
+    const totalFrames = getTotalFrames(video);
+    const frameCount = endFrame - startFrame;
+    return {
+        bytes: totalFrames > 0 ? Math.ceil(video.size * frameCount / totalFrames) : 0,
+        minutes: frameCount / getVideoFormat(video).fps / 60
+    };
+}
+
+/**
+ * Check whether a user has room for new video
+ * @param {number} userId User ID
+ * @param {Object} config App configuration
+ * @param {Object} requested Storage the new video needs
+ * @param {number} requested.bytes Bytes
+ * @param {number} [requested.minutes] Minutes
+ * @returns {Object|null} Response body for a 413 if it doesn't fit, with
+ *   `code` 'QUOTA_EXCEEDED' and the `requested` and `remaining` allowance,
+ *   or null if it fits
+ */
+function checkQuota(userId, config, { bytes, minutes = 0 }) {
+    const { bytes: bytesLimit, minutes: minutesLimit } = describeUsage(userId, config);
+
+    const problems = [];
+    if (bytesLimit.limit !== null && bytes > bytesLimit.remaining) {
+        problems.push(`${bytes} bytes needed, ${bytesLimit.remaining} remaining`);
+    }
+    if (minutesLimit.limit !== null && minutes > minutesLimit.remaining) {
+        problems.push(`${minutes.toFixed(2)} minutes needed, ${minutesLimit.remaining.toFixed(2)} remaining`);
+    }
+
+    if (problems.length === 0) {
+        return null;
+    }
+
+    return {
+        error: `Storage quota exceeded: ${problems.join('; ')}`,
+        code: 'QUOTA_EXCEEDED',
+        requested: { bytes, minutes },
+        remaining: { bytes: bytesLimit.remaining, minutes: minutesLimit.remaining }
+    };
+}
+
+module.exports = {
+    getQuota,
+    setQuota,
+    getUsage,
+    describeUsage,
+    estimateRangeUsage,
+    checkQuota
+};
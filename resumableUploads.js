@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getDb } = require('./db');
+
+const TUS_VERSION = '1.0.0';
+
+// Session IDs with a chunk being written, so two requests can't append at once
+const activeSessions = new Set();
+
+// Directory holding partial uploads, created if missing
+function getPartialUploadDir(config) {
+    fs.mkdirSync(config.partialUploadDir, { recursive: true });
+    return config.partialUploadDir;
+}
+
+// How long an upload session may sit idle before it is garbage-collected, in milliseconds
+function getSessionTtl(config) {
+    return config.resumableUploadTtlHours * 60 * 60 * 1000;
+}
+
+/**
+ * Parse a tus Upload-Metadata header: comma-separated `key base64value` pairs
+ * @param {string} [header] Header value
+ * @returns {Object|null} Decoded metadata, or null if the header is malformed
+ */
+function parseUploadMetadata(header) {
+    const metadata = {};
+    if (!header) {
+        return metadata;
+    }
+
+    for (const pair of header.split(',')) {
+        const [key, value = '', ...rest] = pair.trim().split(' ');
+        if (!key || rest.length > 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+            return null;
+        }
+        metadata[key] = Buffer.from(value, 'base64').toString();
+    }
+    return metadata;
+}
+
+/**
+ * Start an upload session with an empty partial file
+ * @param {number} ownerId Uploading user ID
+ * @param {number} uploadLength Total size of the file in bytes
+ * @param {Object} metadata Decoded Upload-Metadata
+ * @param {Object} config Configuration from loadConfig
+ * @returns {Object} Row from the upload_sessions table
+ */
+function createUploadSession(ownerId, uploadLength, metadata, config) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const filepath = path.join(getPartialUploadDir(config), `${id}.part`);
+    fs.writeFileSync(filepath, Buffer.alloc(0));
+
+    const db = getDb();
+    db.prepare(`
+        INSERT INTO upload_sessions (id, owner_id, upload_length, metadata, filepath)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(id, ownerId, uploadLength, JSON.stringify(metadata), filepath);
+
+    return getUploadSession(id);
+}
+
+/**
+ * Look up an upload session
+ * @param {string} id Session ID
+ * @returns {Object|undefined} Row from the upload_sessions table with `metadata` parsed
+ */
+function getUploadSession(id) {
+    const session = getDb().prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id);
+    return session && { ...session, metadata: JSON.parse(session.metadata) };
+}
+
+/**
+ * When an idle session will be garbage-collected
+ * @param {Object} session Row from getUploadSession
+ * @param {Object} config Configuration from loadConfig
+ * @returns {Date} Expiry time
+ */
+function getSessionExpiry(session, config) {
+    return new Date(new Date(`${session.updated_at}Z`).getTime() + getSessionTtl(config));
+}
+
+/**
+ * Append a chunk to a session's partial file. Bytes received before a
+ * client disconnects are kept, so the upload can resume from them.
+ * @param {Object} session Row from getUploadSession
+ * @param {Readable} input Chunk body
+ * @returns {Promise<number>} New upload offset
+ * @throws {Error} With `code` 'UPLOAD_BUSY' if another chunk is being written,
+ *   or 'UPLOAD_TOO_LARGE' if the chunk runs past the declared length
+ */
+async function appendChunk(session, input) {
+    if (activeSessions.has(session.id)) {
+        throw Object.assign(new Error('Another chunk is already being written to this upload'), { code: 'UPLOAD_BUSY' });
+    }
+    activeSessions.add(session.id);
+
+    const remaining = session.upload_length - session.upload_offset;
+    let received = 0;
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > remaining) {
+                callback(Object.assign(new Error('Chunk exceeds the declared upload length'), { code: 'UPLOAD_TOO_LARGE' }));
+                return;
+            }
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        await pipeline(input, limit, fs.createWriteStream(session.filepath, { flags: 'a' }));
+    } finally {
+        // Whatever made it to disk counts, up to the declared length
+        const size = Math.min(fs.statSync(session.filepath).size, session.upload_length);
+        fs.truncateSync(session.filepath, size);
+        getDb().prepare(`
+            UPDATE upload_sessions
+            SET upload_offset = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(size, session.id);
+        activeSessions.delete(session.id);
+    }
+
+    return getUploadSession(session.id).upload_offset;
+}
+
+/**
+ * Delete a session record. The partial file is removed unless it has
+ * already been moved into place.
+ * @param {Object} session Row from getUploadSession
+ */
+function deleteUploadSession(session) {
+    getDb().prepare('DELETE FROM upload_sessions WHERE id = ?').run(session.id);
+    fs.rmSync(session.filepath, { force: true });
+}
+
+/**
+ * Remove sessions that have been idle for longer than the TTL, along with
+ * their partial files
+ * @param {Object} config Configuration from loadConfig
+ * @returns {number} Number of sessions removed
+ */
+function cleanupExpiredUploads(config) {
+    const cutoff = new Date(Date.now() - getSessionTtl(config)).toISOString().replace('T', ' ').slice(0, 19);
+    const expired = getDb().prepare(`
+        SELECT * FROM upload_sessions
+        WHERE updated_at < ?
+    `).all(cutoff);
+
+    const idle = expired.filter(session => !activeSessions.has(session.id));
+    idle.forEach(deleteUploadSession);
+
+    return idle.length;
+}
+
+module.exports = {
+    TUS_VERSION,
+    parseUploadMetadata,
+    createUploadSession,
+    getUploadSession,
+    getSessionExpiry,
+    appendChunk,
+    deleteUploadSession,
+    cleanupExpiredUploads
+};
@@ -0,0 +1,115 @@
+const path = require('path');
+const { readFrames, writeFrames } = require('./frames');
+
+// Slowest and fastest speed factors accepted
+const MIN_SPEED_FACTOR = 0.1;
+const MAX_SPEED_FACTOR = 16;
+
+/**
+ * Number of frames a video has after a speed change. The frame rate is
+ * kept, so the duration is divided by the factor; at least one frame
+ * always remains.
+ * @param {number} totalFrames Number of frames in the source
+ * @param {number} factor Speed factor; above 1 is faster
+ * @returns {number} Number of output frames
+ */
+function getSpeedFrameCount(totalFrames, factor) {
+    return Math.max(1, Math.round(totalFrames / factor));
+}
+
+/**
+ * Validate a speed change request
+ * @param {Object} params Speed parameters from the request
+ * @param {number} params.factor Speed factor, e.g. 0.5 for half speed or 4 for a 4x timelapse
+ * @returns {Object} `{ factor }`, or `{ error }` if the request is invalid
+ */
+function resolveSpeed(params) {
+    const { factor } = params;
+    if (typeof factor !== 'number' || !(factor >= MIN_SPEED_FACTOR && factor <= MAX_SPEED_FACTOR)) {
+        return { error: `factor must be a number from ${MIN_SPEED_FACTOR} to ${MAX_SPEED_FACTOR}` };
+    }
+    if (factor === 1) {
+        return { error: 'A factor of 1 would leave the video unchanged' };
+    }
+    return { factor };
+}
+
+// Source frame shown at each output frame: later frames are skipped when
+// speeding up and repeated when slowing down
+function* speedIndices(totalFrames, factor) {
+    const frameCount = getSpeedFrameCount(totalFrames, factor);
+    for (let i = 0; i < frameCount; i++) {
+        yield Math.min(totalFrames - 1, Math.floor(i * factor));
+    }
+}
+
+// Source frames from last to first
+function* reverseIndices(totalFrames) {
+    for (let i = totalFrames - 1; i >= 0; i--) {
+        yield i;
+    }
+}
+
+// Write the given source frames, in order, to a new file next to the source
+async function writeRetimed(inputPath, format, suffix, indices, frameCount, onProgress) {
+    // Generate output filename
+    const dir = path.dirname(inputPath);
+    const ext = path.extname(inputPath);
+    const basename = path.basename(inputPath, ext);
+    const outputPath = path.join(dir, `${basename}-${suffix}-${Date.now()}${ext}`);
+
+    const written = await writeFrames(outputPath, readFrames(inputPath, format, indices), {
+        total: frameCount,
+        onProgress
+    });
+
+    return {
+        outputPath,
+        duration: written / format.fps
+    };
+}
+
+/**
+ * Speed up or slow down a raw video by dropping or repeating frames,
+ * streaming one frame at a time into a new file next to the source
+ * @param {string} inputPath Path to the raw video file
+ * @param {Object} format Raw video format of the video
+ * @param {number} totalFrames Number of frames in the video
+ * @param {number} factor Speed factor from resolveSpeed
+ * @param {Object} [options] Speed options
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<Object>} Object containing output path and duration
+ */
+function changeSpeed(inputPath, format, totalFrames, factor, options = {}) {
+    return writeRetimed(
+        inputPath,
+        format,
+        'speed',
+        speedIndices(totalFrames, factor),
+        getSpeedFrameCount(totalFrames, factor),
+        options.onProgress
+    );
+}
+
+/**
+ * Reverse a raw video, seeking to each frame's byte range from last to
+ * first and streaming them into a new file next to the source
+ * @param {string} inputPath Path to the raw video file
+ * @param {Object} format Raw video format of the video
+ * @param {number} totalFrames Number of frames in the video
+ * @param {Object} [options] Reverse options
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<Object>} Object containing output path and duration
+ */
+function reverseVideo(inputPath, format, totalFrames, options = {}) {
+    return writeRetimed(inputPath, format, 'reversed', reverseIndices(totalFrames), totalFrames, options.onProgress);
+}
+
+module.exports = {
+    MIN_SPEED_FACTOR,
+    MAX_SPEED_FACTOR,
+    getSpeedFrameCount,
+    resolveSpeed,
+    changeSpeed,
+    reverseVideo
+};
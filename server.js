@@ -1,7 +0,0 @@
-const app = require('./app');
-const port = process.env.PORT || 3000;
-
-app.listen(port, () => {
-    console.log(`Server is running on port ${port}`);
-    console.log(`Swagger documentation available at http://localhost:${port}/api-docs`);
-});
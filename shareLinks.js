@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { getDb } = require('./db');
+const { isSignedToken } = require('./shareTokens');
+
+// How long after a view is counted its token may continue it with range
+// requests, for seeking and buffering
+const VIEW_WINDOW_HOURS = 4;
+
+/**
+ * Look up a share link by token, whatever its state
+ * @param {string} token Share token
+ * @returns {Object|undefined} Row from the share_links table
+ */
+function getShareLink(token) {
+    return getDb().prepare(`
+        SELECT *, datetime(expiry_timestamp) <= datetime('now') AS expired
+        FROM share_links
+        WHERE token = ?
+    `).get(token);
+}
+
+/**
+ * List every share link of a video, newest first
+ * @param {number} videoId Video ID
+ * @returns {Object[]} Rows from the share_links table
+ */
+function getShareLinksForVideo(videoId) {
+    return getDb().prepare(`
+        SELECT *, datetime(expiry_timestamp) <= datetime('now') AS expired
+        FROM share_links
+        WHERE video_id = ?
+        ORDER BY id DESC
+    `).all(videoId);
+}
+
+/**
+ * Describe why a share link can't be used
+ * @param {Object} shareLink Row from getShareLink or getShareLinksForVideo
+ * @returns {string|null} 'revoked', 'expired' or 'exhausted', or null if the link is usable
+ */
+function getShareLinkProblem(shareLink) {
+    if (shareLink.revoked_at) return 'revoked';
+    if (shareLink.expired) return 'expired';
+    if (shareLink.max_views !== null && shareLink.view_count >= shareLink.max_views) return 'exhausted';
+    return null;
+}
+
+/**
+ * Count a view against a share link, atomically respecting its view limit
+ * @param {number} shareLinkId Share link ID
+ * @returns {string|null} Token that continues the new view, or null if the
+ *   link has no views left
+ */
+function consumeView(shareLinkId) {
+    const db = getDb();
+    return db.transaction(() => {
+        const counted = db.prepare(`
+            UPDATE share_links
+            SET view_count = view_count + 1
+            WHERE id = ? AND (max_views IS NULL OR view_count < max_views)
+        `).run(shareLinkId).changes > 0;
+        if (!counted) {
+            return null;
+        }
+
+        // Views that can no longer be continued aren't needed
+        db.prepare(`
+            DELETE FROM share_views
+            WHERE share_link_id = ? AND started_at <= datetime('now', ?)
+        `).run(shareLinkId, `-${VIEW_WINDOW_HOURS} hours`);
+
+        const token = crypto.randomBytes(16).toString('base64url');
+        db.prepare('INSERT INTO share_views (share_link_id, token) VALUES (?, ?)').run(shareLinkId, token);
+        return token;
+    })();
+}
+
+/**
+ * Whether a view token belongs to a view of a share link that may still be
+ * continued
+ * @param {number} shareLinkId Share link ID
+ * @param {string} token View token from consumeView
+ * @returns {boolean} True if the view is open
+ */
+function isViewOpen(shareLinkId, token) {
+    return Boolean(getDb().prepare(`
+        SELECT 1 FROM share_views
+        WHERE share_link_id = ? AND token = ? AND started_at > datetime('now', ?)
+    `).get(shareLinkId, token, `-${VIEW_WINDOW_HOURS} hours`));
+}
+
+/**
+ * Log a request served through a share link
+ * @param {number} shareLinkId Share link ID
+ * @param {Object} access Details of the request
+ * @param {string} access.ip Client IP address
+ * @param {number} access.statusCode HTTP status sent
+ * @param {number} access.bytesServed Body bytes written
+ */
+function recordAccess(shareLinkId, { ip, statusCode, bytesServed }) {
+    getDb().prepare(`
+        INSERT INTO share_accesses (share_link_id, ip, status_code, bytes_served)
+        VALUES (?, ?, ?, ?)
+    `).run(shareLinkId, ip, statusCode, bytesServed);
+}
+
+/**
+ * List the logged accesses of a share link, newest first
+ * @param {number} shareLinkId Share link ID
+ * @returns {Object[]} Accesses
+ */
+function getAccesses(shareLinkId) {
+    return getDb().prepare(`
+        SELECT * FROM share_accesses
+        WHERE share_link_id = ?
+        ORDER BY id DESC
+    `).all(shareLinkId).map(access => ({
+        accessedAt: access.accessed_at,
+        ip: access.ip,
+        statusCode: access.status_code,
+        bytesServed: access.bytes_served
+    }));
+}
+
+/**
+ * Delete every share link of a video along with their views and access logs
+ * @param {number} videoId Video ID
+ */
+function deleteShareLinksForVideo(videoId) {
+    const db = getDb();
+    db.prepare(`
+        DELETE FROM share_accesses
+        WHERE share_link_id IN (SELECT id FROM share_links WHERE video_id = ?)
+    `).run(videoId);
+    db.prepare(`
+        DELETE FROM share_views
+        WHERE share_link_id IN (SELECT id FROM share_links WHERE video_id = ?)
+    `).run(videoId);
+    db.prepare('DELETE FROM share_links WHERE video_id = ?').run(videoId);
+}
+
+/**
+ * API representation of a share link
+ * @param {Object} shareLink Row from getShareLink or getShareLinksForVideo
+ * @returns {Object} Share link details
+ */
+function serializeShareLink(shareLink) {
+    return {
+        token: shareLink.token,
+        shareUrl: `/videos/share/${shareLink.token}`,
+        videoId: shareLink.video_id,
+        expiryTimestamp: shareLink.expiry_timestamp,
+        maxViews: shareLink.max_views,
+        viewCount: shareLink.view_count,
+        remainingViews: shareLink.max_views === null
+            ? null
+            : Math.max(0, shareLink.max_views - shareLink.view_count),
+        createdAt: shareLink.created_at,
+        revokedAt: shareLink.revoked_at,
+        signed: isSignedToken(shareLink.token),
+        passwordProtected: shareLink.password_hash !== null,
+        watermarked: shareLink.watermark_job_id !== null,
+        watermarkJobId: shareLink.watermark_job_id,
+        status: getShareLinkProblem(shareLink) || 'active'
+    };
+}
+
+module.exports = {
+    getShareLink,
+    getShareLinksForVideo,
+    getShareLinkProblem,
+    VIEW_WINDOW_HOURS,
+    consumeView,
+    isViewOpen,
+    recordAccess,
+    getAccesses,
+    deleteShareLinksForVideo,
+    serializeShareLink
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// Salt and derived key sizes for hashing share link passwords with scrypt
+const PASSWORD_KEY_LENGTH = 32;
+const PASSWORD_SALT_BYTES = 16;
+
+/**
+ * Generate an unguessable random share token
+ * @returns {string} URL-safe token
+ */
+function generateShareToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Whether signed share tokens can be issued and checked on this server
+ * @param {Object} config Configuration from loadConfig
+ * @returns {boolean} True if shareTokenSecret (SHARE_TOKEN_SECRET) is set
+ */
+function isSigningEnabled(config) {
+    return config.shareTokenSecret !== null;
+}
+
+/**
+ * Create a self-validating token that embeds the video ID and expiry and is
+ * signed with HMAC-SHA256, so it can be checked without a database lookup
+ * @param {number} videoId Shared video ID
+ * @param {Date} expiresAt When the token stops being valid
+ * @param {Object} config Configuration from loadConfig, with shareTokenSecret set
+ * @returns {string} Token in `<payload>.<signature>` form
+ */
+function createSignedToken(videoId, expiresAt, config) {
+    const payload = Buffer.from(JSON.stringify({
+        v: videoId,
+        e: Math.floor(expiresAt.getTime() / 1000),
+        n: crypto.randomBytes(8).toString('base64url')
+    })).toString('base64url');
+
+    return `${payload}.${sign(payload, config.shareTokenSecret)}`;
+}
+
+/**
+ * Whether a token is in the signed form. Random tokens never contain a '.'.
+ * @param {string} token Share token
+ * @returns {boolean} True for signed tokens
+ */
+function isSignedToken(token) {
+    return token.includes('.');
+}
+
+/**
+ * Check a signed token's signature and expiry
+ * @param {string} token Signed share token
+ * @param {Object} config Configuration from loadConfig
+ * @returns {Object|null} `{ videoId, expiresAt }`, or null if the token is
+ *   malformed, tampered with, expired or signing is disabled
+ */
+function verifySignedToken(token, config) {
+    const secret = config.shareTokenSecret;
+    const [payload, signature, ...rest] = token.split('.');
+    if (!secret || !payload || !signature || rest.length > 0) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+
+    if (!Number.isInteger(claims.v) || !Number.isInteger(claims.e) || claims.e * 1000 <= Date.now()) {
+        return null;
+    }
+
+    return { videoId: claims.v, expiresAt: new Date(claims.e * 1000) };
+}
+
+/**
+ * Hash a share link password for storage
+ * @param {string} password Plain-text password
+ * @returns {string} `scrypt$<salt>$<hash>`, both hex-encoded
+ */
+function hashSharePassword(password) {
+    const salt = crypto.randomBytes(PASSWORD_SALT_BYTES);
+    const hash = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password Plain-text password
+ * @param {string} passwordHash Value from hashSharePassword
+ * @returns {boolean} True if the password matches
+ */
+function verifySharePassword(password, passwordHash) {
+    const [scheme, salt, hash] = passwordHash.split('$');
+    if (scheme !== 'scrypt' || typeof password !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Value of the cookie that remembers a correct password for one link. It is
+ * derived from the stored hash, so it can't be forged without database access
+ * and stops working when the password changes.
+ * @param {string} token Share token
+ * @param {string} passwordHash Stored password hash
+ * @returns {string} Cookie value
+ */
+function getPasswordCookieValue(token, passwordHash) {
+    return crypto.createHmac('sha256', passwordHash).update(token).digest('base64url');
+}
+
+module.exports = {
+    generateShareToken,
+    isSigningEnabled,
+    createSignedToken,
+    isSignedToken,
+    verifySignedToken,
+    hashSharePassword,
+    verifySharePassword,
+    getPasswordCookieValue
+};
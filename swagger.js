@@ -19,7 +19,7 @@ const options = {
                 bearerAuth: {
                     type: 'http',
                     scheme: 'bearer',
-                    bearerFormat: 'JWT',
+                    description: 'API key issued through POST /users/{id}/api-keys or createApiKey.js',
                 },
             },
             schemas: {
@@ -30,6 +30,10 @@ const options = {
                             type: 'string',
                             description: 'Error message',
                         },
+                        code: {
+                            type: 'string',
+                            description: 'Machine-readable reason, where one applies (e.g. CONTENT_MISMATCH, FILE_TOO_LARGE, DURATION_TOO_LONG, QUOTA_EXCEEDED)',
+                        },
                     },
                 },
                 Video: {
@@ -47,20 +51,613 @@ const options = {
                             type: 'number',
                             description: 'Duration of the video in seconds',
                         },
+                        width: {
+                            type: 'integer',
+                            description: 'Frame width in pixels',
+                        },
+                        height: {
+                            type: 'integer',
+                            description: 'Frame height in pixels',
+                        },
+                        pixelFormat: {
+                            type: 'string',
+                            description: 'Pixel format of raw frames (rgb24, rgba, yuv420p or gray)',
+                        },
+                        fps: {
+                            type: 'number',
+                            description: 'Frames per second',
+                        },
+                        container: {
+                            type: 'string',
+                            description: 'Container detected from the file content (raw, mp4 or mov)',
+                        },
+                        codec: {
+                            type: 'string',
+                            description: 'Video codec, rawvideo for raw files',
+                        },
+                        size: {
+                            type: 'integer',
+                            description: 'File size in bytes',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            description: 'When the video was added',
+                        },
+                    },
+                },
+                Pagination: {
+                    type: 'object',
+                    properties: {
+                        page: {
+                            type: 'integer',
+                            description: 'Current page number',
+                        },
+                        limit: {
+                            type: 'integer',
+                            description: 'Items per page',
+                        },
+                        total: {
+                            type: 'integer',
+                            description: 'Total number of matching items',
+                        },
+                        totalPages: {
+                            type: 'integer',
+                            description: 'Total number of pages',
+                        },
+                    },
+                },
+                JobAccepted: {
+                    type: 'object',
+                    properties: {
+                        jobId: {
+                            type: 'integer',
+                            description: 'Job ID',
+                        },
+                        state: {
+                            type: 'string',
+                            description: 'Initial job state',
+                        },
+                        statusUrl: {
+                            type: 'string',
+                            description: 'URL to poll for job status',
+                        },
+                    },
+                },
+                FrameRange: {
+                    type: 'object',
+                    description: 'Frames kept by a trim; endFrame is exclusive',
+                    properties: {
+                        startFrame: {
+                            type: 'integer',
+                            description: 'First frame kept',
+                        },
+                        endFrame: {
+                            type: 'integer',
+                            description: 'Frame after the last one kept',
+                        },
+                        frameCount: {
+                            type: 'integer',
+                            description: 'Number of frames kept',
+                        },
+                        duration: {
+                            type: 'number',
+                            description: 'Duration of the kept range in seconds',
+                        },
+                    },
+                },
+                FrameSegment: {
+                    type: 'object',
+                    description: 'A run of frames found by analysis; endFrame and end are exclusive',
+                    properties: {
+                        startFrame: {
+                            type: 'integer',
+                        },
+                        endFrame: {
+                            type: 'integer',
+                        },
+                        start: {
+                            type: 'number',
+                            description: 'Start time in seconds',
+                        },
+                        end: {
+                            type: 'number',
+                            description: 'End time in seconds',
+                        },
+                        duration: {
+                            type: 'number',
+                            description: 'Length in seconds',
+                        },
+                    },
+                },
+                VideoAnalysis: {
+                    type: 'object',
+                    properties: {
+                        videoId: {
+                            type: 'integer',
+                        },
+                        settings: {
+                            type: 'object',
+                            properties: {
+                                sceneThreshold: {
+                                    type: 'number',
+                                },
+                            },
+                        },
+                        fps: {
+                            type: 'number',
+                        },
+                        frameCount: {
+                            type: 'integer',
+                            description: 'Number of frames scanned',
+                        },
+                        sceneChanges: {
+                            type: 'array',
+                            description: 'Frames that differ from the one before by at least sceneThreshold',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    frame: {
+                                        type: 'integer',
+                                        description: 'First frame of the new scene',
+                                    },
+                                    time: {
+                                        type: 'number',
+                                        description: 'Time of that frame in seconds',
+                                    },
+                                    score: {
+                                        type: 'number',
+                                        description: 'Mean luma difference from the previous frame, from 0 to 1',
+                                    },
+                                },
+                            },
+                        },
+                        blackSegments: {
+                            type: 'array',
+                            description: 'Runs of frames where at least 98% of pixels are at most 10% luma',
+                            items: {
+                                $ref: '#/components/schemas/FrameSegment',
+                            },
+                        },
+                        stillSegments: {
+                            type: 'array',
+                            description: 'Runs of at least half a second where frames barely change',
+                            items: {
+                                $ref: '#/components/schemas/FrameSegment',
+                            },
+                        },
+                        analyzedAt: {
+                            type: 'string',
+                            description: 'When the analysis finished',
+                        },
+                    },
+                },
+                Job: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Job ID',
+                        },
+                        type: {
+                            type: 'string',
+                            enum: ['trim', 'merge'],
+                            description: 'Kind of work the job performs',
+                        },
+                        state: {
+                            type: 'string',
+                            enum: ['queued', 'running', 'succeeded', 'failed'],
+                            description: 'Current job state',
+                        },
+                        progress: {
+                            type: 'integer',
+                            description: 'Percentage complete (0-100)',
+                        },
+                        error: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Failure reason when state is failed',
+                        },
+                        resultVideoId: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'ID of the produced video once the job succeeds',
+                        },
+                        resultVideoIds: {
+                            type: 'array',
+                            nullable: true,
+                            items: { type: 'integer' },
+                            description: 'IDs of the produced videos, in order, for jobs that produce several, such as split',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            description: 'When the job was queued',
+                        },
+                        startedAt: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'When the job started running',
+                        },
+                        finishedAt: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'When the job succeeded or failed',
+                        },
+                    },
+                },
+                LineageNode: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Video ID',
+                        },
+                        filename: {
+                            type: 'string',
+                            description: 'Name of the video file',
+                        },
+                        duration: {
+                            type: 'number',
+                            description: 'Duration of the video in seconds',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            description: 'When the video was added',
+                        },
+                        deleted: {
+                            type: 'boolean',
+                            description: 'Present when the source video has since been deleted',
+                        },
+                        operation: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Operation that produced the video; null for uploads',
+                        },
+                        params: {
+                            type: 'object',
+                            nullable: true,
+                            description: 'Parameters of the operation',
+                        },
+                        sources: {
+                            type: 'array',
+                            items: {
+                                $ref: '#/components/schemas/LineageNode',
+                            },
+                            description: 'Parent videos, in the order they were used',
+                        },
+                    },
+                },
+                Derivative: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Video ID',
+                        },
+                        filename: {
+                            type: 'string',
+                            description: 'Name of the video file',
+                        },
+                        duration: {
+                            type: 'number',
+                            description: 'Duration of the video in seconds',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            description: 'When the video was added',
+                        },
+                        operation: {
+                            type: 'string',
+                            description: 'Operation that produced the video',
+                        },
+                        depth: {
+                            type: 'integer',
+                            description: 'Number of edits between the source and this video',
+                        },
+                    },
+                },
+                ProjectClip: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Clip ID',
+                        },
+                        position: {
+                            type: 'integer',
+                            description: 'Zero-based position in the timeline',
+                        },
+                        videoId: {
+                            type: 'integer',
+                            description: 'Source video ID',
+                        },
+                        filename: {
+                            type: 'string',
+                            description: 'Name of the source video file',
+                        },
+                        startFrame: {
+                            type: 'integer',
+                            description: 'In point (inclusive)',
+                        },
+                        endFrame: {
+                            type: 'integer',
+                            description: 'Out point (exclusive)',
+                        },
+                        startTimecode: {
+                            type: 'string',
+                            description: 'In point as HH:MM:SS:FF',
+                        },
+                        endTimecode: {
+                            type: 'string',
+                            description: 'Out point as HH:MM:SS:FF',
+                        },
+                        frameCount: {
+                            type: 'integer',
+                            description: 'Number of frames in the clip',
+                        },
+                        duration: {
+                            type: 'number',
+                            description: 'Clip duration in seconds',
+                        },
+                    },
+                },
+                Project: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Project ID',
+                        },
+                        name: {
+                            type: 'string',
+                            description: 'Project name',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            description: 'When the project was created',
+                        },
+                        updatedAt: {
+                            type: 'string',
+                            description: 'When the timeline last changed',
+                        },
+                        clips: {
+                            type: 'array',
+                            items: {
+                                $ref: '#/components/schemas/ProjectClip',
+                            },
+                        },
+                        frameCount: {
+                            type: 'integer',
+                            description: 'Total frames a render would produce',
+                        },
+                        duration: {
+                            type: 'number',
+                            description: 'Duration a render would have, in seconds',
+                        },
+                    },
+                },
+                User: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'User ID',
+                        },
+                        name: {
+                            type: 'string',
+                            description: 'Display name',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            description: 'When the user was created',
+                        },
+                    },
+                },
+                ApiKey: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'API key ID',
+                        },
+                        userId: {
+                            type: 'integer',
+                            description: 'Owner of the key',
+                        },
+                        key: {
+                            type: 'string',
+                            description: 'Plain-text key, shown only once',
+                        },
+                        scopes: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                            },
+                            description: 'Scopes granted to the key',
+                        },
                     },
                 },
                 ShareLink: {
                     type: 'object',
                     properties: {
+                        token: {
+                            type: 'string',
+                            description: 'Share token',
+                        },
                         shareUrl: {
                             type: 'string',
                             description: 'URL to access the shared video',
                         },
+                        videoId: {
+                            type: 'integer',
+                            description: 'Shared video ID',
+                        },
                         expiryTimestamp: {
                             type: 'string',
                             format: 'date-time',
                             description: 'When the share link will expire',
                         },
+                        maxViews: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'View limit, or null if unlimited',
+                        },
+                        viewCount: {
+                            type: 'integer',
+                            description: 'Views started so far',
+                        },
+                        remainingViews: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Views left, or null if unlimited',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            description: 'When the link was created',
+                        },
+                        revokedAt: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'When the link was revoked',
+                        },
+                        watermarked: {
+                            type: 'boolean',
+                            description: 'Whether the link serves a watermarked copy instead of the original',
+                        },
+                        watermarkJobId: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Job rendering the watermarked copy, if any',
+                        },
+                        status: {
+                            type: 'string',
+                            enum: ['active', 'expired', 'revoked', 'exhausted'],
+                            description: 'Whether the link can currently be used',
+                        },
+                    },
+                },
+                ShareAccess: {
+                    type: 'object',
+                    properties: {
+                        accessedAt: {
+                            type: 'string',
+                            description: 'When the request was made',
+                        },
+                        ip: {
+                            type: 'string',
+                            description: 'Client IP address',
+                        },
+                        statusCode: {
+                            type: 'integer',
+                            description: 'HTTP status of the response',
+                        },
+                        bytesServed: {
+                            type: 'integer',
+                            description: 'Bytes of video sent',
+                        },
+                    },
+                },
+                QuotaLimit: {
+                    type: 'object',
+                    properties: {
+                        used: {
+                            type: 'number',
+                            description: 'Amount used by the videos the user owns',
+                        },
+                        reserved: {
+                            type: 'number',
+                            description: 'Amount held for the output of the user\'s queued and running jobs',
+                        },
+                        limit: {
+                            type: 'number',
+                            nullable: true,
+                            description: 'Quota, or null if unlimited',
+                        },
+                        remaining: {
+                            type: 'number',
+                            nullable: true,
+                            description: 'Amount left before the quota is reached, counting reservations, or null if unlimited',
+                        },
+                    },
+                },
+                Usage: {
+                    type: 'object',
+                    properties: {
+                        userId: {
+                            type: 'integer',
+                            description: 'User the usage belongs to',
+                        },
+                        videoCount: {
+                            type: 'integer',
+                            description: 'Number of videos the user owns',
+                        },
+                        bytes: {
+                            $ref: '#/components/schemas/QuotaLimit',
+                        },
+                        minutes: {
+                            $ref: '#/components/schemas/QuotaLimit',
+                        },
+                    },
+                },
+                QuotaExceeded: {
+                    type: 'object',
+                    properties: {
+                        error: {
+                            type: 'string',
+                            description: 'Which limits the request would go over',
+                        },
+                        code: {
+                            type: 'string',
+                            enum: ['QUOTA_EXCEEDED'],
+                        },
+                        requested: {
+                            type: 'object',
+                            description: 'Bytes and minutes the new video would take up',
+                            properties: {
+                                bytes: { type: 'number' },
+                                minutes: { type: 'number' },
+                            },
+                        },
+                        remaining: {
+                            type: 'object',
+                            description: 'Bytes and minutes left, null where unlimited',
+                            properties: {
+                                bytes: { type: 'number', nullable: true },
+                                minutes: { type: 'number', nullable: true },
+                            },
+                        },
+                    },
+                },
+                IncompatibleMergeInputs: {
+                    type: 'object',
+                    properties: {
+                        error: {
+                            type: 'string',
+                        },
+                        code: {
+                            type: 'string',
+                            enum: ['INCOMPATIBLE_INPUTS'],
+                        },
+                        inputs: {
+                            type: 'array',
+                            description: 'Every input in request order, compared with the first',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    videoId: { type: 'integer' },
+                                    container: { type: 'string', enum: ['raw', 'mp4', 'mov'] },
+                                    codec: { type: 'string', nullable: true },
+                                    width: { type: 'integer', nullable: true },
+                                    height: { type: 'integer', nullable: true },
+                                    pixelFormat: { type: 'string', nullable: true },
+                                    fps: { type: 'number', nullable: true },
+                                    problems: {
+                                        type: 'array',
+                                        items: { type: 'string' },
+                                        description: 'How the input differs from the first, e.g. "resolution is 160x120, expected 320x240"',
+                                    },
+                                },
+                            },
+                        },
                     },
                 },
             },
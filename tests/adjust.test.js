@@ -0,0 +1,131 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+describe('POST /videos/:id/adjust', () => {
+    const { token: API_TOKEN } = createTestUser();
+    const otherUser = createTestUser();
+    let uploadDir;
+    let app;
+    let videoId;
+
+    // Four frames of 2x1 rgb24 video at 2fps: a purple pixel and a black one
+    const frame = Buffer.from([100, 50, 200, 0, 0, 0]);
+
+    const upload = (buffer, format) => request(app)
+        .post('/upload')
+        .set('Authorization', `Bearer ${API_TOKEN}`)
+        .field('width', String(format.width))
+        .field('height', String(format.height))
+        .field('pixelFormat', format.pixelFormat)
+        .field('fps', String(format.fps))
+        .attach('video', buffer, { filename: 'colours.raw', contentType: 'video/raw' })
+        .expect(200);
+
+    const adjust = (body, id = videoId, token = API_TOKEN) => request(app)
+        .post(`/videos/${id}/adjust`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    // Run an adjustment to completion and return the new video's bytes
+    const adjusted = async (body, id = videoId) => {
+        const response = await adjust(body, id).expect(202);
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        return [...fs.readFileSync(video.filepath)];
+    };
+
+    before(async () => {
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-adjust-test-'));
+        app = createApp(createTestConfig({ uploadDir }));
+
+        const response = await upload(Buffer.concat([frame, frame, frame, frame]), {
+            width: 2, height: 1, pixelFormat: 'rgb24', fps: 2
+        });
+        videoId = response.body.id;
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    it('should adjust brightness, contrast and gamma', async () => {
+        expect((await adjusted({ brightness: 0.2 })).slice(0, 6)).to.deep.equal([151, 101, 251, 51, 51, 51]);
+        expect((await adjusted({ contrast: 2 })).slice(0, 6)).to.deep.equal([72, 0, 255, 0, 0, 0]);
+        expect((await adjusted({ gamma: 2 })).slice(0, 6)).to.deep.equal([160, 113, 226, 0, 0, 0]);
+    });
+
+    it('should change saturation, remove colour and invert', async () => {
+        expect((await adjusted({ saturation: 2 })).slice(0, 6)).to.deep.equal([118, 18, 255, 0, 0, 0]);
+        expect((await adjusted({ grayscale: true })).slice(0, 6)).to.deep.equal([82, 82, 82, 0, 0, 0]);
+        expect((await adjusted({ invert: true })).slice(0, 6)).to.deep.equal([155, 205, 55, 255, 255, 255]);
+        expect((await adjusted({ grayscale: true, invert: true })).slice(0, 6)).to.deep.equal([173, 173, 173, 255, 255, 255]);
+    });
+
+    it('should only adjust frames inside the time range', async () => {
+        const bytes = await adjusted({ invert: true, startTime: 0.5, endTime: 1.5 });
+
+        const inverted = [155, 205, 55, 255, 255, 255];
+        expect(bytes).to.deep.equal([...frame, ...inverted, ...inverted, ...frame]);
+    });
+
+    it('should adjust luma and chroma planes of gray and yuv420p videos', async () => {
+        const gray = await upload(Buffer.from([0, 100, 200, 255]), { width: 2, height: 2, pixelFormat: 'gray', fps: 1 });
+        expect(await adjusted({ invert: true, saturation: 0 }, gray.body.id)).to.deep.equal([255, 155, 55, 0]);
+
+        const yuv = await upload(Buffer.from([0, 100, 200, 255, 90, 240]), { width: 2, height: 2, pixelFormat: 'yuv420p', fps: 1 });
+        expect(await adjusted({ grayscale: true }, yuv.body.id)).to.deep.equal([0, 100, 200, 255, 128, 128]);
+        expect(await adjusted({ invert: true }, yuv.body.id)).to.deep.equal([255, 155, 55, 0, 165, 15]);
+    });
+
+    it('should record the adjustments in the lineage', async () => {
+        const response = await adjust({ contrast: 1.5, grayscale: false, startTime: 1 }).expect(202);
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        expect(video).to.include({ width: 2, height: 1, pixel_format: 'rgb24', fps: 2, duration: 2 });
+
+        const lineage = await request(app)
+            .get(`/videos/${job.resultVideoId}/lineage`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        expect(lineage.body.operation).to.equal('adjust');
+        expect(lineage.body.params).to.deep.equal({ contrast: 1.5, grayscale: false, startFrame: 2, endFrame: 4 });
+        expect(lineage.body.sources.map(source => source.id)).to.deep.equal([videoId]);
+    });
+
+    it('should reject invalid adjustments', async () => {
+        const empty = await adjust({}).expect(400);
+        expect(empty.body.error).to.equal('Provide at least one of brightness, contrast, saturation, gamma, grayscale, invert');
+
+        const brightness = await adjust({ brightness: 1.5 }).expect(400);
+        expect(brightness.body.error).to.equal('brightness must be a number from -1 to 1');
+
+        await adjust({ contrast: -1 }).expect(400);
+        await adjust({ saturation: '2' }).expect(400);
+        await adjust({ gamma: 0 }).expect(400);
+        await adjust({ grayscale: 'yes' }).expect(400);
+        await adjust({ invert: 1 }).expect(400);
+        await adjust({ invert: true, startTime: -1 }).expect(400);
+        await adjust({ invert: true, startTime: 1, endTime: 1 }).expect(400);
+
+        const outside = await adjust({ invert: true, endTime: 3 }).expect(400);
+        expect(outside.body.error).to.equal('Time range must be non-empty and within the video\'s 4 frames');
+    });
+
+    it('should hide other users\' videos', async () => {
+        await adjust({ invert: true }, videoId, otherUser.token).expect(404);
+    });
+});
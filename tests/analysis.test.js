@@ -0,0 +1,186 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+describe('Video analysis', () => {
+    const { token: API_TOKEN } = createTestUser();
+    const otherUser = createTestUser();
+    let uploadDir;
+    let app;
+    let videoId;
+
+    // 12 frames of 4x1 gray video at 4fps: two black frames, a cut to a still
+    // shot held for six frames, a cut to a brighter shot and two black frames
+    const levels = [0, 10, 100, 100, 100, 100, 100, 100, 200, 205, 20, 0];
+    const video = Buffer.concat(levels.map(level => Buffer.alloc(4, level)));
+
+    const upload = async (buffer, filename) => {
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '4')
+            .field('height', '1')
+            .field('pixelFormat', 'gray')
+            .field('fps', '4')
+            .attach('video', buffer, { filename, contentType: 'video/raw' })
+            .expect(200);
+        return response.body.id;
+    };
+
+    const getAnalysis = (id, query = {}, token = API_TOKEN) => request(app)
+        .get(`/videos/${id}/analysis`)
+        .query(query)
+        .set('Authorization', `Bearer ${token}`);
+
+    const trim = (body) => request(app)
+        .post(`/videos/${videoId}/trim`)
+        .set('Authorization', `Bearer ${API_TOKEN}`)
+        .send(body);
+
+    before(async () => {
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-analysis-test-'));
+        app = createApp(createTestConfig({ uploadDir }));
+        videoId = await upload(video, 'scenes.raw');
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM video_analyses').run();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    describe('GET /videos/:id/analysis', () => {
+        it('should queue an analysis and then return it', async () => {
+            const queued = await getAnalysis(videoId).expect(202);
+            expect(queued.body.statusUrl).to.equal(`/jobs/${queued.body.jobId}`);
+
+            const job = await waitForJob(app, API_TOKEN, queued.body.jobId);
+            expect(job.state).to.equal('succeeded');
+            expect(job.resultVideoId).to.equal(null);
+
+            const response = await getAnalysis(videoId).expect(200);
+            expect(response.body).to.include({ videoId, fps: 4, frameCount: 12 });
+            expect(response.body.settings).to.deep.equal({ sceneThreshold: 0.3 });
+            expect(response.body.sceneChanges).to.deep.equal([
+                { frame: 2, time: 0.5, score: 0.353 },
+                { frame: 8, time: 2, score: 0.392 },
+                { frame: 10, time: 2.5, score: 0.725 }
+            ]);
+            expect(response.body.blackSegments).to.deep.equal([
+                { startFrame: 0, endFrame: 2, start: 0, end: 0.5, duration: 0.5 },
+                { startFrame: 10, endFrame: 12, start: 2.5, end: 3, duration: 0.5 }
+            ]);
+            expect(response.body.stillSegments).to.deep.equal([
+                { startFrame: 2, endFrame: 8, start: 0.5, end: 2, duration: 1.5 }
+            ]);
+            expect(response.body.analyzedAt).to.be.a('string');
+        });
+
+        it('should cache analyses for each threshold', async () => {
+            const first = await getAnalysis(videoId).expect(200);
+            const second = await getAnalysis(videoId).expect(200);
+            expect(second.body).to.deep.equal(first.body);
+
+            const queued = await getAnalysis(videoId, { sceneThreshold: '0.5' }).expect(202);
+            await waitForJob(app, API_TOKEN, queued.body.jobId);
+
+            const response = await getAnalysis(videoId, { sceneThreshold: '0.5' }).expect(200);
+            expect(response.body.sceneChanges.map(change => change.frame)).to.deep.equal([10]);
+
+            const rows = getDb().prepare('SELECT COUNT(*) AS count FROM video_analyses WHERE video_id = ?').get(videoId);
+            expect(rows.count).to.equal(2);
+        });
+
+        it('should reject invalid thresholds', async () => {
+            const response = await getAnalysis(videoId, { sceneThreshold: '0' }).expect(400);
+            expect(response.body.error).to.equal('sceneThreshold must be a number above 0 and at most 1');
+
+            await getAnalysis(videoId, { sceneThreshold: '1.5' }).expect(400);
+            await getAnalysis(videoId, { sceneThreshold: 'high' }).expect(400);
+        });
+
+        it('should hide other users\' videos', async () => {
+            await getAnalysis(videoId, {}, otherUser.token).expect(404);
+        });
+
+        it('should analyse raw videos whatever their file extension', async () => {
+            const id = await upload(video, 'scenes.yuv');
+            const queued = await getAnalysis(id).expect(202);
+            const job = await waitForJob(app, API_TOKEN, queued.body.jobId);
+            expect(job.state).to.equal('succeeded');
+
+            const response = await getAnalysis(id).expect(200);
+            expect(response.body.frameCount).to.equal(12);
+        });
+
+        it('should delete analyses with their video', async () => {
+            const id = await upload(video, 'doomed.raw');
+            const queued = await getAnalysis(id).expect(202);
+            await waitForJob(app, API_TOKEN, queued.body.jobId);
+
+            await request(app)
+                .delete(`/videos/${id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            const rows = getDb().prepare('SELECT COUNT(*) AS count FROM video_analyses WHERE video_id = ?').get(id);
+            expect(rows.count).to.equal(0);
+        });
+    });
+
+    describe('POST /videos/:id/trim with autoTrimBlack', () => {
+        it('should strip leading and trailing black frames', async () => {
+            const response = await trim({ autoTrimBlack: true }).expect(202);
+            expect(response.body.frameRange).to.include({ startFrame: 0, endFrame: 12 });
+
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            expect(job.state).to.equal('succeeded');
+
+            const trimmed = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+            const bytes = fs.readFileSync(trimmed.filepath);
+            expect(Array.from({ length: bytes.length / 4 }, (_, i) => bytes[i * 4]))
+                .to.deep.equal([100, 100, 100, 100, 100, 100, 200, 205]);
+            expect(trimmed.duration).to.equal(2);
+
+            const lineage = await request(app)
+                .get(`/videos/${job.resultVideoId}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(lineage.body.params).to.deep.equal({ startFrame: 2, endFrame: 10, autoTrimBlack: true });
+        });
+
+        it('should narrow a requested range', async () => {
+            const response = await trim({ startFrame: 1, endFrame: 9, autoTrimBlack: true }).expect(202);
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+
+            const lineage = await request(app)
+                .get(`/videos/${job.resultVideoId}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(lineage.body.params).to.deep.equal({ startFrame: 2, endFrame: 9, autoTrimBlack: true });
+        });
+
+        it('should fail when every frame is black', async () => {
+            const response = await trim({ startFrame: 0, endFrame: 2, autoTrimBlack: true }).expect(202);
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+
+            expect(job.state).to.equal('failed');
+            expect(job.error).to.equal('Every frame in the trim range is black');
+        });
+
+        it('should reject values other than true or false', async () => {
+            const response = await trim({ autoTrimBlack: 'yes' }).expect(400);
+            expect(response.body.error).to.equal('autoTrimBlack must be true or false');
+        });
+    });
+});
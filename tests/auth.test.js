@@ -0,0 +1,226 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { hashApiKey } = require('../apiKeys');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+const config = createTestConfig();
+const app = createApp(config);
+
+describe('API keys, scopes and ownership', () => {
+    const owner = createTestUser();
+    const otherUser = createTestUser();
+    const readOnly = createTestUser([]);
+    const admin = createTestUser(['admin']);
+    let videoId;
+
+    before(async () => {
+        const testVideoPath = path.join(__dirname, 'fixtures', 'test-video1.raw');
+
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${owner.token}`)
+            .attach('video', testVideoPath)
+            .expect(200);
+
+        videoId = response.body.id;
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM share_accesses').run();
+        db.prepare('DELETE FROM share_views').run();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        const uploadsDir = config.uploadDir;
+        fs.readdirSync(uploadsDir).forEach(file => {
+            fs.unlinkSync(path.join(uploadsDir, file));
+        });
+    });
+
+    it('should store only a hash of each key', () => {
+        const db = getDb();
+        expect(db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(owner.token)).to.be.undefined;
+        expect(db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(hashApiKey(owner.token))).to.exist;
+    });
+
+    it('should record the uploader as the video owner', () => {
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(videoId);
+        expect(video.owner_id).to.equal(owner.userId);
+    });
+
+    describe('scopes', () => {
+        it('should require the upload scope to upload', async () => {
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${readOnly.token}`)
+                .attach('video', path.join(__dirname, 'fixtures', 'test-video1.raw'))
+                .expect(403);
+
+            expect(response.body.error).to.include('"upload" scope');
+        });
+
+        it('should require the edit scope to trim, merge and delete', async () => {
+            const readOnlyVideo = getDb().prepare(`
+                INSERT INTO videos (filename, filepath, size, duration, owner_id)
+                VALUES ('read-only.raw', '/nonexistent/read-only.raw', 0, 0, ?)
+            `).run(readOnly.userId).lastInsertRowid;
+
+            await request(app)
+                .post(`/videos/${readOnlyVideo}/trim`)
+                .set('Authorization', `Bearer ${readOnly.token}`)
+                .send({ trimStart: 1 })
+                .expect(403);
+
+            await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${readOnly.token}`)
+                .send({ videoIds: [readOnlyVideo, readOnlyVideo] })
+                .expect(403);
+
+            await request(app)
+                .delete(`/videos/${readOnlyVideo}`)
+                .set('Authorization', `Bearer ${readOnly.token}`)
+                .expect(403);
+        });
+
+        it('should require the share scope to create share links', async () => {
+            await request(app)
+                .post(`/videos/${videoId}/share`)
+                .set('Authorization', `Bearer ${readOnly.token}`)
+                .expect(403);
+        });
+
+        it('should allow keys without scopes to read their own library', async () => {
+            const response = await request(app)
+                .get('/videos')
+                .set('Authorization', `Bearer ${readOnly.token}`)
+                .expect(200);
+
+            expect(response.body.videos.map(v => v.filename)).to.deep.equal(['read-only.raw']);
+        });
+    });
+
+    describe('ownership', () => {
+        it('should hide other users\' videos from listings', async () => {
+            const response = await request(app)
+                .get('/videos')
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .expect(200);
+
+            expect(response.body.videos).to.be.empty;
+        });
+
+        it('should return 404 when reading, editing or sharing another user\'s video', async () => {
+            const auth = `Bearer ${otherUser.token}`;
+
+            await request(app).get(`/videos/${videoId}`).set('Authorization', auth).expect(404);
+            await request(app).post(`/videos/${videoId}/trim`).set('Authorization', auth).send({ trimStart: 1 }).expect(404);
+            await request(app).post('/videos/merge').set('Authorization', auth).send({ videoIds: [videoId, videoId] }).expect(404);
+            await request(app).post(`/videos/${videoId}/share`).set('Authorization', auth).expect(404);
+            await request(app).delete(`/videos/${videoId}`).set('Authorization', auth).expect(404);
+        });
+
+        it('should return 404 for another user\'s job', async () => {
+            const response = await request(app)
+                .post(`/videos/${videoId}/trim`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ trimStart: 1 })
+                .expect(202);
+
+            await request(app)
+                .get(`/jobs/${response.body.jobId}`)
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .expect(404);
+
+            const job = await waitForJob(app, owner.token, response.body.jobId);
+            expect(job.state).to.equal('succeeded');
+        });
+
+        it('should let admin keys act on every video', async () => {
+            await request(app)
+                .get(`/videos/${videoId}`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .expect(200);
+        });
+    });
+
+    describe('key management', () => {
+        it('should require the admin scope', async () => {
+            await request(app)
+                .post('/users')
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ name: 'someone' })
+                .expect(403);
+        });
+
+        it('should create users and issue keys that authenticate', async () => {
+            const user = await request(app)
+                .post('/users')
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ name: 'New editor' })
+                .expect(201);
+
+            expect(user.body.name).to.equal('New editor');
+
+            const apiKey = await request(app)
+                .post(`/users/${user.body.id}/api-keys`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ scopes: ['upload', 'share'] })
+                .expect(201);
+
+            expect(apiKey.body.userId).to.equal(user.body.id);
+            expect(apiKey.body.scopes).to.deep.equal(['upload', 'share']);
+
+            const listing = await request(app)
+                .get('/videos')
+                .set('Authorization', `Bearer ${apiKey.body.key}`)
+                .expect(200);
+
+            expect(listing.body.videos).to.be.empty;
+        });
+
+        it('should reject unknown scopes', async () => {
+            await request(app)
+                .post(`/users/${owner.userId}/api-keys`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ scopes: ['everything'] })
+                .expect(400);
+        });
+
+        it('should return 404 when issuing a key for an unknown user', async () => {
+            await request(app)
+                .post('/users/999999/api-keys')
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ scopes: ['upload'] })
+                .expect(404);
+        });
+
+        it('should stop revoked keys from authenticating', async () => {
+            const revoked = createTestUser();
+            const keyId = getDb().prepare('SELECT id FROM api_keys WHERE key_hash = ?').get(hashApiKey(revoked.token)).id;
+
+            await request(app)
+                .delete(`/api-keys/${keyId}`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .expect(204);
+
+            await request(app)
+                .get('/videos')
+                .set('Authorization', `Bearer ${revoked.token}`)
+                .expect(403);
+
+            await request(app)
+                .delete(`/api-keys/${keyId}`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .expect(404);
+        });
+    });
+});
@@ -0,0 +1,250 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { DEFAULTS, loadConfig } = require('../config');
+const { createTestConfig, createTestUser } = require('./helpers');
+
+describe('Configuration', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-config-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('loadConfig', () => {
+        it('should use the defaults when nothing is set', () => {
+            const config = loadConfig({ env: {} });
+
+            expect(config).to.deep.equal({
+                ...DEFAULTS,
+                rawFormat: { width: 320, height: 240, pixelFormat: 'rgb24', fps: 30 }
+            });
+            expect(config.maxUploadSize).to.equal(1024 * 1024 * 1024);
+            expect(config.maxDurationSeconds).to.equal(300);
+            expect(config.defaultShareExpiryHours).to.equal(24);
+            expect(Object.isFrozen(config)).to.be.true;
+        });
+
+        it('should read settings from environment variables', () => {
+            const config = loadConfig({
+                env: {
+                    PORT: '8080',
+                    DB_PATH: 'data/test.db',
+                    MAX_UPLOAD_SIZE: '1048576',
+                    MAX_DURATION_SECONDS: '60',
+                    DEFAULT_SHARE_EXPIRY_HOURS: '2',
+                    RAW_WIDTH: '640',
+                    RAW_PIXEL_FORMAT: 'gray'
+                }
+            });
+
+            expect(config).to.include({
+                port: 8080,
+                dbPath: path.resolve('data/test.db'),
+                maxUploadSize: 1048576,
+                maxDurationSeconds: 60,
+                defaultShareExpiryHours: 2
+            });
+            expect(config.rawFormat).to.deep.equal({ width: 640, height: 240, pixelFormat: 'gray', fps: 30 });
+        });
+
+        it('should read a JSON config file, overridden by the environment', () => {
+            const file = path.join(tmpDir, 'config.json');
+            fs.writeFileSync(file, JSON.stringify({
+                maxDurationSeconds: 120,
+                defaultShareExpiryHours: 48,
+                rawFormat: { width: 64, height: 48 }
+            }));
+
+            const config = loadConfig({ env: { CONFIG_FILE: file, MAX_DURATION_SECONDS: '30' } });
+
+            expect(config.maxDurationSeconds).to.equal(30);
+            expect(config.defaultShareExpiryHours).to.equal(48);
+            expect(config.rawFormat).to.deep.equal({ width: 64, height: 48, pixelFormat: 'rgb24', fps: 30 });
+        });
+
+        it('should read a YAML config file', () => {
+            const file = path.join(tmpDir, 'config.yaml');
+            fs.writeFileSync(file, [
+                'uploadDir: /srv/editthat/uploads',
+                'maxUploadSize: 5242880',
+                'rawFormat:',
+                '  pixelFormat: yuv420p',
+                '  fps: 25'
+            ].join('\n'));
+
+            const config = loadConfig({ env: { CONFIG_FILE: file } });
+
+            expect(config.uploadDir).to.equal(path.resolve('/srv/editthat/uploads'));
+            expect(config.maxUploadSize).to.equal(5242880);
+            expect(config.rawFormat).to.deep.equal({ width: 320, height: 240, pixelFormat: 'yuv420p', fps: 25 });
+        });
+
+        it('should report every invalid setting at once', () => {
+            let error;
+            try {
+                loadConfig({
+                    env: {
+                        PORT: 'eighty',
+                        MAX_UPLOAD_SIZE: '-1',
+                        MAX_DURATION_SECONDS: '0',
+                        RAW_PIXEL_FORMAT: 'bgr48'
+                    },
+                    overrides: { maxDuration: 10 }
+                });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.exist;
+            expect(error.code).to.equal('INVALID_CONFIG');
+            expect(error.problems).to.have.lengthOf(5);
+            expect(error.message).to.include('Unknown setting "maxDuration"');
+            expect(error.message).to.include('port (PORT) must be an integer');
+            expect(error.message).to.include('maxUploadSize (MAX_UPLOAD_SIZE) must be a positive whole number of bytes');
+            expect(error.message).to.include('maxDurationSeconds (MAX_DURATION_SECONDS) must be a positive number');
+            expect(error.message).to.include('Unsupported pixel format');
+        });
+
+        it('should validate the resumable upload settings', () => {
+            const config = loadConfig({ env: { RESUMABLE_UPLOAD_DIR: 'partial', RESUMABLE_UPLOAD_TTL_HOURS: '2' } });
+            expect(config).to.include({ partialUploadDir: path.resolve('partial'), resumableUploadTtlHours: 2 });
+
+            let error;
+            try {
+                loadConfig({ env: { RESUMABLE_UPLOAD_TTL_HOURS: 'abc' }, overrides: { partialUploadDir: ' ' } });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.code).to.equal('INVALID_CONFIG');
+            expect(error.problems).to.deep.equal([
+                'partialUploadDir (RESUMABLE_UPLOAD_DIR) must be a non-empty path',
+                'resumableUploadTtlHours (RESUMABLE_UPLOAD_TTL_HOURS) must be a positive number'
+            ]);
+        });
+
+        it('should read the share token secret', () => {
+            expect(loadConfig({ env: {} }).shareTokenSecret).to.equal(null);
+            expect(loadConfig({ env: { SHARE_TOKEN_SECRET: 'secret' } }).shareTokenSecret).to.equal('secret');
+
+            let error;
+            try {
+                loadConfig({ env: {}, overrides: { shareTokenSecret: '' } });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.code).to.equal('INVALID_CONFIG');
+            expect(error.problems).to.deep.equal([
+                'shareTokenSecret (SHARE_TOKEN_SECRET) must be a non-empty string or unset'
+            ]);
+        });
+
+        it('should reject config files that are missing, malformed or of an unknown type', () => {
+            const malformed = path.join(tmpDir, 'broken.json');
+            fs.writeFileSync(malformed, '{ "maxUploadSize": ');
+            const unknownType = path.join(tmpDir, 'config.ini');
+            fs.writeFileSync(unknownType, 'maxUploadSize=1');
+
+            expect(() => loadConfig({ env: { CONFIG_FILE: path.join(tmpDir, 'missing.json') } }))
+                .to.throw(/Could not read config file/);
+            expect(() => loadConfig({ env: { CONFIG_FILE: malformed } }))
+                .to.throw(/Could not parse config file/);
+            expect(() => loadConfig({ env: { CONFIG_FILE: unknownType } }))
+                .to.throw(/must be \.json, \.yaml or \.yml/);
+        });
+    });
+
+    describe('createApp', () => {
+        const { token: API_TOKEN } = createTestUser();
+        let uploadDir;
+
+        // 10 frames of 16x16 gray video: one second at 10fps
+        const video = Buffer.alloc(16 * 16 * 10, 128);
+
+        const uploadGray = (app) => request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '16')
+            .field('height', '16')
+            .field('pixelFormat', 'gray')
+            .field('fps', '10')
+            .attach('video', video, { filename: 'gray.raw', contentType: 'video/raw' });
+
+        before(() => {
+            uploadDir = path.join(tmpDir, 'uploads');
+        });
+
+        after(() => {
+            const db = getDb();
+            const videoIds = db.prepare('SELECT id FROM videos WHERE filepath LIKE ?')
+                .all(`${uploadDir}%`)
+                .map(video => video.id);
+            videoIds.forEach(id => {
+                db.prepare('DELETE FROM share_links WHERE video_id = ?').run(id);
+                db.prepare('DELETE FROM videos WHERE id = ?').run(id);
+            });
+        });
+
+        it('should store uploads in the configured directory with the configured raw defaults', async () => {
+            const app = createApp(createTestConfig({
+                uploadDir, rawFormat: { width: 16, height: 16, pixelFormat: 'gray', fps: 10 }
+            }));
+
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .attach('video', video, { filename: 'gray.raw', contentType: 'video/raw' })
+                .expect(200);
+
+            expect(response.body).to.include({ duration: 1, width: 16, height: 16, pixelFormat: 'gray', fps: 10 });
+
+            const stored = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(response.body.id);
+            expect(path.dirname(stored.filepath)).to.equal(uploadDir);
+        });
+
+        it('should apply the configured size and duration limits to its own instance only', async () => {
+            const strict = createApp(createTestConfig({ uploadDir, maxUploadSize: 1024 }));
+            const short = createApp(createTestConfig({ uploadDir, maxDurationSeconds: 0.5 }));
+            const lenient = createApp(createTestConfig({ uploadDir }));
+
+            const tooLarge = await uploadGray(strict).expect(413);
+            expect(tooLarge.body).to.deep.equal({
+                error: 'File exceeds the maximum upload size of 1024 bytes',
+                code: 'FILE_TOO_LARGE'
+            });
+
+            const tooLong = await uploadGray(short).expect(400);
+            expect(tooLong.body.code).to.equal('DURATION_TOO_LONG');
+
+            await uploadGray(lenient).expect(200);
+
+            const options = await request(strict).options('/upload/resumable').expect(204);
+            expect(options.headers['tus-max-size']).to.equal('1024');
+        });
+
+        it('should use the configured default share expiry', async () => {
+            const app = createApp(createTestConfig({ uploadDir, defaultShareExpiryHours: 2 }));
+            const upload = await uploadGray(app).expect(200);
+
+            const before = Date.now();
+            const response = await request(app)
+                .post(`/videos/${upload.body.id}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({})
+                .expect(200);
+
+            const expiresIn = new Date(response.body.expiryTimestamp).getTime() - before;
+            expect(expiresIn).to.be.closeTo(2 * 60 * 60 * 1000, 60 * 1000);
+        });
+    });
+});
@@ -2,25 +2,18 @@ const request = require('supertest');
 const { expect } = require('chai');
 const path = require('path');
 const fs = require('fs');
-const app = require('../app');
+const { createApp } = require('../app');
 const { getDb } = require('../db');
-const { VALID_API_TOKENS } = require('../middleware/auth');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+const config = createTestConfig();
+const app = createApp(config);
 
 describe('End-to-End Video Processing Flow', () => {
     let uploadedVideoId1;
     let uploadedVideoId2;
     let shareToken;
-    const API_TOKEN = Array.from(VALID_API_TOKENS)[0];
-
-    before(async function() {
-        this.timeout(10000); // Increase timeout for setup
-        
-        // Ensure uploads directory exists
-        const uploadsDir = path.join(__dirname, '../uploads');
-        if (!fs.existsSync(uploadsDir)) {
-            fs.mkdirSync(uploadsDir);
-        }
-    });
+    const { token: API_TOKEN } = createTestUser();
 
     it('should reject requests without authentication', async () => {
         await request(app)
@@ -72,12 +65,16 @@ describe('End-to-End Video Processing Flow', () => {
                     trimStart: 1,
                     trimEnd: 1
                 })
-                .expect(200);
+                .expect(202);
+
+            expect(response.body).to.have.property('jobId');
 
-            expect(response.body).to.have.property('id');
-            expect(response.body).to.have.property('duration');
-            expect(response.body.duration).to.be.approximately(3, 0.1); // Original 5s - 2s = 3s
-            trimmedVideoId = response.body.id;
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            expect(job.state).to.equal('succeeded');
+
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+            expect(video.duration).to.be.approximately(3, 0.1); // Original 5s - 2s = 3s
+            trimmedVideoId = job.resultVideoId;
         });
 
         it('should create a share link for the trimmed video', async () => {
@@ -110,12 +107,16 @@ describe('End-to-End Video Processing Flow', () => {
                 .post('/videos/merge')
                 .set('Authorization', `Bearer ${API_TOKEN}`)
                 .send({ videoIds: [uploadedVideoId1, uploadedVideoId2] })
-                .expect(200);
+                .expect(202);
+
+            expect(response.body).to.have.property('jobId');
+
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            expect(job.state).to.equal('succeeded');
 
-            expect(response.body).to.have.property('id');
-            expect(response.body).to.have.property('duration');
-            expect(response.body.duration).to.be.approximately(10, 0.1); // 5s + 5s = 10s
-            mergedVideoId = response.body.id;
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+            expect(video.duration).to.be.approximately(10, 0.1); // 5s + 5s = 10s
+            mergedVideoId = job.resultVideoId;
         });
 
         it('should create a share link for the merged video', async () => {
@@ -142,7 +143,7 @@ describe('End-to-End Video Processing Flow', () => {
 
     after(async () => {
         // Cleanup: Remove all test files from uploads directory
-        const uploadsDir = path.join(__dirname, '../uploads');
+        const uploadsDir = config.uploadDir;
         if (fs.existsSync(uploadsDir)) {
             fs.readdirSync(uploadsDir).forEach(file => {
                 fs.unlinkSync(path.join(uploadsDir, file));
@@ -151,7 +152,12 @@ describe('End-to-End Video Processing Flow', () => {
 
         // Clean up database
         const db = getDb();
+        db.prepare('DELETE FROM share_accesses').run();
+        db.prepare('DELETE FROM share_views').run();
         db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
         db.prepare('DELETE FROM videos').run();
     });
 });
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const ffmpeg = require('fluent-ffmpeg');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { crc32 } = require('../png');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+// List the stored entries of a ZIP archive by walking its local file headers
+const readZipEntries = (zip) => {
+    const entries = [];
+    let offset = 0;
+    while (zip.readUInt32LE(offset) === 0x04034B50) {
+        expect(zip.readUInt16LE(offset + 8)).to.equal(0); // stored
+        const crc = zip.readUInt32LE(offset + 14);
+        const size = zip.readUInt32LE(offset + 18);
+        const nameLength = zip.readUInt16LE(offset + 26);
+        const name = zip.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const data = zip.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+        expect(crc32(data)).to.equal(crc);
+        entries.push({ name, data });
+        offset += 30 + nameLength + size;
+    }
+
+    // The central directory lists the same entries
+    const end = zip.length - 22;
+    expect(zip.readUInt32LE(end)).to.equal(0x06054B50);
+    expect(zip.readUInt16LE(end + 10)).to.equal(entries.length);
+    expect(zip.readUInt32LE(end + 16)).to.equal(offset);
+    return entries;
+};
+
+// First pixel of an unfiltered 8-bit RGB PNG as written by png.js
+const firstPixel = (png) => {
+    const idatStart = png.indexOf('IDAT') + 4;
+    const idatLength = png.readUInt32BE(idatStart - 8);
+    const scanlines = zlib.inflateSync(png.subarray(idatStart, idatStart + idatLength));
+    return [...scanlines.subarray(1, 4)];
+};
+
+describe('POST /videos/:id/export', () => {
+    const { token: API_TOKEN } = createTestUser();
+    const otherUser = createTestUser();
+    let uploadDir;
+    let app;
+    let videoId;
+
+    // Frame i of the 4x2 rgb24 test video is filled with (i * 50, 0, 255 - i * 50)
+    const frameColor = (i) => [i * 50, 0, 255 - i * 50];
+
+    const exportVideo = (body, token = API_TOKEN) => request(app)
+        .post(`/videos/${videoId}/export`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    before(async () => {
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-export-test-'));
+        app = createApp(createTestConfig({ uploadDir }));
+
+        const frames = Array.from({ length: 3 }, (_, i) => {
+            const frame = Buffer.alloc(4 * 2 * 3);
+            for (let p = 0; p < frame.length; p += 3) {
+                frame.set(frameColor(i), p);
+            }
+            return frame;
+        });
+
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '4')
+            .field('height', '2')
+            .field('pixelFormat', 'rgb24')
+            .field('fps', '3')
+            .attach('video', Buffer.concat(frames), { filename: 'colours.raw', contentType: 'video/raw' })
+            .expect(200);
+
+        videoId = response.body.id;
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    it('should export raw frames as a ZIP of PNGs without ffmpeg', async () => {
+        const response = await exportVideo({ format: 'png-sequence' }).expect(202);
+
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        expect(video).to.include({ container: 'zip', codec: 'png', width: 4, height: 2, pixel_format: 'rgb24', duration: 1 });
+
+        const entries = readZipEntries(fs.readFileSync(video.filepath));
+        expect(entries.map(entry => entry.name)).to.deep.equal(['frame-000001.png', 'frame-000002.png', 'frame-000003.png']);
+        entries.forEach((entry, i) => {
+            expect(entry.data.readUInt32BE(16)).to.equal(4);
+            expect(entry.data.readUInt32BE(20)).to.equal(2);
+            expect(firstPixel(entry.data)).to.deep.equal(frameColor(i));
+        });
+    });
+
+    it('should link the export to its source', async () => {
+        const response = await exportVideo({ format: 'png-sequence', quality: 'high' }).expect(202);
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+
+        const lineage = await request(app)
+            .get(`/videos/${job.resultVideoId}/lineage`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        expect(lineage.body.operation).to.equal('export');
+        expect(lineage.body.params).to.deep.equal({ format: 'png-sequence', quality: 'high' });
+        expect(lineage.body.sources.map(source => source.id)).to.deep.equal([videoId]);
+    });
+
+    it('should reject unknown formats and quality presets', async () => {
+        const format = await exportVideo({ format: 'avi' }).expect(400);
+        expect(format.body.error).to.include('Supported formats: mp4, webm, gif, png-sequence');
+
+        await exportVideo({}).expect(400);
+
+        const quality = await exportVideo({ format: 'png-sequence', quality: 'best' }).expect(400);
+        expect(quality.body.error).to.include('Supported presets: low, medium, high');
+    });
+
+    it('should hide other users\' videos', async () => {
+        await exportVideo({ format: 'png-sequence' }, otherUser.token).expect(404);
+    });
+
+    describe('without ffmpeg', () => {
+        before(() => {
+            ffmpeg.setFfmpegPath(path.join(uploadDir, 'missing-ffmpeg'));
+        });
+
+        after(() => {
+            ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || 'ffmpeg');
+        });
+
+        it('should refuse encoded formats with a clear error', async () => {
+            for (const format of ['mp4', 'webm', 'gif']) {
+                const response = await exportVideo({ format }).expect(503);
+                expect(response.body.code).to.equal('FFMPEG_UNAVAILABLE');
+                expect(response.body.error).to.include('ffmpeg is not available on this server');
+            }
+
+            expect(getDb().prepare('SELECT COUNT(*) AS count FROM jobs WHERE type = ?').get('export').count).to.equal(2);
+        });
+
+        it('should still export raw videos as PNG sequences', async () => {
+            const response = await exportVideo({ format: 'png-sequence' }).expect(202);
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            expect(job.state).to.equal('succeeded');
+        });
+    });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { loadConfig } = require('../config');
+const { initDb } = require('../db');
+const { createUser, createApiKey } = require('../apiKeys');
+
+// Every suite shares one throwaway database, so test runs never touch the
+// project's videos.db. It is opened before any suite creates its users.
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-test-'));
+const testDbPath = path.join(testDir, 'videos.db');
+initDb(testDbPath);
+process.on('exit', () => fs.rmSync(testDir, { recursive: true, force: true }));
+
+/**
+ * Configuration for a test suite's app: the shared test database, with
+ * upload, cache and partial upload directories of the suite's own. The
+ * environment is ignored so local settings can't change the results.
+ * @param {Object} [overrides] Further settings, as for loadConfig
+ * @returns {Object} Configuration from loadConfig
+ */
+function createTestConfig(overrides = {}) {
+    const suiteDir = fs.mkdtempSync(path.join(testDir, 'suite-'));
+    fs.mkdirSync(path.join(suiteDir, 'uploads'));
+
+    return loadConfig({
+        env: {},
+        overrides: {
+            dbPath: testDbPath,
+            uploadDir: path.join(suiteDir, 'uploads'),
+            cacheDir: path.join(suiteDir, 'cache'),
+            partialUploadDir: path.join(suiteDir, 'partial'),
+            ...overrides
+        }
+    });
+}
+
+/**
+ * Create a user with an API key for a test suite
+ * @param {string[]} [scopes] Scopes granted to the key
+ * @returns {Object} The user's ID and plain-text API key
+ */
+function createTestUser(scopes = ['upload', 'edit', 'share']) {
+    const user = createUser('test-user');
+    return {
+        userId: user.id,
+        token: createApiKey(user.id, scopes).key
+    };
+}
+
+/**
+ * Poll GET /jobs/:id until the job succeeds or fails
+ * @param {Object} app Express app under test
+ * @param {string} token API token
+ * @param {number} jobId Job ID
+ * @param {number} [timeoutMs] Give up after this many milliseconds
+ * @returns {Promise<Object>} Final job status
+ */
+async function waitForJob(app, token, jobId, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+        const response = await request(app)
+            .get(`/jobs/${jobId}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        if (['succeeded', 'failed'].includes(response.body.state)) {
+            return response.body;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+module.exports = {
+    createTestConfig,
+    createTestUser,
+    waitForJob
+};
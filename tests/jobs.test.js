@@ -0,0 +1,135 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { recoverJobs } = require('../jobQueue');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+const config = createTestConfig();
+const app = createApp(config);
+
+describe('GET /jobs/:id', () => {
+    const { token: API_TOKEN, userId } = createTestUser();
+    let videoId;
+
+    before(async () => {
+        // Upload a test video
+        const testVideoPath = path.join(__dirname, 'fixtures', 'test-video1.raw');
+
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .attach('video', testVideoPath)
+            .expect(200);
+
+        videoId = response.body.id;
+    });
+
+    after(() => {
+        // Cleanup database
+        const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        // Cleanup uploaded files
+        const uploadsDir = config.uploadDir;
+        fs.readdirSync(uploadsDir).forEach(file => {
+            fs.unlinkSync(path.join(uploadsDir, file));
+        });
+    });
+
+    it('should reject requests without authentication', async () => {
+        await request(app)
+            .get('/jobs/1')
+            .expect(401);
+    });
+
+    it('should reject requests with invalid authentication', async () => {
+        await request(app)
+            .get('/jobs/1')
+            .set('Authorization', 'Bearer invalid-token')
+            .expect(403);
+    });
+
+    it('should return 404 for non-existent job ID', async () => {
+        await request(app)
+            .get('/jobs/999999')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(404);
+    });
+
+    it('should report a queued trim through to success', async () => {
+        const response = await request(app)
+            .post(`/videos/${videoId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ trimStart: 2 })
+            .expect(202);
+
+        expect(response.body.statusUrl).to.equal(`/jobs/${response.body.jobId}`);
+
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.type).to.equal('trim');
+        expect(job.state).to.equal('succeeded');
+        expect(job.progress).to.equal(100);
+        expect(job.error).to.be.null;
+        expect(job.resultVideoId).to.be.a('number');
+        expect(job.startedAt).to.exist;
+        expect(job.finishedAt).to.exist;
+    });
+
+    it('should report failure with an error message', async () => {
+        const db = getDb();
+        const missingPath = path.join(config.uploadDir, 'missing-video.raw');
+        const result = db.prepare(`
+            INSERT INTO videos (filename, filepath, size, duration, container, owner_id)
+            VALUES (?, ?, ?, ?, 'raw', ?)
+        `).run('missing-video.raw', missingPath, 5 * 30 * 320 * 240 * 3, 5.0, userId);
+
+        const response = await request(app)
+            .post(`/videos/${result.lastInsertRowid}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ trimStart: 1 })
+            .expect(202);
+
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('failed');
+        expect(job.error).to.include('missing-video.raw');
+        expect(job.resultVideoId).to.be.null;
+    });
+
+    describe('recoverJobs', () => {
+        it('should mark jobs left running as failed', () => {
+            const db = getDb();
+            const result = db.prepare(`
+                INSERT INTO jobs (type, state, params, owner_id)
+                VALUES ('trim', 'running', ?, ?)
+            `).run(JSON.stringify({ videoId, startFrame: 30, endFrame: 150 }), userId);
+
+            expect(recoverJobs()).to.equal(1);
+
+            const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(result.lastInsertRowid);
+            expect(job.state).to.equal('failed');
+            expect(job.error).to.equal('Interrupted by server restart');
+        });
+
+        it('should resume jobs that were still queued', async () => {
+            const db = getDb();
+            const result = db.prepare(`
+                INSERT INTO jobs (type, state, params, owner_id)
+                VALUES ('trim', 'queued', ?, ?)
+            `).run(JSON.stringify({ videoId, startFrame: 0, endFrame: 120 }), userId);
+
+            recoverJobs();
+
+            const job = await waitForJob(app, API_TOKEN, result.lastInsertRowid);
+            expect(job.state).to.equal('succeeded');
+
+            const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+            expect(video.duration).to.be.approximately(4, 0.1); // Original 5s - 1s = 4s
+        });
+    });
+});
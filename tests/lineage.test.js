@@ -0,0 +1,161 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+const config = createTestConfig();
+const app = createApp(config);
+
+describe('Edit lineage', () => {
+    const { token: API_TOKEN } = createTestUser();
+    let sourceId1;
+    let sourceId2;
+    let trimmedId;
+    let mergedId;
+
+    const upload = async (fixture) => {
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .attach('video', path.join(__dirname, 'fixtures', fixture))
+            .expect(200);
+        return response.body.id;
+    };
+
+    // Run an edit to completion and return the ID of the video it produced
+    const runEdit = async (url, body) => {
+        const response = await request(app)
+            .post(url)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send(body)
+            .expect(202);
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+        return job.resultVideoId;
+    };
+
+    before(async () => {
+        sourceId1 = await upload('test-video1.raw');
+        sourceId2 = await upload('test-video2.raw');
+
+        // source1 -> trimmed; (trimmed, source2) -> merged
+        trimmedId = await runEdit(`/videos/${sourceId1}/trim`, { startFrame: 30, endFrame: 90 });
+        mergedId = await runEdit('/videos/merge', { videoIds: [trimmedId, sourceId2] });
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        const uploadsDir = config.uploadDir;
+        fs.readdirSync(uploadsDir).forEach(file => {
+            fs.unlinkSync(path.join(uploadsDir, file));
+        });
+    });
+
+    describe('GET /videos/:id/lineage', () => {
+        it('should return 404 for non-existent video ID', async () => {
+            await request(app)
+                .get('/videos/999999/lineage')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+
+        it('should report an uploaded video as having no sources', async () => {
+            const response = await request(app)
+                .get(`/videos/${sourceId2}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body).to.include({ id: sourceId2, operation: null });
+            expect(response.body.sources).to.be.empty;
+        });
+
+        it('should return the full ancestry tree', async () => {
+            const response = await request(app)
+                .get(`/videos/${mergedId}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            const merged = response.body;
+            expect(merged).to.include({ id: mergedId, operation: 'merge' });
+            expect(merged.sources.map(source => source.id)).to.deep.equal([trimmedId, sourceId2]);
+
+            const trimmed = merged.sources[0];
+            expect(trimmed.operation).to.equal('trim');
+            expect(trimmed.params).to.deep.equal({ startFrame: 30, endFrame: 90 });
+            expect(trimmed.sources.map(source => source.id)).to.deep.equal([sourceId1]);
+            expect(trimmed.sources[0].sources).to.be.empty;
+        });
+    });
+
+    describe('GET /videos/:id/derivatives', () => {
+        it('should list direct and indirect descendants', async () => {
+            const response = await request(app)
+                .get(`/videos/${sourceId1}/derivatives`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.derivatives.map(d => [d.id, d.operation, d.depth])).to.deep.equal([
+                [trimmedId, 'trim', 1],
+                [mergedId, 'merge', 2]
+            ]);
+        });
+
+        it('should return an empty list for leaf videos', async () => {
+            const response = await request(app)
+                .get(`/videos/${mergedId}/derivatives`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.derivatives).to.be.empty;
+        });
+    });
+
+    describe('DELETE /videos/:id with derivatives', () => {
+        it('should refuse to delete a source that derived videos reference', async () => {
+            const response = await request(app)
+                .delete(`/videos/${trimmedId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(409);
+
+            expect(response.body.derivatives.map(d => d.id)).to.deep.equal([mergedId]);
+            expect(getDb().prepare('SELECT * FROM videos WHERE id = ?').get(trimmedId)).to.exist;
+        });
+
+        it('should delete a leaf video and its edit record', async () => {
+            await request(app)
+                .delete(`/videos/${mergedId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            expect(getDb().prepare('SELECT * FROM edits WHERE video_id = ?').get(mergedId)).to.be.undefined;
+        });
+
+        it('should delete a referenced source when forced and keep the lineage', async () => {
+            await request(app)
+                .delete(`/videos/${sourceId1}?force=true`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            const response = await request(app)
+                .get(`/videos/${trimmedId}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.sources).to.deep.equal([{
+                id: sourceId1,
+                deleted: true,
+                operation: null,
+                params: null,
+                sources: []
+            }]);
+        });
+    });
+});
@@ -2,16 +2,43 @@ const request = require('supertest');
 const { expect } = require('chai');
 const path = require('path');
 const fs = require('fs');
-const app = require('../app');
+const os = require('os');
+const { createApp } = require('../app');
 const { getDb } = require('../db');
-const { VALID_API_TOKENS } = require('../middleware/auth');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+const config = createTestConfig();
+const app = createApp(config);
 
 describe('POST /videos/merge', () => {
-    const API_TOKEN = Array.from(VALID_API_TOKENS)[0];
+    const { token: API_TOKEN, userId } = createTestUser();
     let videoId1;
     let videoId2;
+    let tmpDir;
+
+    // Store raw frames in a scratch directory as one of the test user's videos
+    const insertRawVideo = (name, frames, format) => {
+        const filepath = path.join(tmpDir, name);
+        fs.writeFileSync(filepath, Buffer.concat(frames));
+        return getDb().prepare(`
+            INSERT INTO videos (filename, filepath, size, duration, width, height, pixel_format, fps, container, codec, owner_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'raw', 'rawvideo', ?)
+        `).run(
+            name,
+            filepath,
+            fs.statSync(filepath).size,
+            frames.length / format.fps,
+            format.width,
+            format.height,
+            format.pixelFormat,
+            format.fps,
+            userId
+        ).lastInsertRowid;
+    };
 
     before(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-merge-test-'));
+
         // Upload test videos
         const testVideoPath = path.join(__dirname, 'fixtures', 'test-video1.raw');
         
@@ -35,13 +62,17 @@ describe('POST /videos/merge', () => {
     after(() => {
         // Cleanup database
         const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
         db.prepare('DELETE FROM videos').run();
 
         // Cleanup uploaded files
-        const uploadsDir = path.join(__dirname, '../uploads');
+        const uploadsDir = config.uploadDir;
         fs.readdirSync(uploadsDir).forEach(file => {
             fs.unlinkSync(path.join(uploadsDir, file));
         });
+        fs.rmSync(tmpDir, { recursive: true, force: true });
     });
 
     it('should reject requests without authentication', async () => {
@@ -83,16 +114,249 @@ describe('POST /videos/merge', () => {
             .expect(404);
     });
 
+    it('should return 400 if the videos have different geometry', async () => {
+        const db = getDb();
+        const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoId1);
+        const result = db.prepare(`
+            INSERT INTO videos (filename, filepath, size, duration, width, height, pixel_format, fps, container, owner_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'raw', ?)
+        `).run(video.filename, video.filepath, video.size, 10, 160, 120, 'rgb24', 30, userId);
+
+        const response = await request(app)
+            .post('/videos/merge')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ videoIds: [videoId1, result.lastInsertRowid] })
+            .expect(400);
+
+        expect(response.body.error).to.include('same container, codec, resolution, pixel format and frame rate');
+        expect(response.body.code).to.equal('INCOMPATIBLE_INPUTS');
+        expect(response.body.inputs).to.have.lengthOf(2);
+        expect(response.body.inputs[0]).to.include({ videoId: videoId1, container: 'raw' });
+        expect(response.body.inputs[0].problems).to.deep.equal([]);
+        expect(response.body.inputs[1].problems).to.deep.equal(['resolution is 160x120, expected 320x240']);
+    });
+
+    it('should report each input whose container differs', async () => {
+        const result = getDb().prepare(`
+            INSERT INTO videos (filename, filepath, size, duration, width, height, pixel_format, fps, container, codec, owner_id)
+            VALUES ('clip.mp4', '/nonexistent/clip.mp4', 1000, 5, 320, 240, 'yuv420p', 30, 'mp4', 'h264', ?)
+        `).run(userId);
+
+        const response = await request(app)
+            .post('/videos/merge')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ videoIds: [videoId1, result.lastInsertRowid, videoId2] })
+            .expect(400);
+
+        expect(response.body.inputs.map(input => input.problems)).to.deep.equal([
+            [],
+            ['container is mp4, expected raw', 'pixel format is yuv420p, expected rgb24'],
+            []
+        ]);
+        expect(response.body.inputs[1]).to.include({ container: 'mp4', codec: 'h264', width: 320, height: 240 });
+    });
+
+    it('should validate normalisation options', async () => {
+        const send = (body) => request(app)
+            .post('/videos/merge')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ videoIds: [videoId1, videoId2], ...body });
+
+        await send({ normalize: 'yes' }).expect(400);
+
+        const withoutNormalize = await send({ output: { container: 'raw' } }).expect(400);
+        expect(withoutNormalize.body.error).to.equal('output can only be given when normalize is true');
+
+        const container = await send({ normalize: true, output: { container: 'webm' } }).expect(400);
+        expect(container.body.error).to.include('Unsupported output container');
+
+        const pixelFormat = await send({ normalize: true, output: { container: 'mp4', pixelFormat: 'rgb24' } }).expect(400);
+        expect(pixelFormat.body.error).to.equal('MP4 output is always yuv420p');
+
+        await send({ normalize: true, output: { width: 0 } }).expect(400);
+        await send({ normalize: true, output: { container: 'mp4', width: 321 } }).expect(400);
+    });
+
     it('should successfully merge two videos', async () => {
         const response = await request(app)
             .post('/videos/merge')
             .set('Authorization', `Bearer ${API_TOKEN}`)
             .send({ videoIds: [videoId1, videoId2] })
-            .expect(200);
+            .expect(202);
+
+        expect(response.body).to.have.property('jobId');
+        expect(response.body).to.have.property('statusUrl');
+
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        expect(video).to.exist;
+        expect(video.duration).to.be.approximately(10, 0.1); // 5s + 5s = 10s
+    });
+
+    describe('normalised merges', () => {
+        it('should scale, convert and resample raw inputs to the first input\'s format', async () => {
+            const red = Buffer.from([255, 0, 0].concat([255, 0, 0], [255, 0, 0], [255, 0, 0]));
+            const first = insertRawVideo('red.raw', [red, red], { width: 2, height: 2, pixelFormat: 'rgb24', fps: 2 });
+            const second = insertRawVideo('gray.raw', [Buffer.from([100])], { width: 1, height: 1, pixelFormat: 'gray', fps: 1 });
+
+            const response = await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoIds: [first, second], normalize: true })
+                .expect(202);
 
-        expect(response.body).to.have.property('id');
-        expect(response.body).to.have.property('filename');
-        expect(response.body).to.have.property('duration');
-        expect(response.body.duration).to.be.approximately(10, 0.1); // 5s + 5s = 10s
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            expect(job.state).to.equal('succeeded');
+
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+            expect(video).to.include({ width: 2, height: 2, pixel_format: 'rgb24', fps: 2, container: 'raw' });
+            expect(video.duration).to.equal(2);
+
+            // One second of gray at 1fps becomes two frames at 2fps
+            const gray = Buffer.alloc(12, 100);
+            expect(fs.readFileSync(video.filepath).equals(Buffer.concat([red, red, gray, gray]))).to.be.true;
+
+            const edit = getDb().prepare('SELECT * FROM edits WHERE video_id = ?').get(video.id);
+            expect(JSON.parse(edit.params)).to.deep.equal({
+                normalize: true,
+                output: { container: 'raw', width: 2, height: 2, pixelFormat: 'rgb24', fps: 2 }
+            });
+        });
+
+        it('should write the requested raw format', async () => {
+            const white = Buffer.alloc(4 * 4 * 3, 255);
+            const first = insertRawVideo('white.raw', [white], { width: 4, height: 4, pixelFormat: 'rgb24', fps: 1 });
+            const second = insertRawVideo('black.raw', [Buffer.alloc(2 * 2)], { width: 2, height: 2, pixelFormat: 'gray', fps: 1 });
+
+            const response = await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({
+                    videoIds: [first, second],
+                    normalize: true,
+                    output: { container: 'raw', width: 2, height: 2, pixelFormat: 'yuv420p' }
+                })
+                .expect(202);
+
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+            expect(video).to.include({ width: 2, height: 2, pixel_format: 'yuv420p', fps: 1 });
+
+            // Full-range luma, then neutral chroma, for each frame
+            expect([...fs.readFileSync(video.filepath)]).to.deep.equal([
+                255, 255, 255, 255, 128, 128,
+                0, 0, 0, 0, 128, 128
+            ]);
+        });
+    });
+
+    describe('transitions', () => {
+        // Single-pixel rgb24 frames at 1fps
+        const pixel = { width: 1, height: 1, pixelFormat: 'rgb24', fps: 1 };
+        const frames = (count, rgb) => Array.from({ length: count }, () => Buffer.from(rgb));
+
+        const mergeWith = async (videoIds, transitions, options = {}) => {
+            const response = await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoIds, transitions, ...options })
+                .expect(202);
+
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            expect(job.state).to.equal('succeeded');
+            return getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        };
+
+        it('should overlap crossfaded videos and shorten the merge', async () => {
+            const red = insertRawVideo('fade-red.raw', frames(4, [255, 0, 0]), pixel);
+            const blue = insertRawVideo('fade-blue.raw', frames(4, [0, 0, 255]), pixel);
+
+            const video = await mergeWith([red, blue], [{ type: 'crossfade', frames: 2 }]);
+
+            expect(video.duration).to.equal(6);
+            expect([...fs.readFileSync(video.filepath)]).to.deep.equal([
+                255, 0, 0,
+                255, 0, 0,
+                170, 0, 85,
+                85, 0, 170,
+                0, 0, 255,
+                0, 0, 255
+            ]);
+
+            const edit = getDb().prepare('SELECT * FROM edits WHERE video_id = ?').get(video.id);
+            expect(JSON.parse(edit.params)).to.deep.equal({ transitions: [{ type: 'crossfade', frames: 2 }] });
+        });
+
+        it('should fade out to black and back in without overlapping', async () => {
+            const bright = insertRawVideo('bright.raw', frames(3, [200, 200, 200]), pixel);
+            const dim = insertRawVideo('dim.raw', frames(3, [100, 100, 100]), pixel);
+
+            const video = await mergeWith([bright, dim], [{ type: 'fade-to-black', frames: 2 }]);
+
+            expect(video.duration).to.equal(6);
+            expect([...fs.readFileSync(video.filepath)].filter((_, i) => i % 3 === 0)).to.deep.equal([
+                200, 100, 0, 0, 50, 100
+            ]);
+        });
+
+        it('should wipe the next video in from the left', async () => {
+            const wide = { ...pixel, width: 2 };
+            const red = insertRawVideo('wipe-red.raw', frames(2, [255, 0, 0, 255, 0, 0]), wide);
+            const blue = insertRawVideo('wipe-blue.raw', frames(2, [0, 0, 255, 0, 0, 255]), wide);
+            const cut = insertRawVideo('wipe-cut.raw', frames(1, [0, 255, 0, 0, 255, 0]), wide);
+
+            const video = await mergeWith([red, blue, cut], [{ type: 'wipe', frames: 1 }, { type: 'cut' }]);
+
+            expect(video.duration).to.equal(4);
+            expect([...fs.readFileSync(video.filepath)]).to.deep.equal([
+                255, 0, 0, 255, 0, 0,
+                0, 0, 255, 255, 0, 0,
+                0, 0, 255, 0, 0, 255,
+                0, 255, 0, 0, 255, 0
+            ]);
+        });
+
+        it('should reject transitions that don\'t fit the videos beside them', async () => {
+            const short = insertRawVideo('short.raw', frames(2, [0, 0, 0]), pixel);
+            const long = insertRawVideo('long.raw', frames(5, [0, 0, 0]), pixel);
+            const send = (videoIds, transitions) => request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoIds, transitions })
+                .expect(400);
+
+            const tooLong = await send([long, short], [{ type: 'crossfade', frames: 3 }]);
+            expect(tooLong.body.error).to.equal('Transition 1 (crossfade) is 3 frames, longer than the 2-frame video beside it');
+
+            const together = await send([long, short, long], [{ type: 'wipe', frames: 2 }, { type: 'fade-to-black', frames: 1 }]);
+            expect(together.body.error).to.equal('Transitions into and out of video 2 need 3 frames together, but it has 2');
+
+            await send([long, short], []);
+            await send([long, short], [{ type: 'dissolve', frames: 1 }]);
+            await send([long, short], [{ type: 'crossfade', frames: 0 }]);
+            await send([long, short], [{ type: 'cut', frames: 2 }]);
+        });
+
+        it('should only blend rgb24 raw output', async () => {
+            const gray = { ...pixel, pixelFormat: 'gray' };
+            const first = insertRawVideo('gray-1.raw', frames(2, [0]), gray);
+            const second = insertRawVideo('gray-2.raw', frames(2, [0]), gray);
+
+            const response = await request(app)
+                .post('/videos/merge')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ videoIds: [first, second], transitions: [{ type: 'crossfade', frames: 1 }] })
+                .expect(400);
+            expect(response.body.error).to.equal('Transitions other than cut need raw rgb24 output');
+
+            // Normalising to rgb24 makes them blendable
+            const video = await mergeWith([first, second], [{ type: 'crossfade', frames: 1 }], {
+                normalize: true,
+                output: { pixelFormat: 'rgb24' }
+            });
+            expect(video).to.include({ pixel_format: 'rgb24', duration: 3 });
+        });
     });
 });
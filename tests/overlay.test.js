@@ -0,0 +1,255 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { encodePng } = require('../png');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+describe('Overlays', () => {
+    const { token: API_TOKEN } = createTestUser();
+    const otherUser = createTestUser();
+    let uploadDir;
+    let app;
+    let videoId;
+
+    // Three black frames of 4x2 rgb24 video at 3fps
+    const video = Buffer.alloc(3 * 4 * 2 * 3);
+
+    // A 2x1 PNG: an opaque green pixel and a fully transparent blue one
+    const png = encodePng({ width: 2, height: 1, channels: 4, data: Buffer.from([0, 255, 0, 255, 0, 0, 255, 0]) });
+
+    const upload = (buffer, format) => request(app)
+        .post('/upload')
+        .set('Authorization', `Bearer ${API_TOKEN}`)
+        .field('width', String(format.width))
+        .field('height', String(format.height))
+        .field('pixelFormat', format.pixelFormat)
+        .field('fps', String(format.fps))
+        .attach('video', buffer, { filename: 'black.raw', contentType: 'video/raw' })
+        .expect(200);
+
+    const overlay = (body, id = videoId, token = API_TOKEN) => request(app)
+        .post(`/videos/${id}/overlay`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    // Run an overlay to completion and return the new video's ID and bytes
+    const overlaid = async (body, id = videoId) => {
+        const response = await overlay(body, id).expect(202);
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+        const result = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        return { id: result.id, bytes: [...fs.readFileSync(result.filepath)] };
+    };
+
+    // Pixels of one 4x2 rgb24 frame, given as [x, y, [r, g, b]] over black
+    const frameWith = (...pixels) => {
+        const frame = Array(4 * 2 * 3).fill(0);
+        pixels.forEach(([x, y, rgb]) => frame.splice((y * 4 + x) * 3, 3, ...rgb));
+        return frame;
+    };
+
+    before(async () => {
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-overlay-test-'));
+        app = createApp(createTestConfig({ uploadDir }));
+
+        const response = await upload(video, { width: 4, height: 2, pixelFormat: 'rgb24', fps: 3 });
+        videoId = response.body.id;
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM share_accesses').run();
+        db.prepare('DELETE FROM share_views').run();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    describe('POST /videos/:id/overlay', () => {
+        it('should draw text in the bitmap font with the given colour and opacity', async () => {
+            // The bottom two rows of '.' light font columns 1 and 2
+            const { id, bytes } = await overlaid({ text: '.', size: 1, color: '#ff0000', opacity: 0.5, y: -5 });
+
+            const red = [128, 0, 0];
+            const frame = frameWith([1, 0, red], [2, 0, red], [1, 1, red], [2, 1, red]);
+            expect(bytes).to.deep.equal([...frame, ...frame, ...frame]);
+
+            const lineage = await request(app)
+                .get(`/videos/${id}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(lineage.body.operation).to.equal('overlay');
+            expect(lineage.body.params).to.deep.equal({
+                text: '.', size: 1, color: '#FF0000', width: 5, height: 7, x: 0, y: -5, opacity: 0.5
+            });
+        });
+
+        it('should composite a PNG using its alpha channel within the time range', async () => {
+            const { id, bytes } = await overlaid({
+                image: png.toString('base64'),
+                x: 2,
+                y: 1,
+                startTime: 1 / 3,
+                endTime: 2 / 3
+            });
+
+            const black = frameWith();
+            expect(bytes).to.deep.equal([...black, ...frameWith([2, 1, [0, 255, 0]]), ...black]);
+
+            const lineage = await request(app)
+                .get(`/videos/${id}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(lineage.body.params).to.deep.equal({
+                width: 2, height: 1, x: 2, y: 1, opacity: 1, startFrame: 1, endFrame: 2
+            });
+        });
+
+        it('should blend luma and averaged chroma on yuv420p videos', async () => {
+            const yuv = await upload(Buffer.from([0, 0, 0, 0, 128, 128]), { width: 2, height: 2, pixelFormat: 'yuv420p', fps: 1 });
+            const red = encodePng({ width: 1, height: 1, channels: 3, data: Buffer.from([255, 0, 0]) });
+
+            const { bytes } = await overlaid({ image: red.toString('base64') }, yuv.body.id);
+            expect(bytes).to.deep.equal([76, 0, 0, 0, 117, 160]);
+        });
+
+        it('should accept images beyond the default JSON body limit without storing them in the job', async () => {
+            // Noise doesn't compress, so this PNG is about 160kB before base64
+            const noise = encodePng({ width: 200, height: 200, channels: 4, data: crypto.randomBytes(200 * 200 * 4) });
+            const response = await overlay({ image: noise.toString('base64') }).expect(202);
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            expect(job.state).to.equal('succeeded');
+
+            const params = JSON.parse(getDb().prepare('SELECT params FROM jobs WHERE id = ?').get(response.body.jobId).params);
+            expect(params.overlay).not.to.have.property('image');
+            expect(fs.existsSync(params.overlay.imagePath)).to.be.false;
+        });
+
+        it('should answer oversized and malformed bodies with JSON errors', async () => {
+            // Routes without overlay images keep the default 100kB limit
+            const tooLarge = await request(app)
+                .post(`/videos/${videoId}/trim`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ padding: 'x'.repeat(200 * 1024) })
+                .expect(413);
+            expect(tooLarge.body).to.deep.equal({
+                error: 'Request body exceeds the maximum of 102400 bytes',
+                code: 'BODY_TOO_LARGE'
+            });
+
+            const malformed = await overlay('{"text": ').set('Content-Type', 'application/json').expect(400);
+            expect(malformed.body.error).to.equal('Request body is not valid JSON');
+        });
+
+        it('should reject invalid overlays', async () => {
+            const neither = await overlay({ x: 1 }).expect(400);
+            expect(neither.body.error).to.equal('Provide exactly one of image or text');
+            await overlay({ text: 'A', image: png.toString('base64') }).expect(400);
+
+            const glyphs = await overlay({ text: 'café ~' }).expect(400);
+            expect(glyphs.body.error).to.equal('The overlay font has no glyphs for: é ~');
+
+            const image = await overlay({ image: Buffer.from('not a png').toString('base64') }).expect(400);
+            expect(image.body.error).to.equal('image could not be read: Not a PNG file');
+
+            const outside = await overlay({ text: 'A', x: 4 }).expect(400);
+            expect(outside.body.error).to.equal('The overlay must cover part of the 4x2 frame');
+
+            await overlay({ text: '' }).expect(400);
+            await overlay({ text: 'A', size: 0 }).expect(400);
+            await overlay({ text: 'A', color: 'red' }).expect(400);
+            await overlay({ text: 'A', x: 1.5 }).expect(400);
+            await overlay({ text: 'A', opacity: 0 }).expect(400);
+            await overlay({ text: 'A', startTime: 1, endTime: 1 }).expect(400);
+        });
+
+        it('should hide other users\' videos', async () => {
+            await overlay({ text: 'A' }, videoId, otherUser.token).expect(404);
+        });
+    });
+
+    describe('watermarked share links', () => {
+        const share = (body) => request(app)
+            .post(`/videos/${videoId}/share`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send(body);
+
+        it('should serve a watermarked copy instead of the original', async () => {
+            const response = await share({ watermark: true }).expect(200);
+            expect(response.body.watermarked).to.equal(true);
+
+            const job = await waitForJob(app, API_TOKEN, response.body.watermarkJobId);
+            expect(job.state).to.equal('succeeded');
+
+            const shared = await request(app)
+                .get(response.body.shareUrl)
+                .buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => callback(null, Buffer.concat(chunks)));
+                })
+                .expect(200);
+
+            // The top-left of the 'E' of the default watermark, at 60% white
+            const white = [153, 153, 153];
+            const frame = frameWith([0, 0, white], [1, 0, white], [2, 0, white], [3, 0, white], [0, 1, white]);
+            expect([...shared.body]).to.deep.equal([...frame, ...frame, ...frame]);
+        });
+
+        it('should not serve or count a view until the copy is ready', async () => {
+            const response = await share({ watermark: { text: 'A', opacity: 0.5 }, maxViews: 1 }).expect(200);
+            await waitForJob(app, API_TOKEN, response.body.watermarkJobId);
+
+            const db = getDb();
+            db.prepare('UPDATE jobs SET state = ? WHERE id = ?').run('running', response.body.watermarkJobId);
+            const pending = await request(app).get(response.body.shareUrl).expect(503);
+            expect(pending.body.code).to.equal('WATERMARK_PENDING');
+            expect(pending.headers['retry-after']).to.equal('5');
+
+            db.prepare('UPDATE jobs SET state = ? WHERE id = ?').run('succeeded', response.body.watermarkJobId);
+            await request(app).get(response.body.shareUrl).expect(200);
+        });
+
+        it('should not count a view once the copy has been deleted', async () => {
+            const response = await share({ watermark: true, maxViews: 1 }).expect(200);
+            const job = await waitForJob(app, API_TOKEN, response.body.watermarkJobId);
+
+            await request(app)
+                .delete(`/videos/${job.resultVideoId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            const gone = await request(app).get(response.body.shareUrl).expect(410);
+            expect(gone.body.code).to.equal('WATERMARK_DELETED');
+            await request(app).get(response.body.shareUrl).expect(410);
+
+            const link = getDb().prepare('SELECT view_count FROM share_links WHERE token = ?').get(response.body.token);
+            expect(link.view_count).to.equal(0);
+        });
+
+        it('should leave links without a watermark unchanged', async () => {
+            const response = await share({}).expect(200);
+            expect(response.body).to.include({ watermarked: false, watermarkJobId: null });
+
+            const shared = await request(app).get(response.body.shareUrl).expect(200);
+            expect(Number(shared.headers['content-length'])).to.equal(video.length);
+        });
+
+        it('should reject invalid watermarks', async () => {
+            const text = await share({ watermark: { text: '~' } }).expect(400);
+            expect(text.body.error).to.equal('Invalid watermark: The overlay font has no glyphs for: ~');
+
+            await share({ watermark: 'yes' }).expect(400);
+        });
+    });
+});
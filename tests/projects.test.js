@@ -0,0 +1,275 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { getFrameSize, DEFAULT_RAW_FORMAT } = require('../videoProcessing');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+const config = createTestConfig();
+const app = createApp(config);
+
+describe('Timeline projects', () => {
+    const { token: API_TOKEN } = createTestUser();
+    const otherUser = createTestUser();
+    const frameSize = getFrameSize(DEFAULT_RAW_FORMAT);
+    let redId;
+    let blueId;
+    let projectId;
+
+    const upload = async (fixture) => {
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .attach('video', path.join(__dirname, 'fixtures', fixture))
+            .expect(200);
+        return response.body.id;
+    };
+
+    const addClip = (body) => request(app)
+        .post(`/projects/${projectId}/clips`)
+        .set('Authorization', `Bearer ${API_TOKEN}`)
+        .send(body);
+
+    before(async () => {
+        redId = await upload('test-video1.raw');
+        blueId = await upload('test-video2.raw');
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM project_clips').run();
+        db.prepare('DELETE FROM projects').run();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        const uploadsDir = config.uploadDir;
+        fs.readdirSync(uploadsDir).forEach(file => {
+            fs.unlinkSync(path.join(uploadsDir, file));
+        });
+    });
+
+    describe('POST /projects', () => {
+        it('should require a name', async () => {
+            await request(app)
+                .post('/projects')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({})
+                .expect(400);
+        });
+
+        it('should create an empty project', async () => {
+            const response = await request(app)
+                .post('/projects')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ name: 'Rough cut' })
+                .expect(201);
+
+            projectId = response.body.id;
+            expect(response.body).to.include({ name: 'Rough cut', frameCount: 0, duration: 0 });
+            expect(response.body.clips).to.be.empty;
+        });
+
+        it('should refuse to render an empty project', async () => {
+            await request(app)
+                .post(`/projects/${projectId}/render`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(400);
+        });
+    });
+
+    describe('clips', () => {
+        it('should append clips and preview the total duration', async () => {
+            await addClip({ videoId: redId, startFrame: 0, endFrame: 30 }).expect(201);
+            const response = await addClip({ videoId: blueId }).expect(201);
+
+            expect(response.body.clips.map(c => [c.videoId, c.startFrame, c.endFrame])).to.deep.equal([
+                [redId, 0, 30],
+                [blueId, 0, 150]
+            ]);
+            expect(response.body.frameCount).to.equal(180);
+            expect(response.body.duration).to.equal(6);
+        });
+
+        it('should insert a clip at a given position', async () => {
+            const response = await addClip({ videoId: redId, startTimecode: '00:00:04:00', position: 0 }).expect(201);
+
+            expect(response.body.clips.map(c => c.position)).to.deep.equal([0, 1, 2]);
+            expect(response.body.clips[0]).to.include({
+                videoId: redId,
+                startFrame: 120,
+                endFrame: 150,
+                endTimecode: '00:00:05:00'
+            });
+        });
+
+        it('should reject invalid clips', async () => {
+            await addClip({ startFrame: 0 }).expect(400);
+            await addClip({ videoId: redId, startFrame: 10, endFrame: 500 }).expect(400);
+            await addClip({ videoId: redId, position: -1 }).expect(400);
+            await addClip({ videoId: 999999 }).expect(404);
+        });
+
+        it('should reorder clips', async () => {
+            const project = await request(app)
+                .get(`/projects/${projectId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            const [first, second, third] = project.body.clips.map(c => c.id);
+
+            const response = await request(app)
+                .patch(`/projects/${projectId}/clips/${first}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ position: 2 })
+                .expect(200);
+
+            expect(response.body.clips.map(c => c.id)).to.deep.equal([second, third, first]);
+        });
+
+        it('should change a clip\'s in/out points', async () => {
+            const project = await request(app)
+                .get(`/projects/${projectId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            const blueClip = project.body.clips.find(c => c.videoId === blueId);
+
+            const response = await request(app)
+                .patch(`/projects/${projectId}/clips/${blueClip.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ startFrame: 0, endFrame: 15 })
+                .expect(200);
+
+            expect(response.body.frameCount).to.equal(30 + 15 + 30);
+        });
+
+        it('should remove clips', async () => {
+            const project = await request(app)
+                .get(`/projects/${projectId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            const last = project.body.clips[2];
+
+            const response = await request(app)
+                .delete(`/projects/${projectId}/clips/${last.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.clips.map(c => c.id)).to.not.include(last.id);
+            expect(response.body.frameCount).to.equal(45);
+
+            await request(app)
+                .delete(`/projects/${projectId}/clips/${last.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+    });
+
+    describe('GET /projects/:id/export', () => {
+        it('should download the timeline as JSON', async () => {
+            const response = await request(app)
+                .get(`/projects/${projectId}/export`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect('Content-Type', /json/)
+                .expect(200);
+
+            expect(response.headers['content-disposition']).to.include(`project-${projectId}.json`);
+            expect(response.body.clips.map(c => [c.videoId, c.startFrame, c.endFrame])).to.deep.equal([
+                [redId, 0, 30],
+                [blueId, 0, 15]
+            ]);
+        });
+    });
+
+    describe('POST /projects/:id/render', () => {
+        it('should render the timeline into one video with lineage', async () => {
+            const response = await request(app)
+                .post(`/projects/${projectId}/render`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(202);
+
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            expect(job.state).to.equal('succeeded');
+
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+            expect(video.size).to.equal(45 * frameSize);
+            expect(video.duration).to.equal(1.5);
+
+            // Red frames first, then blue
+            const output = fs.readFileSync(video.filepath);
+            expect([...output.subarray(0, 3)]).to.deep.equal([255, 0, 0]);
+            expect([...output.subarray(30 * frameSize, 30 * frameSize + 3)]).to.deep.equal([0, 0, 255]);
+
+            const lineage = await request(app)
+                .get(`/videos/${video.id}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(lineage.body.operation).to.equal('render');
+            expect(lineage.body.sources.map(s => s.id)).to.deep.equal([redId, blueId]);
+        });
+    });
+
+    describe('access control', () => {
+        it('should hide projects from other users', async () => {
+            const listing = await request(app)
+                .get('/projects')
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .expect(200);
+
+            expect(listing.body.projects).to.be.empty;
+
+            await request(app)
+                .get(`/projects/${projectId}`)
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .expect(404);
+        });
+
+        it('should not let users add other users\' videos', async () => {
+            const project = await request(app)
+                .post('/projects')
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .send({ name: 'Not mine' })
+                .expect(201);
+
+            await request(app)
+                .post(`/projects/${project.body.id}/clips`)
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .send({ videoId: redId })
+                .expect(404);
+        });
+    });
+
+    describe('deleting', () => {
+        it('should drop clips whose source video is deleted', async () => {
+            await request(app)
+                .delete(`/videos/${blueId}?force=true`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            const response = await request(app)
+                .get(`/projects/${projectId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.clips.map(c => c.videoId)).to.deep.equal([redId]);
+            expect(response.body.clips[0].position).to.equal(0);
+        });
+
+        it('should delete a project but keep its videos', async () => {
+            await request(app)
+                .delete(`/projects/${projectId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            await request(app)
+                .get(`/projects/${projectId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+
+            expect(getDb().prepare('SELECT * FROM videos WHERE id = ?').get(redId)).to.exist;
+        });
+    });
+});
@@ -0,0 +1,221 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+describe('Storage quotas', () => {
+    // 10 frames of 16x16 gray video: 2560 bytes, one second at 10fps
+    const video = Buffer.alloc(16 * 16 * 10, 128);
+    const admin = createTestUser(['admin']);
+    let uploadDir;
+
+    // App whose users may own at most two of the test videos by size
+    let app;
+
+    const upload = (target, token) => request(target)
+        .post('/upload')
+        .set('Authorization', `Bearer ${token}`)
+        .field('width', '16')
+        .field('height', '16')
+        .field('pixelFormat', 'gray')
+        .field('fps', '10')
+        .attach('video', video, { filename: 'gray.raw', contentType: 'video/raw' });
+
+    before(() => {
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-quota-test-'));
+        app = createApp(createTestConfig({ uploadDir, defaultQuotaBytes: 6000, defaultQuotaMinutes: 1 }));
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+        db.prepare('DELETE FROM upload_sessions').run();
+
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    it('should report usage against the configured limits', async () => {
+        const { token } = createTestUser();
+        await upload(app, token).expect(200);
+
+        const response = await request(app)
+            .get('/usage')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        expect(response.body.videoCount).to.equal(1);
+        expect(response.body.bytes).to.deep.equal({ used: 2560, reserved: 0, limit: 6000, remaining: 3440 });
+        expect(response.body.minutes.used).to.be.closeTo(1 / 60, 1e-9);
+        expect(response.body.minutes.limit).to.equal(1);
+        expect(response.body.minutes.remaining).to.be.closeTo(59 / 60, 1e-9);
+    });
+
+    it('should reject uploads that would go over the byte quota and discard the file', async () => {
+        const { token } = createTestUser();
+        await upload(app, token).expect(200);
+        await upload(app, token).expect(200);
+        const storedFiles = fs.readdirSync(uploadDir).length;
+
+        const response = await upload(app, token).expect(413);
+
+        expect(response.body.code).to.equal('QUOTA_EXCEEDED');
+        expect(response.body.error).to.include('Storage quota exceeded');
+        expect(response.body.remaining.bytes).to.equal(6000 - 2 * 2560);
+        expect(response.body.remaining.minutes).to.be.closeTo(58 / 60, 1e-9);
+        expect(fs.readdirSync(uploadDir)).to.have.lengthOf(storedFiles);
+    });
+
+    it('should reject resumable uploads declaring more bytes than remain', async () => {
+        const { token } = createTestUser();
+
+        const response = await request(app)
+            .post('/upload/resumable')
+            .set('Authorization', `Bearer ${token}`)
+            .set('Tus-Resumable', '1.0.0')
+            .set('Upload-Length', '6001')
+            .set('Upload-Metadata', `filename ${Buffer.from('big.raw').toString('base64')}`)
+            .expect(413);
+
+        expect(response.body).to.deep.include({
+            code: 'QUOTA_EXCEEDED',
+            requested: { bytes: 6001, minutes: 0 },
+            remaining: { bytes: 6000, minutes: 1 }
+        });
+    });
+
+    it('should reject trims and merges before queueing a job', async () => {
+        const { token } = createTestUser();
+        const first = await upload(app, token).expect(200);
+        const second = await upload(app, token).expect(200);
+        const jobCount = getDb().prepare('SELECT COUNT(*) AS count FROM jobs').get().count;
+
+        // Half the frames of one video is 1280 bytes, but only 880 remain
+        const trim = await request(app)
+            .post(`/videos/${first.body.id}/trim`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ startFrame: 0, endFrame: 5 })
+            .expect(413);
+        expect(trim.body.requested.bytes).to.equal(1280);
+        expect(trim.body.remaining.bytes).to.equal(880);
+
+        const merge = await request(app)
+            .post('/videos/merge')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ videoIds: [first.body.id, second.body.id] })
+            .expect(413);
+        expect(merge.body.requested.bytes).to.equal(5120);
+
+        expect(getDb().prepare('SELECT COUNT(*) AS count FROM jobs').get().count).to.equal(jobCount);
+    });
+
+    it('should hold the output of queued jobs against the quota', async () => {
+        const { token } = createTestUser();
+        const { body: { id } } = await upload(app, token).expect(200);
+
+        // Each full-length trim needs 2560 bytes and only 3440 remain, so the
+        // second must be refused even though the first hasn't produced anything yet
+        const trim = () => request(app)
+            .post(`/videos/${id}/trim`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ startFrame: 0, endFrame: 10 });
+        const responses = await Promise.all([trim(), trim()]);
+        expect(responses.map(response => response.status).sort()).to.deep.equal([202, 413]);
+
+        const accepted = responses.find(response => response.status === 202);
+        const job = getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(accepted.body.jobId);
+        expect(job).to.include({ reserved_bytes: 2560 });
+        expect(job.reserved_minutes).to.be.closeTo(1 / 60, 1e-9);
+
+        const finished = await waitForJob(app, token, accepted.body.jobId);
+        expect(finished.state).to.equal('succeeded');
+
+        const usage = await request(app)
+            .get('/usage')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(usage.body.bytes).to.deep.equal({ used: 5120, reserved: 0, limit: 6000, remaining: 880 });
+    });
+
+    it('should enforce the minutes quota independently of bytes', async () => {
+        const { token } = createTestUser();
+        const shortApp = createApp(createTestConfig({ uploadDir, defaultQuotaBytes: null, defaultQuotaMinutes: 1.5 / 60 }));
+        await upload(shortApp, token).expect(200);
+
+        const response = await upload(shortApp, token).expect(413);
+
+        expect(response.body.error).to.match(/minutes needed/);
+        expect(response.body.error).not.to.match(/bytes needed/);
+        expect(response.body.remaining.bytes).to.be.null;
+    });
+
+    describe('per-user quotas', () => {
+        it('should let admins raise a user\'s quota and reset it to the default', async () => {
+            const user = createTestUser();
+            await upload(app, user.token).expect(200);
+            await upload(app, user.token).expect(200);
+            await upload(app, user.token).expect(413);
+
+            const raised = await request(app)
+                .put(`/users/${user.userId}/quota`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ bytes: 10000 })
+                .expect(200);
+            expect(raised.body.bytes).to.deep.equal({ used: 5120, reserved: 0, limit: 10000, remaining: 4880 });
+            expect(raised.body.minutes.limit).to.equal(1);
+
+            await upload(app, user.token).expect(200);
+
+            const reset = await request(app)
+                .put(`/users/${user.userId}/quota`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ bytes: null })
+                .expect(200);
+            expect(reset.body.bytes).to.deep.equal({ used: 7680, reserved: 0, limit: 6000, remaining: 0 });
+        });
+
+        it('should validate quota changes and require the admin scope', async () => {
+            const user = createTestUser();
+
+            await request(app)
+                .put(`/users/${user.userId}/quota`)
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ bytes: 10000 })
+                .expect(403);
+
+            await request(app)
+                .put(`/users/${user.userId}/quota`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ minutes: -1 })
+                .expect(400);
+
+            await request(app)
+                .put('/users/999999/quota')
+                .set('Authorization', `Bearer ${admin.token}`)
+                .send({ bytes: 10000 })
+                .expect(404);
+        });
+
+        it('should only let admins report other users\' usage', async () => {
+            const user = createTestUser();
+            const other = createTestUser();
+
+            await request(app)
+                .get(`/usage?userId=${other.userId}`)
+                .set('Authorization', `Bearer ${user.token}`)
+                .expect(403);
+
+            const response = await request(app)
+                .get(`/usage?userId=${other.userId}`)
+                .set('Authorization', `Bearer ${admin.token}`)
+                .expect(200);
+            expect(response.body).to.include({ userId: other.userId, videoCount: 0 });
+        });
+    });
+});
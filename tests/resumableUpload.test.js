@@ -0,0 +1,277 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const ffmpeg = require('fluent-ffmpeg');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { cleanupExpiredUploads } = require('../resumableUploads');
+const { createTestConfig, createTestUser } = require('./helpers');
+
+describe('Resumable uploads', () => {
+    const { token: API_TOKEN } = createTestUser();
+    const otherUser = createTestUser();
+    let uploadsDir;
+    let partialDir;
+    let config;
+    let app;
+
+    // 30 frames of 16x16 gray video: one second at 30fps
+    const video = Buffer.alloc(16 * 16 * 30, 128);
+
+    const encodeMetadata = (metadata) => Object.entries(metadata)
+        .map(([key, value]) => `${key} ${Buffer.from(String(value)).toString('base64')}`)
+        .join(',');
+
+    const createUpload = async (length, metadata) => {
+        const response = await request(app)
+            .post('/upload/resumable')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Tus-Resumable', '1.0.0')
+            .set('Upload-Length', String(length))
+            .set('Upload-Metadata', encodeMetadata(metadata))
+            .expect(201);
+        return response.headers.location;
+    };
+
+    const sendChunk = (location, offset, chunk) => request(app)
+        .patch(location)
+        .set('Authorization', `Bearer ${API_TOKEN}`)
+        .set('Tus-Resumable', '1.0.0')
+        .set('Upload-Offset', String(offset))
+        .set('Content-Type', 'application/offset+octet-stream')
+        .send(chunk);
+
+    const getOffset = async (location) => {
+        const response = await request(app)
+            .head(location)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Tus-Resumable', '1.0.0')
+            .expect(200);
+        return Number(response.headers['upload-offset']);
+    };
+
+    const grayMetadata = { filename: 'gray.raw', width: 16, height: 16, pixelFormat: 'gray', fps: 30 };
+
+    before(() => {
+        partialDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-partial-test-'));
+        config = createTestConfig({ partialUploadDir: partialDir });
+        uploadsDir = config.uploadDir;
+        app = createApp(config);
+    });
+
+    after(() => {
+        fs.rmSync(partialDir, { recursive: true, force: true });
+
+        const db = getDb();
+        db.prepare('DELETE FROM upload_sessions').run();
+        db.prepare('DELETE FROM videos').run();
+
+        fs.readdirSync(uploadsDir).forEach(file => {
+            fs.unlinkSync(path.join(uploadsDir, file));
+        });
+    });
+
+    it('should advertise tus support', async () => {
+        const response = await request(app)
+            .options('/upload/resumable')
+            .expect(204);
+
+        expect(response.headers['tus-resumable']).to.equal('1.0.0');
+        expect(response.headers['tus-version']).to.equal('1.0.0');
+        expect(response.headers['tus-extension']).to.include('creation');
+        expect(Number(response.headers['tus-max-size'])).to.equal(1024 * 1024 * 1024);
+    });
+
+    it('should require authentication and the tus version header', async () => {
+        await request(app)
+            .post('/upload/resumable')
+            .expect(401);
+
+        const response = await request(app)
+            .post('/upload/resumable')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Upload-Length', '100')
+            .expect(412);
+
+        expect(response.headers['tus-version']).to.equal('1.0.0');
+    });
+
+    it('should reject invalid upload declarations', async () => {
+        const create = (length, metadata) => request(app)
+            .post('/upload/resumable')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Tus-Resumable', '1.0.0')
+            .set('Upload-Length', length)
+            .set('Upload-Metadata', metadata);
+
+        await create('abc', encodeMetadata(grayMetadata)).expect(400);
+        const tooLarge = await create(String(2 * 1024 * 1024 * 1024), encodeMetadata(grayMetadata)).expect(413);
+        expect(tooLarge.body.code).to.equal('FILE_TOO_LARGE');
+        await create('100', encodeMetadata({ width: 16 })).expect(400);
+        await create('100', encodeMetadata({ filename: 'notes.txt' })).expect(400);
+        await create('100', 'filename not*base64').expect(400);
+    });
+
+    it('should upload in chunks, resume from the stored offset and finalize', async () => {
+        const location = await createUpload(video.length, grayMetadata);
+        expect(location).to.match(/^\/upload\/resumable\/[0-9a-f]{32}$/);
+
+        // The partial file lives outside uploads/
+        expect(fs.readdirSync(partialDir)).to.have.lengthOf(1);
+        expect(await getOffset(location)).to.equal(0);
+
+        const first = await sendChunk(location, 0, video.subarray(0, 3000)).expect(204);
+        expect(first.headers['upload-offset']).to.equal('3000');
+
+        // A client that lost track of the offset is told the real one
+        await sendChunk(location, 0, video.subarray(0, 3000)).expect(409);
+        expect(await getOffset(location)).to.equal(3000);
+
+        await request(app)
+            .post(`${location}/finalize`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(409);
+
+        await request(app)
+            .put(location)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Tus-Resumable', '1.0.0')
+            .set('Upload-Offset', '3000')
+            .set('Content-Type', 'application/offset+octet-stream')
+            .send(video.subarray(3000))
+            .expect(204);
+
+        const response = await request(app)
+            .post(`${location}/finalize`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+
+        expect(response.body).to.include({ duration: 1, width: 16, height: 16, pixelFormat: 'gray', fps: 30 });
+
+        const stored = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(response.body.id);
+        expect(path.dirname(stored.filepath)).to.equal(path.resolve(uploadsDir));
+        expect(fs.readFileSync(stored.filepath).equals(video)).to.be.true;
+        expect(fs.readdirSync(partialDir)).to.be.empty;
+
+        await request(app)
+            .head(location)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Tus-Resumable', '1.0.0')
+            .expect(404);
+    });
+
+    it('should reject chunks with the wrong content type or past the declared length', async () => {
+        const location = await createUpload(100, grayMetadata);
+
+        await request(app)
+            .patch(location)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Tus-Resumable', '1.0.0')
+            .set('Upload-Offset', '0')
+            .set('Content-Type', 'application/octet-stream')
+            .send(Buffer.alloc(10))
+            .expect(415);
+
+        await sendChunk(location, 0, Buffer.alloc(101)).expect(413);
+        expect(await getOffset(location)).to.be.at.most(100);
+    });
+
+    it('should run the duration check when finalizing', async () => {
+        // 301 seconds of 2x2 gray video at 1fps
+        const long = Buffer.alloc(2 * 2 * 301);
+        const location = await createUpload(long.length, {
+            filename: 'long.raw', width: 2, height: 2, pixelFormat: 'gray', fps: 1
+        });
+        await sendChunk(location, 0, long).expect(204);
+
+        const response = await request(app)
+            .post(`${location}/finalize`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(400);
+
+        expect(response.body).to.deep.equal({
+            error: 'Video duration exceeds maximum allowed length',
+            code: 'DURATION_TOO_LONG'
+        });
+        expect(fs.readdirSync(uploadsDir).filter(file => file.endsWith('.raw'))).to.have.lengthOf(1);
+    });
+
+    it('should keep the upload for a retry when finalizing fails', async () => {
+        // An MP4 header that ffprobe is made to fail on
+        const mp4 = Buffer.concat([Buffer.from([0, 0, 0, 16]), Buffer.from('ftypisom', 'latin1'), Buffer.alloc(4)]);
+        const location = await createUpload(mp4.length, { filename: 'broken.mp4', filetype: 'video/mp4' });
+        await sendChunk(location, 0, mp4).expect(204);
+        const before = fs.readdirSync(uploadsDir);
+
+        const ffprobe = ffmpeg.ffprobe;
+        ffmpeg.ffprobe = (filepath, callback) => callback(new Error('ffprobe failed'));
+        try {
+            await request(app)
+                .post(`${location}/finalize`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(500);
+        } finally {
+            ffmpeg.ffprobe = ffprobe;
+        }
+
+        expect(fs.readdirSync(uploadsDir)).to.deep.equal(before);
+        expect(await getOffset(location)).to.equal(mp4.length);
+        expect(fs.readFileSync(path.join(partialDir, `${location.split('/').pop()}.part`))).to.deep.equal(mp4);
+    });
+
+    it('should hide uploads from other users', async () => {
+        const location = await createUpload(video.length, grayMetadata);
+
+        await request(app)
+            .head(location)
+            .set('Authorization', `Bearer ${otherUser.token}`)
+            .set('Tus-Resumable', '1.0.0')
+            .expect(404);
+
+        await request(app)
+            .patch(location)
+            .set('Authorization', `Bearer ${otherUser.token}`)
+            .set('Tus-Resumable', '1.0.0')
+            .set('Upload-Offset', '0')
+            .set('Content-Type', 'application/offset+octet-stream')
+            .send(video)
+            .expect(404);
+    });
+
+    it('should discard an upload on DELETE', async () => {
+        const location = await createUpload(video.length, grayMetadata);
+        const id = location.split('/').pop();
+        await sendChunk(location, 0, video.subarray(0, 100)).expect(204);
+
+        await request(app)
+            .delete(location)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Tus-Resumable', '1.0.0')
+            .expect(204);
+
+        expect(fs.existsSync(path.join(partialDir, `${id}.part`))).to.be.false;
+    });
+
+    it('should garbage-collect sessions idle for longer than the TTL', async () => {
+        const stale = await createUpload(video.length, grayMetadata);
+        const fresh = await createUpload(video.length, grayMetadata);
+        const staleId = stale.split('/').pop();
+
+        getDb().prepare(`
+            UPDATE upload_sessions SET updated_at = datetime('now', '-2 hours') WHERE id = ?
+        `).run(staleId);
+
+        expect(cleanupExpiredUploads({ ...config, resumableUploadTtlHours: 1 })).to.equal(1);
+        expect(fs.existsSync(path.join(partialDir, `${staleId}.part`))).to.be.false;
+
+        await request(app)
+            .head(stale)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .set('Tus-Resumable', '1.0.0')
+            .expect(404);
+
+        expect(await getOffset(fresh)).to.equal(0);
+    });
+});
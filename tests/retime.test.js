@@ -0,0 +1,131 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+describe('Speed changes and reversing', () => {
+    const { token: API_TOKEN } = createTestUser();
+    const otherUser = createTestUser();
+    let uploadDir;
+    let app;
+    let videoId;
+
+    // 10 frames of 2x1 gray video at 5fps; every byte of frame i is i
+    const video = Buffer.concat(Array.from({ length: 10 }, (_, i) => Buffer.alloc(2, i)));
+
+    const post = (operation, body = {}, token = API_TOKEN) => request(app)
+        .post(`/videos/${videoId}/${operation}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    // Run a job to completion and return the new video with its frame numbers
+    const retimed = async (operation, body) => {
+        const response = await post(operation, body).expect(202);
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+
+        const result = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        const bytes = fs.readFileSync(result.filepath);
+        return { video: result, frames: Array.from({ length: bytes.length / 2 }, (_, i) => bytes[i * 2]) };
+    };
+
+    before(async () => {
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-retime-test-'));
+        app = createApp(createTestConfig({ uploadDir }));
+
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '2')
+            .field('height', '1')
+            .field('pixelFormat', 'gray')
+            .field('fps', '5')
+            .attach('video', video, { filename: 'count.raw', contentType: 'video/raw' })
+            .expect(200);
+
+        videoId = response.body.id;
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    describe('POST /videos/:id/speed', () => {
+        it('should drop frames to speed a video up', async () => {
+            const { video: fast, frames } = await retimed('speed', { factor: 4 });
+
+            expect(frames).to.deep.equal([0, 4, 8]);
+            expect(fast).to.include({ duration: 0.6, fps: 5, width: 2, height: 1, pixel_format: 'gray' });
+        });
+
+        it('should repeat frames to slow a video down', async () => {
+            const { video: slow, frames } = await retimed('speed', { factor: 0.5 });
+
+            expect(frames).to.deep.equal(Array.from({ length: 20 }, (_, i) => Math.floor(i / 2)));
+            expect(slow.duration).to.equal(4);
+        });
+
+        it('should report the new duration and record the factor', async () => {
+            const response = await post('speed', { factor: 2 }).expect(202);
+            expect(response.body.duration).to.equal(1);
+
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            const lineage = await request(app)
+                .get(`/videos/${job.resultVideoId}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(lineage.body.operation).to.equal('speed');
+            expect(lineage.body.params).to.deep.equal({ factor: 2 });
+            expect(lineage.body.sources.map(source => source.id)).to.deep.equal([videoId]);
+        });
+
+        it('should keep at least one frame', async () => {
+            const { frames } = await retimed('speed', { factor: 16 });
+            expect(frames).to.deep.equal([0]);
+        });
+
+        it('should reject invalid factors', async () => {
+            const missing = await post('speed', {}).expect(400);
+            expect(missing.body.error).to.equal('factor must be a number from 0.1 to 16');
+
+            await post('speed', { factor: 0 }).expect(400);
+            await post('speed', { factor: 17 }).expect(400);
+            await post('speed', { factor: '2' }).expect(400);
+            await post('speed', { factor: 1 }).expect(400);
+        });
+
+        it('should hide other users\' videos', async () => {
+            await post('speed', { factor: 2 }, otherUser.token).expect(404);
+        });
+    });
+
+    describe('POST /videos/:id/reverse', () => {
+        it('should write the frames in reverse order', async () => {
+            const { video: reversed, frames } = await retimed('reverse');
+
+            expect(frames).to.deep.equal([9, 8, 7, 6, 5, 4, 3, 2, 1, 0]);
+            expect(reversed.duration).to.equal(2);
+
+            const lineage = await request(app)
+                .get(`/videos/${reversed.id}/lineage`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(lineage.body.operation).to.equal('reverse');
+            expect(lineage.body.params).to.deep.equal({});
+        });
+
+        it('should hide other users\' videos', async () => {
+            await post('reverse', {}, otherUser.token).expect(404);
+        });
+    });
+});
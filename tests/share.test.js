@@ -2,14 +2,20 @@ const request = require('supertest');
 const { expect } = require('chai');
 const path = require('path');
 const fs = require('fs');
-const app = require('../app');
+const { createApp } = require('../app');
 const { getDb } = require('../db');
-const { VALID_API_TOKENS } = require('../middleware/auth');
+const { createSignedToken } = require('../shareTokens');
+const { createTestConfig, createTestUser } = require('./helpers');
+
+const config = createTestConfig({ shareTokenSecret: 'test-share-secret' });
+const app = createApp(config);
 
 describe('Video Sharing Endpoints', () => {
-    const API_TOKEN = Array.from(VALID_API_TOKENS)[0];
+    const { token: API_TOKEN, userId } = createTestUser();
     let testVideoId;
     let shareToken;
+    let videoPath;
+    let videoSize;
 
     before(async function() {
         this.timeout(10000); // Increase timeout for setup
@@ -19,16 +25,18 @@ describe('Video Sharing Endpoints', () => {
         
         // Copy test video to uploads directory
         const testVideoPath = path.join(__dirname, 'fixtures', 'test-video1.raw');
-        const uploadPath = path.join(__dirname, '../uploads', 'test-share-video.raw');
+        const uploadPath = path.join(config.uploadDir, 'test-share-video.raw');
         fs.copyFileSync(testVideoPath, uploadPath);
         
         // Insert test video record
         const result = db.prepare(`
-            INSERT INTO videos (filename, filepath, size, duration)
-            VALUES (?, ?, ?, ?)
-        `).run('test-share-video.raw', uploadPath, fs.statSync(uploadPath).size, 5.0);
+            INSERT INTO videos (filename, filepath, size, duration, container, owner_id)
+            VALUES (?, ?, ?, ?, 'raw', ?)
+        `).run('test-share-video.raw', uploadPath, fs.statSync(uploadPath).size, 5.0, userId);
         
         testVideoId = result.lastInsertRowid;
+        videoPath = uploadPath;
+        videoSize = fs.statSync(uploadPath).size;
 
         // Create share_links table if it doesn't exist
         db.prepare(`
@@ -46,11 +54,13 @@ describe('Video Sharing Endpoints', () => {
     after(() => {
         // Clean up share_links first (due to foreign key constraint)
         const db = getDb();
+        db.prepare('DELETE FROM share_accesses').run();
+        db.prepare('DELETE FROM share_views').run();
         db.prepare('DELETE FROM share_links').run();
         db.prepare('DELETE FROM videos').run();
 
         // Cleanup uploaded files
-        const uploadsDir = path.join(__dirname, '../uploads');
+        const uploadsDir = config.uploadDir;
         fs.readdirSync(uploadsDir).forEach(file => {
             fs.unlinkSync(path.join(uploadsDir, file));
         });
@@ -165,6 +175,94 @@ describe('Video Sharing Endpoints', () => {
             expect(response.headers['content-disposition']).to.include('test-share-video.raw');
         });
 
+        it('should serve inline by default and as an attachment with download=1', async () => {
+            const inline = await request(app)
+                .get(`/videos/share/${validToken}`)
+                .expect(200);
+
+            expect(inline.headers['content-disposition']).to.match(/^inline;/);
+
+            const download = await request(app)
+                .get(`/videos/share/${validToken}?download=1`)
+                .expect(200);
+
+            expect(download.headers['content-disposition']).to.match(/^attachment;/);
+        });
+
+        it('should advertise range support and the full length', async () => {
+            const response = await request(app)
+                .get(`/videos/share/${validToken}`)
+                .expect(200);
+
+            expect(response.headers['accept-ranges']).to.equal('bytes');
+            expect(Number(response.headers['content-length'])).to.equal(videoSize);
+            expect(response.headers).to.have.property('etag');
+            expect(response.headers).to.have.property('last-modified');
+        });
+
+        it('should return 206 with the requested byte range', async () => {
+            const response = await request(app)
+                .get(`/videos/share/${validToken}`)
+                .set('Range', 'bytes=100-199')
+                .buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => callback(null, Buffer.concat(chunks)));
+                })
+                .expect(206);
+
+            expect(response.headers['content-range']).to.equal(`bytes 100-199/${videoSize}`);
+            expect(response.headers['content-length']).to.equal('100');
+            expect(response.body.equals(fs.readFileSync(videoPath).subarray(100, 200))).to.be.true;
+        });
+
+        it('should return 416 for ranges beyond the end of the file', async () => {
+            const response = await request(app)
+                .get(`/videos/share/${validToken}`)
+                .set('Range', `bytes=${videoSize}-`)
+                .expect(416);
+
+            expect(response.headers['content-range']).to.equal(`bytes */${videoSize}`);
+            expect(response.body.error).to.exist;
+        });
+
+        it('should answer conditional requests with 304', async () => {
+            const first = await request(app)
+                .get(`/videos/share/${validToken}`)
+                .expect(200);
+
+            await request(app)
+                .get(`/videos/share/${validToken}`)
+                .set('If-None-Match', first.headers.etag)
+                .expect(304);
+
+            await request(app)
+                .get(`/videos/share/${validToken}`)
+                .set('If-Modified-Since', first.headers['last-modified'])
+                .expect(304);
+        });
+
+        it('should label mp4 uploads with their container type', async () => {
+            const db = getDb();
+            const mp4Path = path.join(config.uploadDir, 'test-share-video.mp4');
+            fs.writeFileSync(mp4Path, Buffer.alloc(16));
+            const mp4Id = db.prepare(`
+                INSERT INTO videos (filename, filepath, size, duration, container, owner_id)
+                VALUES ('test-share-video.mp4', ?, 16, 1.0, 'mp4', ?)
+            `).run(mp4Path, userId).lastInsertRowid;
+            db.prepare(`
+                INSERT INTO share_links (video_id, token, expiry_timestamp)
+                VALUES (?, 'mp4-test-token', datetime('now', '+24 hours'))
+            `).run(mp4Id);
+
+            const response = await request(app)
+                .get('/videos/share/mp4-test-token')
+                .expect(200);
+
+            expect(response.headers['content-type']).to.equal('video/mp4');
+        });
+
         it('should serve video content for valid token created in previous test', async () => {
             const response = await request(app)
                 .get(`/videos/share/${shareToken}`)
@@ -174,4 +272,371 @@ describe('Video Sharing Endpoints', () => {
             expect(response.headers['content-disposition']).to.include('test-share-video.raw');
         });
     });
+
+    describe('share link management', () => {
+        const otherUser = createTestUser();
+
+        const createShare = async (body = {}) => {
+            const response = await request(app)
+                .post(`/videos/${testVideoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send(body)
+                .expect(200);
+            return response.body.token;
+        };
+
+        it('should list a video\'s share links', async () => {
+            const token = await createShare();
+
+            const response = await request(app)
+                .get(`/videos/${testVideoId}/shares`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            const listed = response.body.shares.find(share => share.token === token);
+            expect(listed).to.include({ status: 'active', maxViews: null, viewCount: 0 });
+            expect(response.body.shares.some(share => share.status === 'expired')).to.be.true;
+
+            await request(app)
+                .get(`/videos/${testVideoId}/shares`)
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .expect(404);
+        });
+
+        it('should revoke a share link', async () => {
+            const token = await createShare();
+
+            await request(app)
+                .delete(`/shares/${token}`)
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .expect(404);
+
+            await request(app)
+                .delete(`/shares/${token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            await request(app)
+                .get(`/videos/share/${token}`)
+                .expect(404);
+
+            await request(app)
+                .delete(`/shares/${token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+
+        it('should change a share link\'s expiry', async () => {
+            const token = await createShare();
+
+            const response = await request(app)
+                .patch(`/shares/${token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ expiryHours: 72 })
+                .expect(200);
+
+            const hoursLeft = (new Date(response.body.expiryTimestamp) - new Date()) / (1000 * 60 * 60);
+            expect(hoursLeft).to.be.approximately(72, 0.1);
+
+            await request(app)
+                .patch(`/shares/${token}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ expiryHours: -1 })
+                .expect(400);
+        });
+
+        it('should reject invalid expiries when creating a link', async () => {
+            for (const expiryHours of ['soon', -1, 0, null]) {
+                const response = await request(app)
+                    .post(`/videos/${testVideoId}/share`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .send({ expiryHours })
+                    .expect(400);
+                expect(response.body.error).to.equal('expiryHours must be a positive number');
+            }
+        });
+
+        it('should revive an expired link when its expiry is extended', async () => {
+            await request(app)
+                .patch('/shares/expired-test-token')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ expiryHours: 1 })
+                .expect(200);
+
+            await request(app)
+                .get('/videos/share/expired-test-token')
+                .expect(200);
+        });
+
+        it('should enforce maxViews', async () => {
+            await request(app)
+                .post(`/videos/${testVideoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ maxViews: 0 })
+                .expect(400);
+
+            const token = await createShare({ maxViews: 2 });
+
+            const first = await request(app).get(`/videos/share/${token}`).expect(200);
+            const viewToken = first.headers['x-share-view'];
+            expect(viewToken).to.be.a('string');
+            expect(first.headers['set-cookie'][0]).to.include(`share_view=${viewToken}`);
+
+            // Seeking within a view doesn't use up another one
+            await request(app)
+                .get(`/videos/share/${token}`)
+                .set('Range', 'bytes=1000-1999')
+                .set('X-Share-View', viewToken)
+                .expect(206);
+            await request(app)
+                .get(`/videos/share/${token}`)
+                .set('Range', 'bytes=0-999')
+                .set('Cookie', `share_view=${viewToken}`)
+                .expect(206);
+
+            await request(app).get(`/videos/share/${token}`).expect(200);
+
+            const response = await request(app)
+                .get(`/videos/share/${token}`)
+                .expect(410);
+            expect(response.body.error).to.include('view limit');
+
+            // Views in progress can still be continued
+            await request(app)
+                .get(`/videos/share/${token}`)
+                .set('Range', 'bytes=1000-1999')
+                .set('X-Share-View', viewToken)
+                .expect(206);
+
+            const shares = await request(app)
+                .get(`/videos/${testVideoId}/shares`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+            expect(shares.body.shares.find(share => share.token === token))
+                .to.include({ status: 'exhausted', viewCount: 2, remainingViews: 0 });
+        });
+
+        it('should not allow continuing a view that was never started', async () => {
+            const token = await createShare({ maxViews: 1 });
+
+            await request(app)
+                .get(`/videos/share/${token}`)
+                .set('Range', 'bytes=1000-1999')
+                .expect(404);
+            await request(app)
+                .get(`/videos/share/${token}`)
+                .set('Range', 'bytes=1000-1999')
+                .set('X-Share-View', 'made-up')
+                .expect(404);
+        });
+
+        it('should not serve an exhausted link to requests without a view in progress', async () => {
+            const token = await createShare({ maxViews: 1 });
+            await request(app).get(`/videos/share/${token}`).expect(200);
+
+            const ranged = await request(app)
+                .get(`/videos/share/${token}`)
+                .set('Range', 'bytes=1-')
+                .expect(410);
+            expect(ranged.body.error).to.equal('Share link has reached its view limit');
+
+            await request(app).head(`/videos/share/${token}`).expect(410);
+        });
+
+        it('should expire view tokens after the view window', async () => {
+            const token = await createShare({ maxViews: 2 });
+            const first = await request(app).get(`/videos/share/${token}`).expect(200);
+
+            getDb().prepare(`
+                UPDATE share_views SET started_at = datetime('now', '-5 hours') WHERE token = ?
+            `).run(first.headers['x-share-view']);
+
+            await request(app)
+                .get(`/videos/share/${token}`)
+                .set('Range', 'bytes=1000-1999')
+                .set('X-Share-View', first.headers['x-share-view'])
+                .expect(404);
+        });
+
+        it('should log each access for the owner', async () => {
+            const token = await createShare();
+
+            await request(app).get(`/videos/share/${token}`).expect(200);
+            await request(app)
+                .get(`/videos/share/${token}`)
+                .set('Range', 'bytes=0-99')
+                .expect(206);
+
+            // The log is written once the response has closed
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const response = await request(app)
+                .get(`/shares/${token}/accesses`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.accesses.map(a => [a.statusCode, a.bytesServed])).to.deep.equal([
+                [206, 100],
+                [200, videoSize]
+            ]);
+            expect(response.body.accesses[0].ip).to.be.a('string');
+            expect(response.body.accesses[0].accessedAt).to.be.a('string');
+
+            await request(app)
+                .get(`/shares/${token}/accesses`)
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .expect(404);
+        });
+    });
+
+    describe('token security', () => {
+        const createShare = async (body = {}) => {
+            const response = await request(app)
+                .post(`/videos/${testVideoId}/share`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send(body)
+                .expect(200);
+            return response.body;
+        };
+
+        it('should issue long random tokens that do not leak the creation time', async () => {
+            const tokens = [await createShare(), await createShare()].map(share => share.token);
+
+            tokens.forEach(token => {
+                expect(token).to.match(/^[A-Za-z0-9_-]{32}$/);
+                expect(token).to.not.include(String(Date.now()).slice(0, 6));
+            });
+            expect(tokens[0]).to.not.equal(tokens[1]);
+        });
+
+        describe('signed tokens', () => {
+            it('should issue signed tokens that embed the video and expiry', async () => {
+                const share = await createShare({ signed: true, expiryHours: 1 });
+                expect(share.signed).to.be.true;
+
+                const claims = JSON.parse(Buffer.from(share.token.split('.')[0], 'base64url').toString());
+                expect(claims.v).to.equal(testVideoId);
+                expect(claims.e * 1000).to.be.approximately(Date.now() + 60 * 60 * 1000, 5000);
+
+                await request(app)
+                    .get(`/videos/share/${share.token}`)
+                    .expect(200);
+            });
+
+            it('should reject tampered tokens', async () => {
+                const { token } = await createShare({ signed: true });
+                const [payload, signature] = token.split('.');
+
+                const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+                const forged = Buffer.from(JSON.stringify({ ...claims, e: claims.e + 3600 })).toString('base64url');
+
+                await request(app).get(`/videos/share/${forged}.${signature}`).expect(404);
+                await request(app).get(`/videos/share/${payload}.${signature.slice(0, -2)}AA`).expect(404);
+            });
+
+            it('should reject expired signed tokens even if the record says otherwise', async () => {
+                const { token } = await createShare({ signed: true });
+                const expiredToken = createSignedToken(testVideoId, new Date(Date.now() - 60 * 1000), config);
+                getDb().prepare('UPDATE share_links SET token = ? WHERE token = ?').run(expiredToken, token);
+
+                await request(app).get(`/videos/share/${expiredToken}`).expect(404);
+            });
+
+            it('should refuse to extend signed tokens', async () => {
+                const { token } = await createShare({ signed: true });
+
+                await request(app)
+                    .patch(`/shares/${token}`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .send({ expiryHours: 48 })
+                    .expect(400);
+            });
+
+            it('should reject signed tokens when no secret is configured', async () => {
+                const { token } = await createShare({ signed: true });
+                const unsigned = createApp(createTestConfig({ uploadDir: config.uploadDir }));
+
+                await request(unsigned).get(`/videos/share/${token}`).expect(404);
+
+                await request(unsigned)
+                    .post(`/videos/${testVideoId}/share`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .send({ signed: true })
+                    .expect(400);
+            });
+        });
+
+        describe('password protection', () => {
+            let token;
+
+            before(async () => {
+                ({ token } = await createShare({ password: 'open sesame' }));
+            });
+
+            it('should store only a hash of the password', () => {
+                const shareLink = getDb().prepare('SELECT * FROM share_links WHERE token = ?').get(token);
+                expect(shareLink.password_hash).to.match(/^scrypt\$/);
+                expect(shareLink.password_hash).to.not.include('open sesame');
+            });
+
+            it('should require the password from API clients', async () => {
+                const missing = await request(app)
+                    .get(`/videos/share/${token}`)
+                    .expect(401);
+                expect(missing.body.error).to.equal('Password required');
+
+                const wrong = await request(app)
+                    .get(`/videos/share/${token}`)
+                    .set('X-Share-Password', 'guess')
+                    .expect(401);
+                expect(wrong.body.error).to.equal('Incorrect password');
+
+                await request(app)
+                    .get(`/videos/share/${token}`)
+                    .set('X-Share-Password', 'open sesame')
+                    .expect(200);
+            });
+
+            it('should show browsers a password form that unlocks the link', async () => {
+                const prompt = await request(app)
+                    .get(`/videos/share/${token}`)
+                    .set('Accept', 'text/html')
+                    .expect('Content-Type', /html/)
+                    .expect(401);
+                expect(prompt.text).to.include('<form method="post">');
+
+                await request(app)
+                    .post(`/videos/share/${token}`)
+                    .type('form')
+                    .send({ password: 'guess' })
+                    .expect(401);
+
+                const unlocked = await request(app)
+                    .post(`/videos/share/${token}`)
+                    .type('form')
+                    .send({ password: 'open sesame' })
+                    .expect(303);
+                expect(unlocked.headers.location).to.equal(`/videos/share/${token}`);
+
+                const cookie = unlocked.headers['set-cookie'][0].split(';')[0];
+                await request(app)
+                    .get(`/videos/share/${token}`)
+                    .set('Cookie', cookie)
+                    .expect(200);
+
+                await request(app)
+                    .get(`/videos/share/${token}`)
+                    .set('Cookie', 'share_password=forged')
+                    .expect(401);
+            });
+
+            it('should not count a view until the password is given', async () => {
+                const shareLink = getDb().prepare('SELECT * FROM share_links WHERE token = ?').get(token);
+                await request(app).get(`/videos/share/${token}`).expect(401);
+
+                const after = getDb().prepare('SELECT * FROM share_links WHERE token = ?').get(token);
+                expect(after.view_count).to.equal(shareLink.view_count);
+            });
+        });
+    });
 });
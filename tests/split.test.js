@@ -0,0 +1,155 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { createTestConfig, createTestUser } = require('./helpers');
+
+describe('POST /videos/:id/split', () => {
+    const { token: API_TOKEN } = createTestUser();
+    const otherUser = createTestUser();
+    let uploadDir;
+    let app;
+    let videoId;
+
+    // 25 frames of 4x2 gray video at 10fps; every byte of frame i is i
+    const video = Buffer.concat(Array.from({ length: 25 }, (_, i) => Buffer.alloc(8, i)));
+
+    const split = (body, token = API_TOKEN) => request(app)
+        .post(`/videos/${videoId}/split`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    // Frame numbers held by a split segment, read back from its file
+    const framesOf = (segment) => {
+        const filepath = getDb().prepare('SELECT filepath FROM videos WHERE id = ?').get(segment.id).filepath;
+        const bytes = fs.readFileSync(filepath);
+        return Array.from({ length: bytes.length / 8 }, (_, i) => bytes[i * 8]);
+    };
+
+    before(async () => {
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-split-test-'));
+        app = createApp(createTestConfig({ uploadDir }));
+
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '4')
+            .field('height', '2')
+            .field('pixelFormat', 'gray')
+            .field('fps', '10')
+            .attach('video', video, { filename: 'count.raw', contentType: 'video/raw' })
+            .expect(200);
+
+        videoId = response.body.id;
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    it('should cut the video at the given frames', async () => {
+        const response = await split({ cutFrames: [5, 20] }).expect(201);
+
+        expect(response.body).to.have.lengthOf(3);
+        expect(response.body.map(segment => segment.duration)).to.deep.equal([0.5, 1.5, 0.5]);
+        expect(response.body[0]).to.include({ width: 4, height: 2, pixelFormat: 'gray', fps: 10, container: 'raw' });
+        expect(framesOf(response.body[0])).to.deep.equal([0, 1, 2, 3, 4]);
+        expect(framesOf(response.body[1])).to.deep.equal(Array.from({ length: 15 }, (_, i) => i + 5));
+        expect(framesOf(response.body[2])).to.deep.equal([20, 21, 22, 23, 24]);
+    });
+
+    it('should snap cut points in seconds to whole frames', async () => {
+        const response = await split({ cutPoints: [0.84, 1.2] }).expect(201);
+
+        expect(response.body.map(segment => segment.size)).to.deep.equal([8 * 8, 4 * 8, 13 * 8]);
+        expect(framesOf(response.body[1])).to.deep.equal([8, 9, 10, 11]);
+    });
+
+    it('should split into fixed-length segments with the remainder last', async () => {
+        const bySeconds = await split({ segmentLength: 1 }).expect(201);
+        expect(bySeconds.body.map(segment => segment.duration)).to.deep.equal([1, 1, 0.5]);
+
+        const byFrames = await split({ segmentFrames: 25 }).expect(201);
+        expect(byFrames.body).to.have.lengthOf(1);
+        expect(framesOf(byFrames.body[0])).to.have.lengthOf(25);
+    });
+
+    it('should record each segment\'s frame range in its lineage', async () => {
+        const response = await split({ cutFrames: [10] }).expect(201);
+
+        const lineage = await request(app)
+            .get(`/videos/${response.body[1].id}/lineage`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+
+        expect(lineage.body.operation).to.equal('split');
+        expect(lineage.body.params).to.deep.equal({ startFrame: 10, endFrame: 25, segment: 2, segmentCount: 2 });
+        expect(lineage.body.sources.map(source => source.id)).to.deep.equal([videoId]);
+    });
+
+    it('should reject invalid split requests', async () => {
+        await split({}).expect(400);
+        await split({ cutFrames: [5], segmentLength: 1 }).expect(400);
+        await split({ cutFrames: [] }).expect(400);
+        await split({ cutFrames: [10, 5] }).expect(400);
+        await split({ cutFrames: [5, 5] }).expect(400);
+        await split({ cutFrames: [25] }).expect(400);
+        await split({ cutFrames: [0] }).expect(400);
+        await split({ cutFrames: [2.5] }).expect(400);
+        await split({ cutPoints: [0.01] }).expect(400);
+        await split({ segmentLength: 0 }).expect(400);
+        await split({ segmentFrames: -1 }).expect(400);
+
+        // A cut before every frame is still valid
+        const everyFrame = await split({ cutFrames: Array.from({ length: 24 }, (_, i) => i + 1) }).expect(201);
+        expect(everyFrame.body).to.have.lengthOf(25);
+    });
+
+    it('should run as a job that lists the segments and drops deleted ones', async () => {
+        const response = await split({ cutFrames: [5] }).expect(201);
+        const [first, second] = response.body.map(segment => segment.id);
+        const { id: jobId } = getDb().prepare('SELECT id FROM jobs WHERE type = ? ORDER BY id DESC').get('split');
+
+        const job = await request(app)
+            .get(`/jobs/${jobId}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        expect(job.body).to.include({ state: 'succeeded', resultVideoId: null });
+        expect(job.body.resultVideoIds).to.deep.equal([first, second]);
+
+        await request(app)
+            .delete(`/videos/${first}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(204);
+
+        const pruned = await request(app)
+            .get(`/jobs/${jobId}`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        expect(pruned.body.resultVideoIds).to.deep.equal([second]);
+    });
+
+    it('should report a failed split', async () => {
+        const filepath = getDb().prepare('SELECT filepath FROM videos WHERE id = ?').get(videoId).filepath;
+        fs.renameSync(filepath, `${filepath}.moved`);
+        try {
+            const response = await split({ cutFrames: [5] }).expect(500);
+            expect(response.body.error).to.include('ENOENT');
+        } finally {
+            fs.renameSync(`${filepath}.moved`, filepath);
+        }
+    });
+
+    it('should hide other users\' videos', async () => {
+        await split({ cutFrames: [5] }, otherUser.token).expect(404);
+    });
+});
@@ -0,0 +1,96 @@
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { processVideo, mergeVideos, getFrameSize, DEFAULT_RAW_FORMAT } = require('../videoProcessing');
+const { createTestVideo } = require('../createTestVideos');
+
+describe('Streaming raw trim and merge', function() {
+    this.timeout(60000);
+
+    const frameSize = getFrameSize(DEFAULT_RAW_FORMAT);
+    let workDir;
+    let largeVideoPath;
+
+    before(async () => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-streaming-'));
+
+        // 40 seconds of 320x240 rgb24 at 30fps is roughly 276MB
+        largeVideoPath = path.join(workDir, 'large-video.raw');
+        await createTestVideo(largeVideoPath, 40, 'red');
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('should trim a large video with bounded memory growth', async () => {
+        const baselineRss = process.memoryUsage().rss;
+        let peakRss = baselineRss;
+        const sampler = setInterval(() => {
+            peakRss = Math.max(peakRss, process.memoryUsage().rss);
+        }, 5);
+
+        let result;
+        try {
+            result = await processVideo(largeVideoPath, { startFrame: 30, endFrame: 39 * 30 });
+        } finally {
+            clearInterval(sampler);
+        }
+        peakRss = Math.max(peakRss, process.memoryUsage().rss);
+
+        expect(result.duration).to.be.approximately(38, 0.001);
+        expect(fs.statSync(result.outputPath).size).to.equal(38 * 30 * frameSize);
+
+        // Buffering the file would grow RSS by hundreds of MB
+        expect(peakRss - baselineRss).to.be.below(64 * 1024 * 1024);
+    });
+
+    it('should copy exactly the frames kept by a trim', async () => {
+        const format = { width: 2, height: 1, pixelFormat: 'gray', fps: 10 };
+        const inputPath = path.join(workDir, 'numbered.raw');
+        fs.writeFileSync(inputPath, Buffer.from(Array.from({ length: 40 }, (_, i) => i)));
+
+        const { outputPath, duration } = await processVideo(inputPath, {
+            startFrame: 5,
+            endFrame: 15,
+            format
+        });
+
+        expect(duration).to.be.approximately(1, 0.001);
+        expect([...fs.readFileSync(outputPath)]).to.deep.equal(Array.from({ length: 20 }, (_, i) => i + 10));
+    });
+
+    it('should concatenate merge inputs in order', async () => {
+        const format = { width: 1, height: 1, pixelFormat: 'gray', fps: 1 };
+        const firstPath = path.join(workDir, 'first.raw');
+        const secondPath = path.join(workDir, 'second.raw');
+        fs.writeFileSync(firstPath, Buffer.from([1, 2, 3]));
+        fs.writeFileSync(secondPath, Buffer.from([4, 5]));
+
+        const { outputPath, duration } = await mergeVideos([firstPath, secondPath], { format });
+
+        expect(duration).to.equal(5);
+        expect([...fs.readFileSync(outputPath)]).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+
+    it('should delete the partial output when a merge input fails', async () => {
+        const mergeDir = fs.mkdtempSync(path.join(workDir, 'merge-'));
+        const inputPath = path.join(mergeDir, 'input.raw');
+        await createTestVideo(inputPath, 1, 'blue');
+
+        // A directory passes the size lookup but fails once it is read
+        const unreadablePath = path.join(mergeDir, 'unreadable.raw');
+        fs.mkdirSync(unreadablePath);
+
+        let error;
+        try {
+            await mergeVideos([inputPath, unreadablePath]);
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).to.exist;
+        expect(fs.readdirSync(mergeDir).sort()).to.deep.equal(['input.raw', 'unreadable.raw']);
+    });
+});
@@ -0,0 +1,207 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { createTestConfig, createTestUser } = require('./helpers');
+
+// Read back an unfiltered 8-bit RGB PNG as written by png.js
+const decodeRgbPng = (png) => {
+    expect(png.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))).to.be.true;
+    const width = png.readUInt32BE(16);
+    const height = png.readUInt32BE(20);
+    expect(png[25]).to.equal(2); // RGB colour type
+
+    const idatStart = png.indexOf('IDAT') + 4;
+    const idatLength = png.readUInt32BE(idatStart - 8);
+    const scanlines = zlib.inflateSync(png.subarray(idatStart, idatStart + idatLength));
+
+    const stride = width * 3;
+    const data = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        scanlines.copy(data, y * stride, y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    }
+    return { width, height, pixel: (x, y) => [...data.subarray((y * width + x) * 3, (y * width + x) * 3 + 3)] };
+};
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Thumbnails and contact sheets', () => {
+    const { token: API_TOKEN, userId } = createTestUser();
+    const otherUser = createTestUser();
+    let tmpDir;
+    let cacheDir;
+    let app;
+    let rgbVideoId;
+
+    // Frame i of the test video is filled with (i * 10, 255 - i * 10, 0)
+    const frameColor = (i) => [i * 10, 255 - i * 10, 0];
+
+    const insertVideo = (name, frames, format) => {
+        const filepath = path.join(tmpDir, name);
+        fs.writeFileSync(filepath, Buffer.concat(frames));
+        return getDb().prepare(`
+            INSERT INTO videos (filename, filepath, size, duration, width, height, pixel_format, fps, container, owner_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'raw', ?)
+        `).run(
+            name,
+            filepath,
+            fs.statSync(filepath).size,
+            frames.length / format.fps,
+            format.width,
+            format.height,
+            format.pixelFormat,
+            format.fps,
+            userId
+        ).lastInsertRowid;
+    };
+
+    const getImage = (url, token = API_TOKEN) => request(app)
+        .get(url)
+        .set('Authorization', `Bearer ${token}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-thumbnail-test-'));
+        cacheDir = path.join(tmpDir, 'cache');
+        app = createApp(createTestConfig({ cacheDir }));
+
+        // 20 frames of 8x6 rgb24 at 10fps, each a different colour
+        const frames = Array.from({ length: 20 }, (_, i) => {
+            const frame = Buffer.alloc(8 * 6 * 3);
+            for (let p = 0; p < frame.length; p += 3) {
+                frame.set(frameColor(i), p);
+            }
+            return frame;
+        });
+        rgbVideoId = insertVideo('colours.raw', frames, { width: 8, height: 6, pixelFormat: 'rgb24', fps: 10 });
+    });
+
+    after(() => {
+        getDb().prepare('DELETE FROM videos WHERE owner_id = ?').run(userId);
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('GET /videos/:id/thumbnail', () => {
+        it('should return the frame shown at the requested time as a PNG', async () => {
+            const response = await getImage(`/videos/${rgbVideoId}/thumbnail?t=1.05`).expect(200);
+
+            expect(response.headers['content-type']).to.equal('image/png');
+            const image = decodeRgbPng(response.body);
+            expect(image.width).to.equal(8);
+            expect(image.height).to.equal(6);
+            expect(image.pixel(0, 0)).to.deep.equal(frameColor(10));
+            expect(image.pixel(7, 5)).to.deep.equal(frameColor(10));
+        });
+
+        it('should default to the first frame and clamp the end of the video to the last frame', async () => {
+            const first = await getImage(`/videos/${rgbVideoId}/thumbnail`).expect(200);
+            expect(decodeRgbPng(first.body).pixel(0, 0)).to.deep.equal(frameColor(0));
+
+            const last = await getImage(`/videos/${rgbVideoId}/thumbnail?t=2`).expect(200);
+            expect(decodeRgbPng(last.body).pixel(0, 0)).to.deep.equal(frameColor(19));
+        });
+
+        it('should cache thumbnails on disk by video and frame', async () => {
+            const cached = path.join(cacheDir, 'thumbnails', `${rgbVideoId}-frame-10.png`);
+            expect(fs.existsSync(cached)).to.be.true;
+
+            // Any time within the same frame is served from the same file
+            fs.writeFileSync(cached, fs.readFileSync(cached));
+            const { mtimeMs } = fs.statSync(cached);
+            await getImage(`/videos/${rgbVideoId}/thumbnail?t=1.09`).expect(200);
+            expect(fs.statSync(cached).mtimeMs).to.equal(mtimeMs);
+        });
+
+        it('should convert gray and yuv420p frames to RGB', async () => {
+            const grayId = insertVideo('gray.raw', [Buffer.alloc(4 * 4, 77)], {
+                width: 4, height: 4, pixelFormat: 'gray', fps: 1
+            });
+            const gray = await getImage(`/videos/${grayId}/thumbnail`).expect(200);
+            expect(decodeRgbPng(gray.body).pixel(3, 3)).to.deep.equal([77, 77, 77]);
+
+            // Full-range BT.601 red: Y=76, U=85, V=255
+            const yuvFrame = Buffer.concat([Buffer.alloc(16, 76), Buffer.alloc(4, 85), Buffer.alloc(4, 255)]);
+            const yuvId = insertVideo('red.raw', [yuvFrame], {
+                width: 4, height: 4, pixelFormat: 'yuv420p', fps: 1
+            });
+            const yuv = await getImage(`/videos/${yuvId}/thumbnail`).expect(200);
+            const [r, g, b] = decodeRgbPng(yuv.body).pixel(1, 2);
+            expect(r).to.be.closeTo(254, 2);
+            expect(g).to.be.closeTo(0, 2);
+            expect(b).to.be.closeTo(0, 2);
+        });
+
+        it('should reject times outside the video and non-raw videos', async () => {
+            await getImage(`/videos/${rgbVideoId}/thumbnail?t=2.5`).expect(400);
+            await getImage(`/videos/${rgbVideoId}/thumbnail?t=-1`).expect(400);
+            await getImage(`/videos/${rgbVideoId}/thumbnail?t=soon`).expect(400);
+
+            const mp4Id = getDb().prepare(`
+                INSERT INTO videos (filename, filepath, size, duration, container, owner_id)
+                VALUES ('clip.mp4', ?, 10, 1, 'mp4', ?)
+            `).run(path.join(tmpDir, 'clip.mp4'), userId).lastInsertRowid;
+            const response = await getImage(`/videos/${mp4Id}/thumbnail`).expect(400);
+            expect(JSON.parse(response.body).error).to.equal('Thumbnails are only available for raw videos');
+        });
+
+        it('should hide other users\' videos', async () => {
+            await getImage(`/videos/${rgbVideoId}/thumbnail`, otherUser.token).expect(404);
+        });
+    });
+
+    describe('GET /videos/:id/contact-sheet', () => {
+        it('should tile evenly spaced frames into a grid', async () => {
+            const response = await getImage(`/videos/${rgbVideoId}/contact-sheet?cols=2&rows=2`).expect(200);
+
+            expect(response.headers['content-type']).to.equal('image/png');
+            const sheet = decodeRgbPng(response.body);
+            expect(sheet.width).to.equal(16);
+            expect(sheet.height).to.equal(12);
+
+            // 20 frames in 4 tiles: the middle frame of each fifth
+            expect(sheet.pixel(0, 0)).to.deep.equal(frameColor(2));
+            expect(sheet.pixel(15, 0)).to.deep.equal(frameColor(7));
+            expect(sheet.pixel(0, 11)).to.deep.equal(frameColor(12));
+            expect(sheet.pixel(15, 11)).to.deep.equal(frameColor(17));
+
+            expect(fs.existsSync(path.join(cacheDir, 'thumbnails', `${rgbVideoId}-sheet-2x2-160.png`))).to.be.true;
+        });
+
+        it('should default to a 4x4 grid', async () => {
+            const response = await getImage(`/videos/${rgbVideoId}/contact-sheet`).expect(200);
+            const sheet = decodeRgbPng(response.body);
+            expect(sheet.width).to.equal(32);
+            expect(sheet.height).to.equal(24);
+        });
+
+        it('should reject grid sizes out of range', async () => {
+            await getImage(`/videos/${rgbVideoId}/contact-sheet?cols=0`).expect(400);
+            await getImage(`/videos/${rgbVideoId}/contact-sheet?rows=11`).expect(400);
+            await getImage(`/videos/${rgbVideoId}/contact-sheet?cols=1.5`).expect(400);
+        });
+    });
+
+    describe('cache cleanup', () => {
+        it('should remove cached images when the video is deleted', async () => {
+            const thumbnails = path.join(cacheDir, 'thumbnails');
+            expect(fs.readdirSync(thumbnails).some(file => file.startsWith(`${rgbVideoId}-`))).to.be.true;
+
+            await request(app)
+                .delete(`/videos/${rgbVideoId}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            expect(fs.readdirSync(thumbnails).some(file => file.startsWith(`${rgbVideoId}-`))).to.be.false;
+        });
+    });
+});
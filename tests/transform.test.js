@@ -0,0 +1,190 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+
+describe('POST /videos/:id/transform', () => {
+    const { token: API_TOKEN } = createTestUser();
+    const otherUser = createTestUser();
+    let uploadDir;
+    let app;
+    let videoId;
+
+    // Two frames of 3x2 rgb24 video. The red channel of pixel (x, y) is
+    // 40x + 100y and the green channel is the frame number times 50.
+    const frames = Array.from({ length: 2 }, (_, i) => {
+        const frame = Buffer.alloc(3 * 2 * 3);
+        for (let y = 0; y < 2; y++) {
+            for (let x = 0; x < 3; x++) {
+                frame.set([40 * x + 100 * y, i * 50, 0], (y * 3 + x) * 3);
+            }
+        }
+        return frame;
+    });
+
+    const transform = (body, token = API_TOKEN) => request(app)
+        .post(`/videos/${videoId}/transform`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    // Run a transform to completion and return the new video row
+    const transformed = async (body) => {
+        const response = await transform(body).expect(202);
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+        return getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+    };
+
+    // Red channel of every frame of a transformed video, as rows of pixels
+    const redRows = (video) => {
+        const bytes = fs.readFileSync(video.filepath);
+        const frameSize = video.width * video.height * 3;
+        return Array.from({ length: bytes.length / frameSize }, (_, i) =>
+            Array.from({ length: video.height }, (_, y) =>
+                Array.from({ length: video.width }, (_, x) => bytes[i * frameSize + (y * video.width + x) * 3])));
+    };
+
+    before(async () => {
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-transform-test-'));
+        app = createApp(createTestConfig({ uploadDir }));
+
+        const response = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '3')
+            .field('height', '2')
+            .field('pixelFormat', 'rgb24')
+            .field('fps', '2')
+            .attach('video', Buffer.concat(frames), { filename: 'grid.raw', contentType: 'video/raw' })
+            .expect(200);
+
+        videoId = response.body.id;
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    it('should crop every frame and record the new geometry', async () => {
+        const video = await transformed({ crop: { x: 1, y: 0, width: 2, height: 1 } });
+
+        expect(video).to.include({ width: 2, height: 1, pixel_format: 'rgb24', fps: 2, duration: 1 });
+        expect(redRows(video)).to.deep.equal([[[40, 80]], [[40, 80]]]);
+
+        const bytes = fs.readFileSync(video.filepath);
+        expect([bytes[1], bytes[7]]).to.deep.equal([0, 50]);
+    });
+
+    it('should rotate clockwise', async () => {
+        const quarter = await transformed({ rotate: 90 });
+        expect(quarter).to.include({ width: 2, height: 3 });
+        expect(redRows(quarter)[0]).to.deep.equal([[100, 0], [140, 40], [180, 80]]);
+
+        const half = await transformed({ rotate: 180 });
+        expect(half).to.include({ width: 3, height: 2 });
+        expect(redRows(half)[0]).to.deep.equal([[180, 140, 100], [80, 40, 0]]);
+
+        const threeQuarters = await transformed({ rotate: 270 });
+        expect(threeQuarters).to.include({ width: 2, height: 3 });
+        expect(redRows(threeQuarters)[0]).to.deep.equal([[80, 180], [40, 140], [0, 100]]);
+    });
+
+    it('should flip horizontally and vertically', async () => {
+        const horizontal = await transformed({ flip: 'horizontal' });
+        expect(redRows(horizontal)[1]).to.deep.equal([[80, 40, 0], [180, 140, 100]]);
+
+        const vertical = await transformed({ flip: 'vertical' });
+        expect(redRows(vertical)[1]).to.deep.equal([[100, 140, 180], [0, 40, 80]]);
+    });
+
+    it('should scale with nearest-neighbour or bilinear sampling', async () => {
+        const nearest = await transformed({ scale: { width: 6, height: 2, method: 'nearest' } });
+        expect(nearest).to.include({ width: 6, height: 2 });
+        expect(redRows(nearest)[0]).to.deep.equal([[0, 0, 40, 40, 80, 80], [100, 100, 140, 140, 180, 180]]);
+
+        const bilinear = await transformed({ scale: { width: 6, height: 2 } });
+        expect(redRows(bilinear)[0]).to.deep.equal([[0, 10, 30, 50, 70, 80], [100, 110, 130, 150, 170, 180]]);
+    });
+
+    it('should apply steps in order and record them in the lineage', async () => {
+        const response = await transform({ flip: 'vertical', rotate: 90, crop: { x: 1, y: 0, width: 2, height: 2 } }).expect(202);
+        expect(response.body).to.include({ width: 2, height: 2 });
+
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        expect(redRows(video)[0]).to.deep.equal([[180, 80], [140, 40]]);
+
+        const lineage = await request(app)
+            .get(`/videos/${job.resultVideoId}/lineage`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .expect(200);
+        expect(lineage.body.operation).to.equal('transform');
+        expect(lineage.body.params).to.deep.equal({ crop: { x: 1, y: 0, width: 2, height: 2 }, rotate: 90, flip: 'vertical' });
+        expect(lineage.body.sources.map(source => source.id)).to.deep.equal([videoId]);
+    });
+
+    it('should let later trims use the new geometry', async () => {
+        const rotated = await transformed({ rotate: 90 });
+
+        const response = await request(app)
+            .post(`/videos/${rotated.id}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ startFrame: 1, endFrame: 2 })
+            .expect(202);
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+
+        const trimmed = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        expect(trimmed).to.include({ width: 2, height: 3, duration: 0.5 });
+        expect(fs.statSync(trimmed.filepath).size).to.equal(2 * 3 * 3);
+    });
+
+    it('should reject invalid transforms', async () => {
+        const empty = await transform({}).expect(400);
+        expect(empty.body.error).to.equal('Provide at least one of crop, scale, rotate or flip');
+
+        const outside = await transform({ crop: { x: 2, y: 0, width: 2, height: 2 } }).expect(400);
+        expect(outside.body.error).to.equal('Crop rectangle must fit inside the 3x2 frame');
+
+        await transform({ crop: { x: -1, y: 0, width: 1, height: 1 } }).expect(400);
+        await transform({ crop: { x: 0, y: 0, width: 0, height: 1 } }).expect(400);
+        await transform({ scale: { width: 1.5, height: 2 } }).expect(400);
+        await transform({ scale: { width: 9000, height: 2 } }).expect(400);
+        await transform({ scale: { width: 2, height: 2, method: 'bicubic' } }).expect(400);
+        await transform({ rotate: 45 }).expect(400);
+        await transform({ flip: 'diagonal' }).expect(400);
+    });
+
+    it('should only transform raw rgb24 videos', async () => {
+        const gray = await request(app)
+            .post('/upload')
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .field('width', '2')
+            .field('height', '2')
+            .field('pixelFormat', 'gray')
+            .field('fps', '1')
+            .attach('video', Buffer.alloc(4), { filename: 'gray.raw', contentType: 'video/raw' })
+            .expect(200);
+
+        const response = await request(app)
+            .post(`/videos/${gray.body.id}/transform`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ rotate: 90 })
+            .expect(400);
+        expect(response.body.error).to.equal('Transforms are only supported for raw rgb24 videos');
+    });
+
+    it('should hide other users\' videos', async () => {
+        await transform({ rotate: 90 }, otherUser.token).expect(404);
+    });
+});
@@ -2,12 +2,17 @@ const request = require('supertest');
 const { expect } = require('chai');
 const path = require('path');
 const fs = require('fs');
-const app = require('../app');
+const os = require('os');
+const { createApp } = require('../app');
 const { getDb } = require('../db');
-const { VALID_API_TOKENS } = require('../middleware/auth');
+const { createTestConfig, createTestUser, waitForJob } = require('./helpers');
+const { createTestVideo } = require('../createTestVideos');
+
+const config = createTestConfig();
+const app = createApp(config);
 
 describe('POST /videos/:id/trim', () => {
-    const API_TOKEN = Array.from(VALID_API_TOKENS)[0];
+    const { token: API_TOKEN } = createTestUser();
     let videoId;
 
     before(async () => {
@@ -26,10 +31,13 @@ describe('POST /videos/:id/trim', () => {
     after(() => {
         // Cleanup database
         const db = getDb();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
         db.prepare('DELETE FROM videos').run();
 
         // Cleanup uploaded files
-        const uploadsDir = path.join(__dirname, '../uploads');
+        const uploadsDir = config.uploadDir;
         fs.readdirSync(uploadsDir).forEach(file => {
             fs.unlinkSync(path.join(uploadsDir, file));
         });
@@ -79,12 +87,18 @@ describe('POST /videos/:id/trim', () => {
             .post(`/videos/${videoId}/trim`)
             .set('Authorization', `Bearer ${API_TOKEN}`)
             .send({ trimStart: 1 })
-            .expect(200);
+            .expect(202);
+
+        expect(response.body).to.have.property('jobId');
+        expect(response.body.state).to.equal('queued');
 
-        expect(response.body).to.have.property('id');
-        expect(response.body).to.have.property('filename');
-        expect(response.body).to.have.property('duration');
-        expect(response.body.duration).to.be.approximately(4, 0.1); // Original 5s - 1s = 4s
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+        expect(job.progress).to.equal(100);
+
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        expect(video).to.exist;
+        expect(video.duration).to.be.approximately(4, 0.1); // Original 5s - 1s = 4s
     });
 
     it('should successfully trim video from end', async () => {
@@ -92,11 +106,139 @@ describe('POST /videos/:id/trim', () => {
             .post(`/videos/${videoId}/trim`)
             .set('Authorization', `Bearer ${API_TOKEN}`)
             .send({ trimEnd: 1 })
-            .expect(200);
+            .expect(202);
+
+        expect(response.body).to.have.property('jobId');
+        expect(response.body.state).to.equal('queued');
+
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+        expect(job.progress).to.equal(100);
+
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        expect(video).to.exist;
+        expect(video.duration).to.be.approximately(4, 0.1); // Original 5s - 1s = 4s
+    });
+
+    it('should snap fractional seconds to whole frames', async () => {
+        const response = await request(app)
+            .post(`/videos/${videoId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ trimStart: 0.51, trimEnd: 0.49 })
+            .expect(202);
+
+        // 0.51s and 0.49s at 30fps round to 15 frames each
+        expect(response.body.frameRange).to.deep.equal({
+            startFrame: 15,
+            endFrame: 135,
+            frameCount: 120,
+            duration: 4
+        });
+
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        expect(video.size).to.equal(120 * 320 * 240 * 3);
+    });
+
+    it('should trim to an absolute frame range', async () => {
+        const response = await request(app)
+            .post(`/videos/${videoId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ startFrame: 10, endFrame: 55 })
+            .expect(202);
+
+        expect(response.body.frameRange).to.include({ startFrame: 10, endFrame: 55, frameCount: 45 });
+
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+        expect(video.duration).to.be.approximately(1.5, 0.001);
+    });
+
+    it('should trim to a timecode range', async () => {
+        const response = await request(app)
+            .post(`/videos/${videoId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ startTimecode: '00:00:01:15', endTimecode: '00:00:03:00' })
+            .expect(202);
+
+        expect(response.body.frameRange).to.include({ startFrame: 45, endFrame: 90, frameCount: 45 });
+
+        const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+        expect(job.state).to.equal('succeeded');
+    });
+
+    it('should reject empty or out-of-range frame ranges', async () => {
+        await request(app)
+            .post(`/videos/${videoId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ startFrame: 40, endFrame: 40 })
+            .expect(400);
+
+        const response = await request(app)
+            .post(`/videos/${videoId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ startFrame: 0, endFrame: 151 })
+            .expect(400);
+
+        expect(response.body.error).to.include('150 frames');
+    });
+
+    it('should reject malformed timecodes', async () => {
+        await request(app)
+            .post(`/videos/${videoId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ startTimecode: '00:00:01:30' }) // FF must be below 30 at 30fps
+            .expect(400);
+
+        await request(app)
+            .post(`/videos/${videoId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ startTimecode: '1.5' })
+            .expect(400);
+    });
+
+    it('should reject mixing trim forms', async () => {
+        const response = await request(app)
+            .post(`/videos/${videoId}/trim`)
+            .set('Authorization', `Bearer ${API_TOKEN}`)
+            .send({ trimStart: 1, endFrame: 90 })
+            .expect(400);
+
+        expect(response.body.error).to.include('Use only one of');
+    });
+
+    it('should trim using the stored geometry of the video', async () => {
+        const rgbaVideoPath = path.join(os.tmpdir(), 'test-rgba-32x24.raw');
+        await createTestVideo(rgbaVideoPath, 4, 'blue', { width: 32, height: 24, pixelFormat: 'rgba', fps: 25 });
+
+        try {
+            const upload = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .field('width', '32')
+                .field('height', '24')
+                .field('pixelFormat', 'rgba')
+                .field('fps', '25')
+                .attach('video', rgbaVideoPath)
+                .expect(200);
+
+            const response = await request(app)
+                .post(`/videos/${upload.body.id}/trim`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .send({ trimStart: 1, trimEnd: 2 })
+                .expect(202);
+
+            const job = await waitForJob(app, API_TOKEN, response.body.jobId);
+            expect(job.state).to.equal('succeeded');
 
-        expect(response.body).to.have.property('id');
-        expect(response.body).to.have.property('filename');
-        expect(response.body).to.have.property('duration');
-        expect(response.body.duration).to.be.approximately(4, 0.1); // Original 5s - 1s = 4s
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(job.resultVideoId);
+            expect(video.duration).to.be.approximately(1, 0.001); // Original 4s - 3s = 1s
+            expect(video.size).to.equal(25 * 32 * 24 * 4);
+            expect(video).to.include({ width: 32, height: 24, pixel_format: 'rgba', fps: 25 });
+        } finally {
+            fs.unlinkSync(rgbaVideoPath);
+        }
     });
 });
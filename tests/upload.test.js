@@ -2,24 +2,23 @@ const request = require('supertest');
 const { expect } = require('chai');
 const path = require('path');
 const fs = require('fs');
-const app = require('../app');
+const os = require('os');
+const ffmpeg = require('fluent-ffmpeg');
+const { createApp } = require('../app');
 const { getDb } = require('../db');
-const { VALID_API_TOKENS } = require('../middleware/auth');
+const { createTestConfig, createTestUser } = require('./helpers');
+const { createTestVideo } = require('../createTestVideos');
+const { sniffContainer } = require('../containers');
 
-describe('POST /upload', () => {
-    const API_TOKEN = Array.from(VALID_API_TOKENS)[0];
+const config = createTestConfig();
+const app = createApp(config);
 
-    before(() => {
-        // Create uploads directory if it doesn't exist
-        const uploadsDir = path.join(__dirname, '../uploads');
-        if (!fs.existsSync(uploadsDir)) {
-            fs.mkdirSync(uploadsDir);
-        }
-    });
+describe('POST /upload', () => {
+    const { token: API_TOKEN } = createTestUser();
 
     after(() => {
         // Cleanup: Remove test files from uploads directory
-        const uploadsDir = path.join(__dirname, '../uploads');
+        const uploadsDir = config.uploadDir;
         fs.readdirSync(uploadsDir).forEach(file => {
             if (file.startsWith('test-')) {
                 fs.unlinkSync(path.join(uploadsDir, file));
@@ -87,17 +86,219 @@ describe('POST /upload', () => {
         expect(response.body).to.have.property('filename');
         expect(response.body).to.have.property('duration');
         expect(response.body.duration).to.be.approximately(5.0, 0.1);
+        expect(response.body).to.include({ container: 'raw', codec: 'rawvideo' });
+
+        const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(response.body.id);
+        expect(video).to.include({ container: 'raw', codec: 'rawvideo' });
     });
 
-    it('should reject videos that exceed maximum duration', async () => {
-        const testVideoPath = path.join(__dirname, 'fixtures', 'long-video.raw');
-        
-        const response = await request(app)
+    describe('content sniffing', () => {
+        const tmpFiles = [];
+
+        // Write a file to the temp directory, removed after these tests
+        const writeTmpFile = (name, contents) => {
+            const filepath = path.join(os.tmpdir(), name);
+            fs.writeFileSync(filepath, contents);
+            tmpFiles.push(filepath);
+            return filepath;
+        };
+
+        // A 16-byte file starting with an ftyp box of the given major brand
+        const ftypHeader = (brand) => Buffer.concat([
+            Buffer.from([0, 0, 0, 16]),
+            Buffer.from(`ftyp${brand}`, 'latin1'),
+            Buffer.alloc(4)
+        ]);
+
+        after(() => {
+            tmpFiles.forEach(file => fs.rmSync(file, { force: true }));
+        });
+
+        it('should identify MP4 and QuickTime files by their ftyp box', () => {
+            expect(sniffContainer(writeTmpFile('test-sniff.mp4', ftypHeader('isom')))).to.equal('mp4');
+            expect(sniffContainer(writeTmpFile('test-sniff.mov', ftypHeader('qt  ')))).to.equal('mov');
+            expect(sniffContainer(writeTmpFile('test-sniff.raw', Buffer.alloc(64, 128)))).to.be.null;
+        });
+
+        it('should reject a renamed image uploaded as raw video', async () => {
+            // A PNG signature padded to a whole number of 16x16 gray frames
+            const png = Buffer.alloc(16 * 16);
+            Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(png);
+            const filepath = writeTmpFile('test-image.raw', png);
+
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .field('width', '16')
+                .field('height', '16')
+                .field('pixelFormat', 'gray')
+                .attach('video', filepath, { contentType: 'video/raw' })
+                .expect(400);
+
+            expect(response.body).to.deep.equal({
+                error: 'File content is PNG image, not raw video',
+                code: 'CONTENT_MISMATCH'
+            });
+        });
+
+        it('should reject an .mp4 file without an ftyp box', async () => {
+            const filepath = writeTmpFile('test-fake.mp4', Buffer.from('definitely not a movie'));
+
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .attach('video', filepath, { contentType: 'video/mp4' })
+                .expect(400);
+
+            expect(response.body).to.deep.equal({
+                error: 'File content is not recognised, not an MP4 or QuickTime video',
+                code: 'CONTENT_MISMATCH'
+            });
+        });
+
+        it('should not keep rejected files', async () => {
+            const before = fs.readdirSync(config.uploadDir);
+            const filepath = writeTmpFile('test-fake.mov', Buffer.from('%PDF-1.7 not a movie'));
+
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .attach('video', filepath, { contentType: 'video/quicktime' })
+                .expect(400);
+
+            expect(response.body.error).to.equal('File content is PDF document, not an MP4 or QuickTime video');
+            expect(fs.readdirSync(config.uploadDir)).to.deep.equal(before);
+        });
+
+        it('should not keep files that ffprobe cannot read', async () => {
+            const before = fs.readdirSync(config.uploadDir);
+            const filepath = writeTmpFile('test-broken.mp4', ftypHeader('isom'));
+
+            const ffprobe = ffmpeg.ffprobe;
+            ffmpeg.ffprobe = (file, callback) => callback(new Error('ffprobe failed'));
+            try {
+                await request(app)
+                    .post('/upload')
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .attach('video', filepath, { contentType: 'video/mp4' })
+                    .expect(500);
+            } finally {
+                ffmpeg.ffprobe = ffprobe;
+            }
+
+            expect(fs.readdirSync(config.uploadDir)).to.deep.equal(before);
+        });
+    });
+
+    describe('raw video geometry', () => {
+        const grayFormat = { width: 64, height: 48, pixelFormat: 'gray', fps: 10 };
+        const grayVideoPath = path.join(os.tmpdir(), 'test-gray-64x48.raw');
+
+        before(async () => {
+            await createTestVideo(grayVideoPath, 2, 'red', grayFormat);
+        });
+
+        after(() => {
+            fs.unlinkSync(grayVideoPath);
+        });
+
+        it('should use the provided geometry to calculate duration', async () => {
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .field('width', '64')
+                .field('height', '48')
+                .field('pixelFormat', 'gray')
+                .field('fps', '10')
+                .attach('video', grayVideoPath)
+                .expect(200);
+
+            expect(response.body.duration).to.be.approximately(2.0, 0.001);
+            expect(response.body).to.include({ width: 64, height: 48, pixelFormat: 'gray', fps: 10 });
+
+            const video = getDb().prepare('SELECT * FROM videos WHERE id = ?').get(response.body.id);
+            expect(video).to.include({ width: 64, height: 48, pixel_format: 'gray', fps: 10 });
+        });
+
+        it('should reject files that are not a whole number of frames', async () => {
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .field('width', '100')
+                .field('height', '48')
+                .field('pixelFormat', 'gray')
+                .attach('video', grayVideoPath)
+                .expect(400);
+
+            expect(response.body.error).to.include('not a whole number of 100x48 gray frames');
+            expect(response.body.code).to.equal('CONTENT_MISMATCH');
+        });
+
+        it('should reject unsupported pixel formats', async () => {
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .field('pixelFormat', 'bgr48')
+                .attach('video', grayVideoPath)
+                .expect(400);
+
+            expect(response.body.error).to.include('Unsupported pixel format');
+        });
+
+        it('should reject odd dimensions for yuv420p', async () => {
+            const response = await request(app)
+                .post('/upload')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .field('width', '63')
+                .field('height', '48')
+                .field('pixelFormat', 'yuv420p')
+                .attach('video', grayVideoPath)
+                .expect(400);
+
+            expect(response.body.error).to.equal('Width and height must be even for yuv420p');
+        });
+    });
+
+    describe('size and duration limits', () => {
+        let uploadDir;
+
+        // Two seconds of 16x16 gray video at 10fps
+        const video = Buffer.alloc(16 * 16 * 20, 128);
+
+        const uploadGray = (limitedApp) => request(limitedApp)
             .post('/upload')
             .set('Authorization', `Bearer ${API_TOKEN}`)
-            .attach('video', testVideoPath, { filename: 'long-video.raw', contentType: 'video/raw' })
-            .expect(400);
-        
-        expect(response.body.error).to.equal('Video duration exceeds maximum allowed length');
-    }).timeout(5000); // Increase timeout for large file
+            .field('width', '16')
+            .field('height', '16')
+            .field('pixelFormat', 'gray')
+            .field('fps', '10')
+            .attach('video', video, { filename: 'test-limits.raw', contentType: 'video/raw' });
+
+        before(() => {
+            uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'editthat-limits-test-'));
+        });
+
+        after(() => {
+            fs.rmSync(uploadDir, { recursive: true, force: true });
+        });
+
+        it('should reject videos that exceed maximum duration', async () => {
+            const short = createApp(createTestConfig({ uploadDir, maxDurationSeconds: 1 }));
+
+            const response = await uploadGray(short).expect(400);
+
+            expect(response.body.error).to.equal('Video duration exceeds maximum allowed length');
+            expect(response.body.code).to.equal('DURATION_TOO_LONG');
+            expect(fs.readdirSync(uploadDir)).to.be.empty;
+        });
+
+        it('should reject files larger than the upload limit', async () => {
+            const strict = createApp(createTestConfig({ uploadDir, maxUploadSize: 1024 }));
+
+            const response = await uploadGray(strict).expect(413);
+
+            expect(response.body.code).to.equal('FILE_TOO_LARGE');
+            expect(fs.readdirSync(uploadDir)).to.be.empty;
+        });
+    });
 });
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const { createApp } = require('../app');
+const { getDb } = require('../db');
+const { createTestConfig, createTestUser } = require('./helpers');
+
+const config = createTestConfig();
+const app = createApp(config);
+
+describe('Video library endpoints', () => {
+    const { token: API_TOKEN, userId } = createTestUser();
+    const uploadsDir = config.uploadDir;
+    const videoIds = {};
+
+    // Insert a video record backed by a small file in uploads/
+    const insertTestVideo = (name, size, duration, createdAt) => {
+        const filepath = path.join(uploadsDir, `${name}.raw`);
+        fs.writeFileSync(filepath, Buffer.alloc(size));
+
+        const result = getDb().prepare(`
+            INSERT INTO videos (filename, filepath, size, duration, width, height, pixel_format, fps, container, owner_id, created_at)
+            VALUES (?, ?, ?, ?, 1, 1, 'gray', 1, 'raw', ?, ?)
+        `).run(`${name}.raw`, filepath, size, duration, userId, createdAt);
+
+        videoIds[name] = result.lastInsertRowid;
+    };
+
+    before(() => {
+        // Start from an empty library so listings are predictable
+        const db = getDb();
+        db.prepare('DELETE FROM share_accesses').run();
+        db.prepare('DELETE FROM share_views').run();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM jobs').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        insertTestVideo('oldest', 30, 30, '2024-01-01 00:00:00');
+        insertTestVideo('middle', 10, 10, '2024-01-02 00:00:00');
+        insertTestVideo('newest', 20, 20, '2024-01-03 00:00:00');
+    });
+
+    after(() => {
+        const db = getDb();
+        db.prepare('DELETE FROM share_accesses').run();
+        db.prepare('DELETE FROM share_views').run();
+        db.prepare('DELETE FROM share_links').run();
+        db.prepare('DELETE FROM edit_sources').run();
+        db.prepare('DELETE FROM edits').run();
+        db.prepare('DELETE FROM videos').run();
+
+        fs.readdirSync(uploadsDir).forEach(file => {
+            fs.unlinkSync(path.join(uploadsDir, file));
+        });
+    });
+
+    describe('GET /videos', () => {
+        it('should reject requests without authentication', async () => {
+            await request(app)
+                .get('/videos')
+                .expect(401);
+        });
+
+        it('should list newest videos first by default', async () => {
+            const response = await request(app)
+                .get('/videos')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.videos.map(v => v.filename))
+                .to.deep.equal(['newest.raw', 'middle.raw', 'oldest.raw']);
+            expect(response.body.pagination).to.deep.equal({ page: 1, limit: 20, total: 3, totalPages: 1 });
+        });
+
+        it('should paginate results', async () => {
+            const response = await request(app)
+                .get('/videos?limit=2&page=2')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.videos.map(v => v.filename)).to.deep.equal(['oldest.raw']);
+            expect(response.body.pagination).to.deep.equal({ page: 2, limit: 2, total: 3, totalPages: 2 });
+        });
+
+        it('should sort by duration and size', async () => {
+            const byDuration = await request(app)
+                .get('/videos?sort=duration&order=asc')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(byDuration.body.videos.map(v => v.duration)).to.deep.equal([10, 20, 30]);
+
+            const bySize = await request(app)
+                .get('/videos?sort=size&order=desc')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(bySize.body.videos.map(v => v.size)).to.deep.equal([30, 20, 10]);
+        });
+
+        it('should filter by duration range', async () => {
+            const response = await request(app)
+                .get('/videos?minDuration=15&maxDuration=25')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body.videos.map(v => v.filename)).to.deep.equal(['newest.raw']);
+            expect(response.body.pagination.total).to.equal(1);
+        });
+
+        it('should reject invalid query parameters', async () => {
+            for (const query of ['sort=filename', 'order=sideways', 'page=0', 'limit=500', 'minDuration=abc']) {
+                await request(app)
+                    .get(`/videos?${query}`)
+                    .set('Authorization', `Bearer ${API_TOKEN}`)
+                    .expect(400);
+            }
+        });
+    });
+
+    describe('GET /videos/:id', () => {
+        it('should return 404 for non-existent video ID', async () => {
+            await request(app)
+                .get('/videos/999999')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+
+        it('should return full metadata', async () => {
+            const response = await request(app)
+                .get(`/videos/${videoIds.middle}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(200);
+
+            expect(response.body).to.deep.equal({
+                id: videoIds.middle,
+                filename: 'middle.raw',
+                size: 10,
+                duration: 10,
+                width: 1,
+                height: 1,
+                pixelFormat: 'gray',
+                fps: 1,
+                container: 'raw',
+                codec: null,
+                createdAt: '2024-01-02 00:00:00',
+                frameCount: 10,
+                shareLinkCount: 0
+            });
+        });
+    });
+
+    describe('DELETE /videos/:id', () => {
+        it('should reject requests without authentication', async () => {
+            await request(app)
+                .delete(`/videos/${videoIds.oldest}`)
+                .expect(401);
+        });
+
+        it('should return 404 for non-existent video ID', async () => {
+            await request(app)
+                .delete('/videos/999999')
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+
+        it('should remove the file, share links and record', async () => {
+            const db = getDb();
+            const video = db.prepare('SELECT * FROM videos WHERE id = ?').get(videoIds.oldest);
+            db.prepare(`
+                INSERT INTO share_links (video_id, token, expiry_timestamp)
+                VALUES (?, ?, datetime('now', '+24 hours'))
+            `).run(video.id, 'delete-test-token');
+
+            await request(app)
+                .delete(`/videos/${video.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(204);
+
+            expect(fs.existsSync(video.filepath)).to.be.false;
+            expect(db.prepare('SELECT * FROM videos WHERE id = ?').get(video.id)).to.be.undefined;
+            expect(db.prepare('SELECT * FROM share_links WHERE video_id = ?').all(video.id)).to.be.empty;
+
+            await request(app)
+                .get(`/videos/${video.id}`)
+                .set('Authorization', `Bearer ${API_TOKEN}`)
+                .expect(404);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { getVideoFormat, getTotalFrames } = require('./videoProcessing');
+const { readFrame, toRgb24, scaleRgb24Nearest } = require('./frames');
+const { encodePng } = require('./png');
+
+// Contact sheet tiles are scaled down to at most this width, keeping the aspect ratio
+const CONTACT_SHEET_TILE_WIDTH = 160;
+
+// Largest number of columns or rows in a contact sheet
+const MAX_CONTACT_SHEET_SIZE = 10;
+
+// Directory rendered images are cached in, created on first use
+function getThumbnailDir(config) {
+    const dir = path.join(config.cacheDir, 'thumbnails');
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+// Render an image into the cache unless it is already there. Writing to a
+// temporary name first means a half-written file is never served.
+async function cacheImage(filepath, render) {
+    if (fs.existsSync(filepath)) {
+        return filepath;
+    }
+
+    const png = encodePng(await render());
+    const tmpPath = `${filepath}.${process.pid}-${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmpPath, png);
+    await fs.promises.rename(tmpPath, filepath);
+    return filepath;
+}
+
+/**
+ * Frame number shown at a point in a video, clamped to the last frame
+ * @param {Object} video Row from the videos table
+ * @param {number} seconds Time from the start of the video
+ * @returns {number} Zero-based frame number
+ */
+function getFrameAt(video, seconds) {
+    const { fps } = getVideoFormat(video);
+    return Math.min(Math.floor(seconds * fps + 1e-9), getTotalFrames(video) - 1);
+}
+
+/**
+ * Get a PNG of one frame of a raw video, rendering it on first request
+ * @param {Object} video Row from the videos table
+ * @param {number} frameIndex Zero-based frame number
+ * @param {Object} config App configuration
+ * @returns {Promise<string>} Path to the cached PNG
+ */
+function getThumbnail(video, frameIndex, config) {
+    const filepath = path.join(getThumbnailDir(config), `${video.id}-frame-${frameIndex}.png`);
+
+    return cacheImage(filepath, async () => {
+        const format = getVideoFormat(video);
+        const frame = await readFrame(video.filepath, format, frameIndex);
+        return { width: format.width, height: format.height, channels: 3, data: toRgb24(frame, format) };
+    });
+}
+
+/**
+ * Get a PNG tiling evenly spaced frames of a raw video into a grid, left to
+ * right and top to bottom, rendering it on first request. Each frame is taken
+ * from the middle of its share of the video.
+ * @param {Object} video Row from the videos table
+ * @param {number} cols Number of columns
+ * @param {number} rows Number of rows
+ * @param {Object} config App configuration
+ * @returns {Promise<string>} Path to the cached PNG
+ */
+function getContactSheet(video, cols, rows, config) {
+    const filepath = path.join(
+        getThumbnailDir(config),
+        `${video.id}-sheet-${cols}x${rows}-${CONTACT_SHEET_TILE_WIDTH}.png`
+    );
+
+    return cacheImage(filepath, async () => {
+        const format = getVideoFormat(video);
+        const totalFrames = getTotalFrames(video);
+        const tileWidth = Math.min(format.width, CONTACT_SHEET_TILE_WIDTH);
+        const tileHeight = Math.max(1, Math.round(format.height * tileWidth / format.width));
+
+        const sheetWidth = tileWidth * cols;
+        const sheet = Buffer.alloc(sheetWidth * tileHeight * rows * 3);
+        const count = cols * rows;
+
+        // Frames are read one at a time, so memory use doesn't grow with the grid
+        for (let i = 0; i < count; i++) {
+            const frameIndex = Math.floor((i + 0.5) * totalFrames / count);
+            const frame = await readFrame(video.filepath, format, frameIndex);
+            const tile = scaleRgb24Nearest(toRgb24(frame, format), format.width, format.height, tileWidth, tileHeight);
+
+            const left = (i % cols) * tileWidth;
+            const top = Math.floor(i / cols) * tileHeight;
+            for (let y = 0; y < tileHeight; y++) {
+                tile.copy(sheet, ((top + y) * sheetWidth + left) * 3, y * tileWidth * 3, (y + 1) * tileWidth * 3);
+            }
+        }
+
+        return { width: sheetWidth, height: tileHeight * rows, channels: 3, data: sheet };
+    });
+}
+
+/**
+ * Delete every cached image of a video
+ * @param {number} videoId Video ID
+ * @param {Object} config App configuration
+ */
+function removeCachedImages(videoId, config) {
+    const dir = path.join(config.cacheDir, 'thumbnails');
+    if (!fs.existsSync(dir)) {
+        return;
+    }
+
+    fs.readdirSync(dir)
+        .filter(file => file.startsWith(`${videoId}-`))
+        .forEach(file => fs.rmSync(path.join(dir, file), { force: true }));
+}
+
+module.exports = {
+    MAX_CONTACT_SHEET_SIZE,
+    getFrameAt,
+    getThumbnail,
+    getContactSheet,
+    removeCachedImages
+};
@@ -0,0 +1,48 @@
+// HH:MM:SS:FF, with ';' accepted before the frame field as some tools write it
+const TIMECODE_PATTERN = /^(\d{2,}):([0-5]\d):([0-5]\d)[:;](\d{2,})$/;
+
+/**
+ * Convert an SMPTE-style timecode into a frame number. Timecodes count
+ * frames at the nominal (rounded) frame rate, as non-drop-frame timecode does.
+ * @param {string} timecode Timecode in HH:MM:SS:FF form
+ * @param {number} fps Frames per second
+ * @returns {number|null} Frame number, or null if the timecode is malformed
+ */
+function parseTimecode(timecode, fps) {
+    const match = TIMECODE_PATTERN.exec(String(timecode));
+    if (!match) {
+        return null;
+    }
+
+    const nominalFps = Math.round(fps);
+    const [hours, minutes, seconds, frames] = match.slice(1).map(Number);
+    if (frames >= nominalFps) {
+        return null;
+    }
+
+    return ((hours * 60 + minutes) * 60 + seconds) * nominalFps + frames;
+}
+
+/**
+ * Format a frame number as an SMPTE-style timecode
+ * @param {number} frame Frame number
+ * @param {number} fps Frames per second
+ * @returns {string} Timecode in HH:MM:SS:FF form
+ */
+function formatTimecode(frame, fps) {
+    const nominalFps = Math.round(fps);
+    const totalSeconds = Math.floor(frame / nominalFps);
+    const fields = [
+        Math.floor(totalSeconds / 3600),
+        Math.floor(totalSeconds / 60) % 60,
+        totalSeconds % 60,
+        frame % nominalFps
+    ];
+
+    return fields.map(field => String(field).padStart(2, '0')).join(':');
+}
+
+module.exports = {
+    parseTimecode,
+    formatTimecode
+};
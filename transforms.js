@@ -0,0 +1,193 @@
+const path = require('path');
+const { readFrames, scaleRgb24Nearest, scaleRgb24Bilinear, writeFrames } = require('./frames');
+
+// Largest width or height a transform may produce
+const MAX_TRANSFORM_DIMENSION = 8192;
+
+const SCALE_METHODS = {
+    nearest: scaleRgb24Nearest,
+    bilinear: scaleRgb24Bilinear
+};
+
+const ROTATIONS = [90, 180, 270];
+
+const FLIPS = ['horizontal', 'vertical'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate a transform request against a video's geometry. Steps are applied
+ * in a fixed order: crop, then scale, then rotate (clockwise), then flip.
+ * @param {Object} params Transform parameters from the request
+ * @param {Object} [params.crop] `{ x, y, width, height }` in source pixels
+ * @param {Object} [params.scale] `{ width, height, method }`, method 'nearest' or 'bilinear' (default)
+ * @param {number} [params.rotate] 90, 180 or 270 degrees clockwise
+ * @param {string} [params.flip] 'horizontal' or 'vertical'
+ * @param {Object} format Raw video format of the source
+ * @returns {Object} `{ transform, output }` with the steps to apply and the
+ *   resulting format, or `{ error }` if the request is invalid
+ */
+function resolveTransform(params, format) {
+    const { crop, scale, rotate, flip } = params;
+    const transform = {};
+    let { width, height } = format;
+
+    if ([crop, scale, rotate, flip].every(step => step === undefined)) {
+        return { error: 'Provide at least one of crop, scale, rotate or flip' };
+    }
+
+    if (crop !== undefined) {
+        const { x, y } = crop || {};
+        const valid = crop && Number.isInteger(x) && x >= 0 && Number.isInteger(y) && y >= 0 &&
+            isPositiveInteger(crop.width) && isPositiveInteger(crop.height);
+        if (!valid) {
+            return { error: 'crop needs whole-pixel x and y and a positive width and height' };
+        }
+        if (x + crop.width > width || y + crop.height > height) {
+            return { error: `Crop rectangle must fit inside the ${width}x${height} frame` };
+        }
+        transform.crop = { x, y, width: crop.width, height: crop.height };
+        ({ width, height } = crop);
+    }
+
+    if (scale !== undefined) {
+        const method = (scale && scale.method) || 'bilinear';
+        if (!scale || !isPositiveInteger(scale.width) || !isPositiveInteger(scale.height)) {
+            return { error: 'scale needs a positive whole width and height' };
+        }
+        if (scale.width > MAX_TRANSFORM_DIMENSION || scale.height > MAX_TRANSFORM_DIMENSION) {
+            return { error: `Scaled frames may be at most ${MAX_TRANSFORM_DIMENSION} pixels wide or high` };
+        }
+        if (!Object.prototype.hasOwnProperty.call(SCALE_METHODS, method)) {
+            return { error: `Unsupported scale method. Supported methods: ${Object.keys(SCALE_METHODS).join(', ')}` };
+        }
+        transform.scale = { width: scale.width, height: scale.height, method };
+        ({ width, height } = scale);
+    }
+
+    if (rotate !== undefined) {
+        if (!ROTATIONS.includes(rotate)) {
+            return { error: `rotate must be one of ${ROTATIONS.join(', ')} degrees` };
+        }
+        transform.rotate = rotate;
+        if (rotate !== 180) {
+            [width, height] = [height, width];
+        }
+    }
+
+    if (flip !== undefined) {
+        if (!FLIPS.includes(flip)) {
+            return { error: `flip must be one of ${FLIPS.join(', ')}` };
+        }
+        transform.flip = flip;
+    }
+
+    return { transform, output: { ...format, width, height } };
+}
+
+// Copy a rectangle out of packed RGB pixels
+function cropRgb24(rgb, width, { x, y, width: cropWidth, height: cropHeight }) {
+    const cropped = Buffer.alloc(cropWidth * cropHeight * 3);
+    for (let row = 0; row < cropHeight; row++) {
+        const start = ((y + row) * width + x) * 3;
+        rgb.copy(cropped, row * cropWidth * 3, start, start + cropWidth * 3);
+    }
+    return cropped;
+}
+
+// Rearrange packed RGB pixels, taking each output pixel from the source
+// position `source(x, y)` returns
+function remapRgb24(rgb, width, newWidth, newHeight, source) {
+    const remapped = Buffer.alloc(newWidth * newHeight * 3);
+    for (let y = 0; y < newHeight; y++) {
+        for (let x = 0; x < newWidth; x++) {
+            const [sourceX, sourceY] = source(x, y);
+            const from = (sourceY * width + sourceX) * 3;
+            rgb.copy(remapped, (y * newWidth + x) * 3, from, from + 3);
+        }
+    }
+    return remapped;
+}
+
+/**
+ * Apply a resolved transform to one rgb24 frame
+ * @param {Buffer} frame rgb24 frame bytes
+ * @param {Object} format Raw video format of the frame
+ * @param {Object} transform Steps from resolveTransform
+ * @returns {Buffer} Transformed frame
+ */
+function transformFrame(frame, format, transform) {
+    let rgb = frame;
+    let { width, height } = format;
+
+    if (transform.crop) {
+        rgb = cropRgb24(rgb, width, transform.crop);
+        ({ width, height } = transform.crop);
+    }
+
+    if (transform.scale) {
+        const { width: newWidth, height: newHeight, method } = transform.scale;
+        rgb = SCALE_METHODS[method](rgb, width, height, newWidth, newHeight);
+        [width, height] = [newWidth, newHeight];
+    }
+
+    if (transform.rotate === 90) {
+        rgb = remapRgb24(rgb, width, height, width, (x, y) => [y, height - 1 - x]);
+        [width, height] = [height, width];
+    } else if (transform.rotate === 180) {
+        rgb = remapRgb24(rgb, width, width, height, (x, y) => [width - 1 - x, height - 1 - y]);
+    } else if (transform.rotate === 270) {
+        rgb = remapRgb24(rgb, width, height, width, (x, y) => [width - 1 - y, x]);
+        [width, height] = [height, width];
+    }
+
+    if (transform.flip === 'horizontal') {
+        rgb = remapRgb24(rgb, width, width, height, (x, y) => [width - 1 - x, y]);
+    } else if (transform.flip === 'vertical') {
+        rgb = remapRgb24(rgb, width, width, height, (x, y) => [x, height - 1 - y]);
+    }
+
+    return rgb;
+}
+
+/**
+ * Apply a transform to every frame of a raw rgb24 video, streaming one frame
+ * at a time into a new file next to the source
+ * @param {string} inputPath Path to the raw video file
+ * @param {Object} format Raw video format of the source
+ * @param {Object} transform Steps from resolveTransform
+ * @param {Object} [options] Transform options
+ * @param {number} [options.totalFrames] Number of frames in the source, for progress
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<Object>} Object containing output path and duration
+ */
+async function transformVideo(inputPath, format, transform, options = {}) {
+    // Generate output filename
+    const dir = path.dirname(inputPath);
+    const ext = path.extname(inputPath);
+    const basename = path.basename(inputPath, ext);
+    const outputPath = path.join(dir, `${basename}-transformed-${Date.now()}${ext}`);
+
+    async function* transformed() {
+        for await (const frame of readFrames(inputPath, format)) {
+            yield transformFrame(frame, format, transform);
+        }
+    }
+
+    const frameCount = await writeFrames(outputPath, transformed(), {
+        total: options.totalFrames,
+        onProgress: options.onProgress
+    });
+
+    return {
+        outputPath,
+        duration: frameCount / format.fps
+    };
+}
+
+module.exports = {
+    MAX_TRANSFORM_DIMENSION,
+    resolveTransform,
+    transformFrame,
+    transformVideo
+};
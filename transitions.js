@@ -0,0 +1,122 @@
+// Transitions a merge can use at each boundary between videos
+const TRANSITION_TYPES = ['cut', 'crossfade', 'fade-to-black', 'wipe'];
+
+// Transitions that play both videos at once, shortening the merge
+const OVERLAPPING_TYPES = ['crossfade', 'wipe'];
+
+/**
+ * Number of frames a transition plays the two videos over each other for.
+ * Crossfades and wipes overlap the end of one video with the start of the
+ * next; cuts and fades to black don't overlap.
+ * @param {Object} [transition] Transition from resolveTransitions
+ * @returns {number} Frames removed from the merged length
+ */
+function getTransitionOverlap(transition) {
+    return transition && OVERLAPPING_TYPES.includes(transition.type) ? transition.frames : 0;
+}
+
+/**
+ * Validate the transitions requested for a merge. There must be one per
+ * boundary, each no longer than either video beside it, and the transitions
+ * at both ends of a video must fit in it together.
+ * @param {Object[]} transitions Transitions from the request, in order
+ * @param {number[]} frameCounts Frames in each merged video, after any normalisation
+ * @returns {Object} `{ transitions }` with `frames` filled in for cuts, or `{ error }`
+ */
+function resolveTransitions(transitions, frameCounts) {
+    if (!Array.isArray(transitions) || transitions.length !== frameCounts.length - 1) {
+        return { error: `transitions must list one transition for each of the ${frameCounts.length - 1} boundaries between videos` };
+    }
+
+    const resolved = [];
+    for (const [i, transition] of transitions.entries()) {
+        const { type, frames } = transition || {};
+        if (!TRANSITION_TYPES.includes(type)) {
+            return { error: `Unsupported transition type. Supported types: ${TRANSITION_TYPES.join(', ')}` };
+        }
+
+        if (type === 'cut') {
+            if (frames !== undefined && frames !== 0) {
+                return { error: 'A cut has no duration' };
+            }
+            resolved.push({ type, frames: 0 });
+            continue;
+        }
+
+        if (!Number.isInteger(frames) || frames <= 0) {
+            return { error: `Transition ${i + 1} (${type}) needs a duration of at least one whole frame` };
+        }
+
+        const shorter = Math.min(frameCounts[i], frameCounts[i + 1]);
+        if (frames > shorter) {
+            return {
+                error: `Transition ${i + 1} (${type}) is ${frames} frames, longer than the ${shorter}-frame video beside it`
+            };
+        }
+
+        resolved.push({ type, frames });
+    }
+
+    for (const [i, frameCount] of frameCounts.entries()) {
+        const needed = (i > 0 ? resolved[i - 1].frames : 0) + (i < resolved.length ? resolved[i].frames : 0);
+        if (needed > frameCount) {
+            return {
+                error: `Transitions into and out of video ${i + 1} need ${needed} frames together, but it has ${frameCount}`
+            };
+        }
+    }
+
+    return { transitions: resolved };
+}
+
+/**
+ * Scale the brightness of an rgb24 frame, for fades to and from black
+ * @param {Buffer} frame rgb24 frame bytes
+ * @param {number} factor 0 for black through 1 for unchanged
+ * @returns {Buffer} New frame
+ */
+function fadeFrame(frame, factor) {
+    const faded = Buffer.alloc(frame.length);
+    for (let i = 0; i < frame.length; i++) {
+        faded[i] = Math.round(frame[i] * factor);
+    }
+    return faded;
+}
+
+/**
+ * Render one frame of an overlapping transition between two rgb24 frames
+ * @param {string} type 'crossfade' or 'wipe'
+ * @param {Buffer} from Frame of the outgoing video
+ * @param {Buffer} to Frame of the incoming video
+ * @param {number} progress How far through the transition, between 0 and 1
+ * @param {Object} format Raw video format of both frames
+ * @returns {Buffer} New frame
+ */
+function blendFrames(type, from, to, progress, format) {
+    const blended = Buffer.alloc(from.length);
+
+    if (type === 'wipe') {
+        // The incoming video is revealed from the left edge
+        const edge = Math.round(format.width * progress);
+        const rowBytes = format.width * 3;
+        for (let y = 0; y < format.height; y++) {
+            const row = y * rowBytes;
+            to.copy(blended, row, row, row + edge * 3);
+            from.copy(blended, row + edge * 3, row + edge * 3, row + rowBytes);
+        }
+        return blended;
+    }
+
+    for (let i = 0; i < from.length; i++) {
+        blended[i] = Math.round(from[i] * (1 - progress) + to[i] * progress);
+    }
+    return blended;
+}
+
+module.exports = {
+    TRANSITION_TYPES,
+    getTransitionOverlap,
+    resolveTransitions,
+    fadeFrame,
+    blendFrames
+};
@@ -0,0 +1,230 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const {
+    getFrameSize,
+    getVideoFormat,
+    createRawVideoCommand,
+    decodeToRaw
+} = require('./videoProcessing');
+const { readFrames, toRgb24 } = require('./frames');
+const { encodePng } = require('./png');
+const { MAX_ZIP_ENTRIES, writeZip } = require('./zip');
+
+// Formats a video can be exported to. `encoder` is the ffmpeg encoder the
+// format needs; PNG sequences are encoded in JavaScript.
+const EXPORT_FORMATS = {
+    mp4: { extension: 'mp4', container: 'mp4', codec: 'h264', encoder: 'libx264', pixelFormat: 'yuv420p' },
+    webm: { extension: 'webm', container: 'webm', codec: 'vp9', encoder: 'libvpx-vp9', pixelFormat: 'yuv420p' },
+    gif: { extension: 'gif', container: 'gif', codec: 'gif', encoder: 'gif', pixelFormat: 'pal8' },
+    'png-sequence': { extension: 'zip', container: 'zip', codec: 'png', encoder: null, pixelFormat: 'rgb24' }
+};
+
+// Constant rate factors for the video codecs, and the largest width and
+// frame rate of GIFs, at each quality. PNG sequences are always lossless.
+const QUALITY_PRESETS = {
+    low: { crf: { mp4: 28, webm: 40 }, gif: { width: 320, fps: 10 } },
+    medium: { crf: { mp4: 23, webm: 32 }, gif: { width: 480, fps: 15 } },
+    high: { crf: { mp4: 18, webm: 24 }, gif: { width: 640, fps: 25 } }
+};
+
+// Ask ffmpeg which encoders it has, or report why it can't be run
+function getAvailableEncoders() {
+    return new Promise((resolve) => {
+        ffmpeg.getAvailableEncoders((err, encoders) => resolve(err ? { error: err } : { encoders }));
+    });
+}
+
+/**
+ * Check that the tools an export needs are installed. Raw videos can always
+ * be exported as PNG sequences; everything else runs ffmpeg.
+ * @param {Object} video Row from the videos table
+ * @param {string} format Key of EXPORT_FORMATS
+ * @returns {Promise<string|null>} Error message, or null if the export can run
+ */
+async function checkExportTools(video, format) {
+    const { encoder } = EXPORT_FORMATS[format];
+    if (!encoder && video.container === 'raw') {
+        return null;
+    }
+
+    const { encoders, error } = await getAvailableEncoders();
+    if (error) {
+        return `ffmpeg is not available on this server (${error.message}), so videos can only be exported from raw files as png-sequence`;
+    }
+    if (encoder && !encoders[encoder]) {
+        return `ffmpeg on this server has no ${encoder} encoder, which ${format} export needs`;
+    }
+    return null;
+}
+
+/**
+ * Work out the geometry of an exported video. H.264 and VP9 need even
+ * dimensions, so odd ones are rounded down; GIFs are scaled down and slowed
+ * to the preset's limits.
+ * @param {Object} source Raw video format of the source
+ * @param {string} format Key of EXPORT_FORMATS
+ * @param {string} quality Key of QUALITY_PRESETS
+ * @returns {Object} Width, height, pixel format and frame rate of the export
+ */
+function getExportFormat(source, format, quality) {
+    const { pixelFormat } = EXPORT_FORMATS[format];
+
+    if (format === 'gif') {
+        const limits = QUALITY_PRESETS[quality].gif;
+        const width = Math.min(source.width, limits.width);
+        return {
+            width,
+            height: Math.max(1, Math.round(source.height * width / source.width)),
+            pixelFormat,
+            fps: Math.min(source.fps, limits.fps)
+        };
+    }
+
+    if (format === 'png-sequence') {
+        return { ...source, pixelFormat };
+    }
+
+    return {
+        width: source.width - (source.width % 2),
+        height: source.height - (source.height % 2),
+        pixelFormat,
+        fps: source.fps
+    };
+}
+
+// Output options that encode a video in one of the ffmpeg-backed formats
+function getEncoderOptions(format, quality, target) {
+    const crf = QUALITY_PRESETS[quality].crf[format];
+
+    if (format === 'mp4') {
+        return [
+            `-vf scale=${target.width}:${target.height}`,
+            '-c:v libx264',
+            `-crf ${crf}`,
+            '-preset medium',
+            '-pix_fmt yuv420p',
+            '-movflags +faststart'
+        ];
+    }
+
+    if (format === 'webm') {
+        return [
+            `-vf scale=${target.width}:${target.height}`,
+            '-c:v libvpx-vp9',
+            `-crf ${crf}`,
+            '-b:v 0',
+            '-pix_fmt yuv420p'
+        ];
+    }
+
+    // A palette generated from the whole clip keeps GIF colours faithful
+    return [
+        `-vf fps=${target.fps},scale=${target.width}:${target.height}:flags=lanczos,` +
+            'split[frames][copy];[copy]palettegen[palette];[frames][palette]paletteuse',
+        '-loop 0'
+    ];
+}
+
+// Encode with ffmpeg, reading raw input through createRawVideoCommand
+function encodeWithFfmpeg(video, source, outputPath, format, quality, target, onProgress) {
+    const command = video.container === 'raw'
+        ? createRawVideoCommand(video.filepath, source)
+        : ffmpeg(video.filepath);
+
+    return new Promise((resolve, reject) => {
+        command
+            .noAudio()
+            .outputOptions(getEncoderOptions(format, quality, target))
+            .output(outputPath)
+            .on('progress', (progress) => {
+                if (progress.percent) {
+                    onProgress(progress.percent);
+                }
+            })
+            .on('end', () => resolve())
+            .on('error', async (err) => {
+                await fs.promises.rm(outputPath, { force: true });
+                reject(new Error(`Error exporting video: ${err.message}`));
+            })
+            .run();
+    });
+}
+
+// Zip every frame of a raw file as a numbered PNG
+async function writePngSequence(rawPath, format, outputPath, onProgress) {
+    const frameCount = Math.floor(fs.statSync(rawPath).size / getFrameSize(format));
+    if (frameCount > MAX_ZIP_ENTRIES) {
+        throw new Error(`PNG sequences are limited to ${MAX_ZIP_ENTRIES} frames`);
+    }
+    const digits = Math.max(6, String(frameCount).length);
+    let written = 0;
+
+    async function* pngFrames() {
+        for await (const frame of readFrames(rawPath, format)) {
+            written++;
+            yield {
+                name: `frame-${String(written).padStart(digits, '0')}.png`,
+                data: encodePng({ width: format.width, height: format.height, channels: 3, data: toRgb24(frame, format) })
+            };
+            onProgress((written / frameCount) * 100);
+        }
+    }
+
+    await writeZip(outputPath, pngFrames());
+}
+
+/**
+ * Export a video to a standard format as a new file next to it. PNG sequences
+ * of raw videos are encoded entirely in JavaScript; other videos are decoded
+ * by ffmpeg first.
+ * @param {Object} video Row from the videos table
+ * @param {Object} options Export options
+ * @param {string} options.format Key of EXPORT_FORMATS
+ * @param {string} [options.quality] Key of QUALITY_PRESETS (default 'medium')
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<Object>} Output path, duration, format, container and codec of the export
+ */
+async function exportVideo(video, options) {
+    const onProgress = options.onProgress || (() => {});
+    const quality = options.quality || 'medium';
+    const { extension, container, codec } = EXPORT_FORMATS[options.format];
+    const source = getVideoFormat(video);
+    const target = getExportFormat(source, options.format, quality);
+
+    // Generate output filename
+    const dir = path.dirname(video.filepath);
+    const basename = path.basename(video.filepath, path.extname(video.filepath));
+    const outputPath = path.join(dir, `${basename}-export-${Date.now()}.${extension}`);
+
+    if (options.format !== 'png-sequence') {
+        await encodeWithFfmpeg(video, source, outputPath, options.format, quality, target, onProgress);
+    } else if (video.container === 'raw') {
+        await writePngSequence(video.filepath, source, outputPath, onProgress);
+    } else {
+        const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'editthat-export-'));
+        try {
+            const rawPath = path.join(workDir, 'decoded.raw');
+            await decodeToRaw(video.filepath, target, rawPath);
+            await writePngSequence(rawPath, target, outputPath, onProgress);
+        } finally {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    return {
+        outputPath,
+        duration: video.duration,
+        format: target,
+        container,
+        codec
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    QUALITY_PRESETS,
+    checkExportTools,
+    exportVideo
+};
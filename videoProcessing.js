@@ -2,41 +2,587 @@ const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { once } = require('events');
+const { pipeline, finished } = require('stream/promises');
+const { parseTimecode } = require('./timecode');
+const { getDeclaredContainer } = require('./containers');
+
+// Bytes used by one pixel in each supported raw pixel format
+const PIXEL_FORMATS = {
+    rgb24: 3,
+    rgba: 4,
+    yuv420p: 1.5, // full-resolution luma plus quarter-resolution U and V planes
+    gray: 1
+};
+
+// Geometry assumed for raw videos that don't describe their own
+const DEFAULT_RAW_FORMAT = {
+    width: 320,
+    height: 240,
+    pixelFormat: 'rgb24',
+    fps: 30
+};
+
+/**
+ * Validate a raw video format description
+ * @param {Object} format Raw video format
+ * @param {number} format.width Frame width in pixels
+ * @param {number} format.height Frame height in pixels
+ * @param {string} format.pixelFormat One of the keys of PIXEL_FORMATS
+ * @param {number} format.fps Frames per second
+ * @returns {string|null} Error message, or null if the format is valid
+ */
+function validateRawFormat(format) {
+    const { width, height, pixelFormat, fps } = format;
+
+    if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+        return 'Width and height must be positive integers';
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(PIXEL_FORMATS, pixelFormat)) {
+        return `Unsupported pixel format. Supported formats: ${Object.keys(PIXEL_FORMATS).join(', ')}`;
+    }
+
+    if (pixelFormat === 'yuv420p' && (width % 2 !== 0 || height % 2 !== 0)) {
+        return 'Width and height must be even for yuv420p';
+    }
+
+    if (typeof fps !== 'number' || !Number.isFinite(fps) || fps <= 0) {
+        return 'Frame rate must be a positive number';
+    }
+
+    return null;
+}
+
+/**
+ * Calculate the size of a single frame
+ * @param {Object} format Raw video format
+ * @returns {number} Frame size in bytes
+ */
+function getFrameSize(format) {
+    return format.width * format.height * PIXEL_FORMATS[format.pixelFormat];
+}
+
+/**
+ * Build the raw format of a stored video, falling back to the defaults
+ * for rows uploaded before geometry was recorded
+ * @param {Object} video Row from the videos table
+ * @returns {Object} Raw video format
+ */
+function getVideoFormat(video) {
+    return {
+        width: video.width || DEFAULT_RAW_FORMAT.width,
+        height: video.height || DEFAULT_RAW_FORMAT.height,
+        pixelFormat: video.pixel_format || DEFAULT_RAW_FORMAT.pixelFormat,
+        fps: video.fps || DEFAULT_RAW_FORMAT.fps
+    };
+}
 
 /**
  * Calculate duration for raw video
  * @param {string} filepath Path to raw video file
+ * @param {Object} [format] Raw video format
  * @returns {number} Duration in seconds
  */
-function calculateRawVideoDuration(filepath) {
+function calculateRawVideoDuration(filepath, format = DEFAULT_RAW_FORMAT) {
     const fileSize = fs.statSync(filepath).size;
-    return fileSize / (320 * 240 * 3 * 30); // width * height * bytes_per_pixel * fps
+    return fileSize / (getFrameSize(format) * format.fps);
+}
+
+/**
+ * ffmpeg input options describing a raw video, which has no header of its own
+ * @param {Object} [format] Raw video format
+ * @returns {string[]} Input options
+ */
+function getRawInputOptions(format = DEFAULT_RAW_FORMAT) {
+    return [
+        '-f rawvideo',
+        `-pixel_format ${format.pixelFormat}`,
+        `-video_size ${format.width}x${format.height}`,
+        `-framerate ${format.fps}`
+    ];
 }
 
 /**
  * Process raw video with proper input parameters
  * @param {string} inputPath Path to input raw video file
+ * @param {Object} [format] Raw video format
  * @returns {Object} ffmpeg command object
  */
-function createRawVideoCommand(inputPath) {
-    return ffmpeg(inputPath)
-        .inputOptions([
-            '-f rawvideo',
-            '-pixel_format rgb24',
-            '-video_size 320x240',
-            '-framerate 30'
-        ]);
+function createRawVideoCommand(inputPath, format = DEFAULT_RAW_FORMAT) {
+    return ffmpeg(inputPath).inputOptions(getRawInputOptions(format));
+}
+
+/**
+ * Decode a video ffmpeg can read into a raw file, scaling it and converting
+ * its frame rate and pixel format on the way
+ * @param {string} inputPath Path to the input video file
+ * @param {Object} format Raw video format to write
+ * @param {string} outputPath Path to write the raw file
+ * @returns {Promise<void>}
+ */
+function decodeToRaw(inputPath, format, outputPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg(inputPath)
+            .outputOptions([
+                '-an',
+                `-vf scale=${format.width}:${format.height},fps=${format.fps}`,
+                `-pix_fmt ${format.pixelFormat}`,
+                '-f rawvideo'
+            ])
+            .output(outputPath)
+            .on('end', () => resolve())
+            .on('error', (err) => reject(new Error(`Error decoding video: ${err.message}`)))
+            .run();
+    });
+}
+
+// Duration in seconds of a file ffmpeg can read
+function probeDuration(filepath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filepath, (err, metadata) => {
+            if (err) return reject(err);
+            resolve(metadata.format.duration);
+        });
+    });
+}
+
+/**
+ * Count the whole frames in a stored video
+ * @param {Object} video Row from the videos table
+ * @returns {number} Number of frames
+ */
+function getTotalFrames(video) {
+    const format = getVideoFormat(video);
+    if (video.container === 'raw') {
+        return Math.floor(video.size / getFrameSize(format));
+    }
+    return Math.round(video.duration * format.fps);
+}
+
+// True if any of the values was supplied
+const anyGiven = (...values) => values.some(value => value !== undefined && value !== null);
+
+/**
+ * Resolve a trim request into an absolute range of whole frames. Exactly one
+ * form may be used: seconds removed from each end (trimStart/trimEnd),
+ * absolute frame numbers (startFrame/endFrame) or timecodes
+ * (startTimecode/endTimecode). Ranges are half-open, so endFrame is the
+ * first frame after the kept range. With autoTrimBlack set, no form is
+ * needed and the whole video is kept before black frames are removed.
+ * @param {Object} params Trim parameters from the request
+ * @param {number} totalFrames Number of frames in the video
+ * @param {number} fps Frames per second
+ * @returns {Object} `{ startFrame, endFrame }`, or `{ error }` if the request is invalid
+ */
+function resolveTrimRange(params, totalFrames, fps) {
+    const { trimStart, trimEnd, startFrame, endFrame, startTimecode, endTimecode } = params;
+    const forms = [
+        anyGiven(trimStart, trimEnd),
+        anyGiven(startFrame, endFrame),
+        anyGiven(startTimecode, endTimecode)
+    ].filter(Boolean).length;
+
+    if (forms === 0 && params.autoTrimBlack === true) {
+        return { startFrame: 0, endFrame: totalFrames };
+    }
+    if (forms === 0) {
+        return { error: 'Invalid trim parameters. Provide trimStart/trimEnd, startFrame/endFrame or startTimecode/endTimecode' };
+    }
+    if (forms > 1) {
+        return { error: 'Use only one of trimStart/trimEnd, startFrame/endFrame or startTimecode/endTimecode' };
+    }
+
+    let range;
+    if (anyGiven(trimStart, trimEnd)) {
+        const invalid = [trimStart, trimEnd].some(value =>
+            anyGiven(value) && (typeof value !== 'number' || !(value >= 0))
+        );
+        if (invalid) {
+            return { error: 'Trim values must be positive numbers' };
+        }
+
+        // Seconds are snapped to the nearest whole frame
+        range = {
+            startFrame: Math.round((trimStart || 0) * fps),
+            endFrame: totalFrames - Math.round((trimEnd || 0) * fps)
+        };
+    } else if (anyGiven(startFrame, endFrame)) {
+        const invalid = [startFrame, endFrame].some(value =>
+            anyGiven(value) && (!Number.isInteger(value) || value < 0)
+        );
+        if (invalid) {
+            return { error: 'Frame numbers must be non-negative integers' };
+        }
+
+        range = {
+            startFrame: anyGiven(startFrame) ? startFrame : 0,
+            endFrame: anyGiven(endFrame) ? endFrame : totalFrames
+        };
+    } else {
+        range = {
+            startFrame: anyGiven(startTimecode) ? parseTimecode(startTimecode, fps) : 0,
+            endFrame: anyGiven(endTimecode) ? parseTimecode(endTimecode, fps) : totalFrames
+        };
+        if (range.startFrame === null || range.endFrame === null) {
+            return { error: `Timecodes must be in HH:MM:SS:FF form with FF below ${Math.round(fps)}` };
+        }
+    }
+
+    if (range.startFrame >= range.endFrame || range.endFrame > totalFrames) {
+        return { error: `Trim range must be non-empty and within the video's ${totalFrames} frames` };
+    }
+
+    return range;
+}
+
+// Most segments a single split may produce
+const MAX_SPLIT_SEGMENTS = 100;
+
+/**
+ * Resolve a split request into consecutive segments covering the whole
+ * video. Exactly one form may be used: cut points in seconds (cutPoints) or
+ * frames (cutFrames), or a fixed segment length in seconds (segmentLength)
+ * or frames (segmentFrames), where the last segment takes whatever is left.
+ * Seconds are snapped to the nearest whole frame.
+ * @param {Object} params Split parameters from the request
+ * @param {number} totalFrames Number of frames in the video
+ * @param {number} fps Frames per second
+ * @returns {Object} `{ segments }` of `{ startFrame, endFrame }`, or `{ error }` if the request is invalid
+ */
+function resolveSplitSegments(params, totalFrames, fps) {
+    const { cutPoints, cutFrames, segmentLength, segmentFrames } = params;
+    const given = [cutPoints, cutFrames, segmentLength, segmentFrames].filter(value => anyGiven(value));
+
+    if (given.length !== 1) {
+        return { error: 'Provide exactly one of cutPoints, cutFrames, segmentLength or segmentFrames' };
+    }
+
+    let cuts;
+    if (anyGiven(cutPoints) || anyGiven(cutFrames)) {
+        const values = anyGiven(cutPoints) ? cutPoints : cutFrames;
+        const valid = Array.isArray(values) && values.length > 0 && values.every(value =>
+            (anyGiven(cutPoints) ? typeof value === 'number' && value >= 0 : Number.isInteger(value))
+        );
+        if (!valid) {
+            return {
+                error: anyGiven(cutPoints)
+                    ? 'cutPoints must be a non-empty array of positive numbers of seconds'
+                    : 'cutFrames must be a non-empty array of frame numbers'
+            };
+        }
+
+        cuts = anyGiven(cutPoints) ? values.map(seconds => Math.round(seconds * fps)) : values;
+        if (cuts.some((cut, i) => cut <= 0 || cut >= totalFrames || (i > 0 && cut <= cuts[i - 1]))) {
+            return { error: `Cut points must be increasing, at least a frame apart and inside the video's ${totalFrames} frames` };
+        }
+    } else {
+        const length = anyGiven(segmentLength) ? Math.round(segmentLength * fps) : segmentFrames;
+        const valid = anyGiven(segmentLength)
+            ? typeof segmentLength === 'number' && length > 0
+            : Number.isInteger(segmentFrames) && segmentFrames > 0;
+        if (!valid) {
+            return { error: 'Segment length must be at least one frame' };
+        }
+
+        cuts = [];
+        for (let cut = length; cut < totalFrames; cut += length) {
+            cuts.push(cut);
+        }
+    }
+
+    if (cuts.length + 1 > MAX_SPLIT_SEGMENTS) {
+        return { error: `A split may produce at most ${MAX_SPLIT_SEGMENTS} segments` };
+    }
+
+    const bounds = [0, ...cuts, totalFrames];
+    return {
+        segments: cuts.concat(totalFrames).map((endFrame, i) => ({ startFrame: bounds[i], endFrame }))
+    };
+}
+
+/**
+ * Resolve an optional startTime/endTime range in seconds, snapped to whole
+ * frames, that limits an effect to part of a video
+ * @param {Object} params Request parameters holding startTime and endTime
+ * @param {number} totalFrames Number of frames in the video
+ * @param {number} fps Frames per second
+ * @returns {Object} `{ range }`, where range is `{ startFrame, endFrame }` or
+ *   null if neither time was given, or `{ error }` if the range is invalid
+ */
+function resolveTimeRange(params, totalFrames, fps) {
+    const { startTime, endTime } = params;
+    if (!anyGiven(startTime, endTime)) {
+        return { range: null };
+    }
+
+    const invalid = [startTime, endTime].some(value =>
+        anyGiven(value) && (typeof value !== 'number' || !(value >= 0))
+    );
+    if (invalid) {
+        return { error: 'startTime and endTime must be non-negative numbers of seconds' };
+    }
+
+    const range = {
+        startFrame: anyGiven(startTime) ? Math.round(startTime * fps) : 0,
+        endFrame: anyGiven(endTime) ? Math.round(endTime * fps) : totalFrames
+    };
+    if (range.startFrame >= range.endFrame || range.endFrame > totalFrames) {
+        return { error: `Time range must be non-empty and within the video's ${totalFrames} frames` };
+    }
+
+    return { range };
+}
+
+// Accepted range and neutral value of each numeric colour adjustment.
+// Brightness is a fraction of full scale added to every channel; contrast,
+// saturation and gamma are multipliers.
+const ADJUSTMENT_RANGES = {
+    brightness: { min: -1, max: 1, neutral: 0 },
+    contrast: { min: 0, max: 4, neutral: 1 },
+    saturation: { min: 0, max: 4, neutral: 1 },
+    gamma: { min: 0.1, max: 10, neutral: 1 }
+};
+
+// Colour adjustments that are switched on with `true`
+const ADJUSTMENT_SWITCHES = ['grayscale', 'invert'];
+
+/**
+ * Resolve a colour adjustment request. At least one adjustment is required.
+ * An optional startTime/endTime range in seconds, snapped to whole frames,
+ * limits the adjustment to part of the video; the rest is copied unchanged.
+ * @param {Object} params Adjustment parameters from the request
+ * @param {number} totalFrames Number of frames in the video
+ * @param {number} fps Frames per second
+ * @returns {Object} `{ adjustments, range }`, where range is null or
+ *   `{ startFrame, endFrame }`, or `{ error }` if the request is invalid
+ */
+function resolveAdjustments(params, totalFrames, fps) {
+    const adjustments = {};
+
+    for (const [name, { min, max }] of Object.entries(ADJUSTMENT_RANGES)) {
+        const value = params[name];
+        if (!anyGiven(value)) {
+            continue;
+        }
+        if (typeof value !== 'number' || !(value >= min && value <= max)) {
+            return { error: `${name} must be a number from ${min} to ${max}` };
+        }
+        adjustments[name] = value;
+    }
+
+    for (const name of ADJUSTMENT_SWITCHES) {
+        const value = params[name];
+        if (!anyGiven(value)) {
+            continue;
+        }
+        if (typeof value !== 'boolean') {
+            return { error: `${name} must be true or false` };
+        }
+        adjustments[name] = value;
+    }
+
+    const names = Object.keys(ADJUSTMENT_RANGES).concat(ADJUSTMENT_SWITCHES);
+    if (Object.keys(adjustments).length === 0) {
+        return { error: `Provide at least one of ${names.join(', ')}` };
+    }
+
+    const { range, error } = resolveTimeRange(params, totalFrames, fps);
+    return error ? { error } : { adjustments, range };
+}
+
+// Round and clamp a channel value to a byte
+const toByte = (value) => Math.min(255, Math.max(0, Math.round(value)));
+
+// Build a function that adjusts one frame in place. Brightness, contrast
+// and gamma are folded into a lookup table applied to every colour channel
+// (or luma), then saturation pulls colours towards or away from their luma,
+// then inversion flips every channel. Alpha is left alone, and gray frames
+// have no colour to saturate.
+function createFrameAdjuster(format, adjustments) {
+    const setting = (name) => anyGiven(adjustments[name]) ? adjustments[name] : ADJUSTMENT_RANGES[name].neutral;
+    const brightness = setting('brightness') * 255;
+    const contrast = setting('contrast');
+    const gamma = setting('gamma');
+    const saturation = adjustments.grayscale ? 0 : setting('saturation');
+    const invert = adjustments.invert === true;
+
+    const tones = Buffer.alloc(256);
+    for (let value = 0; value < 256; value++) {
+        const graded = Math.min(255, Math.max(0, (value + brightness - 128) * contrast + 128));
+        tones[value] = toByte(255 * Math.pow(graded / 255, 1 / gamma));
+    }
+
+    const { width, height, pixelFormat } = format;
+    const pixels = width * height;
+    const lumaTones = invert ? tones.map(value => 255 - value) : tones;
+
+    if (pixelFormat === 'gray') {
+        return (frame) => {
+            for (let i = 0; i < pixels; i++) {
+                frame[i] = lumaTones[frame[i]];
+            }
+        };
+    }
+
+    if (pixelFormat === 'yuv420p') {
+        const chroma = Buffer.alloc(256);
+        for (let value = 0; value < 256; value++) {
+            const saturated = toByte(128 + (value - 128) * saturation);
+            chroma[value] = invert ? 255 - saturated : saturated;
+        }
+        return (frame) => {
+            for (let i = 0; i < pixels; i++) {
+                frame[i] = lumaTones[frame[i]];
+            }
+            for (let i = pixels; i < pixels * 1.5; i++) {
+                frame[i] = chroma[frame[i]];
+            }
+        };
+    }
+
+    // RGB channels are inverted after saturation
+    const stride = PIXEL_FORMATS[pixelFormat];
+    return (frame) => {
+        for (let i = 0; i < pixels * stride; i += stride) {
+            let r = tones[frame[i]];
+            let g = tones[frame[i + 1]];
+            let b = tones[frame[i + 2]];
+            if (saturation !== 1) {
+                const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+                r = toByte(luma + (r - luma) * saturation);
+                g = toByte(luma + (g - luma) * saturation);
+                b = toByte(luma + (b - luma) * saturation);
+            }
+            frame[i] = invert ? 255 - r : r;
+            frame[i + 1] = invert ? 255 - g : g;
+            frame[i + 2] = invert ? 255 - b : b;
+        }
+    };
+}
+
+/**
+ * Apply colour adjustments to a raw video, pixel by pixel, streaming one
+ * frame at a time into a new file next to the source
+ * @param {string} inputPath Path to the raw video file
+ * @param {Object} format Raw video format of the video
+ * @param {Object} adjustments Adjustments from resolveAdjustments
+ * @param {Object} [options] Adjustment options
+ * @param {Object} [options.range] `{ startFrame, endFrame }` to limit the
+ *   adjustment to; other frames are copied unchanged
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<Object>} Object containing output path and duration
+ */
+async function adjustVideo(inputPath, format, adjustments, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const frameSize = getFrameSize(format);
+    const totalFrames = Math.floor(fs.statSync(inputPath).size / frameSize);
+    const { startFrame, endFrame } = options.range || { startFrame: 0, endFrame: totalFrames };
+    const adjust = createFrameAdjuster(format, adjustments);
+
+    // Generate output filename
+    const dir = path.dirname(inputPath);
+    const ext = path.extname(inputPath);
+    const basename = path.basename(inputPath, ext);
+    const outputPath = path.join(dir, `${basename}-adjusted-${Date.now()}${ext}`);
+
+    async function* adjustFrames(chunks) {
+        let pending = Buffer.alloc(0);
+        let index = 0;
+        for await (const chunk of chunks) {
+            pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+            while (pending.length >= frameSize) {
+                const frame = Buffer.from(pending.subarray(0, frameSize));
+                pending = pending.subarray(frameSize);
+                if (index >= startFrame && index < endFrame) {
+                    adjust(frame);
+                }
+                index++;
+                onProgress((index / totalFrames) * 100);
+                yield frame;
+            }
+        }
+    }
+
+    try {
+        await pipeline(
+            fs.createReadStream(inputPath, { end: totalFrames * frameSize - 1, highWaterMark: frameSize }),
+            adjustFrames,
+            fs.createWriteStream(outputPath)
+        );
+    } catch (error) {
+        await fs.promises.rm(outputPath, { force: true });
+        throw error;
+    }
+
+    return {
+        outputPath,
+        duration: totalFrames / format.fps
+    };
+}
+
+// Read each range in turn; `end` is exclusive
+async function* readByteRanges(ranges, onChunk) {
+    for (const range of ranges) {
+        if (range.end <= range.start) continue;
+
+        const input = fs.createReadStream(range.path, {
+            start: range.start,
+            end: range.end - 1
+        });
+        for await (const chunk of input) {
+            onChunk(chunk.length);
+            yield chunk;
+        }
+    }
+}
+
+/**
+ * Stream byte ranges of one or more files into a single output file without
+ * holding more than a stream buffer in memory. The partial output file is
+ * removed if anything fails.
+ * @param {Object[]} ranges Ranges to copy, in order
+ * @param {string} ranges[].path Path to the source file
+ * @param {number} ranges[].start Offset of the first byte to copy
+ * @param {number} ranges[].end Offset one past the last byte to copy
+ * @param {string} outputPath Path to write the output file
+ * @param {Function} [onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<number>} Number of bytes written
+ */
+async function copyByteRanges(ranges, outputPath, onProgress = () => {}) {
+    const totalBytes = ranges.reduce((sum, range) => sum + Math.max(0, range.end - range.start), 0);
+    let copiedBytes = 0;
+
+    const onChunk = (length) => {
+        copiedBytes += length;
+        onProgress((copiedBytes / totalBytes) * 100);
+    };
+
+    try {
+        await pipeline(readByteRanges(ranges, onChunk), fs.createWriteStream(outputPath));
+    } catch (error) {
+        await fs.promises.rm(outputPath, { force: true });
+        throw error;
+    }
+
+    return copiedBytes;
 }
 
 /**
  * Process video with ffmpeg to create a trimmed version
  * @param {string} inputPath Path to input video file
  * @param {Object} options Trim options
- * @param {number} [options.trimStart] Seconds to trim from start
- * @param {number} [options.trimEnd] Seconds to trim from end
+ * @param {number} [options.startFrame] First frame to keep (default 0)
+ * @param {number} [options.endFrame] Frame after the last one to keep (default: end of video)
+ * @param {Object} [options.format] Raw video format of the input
+ * @param {string} [options.container] Container of the input (default: from its extension)
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
  * @returns {Promise<Object>} Object containing output path and duration
  */
 async function processVideo(inputPath, options) {
+    const onProgress = options.onProgress || (() => {});
+    const format = options.format || DEFAULT_RAW_FORMAT;
+
     // Generate output filename
     const dir = path.dirname(inputPath);
     const ext = path.extname(inputPath);
@@ -44,74 +590,60 @@ async function processVideo(inputPath, options) {
     const timestamp = Date.now();
     const outputPath = path.join(dir, `${basename}-trimmed-${timestamp}${ext}`);
 
+    const startFrame = options.startFrame || 0;
+
     // For raw videos, we need to calculate the frame offset and count
-    const isRawVideo = inputPath.endsWith('.raw');
-    const totalDuration = isRawVideo ? calculateRawVideoDuration(inputPath) : 0;
+    const isRawVideo = (options.container || getDeclaredContainer(inputPath)) === 'raw';
     
     if (isRawVideo) {
-        return new Promise((resolve, reject) => {
-            const inputFileSize = fs.statSync(inputPath).size;
-            const frameSize = 320 * 240 * 3; // width * height * bytes_per_pixel
-            const totalFrames = inputFileSize / frameSize;
-            
-            let startFrame = options.trimStart ? options.trimStart * 30 : 0; // 30 fps
-            let endFrame = options.trimEnd ? 
-                (totalFrames - (options.trimEnd * 30)) : 
-                totalFrames;
-            
-            // Read the input file
-            const inputBuffer = fs.readFileSync(inputPath);
-            
-            // Create output buffer with trimmed frames
-            const outputBuffer = Buffer.alloc((endFrame - startFrame) * frameSize);
-            inputBuffer.copy(
-                outputBuffer,
-                0,
-                startFrame * frameSize,
-                endFrame * frameSize
-            );
-            
-            // Write the output file
-            fs.writeFileSync(outputPath, outputBuffer);
-            
-            // Calculate new duration
-            const newDuration = (endFrame - startFrame) / 30; // 30 fps
-            
-            resolve({
-                outputPath,
-                duration: newDuration
-            });
-        });
+        const frameSize = getFrameSize(format);
+        const totalFrames = Math.floor(fs.statSync(inputPath).size / frameSize);
+        const endFrame = options.endFrame !== undefined ? options.endFrame : totalFrames;
+
+        if (startFrame < 0 || startFrame >= endFrame || endFrame > totalFrames) {
+            throw new Error(`Trim range must be non-empty and within the video's ${totalFrames} frames`);
+        }
+
+        await copyByteRanges([{
+            path: inputPath,
+            start: startFrame * frameSize,
+            end: endFrame * frameSize
+        }], outputPath, onProgress);
+
+        return {
+            outputPath,
+            duration: (endFrame - startFrame) / format.fps
+        };
     }
     
     // For regular video files, use ffmpeg
     return new Promise((resolve, reject) => {
         let command = ffmpeg(inputPath);
 
-        if (options.trimStart) {
-            command = command.setStartTime(options.trimStart);
+        if (startFrame) {
+            command = command.setStartTime(startFrame / format.fps);
         }
 
-        if (options.trimEnd) {
-            const duration = totalDuration - options.trimEnd;
-            command = command.setDuration(duration);
+        if (options.endFrame !== undefined) {
+            command = command.setDuration((options.endFrame - startFrame) / format.fps);
         }
 
         command
             .output(outputPath)
+            .on('progress', (progress) => {
+                if (progress.percent) {
+                    onProgress(progress.percent);
+                }
+            })
             .on('end', async () => {
-                // Get final duration
-                const finalDuration = await new Promise((resolve, reject) => {
-                    ffmpeg.ffprobe(outputPath, (err, metadata) => {
-                        if (err) reject(err);
-                        resolve(metadata.format.duration);
+                try {
+                    resolve({
+                        outputPath,
+                        duration: await probeDuration(outputPath)
                     });
-                });
-
-                resolve({
-                    outputPath,
-                    duration: finalDuration
-                });
+                } catch (err) {
+                    reject(err);
+                }
             })
             .on('error', (err) => {
                 reject(new Error(`Error processing video: ${err.message}`));
@@ -120,44 +652,252 @@ async function processVideo(inputPath, options) {
     });
 }
 
+// Copy consecutive byte ranges of one file into one output file each,
+// reading the input once from the start of the first range to the end of
+// the last. Partial outputs are removed if anything fails.
+async function splitByteRanges(inputPath, ranges, outputPaths, onProgress) {
+    const first = ranges[0].start;
+    const totalBytes = ranges[ranges.length - 1].end - first;
+    let index = 0;
+    let position = first;
+    let output = fs.createWriteStream(outputPaths[0]);
+
+    try {
+        const input = fs.createReadStream(inputPath, { start: first, end: first + totalBytes - 1 });
+        for await (const chunk of input) {
+            let offset = 0;
+            while (offset < chunk.length) {
+                const length = Math.min(chunk.length - offset, ranges[index].end - position);
+                if (!output.write(chunk.subarray(offset, offset + length))) {
+                    await once(output, 'drain');
+                }
+                offset += length;
+                position += length;
+
+                if (position === ranges[index].end) {
+                    output.end();
+                    await finished(output);
+                    index++;
+                    if (index < ranges.length) {
+                        output = fs.createWriteStream(outputPaths[index]);
+                    }
+                }
+            }
+            onProgress(((position - first) / totalBytes) * 100);
+        }
+
+        if (index < ranges.length) {
+            throw new Error(`${inputPath} ended before the last segment`);
+        }
+    } catch (error) {
+        output.destroy();
+        await Promise.all(outputPaths.map(outputPath => fs.promises.rm(outputPath, { force: true })));
+        throw error;
+    }
+}
+
 /**
- * Merge multiple videos into a single video file
+ * Split a video into consecutive segments, reading it only once. Raw videos
+ * are split on frame-aligned byte offsets; other containers are re-encoded
+ * by a single ffmpeg run with one output per segment.
+ * @param {string} inputPath Path to input video file
+ * @param {Object[]} segments Consecutive frame ranges from resolveSplitSegments
+ * @param {Object} [options] Split options
+ * @param {Object} [options.format] Raw video format of the input
+ * @param {string} [options.container] Container of the input (default: from its extension)
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<Object[]>} Output path and duration of each segment, in order
+ */
+async function splitVideo(inputPath, segments, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const format = options.format || DEFAULT_RAW_FORMAT;
+
+    // Generate output filenames
+    const dir = path.dirname(inputPath);
+    const ext = path.extname(inputPath);
+    const basename = path.basename(inputPath, ext);
+    const timestamp = Date.now();
+    const outputPaths = segments.map((_, i) => path.join(dir, `${basename}-part${i + 1}-${timestamp}${ext}`));
+
+    if ((options.container || getDeclaredContainer(inputPath)) === 'raw') {
+        const frameSize = getFrameSize(format);
+        await splitByteRanges(inputPath, segments.map(segment => ({
+            start: segment.startFrame * frameSize,
+            end: segment.endFrame * frameSize
+        })), outputPaths, onProgress);
+
+        return segments.map((segment, i) => ({
+            outputPath: outputPaths[i],
+            duration: (segment.endFrame - segment.startFrame) / format.fps
+        }));
+    }
+
+    const command = ffmpeg(inputPath);
+    segments.forEach((segment, i) => {
+        command
+            .output(outputPaths[i])
+            .outputOptions([
+                `-ss ${segment.startFrame / format.fps}`,
+                `-t ${(segment.endFrame - segment.startFrame) / format.fps}`
+            ]);
+    });
+
+    try {
+        await new Promise((resolve, reject) => {
+            command
+                .on('progress', (progress) => {
+                    if (progress.percent) {
+                        onProgress(progress.percent);
+                    }
+                })
+                .on('end', resolve)
+                .on('error', (err) => reject(new Error(`Error splitting video: ${err.message}`)))
+                .run();
+        });
+
+        const durations = await Promise.all(outputPaths.map(probeDuration));
+        return outputPaths.map((outputPath, i) => ({ outputPath, duration: durations[i] }));
+    } catch (error) {
+        await Promise.all(outputPaths.map(outputPath => fs.promises.rm(outputPath, { force: true })));
+        throw error;
+    }
+}
+
+/**
+ * Merge videos that share a container and geometry into a single file. Raw
+ * inputs are concatenated byte for byte; MP4 and QuickTime inputs are joined
+ * by ffmpeg's concat demuxer without re-encoding.
  * @param {string[]} inputPaths Array of paths to input video files
+ * @param {Object} [options] Merge options
+ * @param {Object} [options.format] Raw video format shared by all inputs
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
  * @returns {Promise<Object>} Object containing output path and duration
  */
-async function mergeVideos(inputPaths) {
+async function mergeVideos(inputPaths, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const format = options.format || DEFAULT_RAW_FORMAT;
+    const container = getDeclaredContainer(inputPaths[0]) || 'raw';
+
     // Generate output filename
     const outputDir = path.dirname(inputPaths[0]);
     const timestamp = Date.now();
-    const outputPath = path.join(outputDir, `merged-${timestamp}.raw`);
+    const outputPath = path.join(outputDir, `merged-${timestamp}.${container}`);
 
-    // Create write stream for output file
-    const writeStream = fs.createWriteStream(outputPath);
-
-    // Read and concatenate all input files
-    for (const inputPath of inputPaths) {
-        const content = fs.readFileSync(inputPath);
-        writeStream.write(content);
+    if (container !== 'raw') {
+        return concatWithFfmpeg(inputPaths, outputPath, onProgress);
     }
 
-    return new Promise((resolve, reject) => {
-        writeStream.end();
-        writeStream.on('finish', () => {
-            // Calculate final duration based on file size
-            const fileSize = fs.statSync(outputPath).size;
-            const duration = fileSize / (320 * 240 * 3 * 30); // width * height * bytes_per_pixel * fps
-
-            resolve({
-                outputPath,
-                duration
-            });
+    // Concatenate the inputs whole, one after another
+    const ranges = inputPaths.map(inputPath => ({
+        path: inputPath,
+        start: 0,
+        end: fs.statSync(inputPath).size
+    }));
+    const totalBytes = await copyByteRanges(ranges, outputPath, onProgress);
+
+    return {
+        outputPath,
+        duration: totalBytes / (getFrameSize(format) * format.fps)
+    };
+}
+
+// Join files with identical streams through a concat demuxer list, copying
+// the streams rather than re-encoding them
+async function concatWithFfmpeg(inputPaths, outputPath, onProgress) {
+    const listDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'editthat-concat-'));
+    const listPath = path.join(listDir, 'inputs.txt');
+    const quote = (filepath) => `'${path.resolve(filepath).replace(/'/g, "'\\''")}'`;
+    await fs.promises.writeFile(listPath, inputPaths.map(inputPath => `file ${quote(inputPath)}\n`).join(''));
+
+    try {
+        await new Promise((resolve, reject) => {
+            ffmpeg(listPath)
+                .inputOptions(['-f concat', '-safe 0'])
+                .outputOptions(['-c copy'])
+                .output(outputPath)
+                .on('progress', (progress) => {
+                    if (progress.percent) {
+                        onProgress(progress.percent);
+                    }
+                })
+                .on('end', resolve)
+                .on('error', (err) => reject(new Error(`Error merging videos: ${err.message}`)))
+                .run();
         });
-        writeStream.on('error', reject);
+
+        return {
+            outputPath,
+            duration: await probeDuration(outputPath)
+        };
+    } catch (error) {
+        await fs.promises.rm(outputPath, { force: true });
+        throw error;
+    } finally {
+        await fs.promises.rm(listDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Render a timeline of raw clips into a single video file
+ * @param {Object[]} clips Clips to join, in order
+ * @param {string} clips[].path Path to the clip's source video
+ * @param {number} clips[].startFrame First frame of the clip
+ * @param {number} clips[].endFrame Frame after the last one in the clip
+ * @param {Object} [options] Render options
+ * @param {Object} [options.format] Raw video format shared by all sources
+ * @param {Function} [options.onProgress] Called with percentage complete (0-100)
+ * @returns {Promise<Object>} Object containing output path and duration
+ */
+async function renderClips(clips, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const format = options.format || DEFAULT_RAW_FORMAT;
+    const frameSize = getFrameSize(format);
+
+    // Generate output filename
+    const outputDir = path.dirname(clips[0].path);
+    const timestamp = Date.now();
+    const outputPath = path.join(outputDir, `render-${timestamp}.raw`);
+
+    const ranges = clips.map(clip => {
+        const totalFrames = Math.floor(fs.statSync(clip.path).size / frameSize);
+        if (clip.startFrame < 0 || clip.startFrame >= clip.endFrame || clip.endFrame > totalFrames) {
+            throw new Error(`Clip range must be non-empty and within the video's ${totalFrames} frames`);
+        }
+        return {
+            path: clip.path,
+            start: clip.startFrame * frameSize,
+            end: clip.endFrame * frameSize
+        };
     });
+    const totalBytes = await copyByteRanges(ranges, outputPath, onProgress);
+
+    return {
+        outputPath,
+        duration: totalBytes / (frameSize * format.fps)
+    };
 }
 
 module.exports = {
+    MAX_SPLIT_SEGMENTS,
+    PIXEL_FORMATS,
+    DEFAULT_RAW_FORMAT,
+    validateRawFormat,
+    getFrameSize,
+    getVideoFormat,
+    getTotalFrames,
+    resolveTrimRange,
+    resolveSplitSegments,
+    resolveTimeRange,
+    resolveAdjustments,
+    getRawInputOptions,
+    createRawVideoCommand,
+    decodeToRaw,
+    probeDuration,
+    copyByteRanges,
     processVideo,
+    splitVideo,
+    adjustVideo,
     mergeVideos,
+    renderClips,
     calculateRawVideoDuration
 };
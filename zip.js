@@ -0,0 +1,106 @@
+const fs = require('fs');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const { crc32 } = require('./png');
+
+// Most entries an archive without ZIP64 extensions can hold
+const MAX_ZIP_ENTRIES = 0xFFFF;
+
+// Most bytes an archive without ZIP64 extensions can hold
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+
+// Date and time of an entry in the MS-DOS format ZIP headers use
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Write a ZIP archive of stored (uncompressed) entries, streaming each entry
+ * to disk as it arrives so only one is held in memory at a time. Suited to
+ * data that is already compressed, such as PNG images. The partial archive
+ * is removed if anything fails.
+ * @param {string} outputPath Path to write the archive
+ * @param {AsyncIterable<Object>} entries Entries in order, each `{ name, data }`
+ * @returns {Promise<number>} Number of entries written
+ */
+async function writeZip(outputPath, entries) {
+    const output = fs.createWriteStream(outputPath);
+    const { time, date } = dosDateTime(new Date());
+    const centralDirectory = [];
+    let offset = 0;
+
+    const write = async (buffer) => {
+        if (offset + buffer.length > MAX_ZIP_SIZE) {
+            throw new Error('ZIP archive would be larger than 4GB');
+        }
+        offset += buffer.length;
+        if (!output.write(buffer)) {
+            await once(output, 'drain');
+        }
+    };
+
+    try {
+        for await (const { name, data } of entries) {
+            if (centralDirectory.length === MAX_ZIP_ENTRIES) {
+                throw new Error(`ZIP archive would have more than ${MAX_ZIP_ENTRIES} entries`);
+            }
+
+            const filename = Buffer.from(name, 'utf8');
+            const crc = crc32(data);
+
+            // Local file header: version 2.0, no flags, stored
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034B50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(time, 10);
+            header.writeUInt16LE(date, 12);
+            header.writeUInt32LE(crc, 14);
+            header.writeUInt32LE(data.length, 18);
+            header.writeUInt32LE(data.length, 22);
+            header.writeUInt16LE(filename.length, 26);
+
+            const entry = Buffer.alloc(46);
+            entry.writeUInt32LE(0x02014B50, 0);
+            entry.writeUInt16LE(20, 4);
+            entry.writeUInt16LE(20, 6);
+            entry.writeUInt16LE(time, 12);
+            entry.writeUInt16LE(date, 14);
+            entry.writeUInt32LE(crc, 16);
+            entry.writeUInt32LE(data.length, 20);
+            entry.writeUInt32LE(data.length, 24);
+            entry.writeUInt16LE(filename.length, 28);
+            entry.writeUInt32LE(offset, 42);
+            centralDirectory.push(Buffer.concat([entry, filename]));
+
+            await write(Buffer.concat([header, filename]));
+            await write(data);
+        }
+
+        const directory = Buffer.concat(centralDirectory);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054B50, 0);
+        end.writeUInt16LE(centralDirectory.length, 8);
+        end.writeUInt16LE(centralDirectory.length, 10);
+        end.writeUInt32LE(directory.length, 12);
+        end.writeUInt32LE(offset, 16);
+
+        await write(directory);
+        await write(end);
+        output.end();
+        await finished(output);
+    } catch (error) {
+        output.destroy();
+        await fs.promises.rm(outputPath, { force: true });
+        throw error;
+    }
+
+    return centralDirectory.length;
+}
+
+module.exports = {
+    MAX_ZIP_ENTRIES,
+    writeZip
+};